@@ -1,6 +1,6 @@
 /**
  * Database Module - LowDB based persistent storage
- * Handles score data storage and retrieval
+ * Handles score data and campaign progress storage and retrieval
  */
 
 import { join, dirname } from 'path';
@@ -13,6 +13,7 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 // Database schema
 const defaultData = {
   scores: [],
+  progress: {},
   metadata: {
     createdAt: new Date().toISOString(),
     version: '1.0.0'
@@ -43,6 +44,12 @@ export async function initDatabase() {
     await db.write();
   }
 
+  // Ensure progress map exists (databases created before campaign sync)
+  if (!db.data.progress) {
+    db.data.progress = {};
+    await db.write();
+  }
+
   console.log('[Database] Initialized successfully');
   console.log(`[Database] Current records: ${db.data.scores.length}`);
 }
@@ -162,6 +169,55 @@ export async function getScoreRank(score) {
   return higherScores.length + 1;
 }
 
+/**
+ * Get a player's campaign progress
+ * @param {string} playerId - Anonymous player ID generated by the client
+ * @returns {Object|null} Progress ({ stages, weapons, variants, updatedAt }) or null
+ */
+export async function getProgress(playerId) {
+  await db.read();
+  return Object.hasOwn(db.data.progress, playerId) ? db.data.progress[playerId] : null;
+}
+
+/**
+ * Merge a player's campaign progress into the stored copy
+ * Cleared stages stay cleared, the best stars and score are kept and
+ * unlocked weapons and variants are combined
+ * @param {string} playerId - Anonymous player ID generated by the client
+ * @param {Object} progress - Validated progress ({ stages, weapons, variants })
+ * @returns {Object} The merged progress
+ */
+export async function saveProgress(playerId, progress) {
+  await db.read();
+
+  const stored = Object.hasOwn(db.data.progress, playerId)
+    ? db.data.progress[playerId]
+    : { stages: {}, weapons: [], variants: [] };
+  const stages = { ...stored.stages };
+
+  // Stage IDs like "constructor" must not pick up Object.prototype members
+  for (const [stageId, record] of Object.entries(progress.stages)) {
+    const current = Object.hasOwn(stages, stageId) ? stages[stageId] : null;
+    stages[stageId] = {
+      cleared: record.cleared || (current ? current.cleared : false),
+      stars: Math.max(record.stars, current ? current.stars : 0),
+      bestScore: Math.max(Math.floor(record.bestScore), current ? current.bestScore : 0)
+    };
+  }
+
+  const merged = {
+    stages,
+    weapons: [...new Set([...stored.weapons, ...progress.weapons])],
+    variants: [...new Set([...stored.variants, ...progress.variants])],
+    updatedAt: new Date().toISOString()
+  };
+
+  db.data.progress[playerId] = merged;
+  await db.write();
+
+  return merged;
+}
+
 // Utility functions
 
 /**
@@ -200,5 +256,7 @@ export default {
   getHighScore,
   isNewHighScore,
   getTotalScores,
-  getScoreRank
+  getScoreRank,
+  getProgress,
+  saveProgress
 };
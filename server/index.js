@@ -8,6 +8,7 @@
  * - POST /api/scores - Submit a new score
  * - GET /api/scores - Get top scores (leaderboard)
  * - GET /api/scores/:playerName - Get scores for a specific player
+ * - GET/POST /api/progress/:playerId - Load or merge campaign progress
  * - WebSocket /ws - Real-time player count and high score notifications
  */
 
@@ -20,6 +21,7 @@ import { createServer } from 'http';
 import { initDatabase } from './db/database.js';
 import { initWebSocket, getConnectedCount } from './ws/websocket.js';
 import scoresRouter from './routes/scores.js';
+import progressRouter from './routes/progress.js';
 
 // Configuration
 const PORT = process.env.PORT || 3001;
@@ -72,6 +74,9 @@ app.use(cors({
 }));
 
 // Body parsing
+// Campaign progress holds up to MAX_STAGES stage records (routes/progress.js),
+// so it gets its own limit; the parser that runs first handles the body
+app.use('/api/progress', express.json({ limit: '16kb' }));
 app.use(express.json({ limit: '1kb' })); // Small limit for security
 app.use(express.urlencoded({ extended: false }));
 
@@ -148,6 +153,8 @@ app.get('/api', (req, res) => {
       'GET /api/scores': 'Get top scores (query: limit)',
       'GET /api/scores/:playerName': 'Get scores for a player',
       'GET /api/scores/rank/:score': 'Get rank for a score',
+      'GET /api/progress/:playerId': 'Get campaign progress for a player',
+      'POST /api/progress/:playerId': 'Merge campaign progress for a player',
       'GET /health': 'Server health check',
       'WS /ws': 'WebSocket for real-time updates'
     }
@@ -157,6 +164,9 @@ app.get('/api', (req, res) => {
 // Scores API routes
 app.use('/api/scores', scoresRouter);
 
+// Campaign progress API routes
+app.use('/api/progress', progressRouter);
+
 // ============================================
 // Error Handling
 // ============================================
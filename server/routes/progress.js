@@ -0,0 +1,152 @@
+/**
+ * Progress Router - REST API endpoints for campaign progress
+ * Keeps each player's cleared stages, star ratings and unlocks so they
+ * can be synced between devices
+ */
+
+import { Router } from 'express';
+import { getProgress, saveProgress } from '../db/database.js';
+
+const router = Router();
+
+// Limits on what a client may store
+const PLAYER_ID_PATTERN = /^[a-z0-9]{16}$/;
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+const MAX_STAGES = 50;
+const MAX_UNLOCKS = 20;
+const MAX_STARS = 3;
+
+/**
+ * Validation middleware for the player ID parameter
+ */
+function validatePlayerId(req, res, next) {
+  if (!PLAYER_ID_PATTERN.test(req.params.playerId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid player ID'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validation middleware for progress submission
+ */
+function validateProgressInput(req, res, next) {
+  const { stages, weapons, variants } = req.body;
+
+  const errors = [];
+
+  // Validate stages
+  if (!stages || typeof stages !== 'object' || Array.isArray(stages)) {
+    errors.push('stages is required and must be an object');
+  } else if (Object.keys(stages).length > MAX_STAGES) {
+    errors.push(`stages cannot have more than ${MAX_STAGES} entries`);
+  } else {
+    for (const [stageId, record] of Object.entries(stages)) {
+      if (!ID_PATTERN.test(stageId)) {
+        errors.push(`stage ID "${stageId}" is invalid`);
+      } else if (!record || typeof record !== 'object') {
+        errors.push(`stages.${stageId} must be an object`);
+      } else {
+        if (typeof record.cleared !== 'boolean') {
+          errors.push(`stages.${stageId}.cleared must be a boolean`);
+        }
+        if (!Number.isInteger(record.stars) || record.stars < 0 || record.stars > MAX_STARS) {
+          errors.push(`stages.${stageId}.stars must be an integer between 0 and ${MAX_STARS}`);
+        }
+        if (typeof record.bestScore !== 'number' || isNaN(record.bestScore) ||
+            record.bestScore < 0 || record.bestScore > 999999999) {
+          errors.push(`stages.${stageId}.bestScore must be a valid score`);
+        }
+      }
+    }
+  }
+
+  // Validate unlock lists
+  for (const [field, list] of [['weapons', weapons], ['variants', variants]]) {
+    if (!Array.isArray(list)) {
+      errors.push(`${field} is required and must be an array`);
+    } else if (list.length > MAX_UNLOCKS) {
+      errors.push(`${field} cannot have more than ${MAX_UNLOCKS} entries`);
+    } else if (!list.every(id => typeof id === 'string' && ID_PATTERN.test(id))) {
+      errors.push(`${field} must only contain valid IDs`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/progress/:playerId
+ * Get a player's campaign progress
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     stages: { [stageId]: { cleared: boolean, stars: number, bestScore: number } },
+ *     weapons: string[],
+ *     variants: string[],
+ *     updatedAt: string
+ *   }
+ * }
+ */
+router.get('/:playerId', validatePlayerId, async (req, res, next) => {
+  try {
+    const progress = await getProgress(req.params.playerId);
+
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        error: 'No progress found for this player'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/progress/:playerId
+ * Merge a player's campaign progress into the stored copy
+ *
+ * Request body:
+ * {
+ *   stages: { [stageId]: { cleared: boolean, stars: number (0-3), bestScore: number } },
+ *   weapons: string[],
+ *   variants: string[]
+ * }
+ *
+ * Response: the merged progress (same shape as GET)
+ */
+router.post('/:playerId', validatePlayerId, validateProgressInput, async (req, res, next) => {
+  try {
+    const { stages, weapons, variants } = req.body;
+
+    const progress = await saveProgress(req.params.playerId, { stages, weapons, variants });
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
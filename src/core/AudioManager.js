@@ -3,6 +3,8 @@
  * Handles background music and sound effects using Web Audio API
  */
 
+import { FIRE_SOUNDS } from '../utils/Constants.js';
+
 export class AudioManager {
   constructor() {
     this.audioContext = null;
@@ -12,6 +14,9 @@ export class AudioManager {
     this.isPlaying = false;
     this.currentMusic = null;
 
+    // Volumes (kept so settings applied before init take effect)
+    this.volumes = { master: 0.5, music: 0.3, sfx: 0.6 };
+
     // Initialize on first user interaction
     this.initialized = false;
   }
@@ -27,17 +32,17 @@ export class AudioManager {
 
       // Master gain
       this.masterGain = this.audioContext.createGain();
-      this.masterGain.gain.value = 0.5;
+      this.masterGain.gain.value = this.volumes.master;
       this.masterGain.connect(this.audioContext.destination);
 
       // Music gain
       this.musicGain = this.audioContext.createGain();
-      this.musicGain.gain.value = 0.3;
+      this.musicGain.gain.value = this.volumes.music;
       this.musicGain.connect(this.masterGain);
 
       // SFX gain
       this.sfxGain = this.audioContext.createGain();
-      this.sfxGain.gain.value = 0.6;
+      this.sfxGain.gain.value = this.volumes.sfx;
       this.sfxGain.connect(this.masterGain);
 
       this.initialized = true;
@@ -268,6 +273,136 @@ export class AudioManager {
     noise.stop(now + 0.3);
   }
 
+  /**
+   * Play a weapon firing sound
+   * @param {string} preset - Key into FIRE_SOUNDS
+   */
+  playFireSound(preset) {
+    if (!this.initialized) this.init();
+    if (!this.audioContext) return;
+
+    const sound = FIRE_SOUNDS[preset] || FIRE_SOUNDS.rifle;
+    const now = this.audioContext.currentTime;
+
+    // Noise burst with decay
+    const bufferSize = this.audioContext.sampleRate * sound.duration;
+    const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+      const t = i / bufferSize;
+      data[i] = (Math.random() * 2 - 1) * Math.exp(-t * sound.decay);
+    }
+
+    const noise = this.audioContext.createBufferSource();
+    noise.buffer = buffer;
+
+    // Low-pass for bass punch, high-pass for crack
+    const lowpass = this.audioContext.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = sound.lowpass;
+
+    const highpass = this.audioContext.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = sound.highpass;
+
+    const gain = this.audioContext.createGain();
+    gain.gain.value = sound.gain;
+
+    noise.connect(lowpass);
+    lowpass.connect(highpass);
+    highpass.connect(gain);
+    gain.connect(this.sfxGain);
+    noise.start(now);
+    noise.stop(now + sound.duration);
+
+    // Low thump for launchers and cannons
+    if (sound.thump > 0) {
+      const thump = this.audioContext.createOscillator();
+      const thumpGain = this.audioContext.createGain();
+      thump.type = 'sine';
+      thump.frequency.setValueAtTime(sound.thump, now);
+      thump.frequency.exponentialRampToValueAtTime(sound.thump / 3, now + sound.duration);
+      thumpGain.gain.setValueAtTime(sound.gain, now);
+      thumpGain.gain.exponentialRampToValueAtTime(0.01, now + sound.duration);
+      thump.connect(thumpGain);
+      thumpGain.connect(this.sfxGain);
+      thump.start(now);
+      thump.stop(now + sound.duration);
+    }
+  }
+
+  /**
+   * Play Heat Hawk impact sound effect (metal clang with a searing hiss)
+   */
+  playMeleeHit() {
+    if (!this.initialized) this.init();
+    if (!this.audioContext) return;
+
+    const now = this.audioContext.currentTime;
+
+    // Metallic clang
+    const clang = this.audioContext.createOscillator();
+    const clangGain = this.audioContext.createGain();
+    clang.type = 'triangle';
+    clang.frequency.setValueAtTime(520, now);
+    clang.frequency.exponentialRampToValueAtTime(140, now + 0.25);
+    clangGain.gain.setValueAtTime(0.35, now);
+    clangGain.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
+    clang.connect(clangGain);
+    clangGain.connect(this.sfxGain);
+    clang.start(now);
+    clang.stop(now + 0.3);
+
+    // Hiss of the heated blade
+    const bufferSize = this.audioContext.sampleRate * 0.4;
+    const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+      const t = i / bufferSize;
+      data[i] = (Math.random() * 2 - 1) * Math.exp(-t * 5);
+    }
+
+    const hiss = this.audioContext.createBufferSource();
+    hiss.buffer = buffer;
+
+    const hissGain = this.audioContext.createGain();
+    hissGain.gain.setValueAtTime(0.25, now);
+    hissGain.gain.exponentialRampToValueAtTime(0.01, now + 0.4);
+
+    const filter = this.audioContext.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.setValueAtTime(3000, now);
+
+    hiss.connect(filter);
+    filter.connect(hissGain);
+    hissGain.connect(this.sfxGain);
+    hiss.start(now);
+    hiss.stop(now + 0.4);
+  }
+
+  /**
+   * Play distant turret cannon sound effect
+   */
+  playTurretFire() {
+    if (!this.initialized) this.init();
+    if (!this.audioContext) return;
+
+    const now = this.audioContext.currentTime;
+
+    // Short low thump
+    const thump = this.audioContext.createOscillator();
+    const thumpGain = this.audioContext.createGain();
+    thump.type = 'square';
+    thump.frequency.setValueAtTime(180, now);
+    thump.frequency.exponentialRampToValueAtTime(60, now + 0.12);
+    thumpGain.gain.setValueAtTime(0.15, now);
+    thumpGain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
+    thump.connect(thumpGain);
+    thumpGain.connect(this.sfxGain);
+    thump.start(now);
+    thump.stop(now + 0.15);
+  }
+
   /**
    * Stop music
    */
@@ -283,8 +418,9 @@ export class AudioManager {
    * Set master volume
    */
   setMasterVolume(value) {
+    this.volumes.master = Math.max(0, Math.min(1, value));
     if (this.masterGain) {
-      this.masterGain.gain.value = Math.max(0, Math.min(1, value));
+      this.masterGain.gain.value = this.volumes.master;
     }
   }
 
@@ -292,8 +428,9 @@ export class AudioManager {
    * Set music volume
    */
   setMusicVolume(value) {
+    this.volumes.music = Math.max(0, Math.min(1, value));
     if (this.musicGain) {
-      this.musicGain.gain.value = Math.max(0, Math.min(1, value));
+      this.musicGain.gain.value = this.volumes.music;
     }
   }
 
@@ -301,8 +438,9 @@ export class AudioManager {
    * Set SFX volume
    */
   setSfxVolume(value) {
+    this.volumes.sfx = Math.max(0, Math.min(1, value));
     if (this.sfxGain) {
-      this.sfxGain.gain.value = Math.max(0, Math.min(1, value));
+      this.sfxGain.gain.value = this.volumes.sfx;
     }
   }
 }
@@ -6,6 +6,7 @@
 import * as THREE from 'three';
 import { CAMERA } from '../utils/Constants.js';
 import { lerp, clamp } from '../utils/MathUtils.js';
+import { t } from '../utils/Strings.js';
 
 export class CameraController {
   constructor(camera) {
@@ -29,6 +30,10 @@ export class CameraController {
     this.minVerticalAngle = -0.5;
     this.maxVerticalAngle = 0.8;
 
+    // Mouse look settings
+    this.sensitivity = 1;
+    this.invertY = false;
+
     // Smoothing
     this.positionSmoothing = CAMERA.smoothing;
     this.lookAtSmoothing = 0.15;
@@ -63,12 +68,23 @@ export class CameraController {
    * Get current view mode name
    */
   getViewModeName() {
-    const names = {
-      'third-person': '3인칭 뷰',
-      'first-person': '1인칭 뷰',
-      'cockpit': '콕핏 뷰'
-    };
-    return names[this.viewMode] || this.viewMode;
+    return t(`view.${this.viewMode}`);
+  }
+
+  /**
+   * Set mouse look sensitivity multiplier and Y inversion
+   */
+  setLookSettings(sensitivity, invertY) {
+    this.sensitivity = sensitivity;
+    this.invertY = invertY;
+  }
+
+  /**
+   * Set vertical field of view in degrees
+   */
+  setFov(fov) {
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
   }
 
   /**
@@ -103,11 +119,12 @@ export class CameraController {
    * Rotate camera around target
    */
   rotate(deltaX, deltaY) {
-    const sensitivity = 0.002;
+    const sensitivity = 0.002 * this.sensitivity;
+    const ySign = this.invertY ? -1 : 1;
 
     this.horizontalAngle += deltaX * sensitivity;
     this.verticalAngle = clamp(
-      this.verticalAngle + deltaY * sensitivity,
+      this.verticalAngle + deltaY * sensitivity * ySign,
       this.minVerticalAngle,
       this.maxVerticalAngle
     );
@@ -0,0 +1,329 @@
+/**
+ * Campaign Manager
+ * Stage progression across the missions: star ratings, cleared stages and
+ * the weapons and Zaku variants they unlock. Progress is saved to
+ * localStorage and can be merged with the copy on the game server (sync).
+ */
+
+import { CAMPAIGN, SERVER, ZAKU_VARIANTS } from '../utils/Constants.js';
+
+const STORAGE_KEY = 'zakuColonyDestroyer_campaign';
+
+// Anonymous id the server keeps progress under
+const PLAYER_ID = /^[a-z0-9]{16}$/;
+
+// Upgrades stored progress from version N to N + 1
+const MIGRATIONS = {
+  // 1: (progress) => ({ ...progress, newField: ... }),
+};
+
+/**
+ * New anonymous player id
+ */
+function createPlayerId() {
+  return Array.from({ length: 16 }, () => Math.floor(Math.random() * 36).toString(36)).join('');
+}
+
+/**
+ * Merge two copies of stage progress (local and server)
+ * Cleared stays cleared, the best stars and score win, unlocks add up
+ */
+export function mergeProgress(a, b) {
+  const stages = Object.assign(Object.create(null), a.stages);
+  for (const id in b.stages) {
+    const ours = stages[id];
+    const theirs = b.stages[id];
+    stages[id] = ours
+      ? {
+        cleared: ours.cleared || theirs.cleared,
+        stars: Math.max(ours.stars, theirs.stars),
+        bestScore: Math.max(ours.bestScore, theirs.bestScore),
+      }
+      : { ...theirs };
+  }
+
+  return {
+    ...a,
+    stages,
+    weapons: [...new Set([...a.weapons, ...b.weapons])],
+    variants: [...new Set([...a.variants, ...b.variants])],
+  };
+}
+
+export class CampaignManager {
+  /**
+   * @param {object[]} missions - Validated missions in stage order (see MissionLoader)
+   */
+  constructor(missions) {
+    this.missions = missions;
+
+    // Weapons a stage unlocks stay locked until it is cleared (the starter arsenal never is)
+    this.lockedWeapons = new Set(missions.flatMap(mission => mission.unlocks.weapons)
+      .filter(id => !CAMPAIGN.starterWeapons.includes(id)));
+
+    this.progress = this.load();
+  }
+
+  /**
+   * Progress of a new player
+   */
+  createProgress() {
+    return {
+      playerId: createPlayerId(),
+      // No prototype: a mission id like "constructor" must not find Object members
+      stages: Object.create(null),  // Mission id -> {cleared, stars, bestScore}
+      weapons: [],                  // Unlocked weapon ids
+      variants: [],                 // Unlocked variant keys (standard is always available)
+      selectedVariant: 'standard',
+    };
+  }
+
+  /**
+   * Load progress from localStorage, migrating older versions
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (!saved) return this.createProgress();
+
+      const data = JSON.parse(saved);
+      let version = data.version;
+      let stored = data.progress || {};
+
+      // Unknown or future versions start over rather than lose data on save
+      if (!Number.isInteger(version) || version > CAMPAIGN.version) {
+        console.warn(`[CampaignManager] Ignoring progress with version ${version}`);
+        return this.createProgress();
+      }
+
+      while (version < CAMPAIGN.version) {
+        const migrate = MIGRATIONS[version];
+        if (migrate) stored = migrate(stored);
+        version++;
+      }
+
+      return this.sanitize(stored);
+    } catch (e) {
+      console.warn('[CampaignManager] Could not load progress');
+      return this.createProgress();
+    }
+  }
+
+  /**
+   * Save progress to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: CAMPAIGN.version,
+        progress: this.progress,
+      }));
+    } catch (e) {
+      console.warn('[CampaignManager] Could not save progress');
+    }
+  }
+
+  /**
+   * Keep only well-formed fields of stored progress
+   */
+  sanitize(stored) {
+    const progress = this.createProgress();
+    if (typeof stored !== 'object' || stored === null) return progress;
+
+    if (PLAYER_ID.test(stored.playerId)) {
+      progress.playerId = stored.playerId;
+    }
+
+    const stages = typeof stored.stages === 'object' && stored.stages !== null ? stored.stages : {};
+    for (const id in stages) {
+      const record = stages[id];
+      if (typeof record !== 'object' || record === null) continue;
+
+      progress.stages[id] = {
+        cleared: record.cleared === true,
+        stars: Number.isInteger(record.stars) ? Math.max(0, Math.min(CAMPAIGN.maxStars, record.stars)) : 0,
+        bestScore: Number.isFinite(record.bestScore) ? Math.max(0, record.bestScore) : 0,
+      };
+    }
+
+    if (Array.isArray(stored.weapons)) {
+      progress.weapons = stored.weapons.filter(id => typeof id === 'string');
+    }
+    if (Array.isArray(stored.variants)) {
+      progress.variants = stored.variants.filter(key => Object.hasOwn(ZAKU_VARIANTS, key));
+    }
+    if (progress.variants.includes(stored.selectedVariant)) {
+      progress.selectedVariant = stored.selectedVariant;
+    }
+
+    return progress;
+  }
+
+  // ============================================
+  // STAGES
+  // ============================================
+
+  /**
+   * Get a stage's record
+   * @returns {{cleared: boolean, stars: number, bestScore: number}}
+   */
+  getRecord(mission) {
+    return this.progress.stages[mission.id] ?? { cleared: false, stars: 0, bestScore: 0 };
+  }
+
+  /**
+   * Check if a stage can be played: the first one always, the others once
+   * the stage before is cleared
+   */
+  isStageUnlocked(mission) {
+    const index = this.missions.indexOf(mission);
+    if (index <= 0) return true;
+    return this.getRecord(mission).cleared || this.getRecord(this.missions[index - 1]).cleared;
+  }
+
+  /**
+   * Get stars earned over the whole campaign
+   * @returns {{earned: number, total: number}}
+   */
+  getTotalStars() {
+    return {
+      earned: this.missions.reduce((total, mission) => total + this.getRecord(mission).stars, 0),
+      total: this.missions.length * CAMPAIGN.maxStars,
+    };
+  }
+
+  /**
+   * Rate a mission result: no stars for a loss, otherwise one per threshold met
+   * @param {object} result - {victory, score, timeRemaining, destruction}
+   */
+  rateStars(mission, result) {
+    if (!result.victory) return 0;
+
+    const { stars } = mission;
+    return [
+      result.score >= stars.score,
+      result.timeRemaining >= stars.timeLeft,
+      result.destruction >= stars.destruction,
+    ].filter(Boolean).length;
+  }
+
+  /**
+   * Record a finished mission and unlock its rewards on a win
+   * @param {object} result - {victory, score, timeRemaining, destruction}
+   * @returns {{stars: number, unlocks: {stages: object[], weapons: string[], variants: string[]}}}
+   *   Stars earned this run and what became available for the first time
+   */
+  recordResult(mission, result) {
+    const stars = this.rateStars(mission, result);
+    const record = this.getRecord(mission);
+    const locked = this.missions.filter(other => !this.isStageUnlocked(other));
+    const unlocks = { stages: [], weapons: [], variants: [] };
+
+    this.progress.stages[mission.id] = {
+      cleared: record.cleared || result.victory,
+      stars: Math.max(record.stars, stars),
+      bestScore: Math.max(record.bestScore, result.score),
+    };
+
+    if (result.victory) {
+      unlocks.stages = locked.filter(other => this.isStageUnlocked(other));
+      unlocks.weapons = mission.unlocks.weapons.filter(id => !this.progress.weapons.includes(id));
+      unlocks.variants = mission.unlocks.variants.filter(key => !this.progress.variants.includes(key));
+      this.progress.weapons.push(...unlocks.weapons);
+      this.progress.variants.push(...unlocks.variants);
+    }
+
+    this.save();
+    return { stars, unlocks };
+  }
+
+  // ============================================
+  // UNLOCKS
+  // ============================================
+
+  /**
+   * Check if a weapon may be carried (weapons no stage unlocks always can)
+   */
+  isWeaponUnlocked(id) {
+    return !this.lockedWeapons.has(id) || this.progress.weapons.includes(id);
+  }
+
+  /**
+   * Get the unlocked part of a loadout
+   * @param {Weapon[]} weapons - Every weapon (see WeaponLoader)
+   */
+  getAvailableWeapons(weapons) {
+    return weapons.filter(weapon => this.isWeaponUnlocked(weapon.id));
+  }
+
+  /**
+   * Check if a Zaku variant may be flown
+   */
+  isVariantUnlocked(key) {
+    return key === 'standard' || this.progress.variants.includes(key);
+  }
+
+  /**
+   * Get the unlocked variant keys in ZAKU_VARIANTS order
+   */
+  getAvailableVariants() {
+    return Object.keys(ZAKU_VARIANTS).filter(key => this.isVariantUnlocked(key));
+  }
+
+  /**
+   * Get the variant chosen for the next sortie
+   */
+  getSelectedVariant() {
+    return this.progress.selectedVariant;
+  }
+
+  /**
+   * Step through the unlocked variants
+   * @param {number} step - +1 for the next, -1 for the previous
+   * @returns {string} The selected variant key
+   */
+  cycleVariant(step) {
+    const variants = this.getAvailableVariants();
+    const index = variants.indexOf(this.progress.selectedVariant);
+    this.progress.selectedVariant = variants[(index + step + variants.length) % variants.length];
+    this.save();
+    return this.progress.selectedVariant;
+  }
+
+  // ============================================
+  // SERVER SYNC
+  // ============================================
+
+  /**
+   * Merge progress with the copy kept on the game server
+   * @returns {Promise<boolean>} False if the server could not be reached
+   */
+  async sync() {
+    const { playerId, stages, weapons, variants } = this.progress;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SERVER.timeout);
+
+    try {
+      const response = await fetch(`${SERVER.apiUrl}/progress/${playerId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stages, weapons, variants }),
+        signal: controller.signal,
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.progress = this.sanitize(mergeProgress(this.progress, result.data));
+      this.save();
+      return true;
+    } catch (e) {
+      console.warn(`[CampaignManager] Could not sync progress: ${e.message}`);
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -6,14 +6,28 @@
 import * as THREE from 'three';
 import { SceneManager } from './Scene.js';
 import { InputManager } from './InputManager.js';
+import { InputBindings } from './InputBindings.js';
 import { CameraController } from './Camera.js';
 import { AudioManager } from './AudioManager.js';
+import { StateMachine } from './StateMachine.js';
+import { SettingsManager } from './SettingsManager.js';
+import { CampaignManager } from './CampaignManager.js';
 import { Zaku } from '../entities/Zaku.js';
-import { Colony } from '../entities/Colony.js';
 import { HUD } from '../ui/HUD.js';
 import { ScoreSystem } from '../systems/ScoreSystem.js';
 import { ParticleSystem } from '../systems/ParticleSystem.js';
-import { GAME, CAMERA, KEYS } from '../utils/Constants.js';
+import { DebrisSystem } from '../systems/DebrisSystem.js';
+import { randomSeed, getDailySeed } from '../systems/ColonyGenerator.js';
+import { loadMissions, buildMission } from '../systems/MissionLoader.js';
+import { ObjectiveSystem } from '../systems/ObjectiveSystem.js';
+import { WeaponSystem } from '../systems/WeaponSystem.js';
+import { loadWeapons } from '../systems/WeaponLoader.js';
+import { DamageSystem } from '../systems/DamageSystem.js';
+import { EnemySystem } from '../systems/EnemySystem.js';
+import { TargetingSystem } from '../systems/TargetingSystem.js';
+import { getPoolStats } from '../systems/ObjectPool.js';
+import { CAMERA, COLLISION, GAMEPAD, MELEE, ZAKU_VARIANTS } from '../utils/Constants.js';
+import { t, setLanguage, localize } from '../utils/Strings.js';
 
 export class Game {
   constructor(container) {
@@ -31,14 +45,18 @@ export class Game {
     // Systems
     this.scoreSystem = null;
     this.particleSystem = null;
+    this.debrisSystem = null;
+    this.weaponSystem = null;
+    this.damageSystem = null;
+    this.enemySystem = null;
     this.audioManager = null;
 
     // UI
     this.hud = null;
 
-    // Game state
-    this.state = 'menu'; // menu, playing, paused, gameover
-    this.missionTimer = GAME.missionTime;
+    // Game state (boot -> title -> stages -> briefing -> playing <-> paused -> results)
+    this.stateMachine = null;
+    this.missionTimer = 0;
     this.isRunning = false;
     this.musicStarted = false;
 
@@ -52,12 +70,36 @@ export class Game {
     this.fpsCounter = 0;
     this.fpsTimer = 0;
 
-    // Raycaster for shooting
-    this.raycaster = new THREE.Raycaster();
-
-    // Initial position for reset
+    // Initial position for reset (the mission's spawn point, see createEntities)
     this.initialPosition = { x: 0, y: 0, z: 150 };
 
+    // Mission being played (see setMission) and its Musai to escort, if any
+    this.missions = [];
+    this.mission = null;
+    this.escort = null;
+
+    // Stage progress and unlocks; every weapon, of which the unlocked ones are carried
+    this.campaign = null;
+    this.arsenal = [];
+
+    // Colony layout seed, kept across retries: ?seed=<seed> in the URL
+    // overrides the mission's layout, ?seed=daily plays the daily challenge
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    this.seedOverride = seed === 'daily' ? getDailySeed() : seed;
+    this.colonySeed = null;
+
+    // Zaku damage state
+    this.collisionCooldown = 0;
+    this.isZakuDown = false;
+    this.crashTimer = 0;        // Seconds until results after destruction
+    this.crashReason = null;
+
+    // Melee impact freeze (seconds remaining)
+    this.hitStopTimer = 0;
+
+    // Time the pause overlay opened (ms)
+    this.pausedAt = 0;
+
     // Bind methods
     this.update = this.update.bind(this);
     this.render = this.render.bind(this);
@@ -68,25 +110,76 @@ export class Game {
    * Initialize the game
    */
   async init() {
+    // Game states
+    this.setupStateMachine();
+    this.stateMachine.transition('boot');
+
     // Create scene
     this.sceneManager = new SceneManager(this.container);
 
-    // Create input manager
-    this.inputManager = new InputManager();
+    // Create input manager with the stored action map
+    this.inputBindings = new InputBindings();
+    this.inputManager = new InputManager(this.inputBindings);
 
     // Create camera controller
     this.cameraController = new CameraController(this.sceneManager.camera);
 
+    // Load missions: ?mission=<id> in the URL picks one, otherwise the first stage
+    this.missions = loadMissions();
+    const missionId = new URLSearchParams(window.location.search).get('mission');
+    const mission = this.missions.find(candidate => candidate.id === missionId);
+    if (missionId && !mission) {
+      console.warn(`[Game] Unknown mission "${missionId}", starting ${this.missions[0].id}`);
+    }
+    this.setMission(mission ?? this.missions[0]);
+    this.campaign = new CampaignManager(this.missions);
+
     // Create entities
     this.createEntities();
 
     // Create systems
     this.scoreSystem = new ScoreSystem();
+    this.objectiveSystem = new ObjectiveSystem();
     this.particleSystem = new ParticleSystem(this.sceneManager.scene);
+    this.debrisSystem = new DebrisSystem(this.sceneManager.scene);
+    this.arsenal = loadWeapons();
+    this.weaponSystem = new WeaponSystem(this.campaign.getAvailableWeapons(this.arsenal));
+    this.zaku.setWeapon(this.weaponSystem.getCurrentWeapon());
     this.audioManager = new AudioManager();
 
+    // Load settings (language must be set before the HUD builds its text)
+    this.settings = new SettingsManager();
+    setLanguage(this.settings.get('language'));
+
     // Create HUD
     this.hud = new HUD();
+    this.hud.setWeapons(this.weaponSystem.getWeapons());
+    this.hud.setupSettingsPanel(this.settings);
+    this.hud.setupControlsPanel(this.inputBindings, this.inputManager);
+
+    // Create damage pipeline
+    this.damageSystem = new DamageSystem({
+      scoreSystem: this.scoreSystem,
+      particleSystem: this.particleSystem,
+      debrisSystem: this.debrisSystem,
+      audioManager: this.audioManager,
+      cameraController: this.cameraController,
+      hud: this.hud,
+    });
+    this.damageSystem.setColony(this.colony);
+    this.damageSystem.setEscort(this.escort);
+
+    // Create enemy waves
+    this.enemySystem = new EnemySystem(this.sceneManager.scene);
+    this.damageSystem.setEnemySystem(this.enemySystem);
+
+    // Create lock-on targeting
+    this.targetingSystem = new TargetingSystem();
+    this.targetingSystem.setColony(this.colony);
+    this.targetingSystem.setEnemySystem(this.enemySystem);
+
+    // Time limit, waves and scoring of the mission
+    this.applyMissionRules();
 
     // Setup touch controls for mobile
     this.hud.setupTouchControls(this.inputManager);
@@ -94,8 +187,19 @@ export class Game {
     // Setup event listeners
     this.setupEventListeners();
 
-    // Start in playing state for now (menu can be added later)
-    this.startGame();
+    // Apply stored settings and follow later changes
+    this.applySettings();
+    this.settings.onChange((key, value) => this.applySetting(key, value));
+
+    // Controller hot-plug notice
+    this.inputManager.onGamepadChange((connected, gamepad) => {
+      this.hud.showDeviceNotice(
+        t(connected ? 'msg.gamepadConnected' : 'msg.gamepadDisconnected', { id: gamepad.id })
+      );
+    });
+
+    // Boot finished, show title
+    this.stateMachine.transition('title');
 
     // Start game loop
     this.isRunning = true;
@@ -104,13 +208,37 @@ export class Game {
     console.log('Zaku Colony Destroyer initialized');
   }
 
+  /**
+   * Pick the mission to play (takes effect on the next createEntities)
+   */
+  setMission(mission) {
+    this.mission = mission;
+    this.colonySeed = this.seedOverride ?? mission.colony.seed ?? randomSeed();
+  }
+
+  /**
+   * Apply the mission's time limit, enemy waves, scoring rules and objectives
+   */
+  applyMissionRules() {
+    this.missionTimer = this.mission.timeLimit;
+    this.enemySystem.setWaves(this.mission.waves);
+    this.scoreSystem.setRules(this.mission.scoring);
+    this.objectiveSystem.setObjectives(this.mission.objectives);
+    this.hud.setObjectives(this.objectiveSystem.getChecklist());
+  }
+
   /**
    * Create game entities
    */
   createEntities() {
-    // Create Zaku
-    this.zaku = new Zaku();
-    this.zaku.setPosition(0, 0, 150); // Start in front of colony
+    const { colony, spawn, escort } = buildMission(this.mission, this.colonySeed);
+    const { layout } = colony;
+    console.log(`Mission: ${this.mission.id}, colony: ${layout.type} (seed ${layout.seed})`);
+
+    // Create the selected Zaku variant at the mission's spawn point
+    this.initialPosition = { x: spawn.x, y: spawn.y, z: spawn.z };
+    this.zaku = new Zaku(this.campaign.getSelectedVariant());
+    this.zaku.setPosition(this.initialPosition.x, this.initialPosition.y, this.initialPosition.z);
     this.zaku.addToScene(this.sceneManager.scene);
 
     // Initialize Zaku particles
@@ -122,10 +250,61 @@ export class Game {
     // Set camera target
     this.cameraController.setTarget(this.zaku);
 
-    // Create Colony
-    this.colony = new Colony();
-    this.colony.setPosition(0, 0, 0);
+    // Add the mission's colony
+    this.colony = colony;
     this.colony.addToScene(this.sceneManager.scene);
+
+    // Add the Musai to escort
+    this.escort = escort;
+    if (this.escort) {
+      this.escort.addToScene(this.sceneManager.scene);
+    }
+  }
+
+  /**
+   * Setup the game state machine
+   */
+  setupStateMachine() {
+    this.stateMachine = new StateMachine({
+      boot: ['title'],
+      title: ['stages'],
+      stages: ['briefing', 'title'],
+      briefing: ['playing', 'stages'],
+      playing: ['paused', 'results'],
+      paused: ['playing', 'title'],
+      results: ['briefing', 'stages', 'title'],
+    });
+
+    this.stateMachine
+      .addState('boot')
+      .addState('title', {
+        enter: (previous) => this.enterTitle(previous),
+        exit: () => this.hud.hideTitle(),
+      })
+      .addState('stages', {
+        enter: () => this.enterStages(),
+        exit: () => this.hud.hideStages(),
+      })
+      .addState('briefing', {
+        enter: (previous) => this.enterBriefing(previous),
+        exit: () => this.hud.hideBriefing(),
+      })
+      .addState('playing', {
+        enter: () => this.enterPlaying(),
+        update: (deltaTime) => this.update(deltaTime),
+      })
+      .addState('paused', {
+        enter: () => this.enterPaused(),
+        exit: () => this.hud.hidePause(),
+        update: () => this.updatePaused(),
+      })
+      .addState('results', {
+        enter: (previous, data) => this.enterResults(data),
+        exit: () => {
+          this.hud.hideGameOver();
+          this.hud.hideRankings();
+        },
+      });
   }
 
   /**
@@ -134,88 +313,332 @@ export class Game {
   setupEventListeners() {
     // Click to request pointer lock and start music
     this.container.addEventListener('click', () => {
-      if (!this.inputManager.isPointerLocked && this.state === 'playing') {
+      if (!this.inputManager.isPointerLocked && this.stateMachine.is('playing')) {
         this.inputManager.requestPointerLock(this.container);
       }
 
-      // Start background music on first click
-      if (!this.musicStarted) {
-        this.audioManager.init();
-        this.audioManager.playGundamTheme();
-        this.musicStarted = true;
-      }
+      this.startMusic();
     });
 
     // Handle window focus/blur
     window.addEventListener('blur', () => {
-      if (this.state === 'playing') {
+      this.pauseGame();
+    });
+
+    // Leaving pointer lock (Escape) pauses the mission
+    document.addEventListener('pointerlockchange', () => {
+      if (!document.pointerLockElement) {
         this.pauseGame();
       }
     });
 
+    const showRankings = () => {
+      const rankings = this.scoreSystem.getRankings();
+      const currentScore = this.lastGameData ? this.lastGameData.finalScore : null;
+      this.hud.showRankings(rankings, currentScore);
+    };
+
     // Setup HUD button events
+    this.hud.setupMenuButtons({
+      onStart: () => this.startGame(),
+      onRanking: showRankings,
+      onStageSelect: (id) => this.selectStage(id),
+      onVariantChange: (step) => this.changeVariant(step),
+      onStagesBack: () => this.returnToTitle(),
+      onLaunch: () => this.launchMission(),
+      onBriefingBack: () => this.openStages(),
+      onResume: () => this.resumeGame(),
+      onQuitToTitle: () => this.returnToTitle(),
+    });
+
     this.hud.setupGameOverButtons(
       // Restart callback
       () => this.restartGame(),
       // Ranking callback
-      () => {
-        const rankings = this.scoreSystem.getRankings();
-        const currentScore = this.lastGameData ? this.lastGameData.finalScore : null;
-        this.hud.showRankings(rankings, currentScore);
-      },
+      showRankings,
       // Ranking back callback
       () => {
         // Just close ranking, game over screen is still visible
-      }
+      },
+      // Title callback
+      () => this.returnToTitle(),
+      // Stage select callback
+      () => this.openStages()
     );
   }
 
   /**
-   * Start the game
+   * Apply every stored setting to the running systems
    */
-  startGame() {
-    this.state = 'playing';
-    this.missionTimer = GAME.missionTime;
-    this.scoreSystem.reset();
+  applySettings() {
+    const values = this.settings.getAll();
+    Object.keys(values).forEach(key => this.applySetting(key, values[key]));
+  }
+
+  /**
+   * Apply a single setting
+   */
+  applySetting(key, value) {
+    switch (key) {
+      case 'masterVolume':
+        this.audioManager.setMasterVolume(value);
+        break;
+      case 'musicVolume':
+        this.audioManager.setMusicVolume(value);
+        break;
+      case 'sfxVolume':
+        this.audioManager.setSfxVolume(value);
+        break;
+      case 'mouseSensitivity':
+      case 'invertY':
+        this.cameraController.setLookSettings(
+          this.settings.get('mouseSensitivity'),
+          this.settings.get('invertY')
+        );
+        break;
+      case 'gamepadDeadzone':
+      case 'gamepadCurve':
+        this.inputManager.setGamepadResponse(
+          this.settings.get('gamepadDeadzone'),
+          this.settings.get('gamepadCurve')
+        );
+        break;
+      case 'fov':
+        this.cameraController.setFov(value);
+        break;
+      case 'quality':
+        this.sceneManager.setQuality(value);
+        break;
+      case 'language':
+        setLanguage(value);
+        this.hud.applyLanguage();
+        break;
+      case 'syncProgress':
+        if (value) this.syncProgress();
+        break;
+    }
+  }
+
+  /**
+   * Merge campaign progress with the game server (in the background)
+   */
+  syncProgress() {
+    this.campaign.sync().then(synced => {
+      // Stages cleared on another device may unlock more
+      if (synced && this.stateMachine.is('stages')) {
+        this.enterStages();
+      }
+    });
+  }
+
+  /**
+   * Start background music (needs a user gesture the first time)
+   */
+  startMusic() {
+    if (this.musicStarted) return;
+
+    this.audioManager.init();
+    this.audioManager.playGundamTheme();
+    this.musicStarted = true;
+  }
+
+  /**
+   * Release pointer lock if held
+   */
+  releasePointerLock() {
+    if (document.pointerLockElement) {
+      this.inputManager.exitPointerLock();
+    }
+  }
+
+  // ============================================
+  // STATE HOOKS
+  // ============================================
+
+  /**
+   * Title: rebuild a fresh mission behind the menu when coming back
+   */
+  enterTitle(previous) {
+    if (previous !== 'boot') {
+      this.resetMission();
+    }
+
+    this.releasePointerLock();
+    this.hud.showTitle(this.scoreSystem.highScore);
+  }
+
+  /**
+   * Stages: list the campaign with ratings, locks and the Zaku variant
+   */
+  enterStages() {
+    this.releasePointerLock();
+    this.hud.showStages({
+      stages: this.missions.map(mission => {
+        const record = this.campaign.getRecord(mission);
+        return {
+          id: mission.id,
+          order: mission.order,
+          name: localize(mission.name),
+          unlocked: this.campaign.isStageUnlocked(mission),
+          stars: record.stars,
+          bestScore: record.bestScore,
+        };
+      }),
+      stars: this.campaign.getTotalStars(),
+      variant: ZAKU_VARIANTS[this.campaign.getSelectedVariant()].name,
+    });
+  }
+
+  /**
+   * Briefing: show mission info (retrying from results starts a fresh mission)
+   */
+  enterBriefing(previous) {
+    if (previous === 'results') {
+      this.resetMission();
+    }
+
+    this.releasePointerLock();
+    const checklist = this.objectiveSystem.getChecklist();
+    this.hud.showBriefing({
+      name: localize(this.mission.name),
+      text: localize(this.mission.briefing),
+      objectives: checklist.filter(objective => objective.primary).map(objective => objective.label),
+      secondary: checklist
+        .filter(objective => !objective.primary)
+        .map(objective => t('briefing.secondary', { label: objective.label, bonus: objective.bonus })),
+      time: this.mission.timeLimit,
+    });
+  }
+
+  /**
+   * Playing: (re)start the clock and grab the mouse
+   */
+  enterPlaying() {
     this.clock.start();
+    this.inputManager.requestPointerLock(this.container);
+  }
+
+  /**
+   * Paused: stop the clock and show the overlay
+   */
+  enterPaused() {
+    this.pausedAt = performance.now();
+    this.clock.stop();
+    this.releasePointerLock();
+    this.hud.showPause();
+  }
+
+  /**
+   * Paused: the pause key toggles back into the mission
+   */
+  updatePaused() {
+    // Escape also releases pointer lock (which pauses), so ignore the
+    // same key press arriving right after pausing
+    if (performance.now() - this.pausedAt < 300) return;
+
+    if (this.inputManager.isActionJustPressed('pause')) {
+      this.resumeGame();
+    }
+  }
+
+  /**
+   * Results: show the game over screen
+   */
+  enterResults(data) {
+    this.clock.stop();
+    this.releasePointerLock();
+    this.hud.showGameOver(data);
+  }
+
+  // ============================================
+  // STATE TRANSITIONS
+  // ============================================
+
+  /**
+   * Start the game (title -> stages)
+   */
+  startGame() {
+    this.startMusic();
+    this.openStages();
+  }
+
+  /**
+   * Go to the stage select
+   */
+  openStages() {
+    this.stateMachine.transition('stages');
+  }
+
+  /**
+   * Pick a stage and brief it (stages -> briefing)
+   * The mission is rebuilt with the selected variant and the unlocked weapons
+   */
+  selectStage(id) {
+    const mission = this.missions.find(candidate => candidate.id === id);
+    if (!mission || !this.campaign.isStageUnlocked(mission)) return;
+
+    this.setMission(mission);
+    this.resetMission();
+    this.stateMachine.transition('briefing');
+  }
+
+  /**
+   * Step through the unlocked Zaku variants (takes effect with the next stage picked)
+   */
+  changeVariant(step) {
+    const variant = this.campaign.cycleVariant(step);
+    this.hud.setVariant(ZAKU_VARIANTS[variant].name);
+  }
+
+  /**
+   * Launch the mission (briefing -> playing)
+   */
+  launchMission() {
+    this.stateMachine.transition('playing');
   }
 
   /**
    * Pause the game
    */
   pauseGame() {
-    this.state = 'paused';
-    this.clock.stop();
+    if (!this.stateMachine.is('playing')) return;
+    this.stateMachine.transition('paused');
   }
 
   /**
    * Resume the game
    */
   resumeGame() {
-    this.state = 'playing';
-    this.clock.start();
+    if (!this.stateMachine.is('paused')) return;
+    this.stateMachine.transition('playing');
+  }
+
+  /**
+   * Abandon the current mission and go back to the title screen
+   */
+  returnToTitle() {
+    this.stateMachine.transition('title');
   }
 
   /**
    * End the game
    * @param {boolean} victory - Whether the player won
-   * @param {string} reason - Reason for game over ('timeout', 'collision', 'victory')
+   * @param {string} reason - Reason for game over ('timeout', 'collision', 'destroyed', 'victory')
    */
   endGame(victory, reason = 'timeout') {
-    if (this.state === 'gameover') return; // Prevent double game over
+    if (!this.stateMachine.is('playing')) return; // Prevent double game over
 
-    this.state = 'gameover';
-    this.clock.stop();
+    this.hud.updateLockOn(null);
 
-    // Release pointer lock
-    if (document.pointerLockElement) {
-      document.exitPointerLock();
-    }
+    // Settle open objectives
+    this.objectiveSystem.finish(victory);
+    this.hud.updateObjectives(this.objectiveSystem.getChecklist());
 
     // Calculate final score
     const scoreData = this.scoreSystem.calculateFinalScore(
       this.missionTimer,
-      this.colony.getDestructionPercentage()
+      this.colony.getDestructionPercentage(),
+      this.objectiveSystem.getBonus()
     );
 
     // Check high score
@@ -228,6 +651,25 @@ export class Game {
       this.missionTimer
     );
 
+    // Rate the stage and unlock its rewards
+    const campaignResult = this.campaign.recordResult(this.mission, {
+      victory,
+      score: scoreData.finalScore,
+      timeRemaining: this.missionTimer,
+      destruction: this.colony.getDestructionPercentage(),
+    });
+    const { unlocks } = campaignResult;
+    const unlockText = [
+      ...unlocks.stages.map(mission => t('result.unlockStage', { name: localize(mission.name) })),
+      ...unlocks.weapons.map(id => t('result.unlockWeapon', {
+        name: this.arsenal.find(weapon => weapon.id === id)?.name ?? id,
+      })),
+      ...unlocks.variants.map(key => t('result.unlockVariant', { name: ZAKU_VARIANTS[key].name })),
+    ];
+    if (this.settings.get('syncProgress')) {
+      this.syncProgress();
+    }
+
     // Store game data for later use
     this.lastGameData = {
       ...scoreData,
@@ -241,17 +683,24 @@ export class Game {
     let title, reasonText;
     if (victory) {
       title = 'MISSION COMPLETE';
-      reasonText = '콜로니 파괴 목표 달성!';
+      reasonText = t('result.victory');
     } else if (reason === 'collision') {
       title = 'DESTROYED';
-      reasonText = '자쿠가 콜로니에 충돌했습니다!';
+      reasonText = t('result.collision');
+    } else if (reason === 'destroyed') {
+      title = 'DESTROYED';
+      reasonText = t('result.destroyed');
+    } else if (reason === 'objective') {
+      const failed = this.objectiveSystem.getFailedPrimary();
+      title = 'MISSION FAILED';
+      reasonText = t('result.objectiveFailed', { label: this.objectiveSystem.getLabel(failed) });
     } else {
       title = 'TIME UP';
-      reasonText = '시간이 초과되었습니다';
+      reasonText = t('result.timeout');
     }
 
     // Show game over screen
-    this.hud.showGameOver({
+    this.stateMachine.transition('results', {
       title,
       reason: reasonText,
       score: scoreData.finalScore,
@@ -259,6 +708,13 @@ export class Game {
       time: this.missionTimer,
       rank,
       isVictory: victory,
+      objectives: {
+        completed: this.objectiveSystem.getCompletedCount(),
+        total: this.mission.objectives.length,
+      },
+      bonus: scoreData.objectiveBonus,
+      stars: campaignResult.stars,
+      unlocks: unlockText,
     });
 
     console.log('Game Over!', { victory, reason, scoreData, rank });
@@ -268,47 +724,59 @@ export class Game {
    * Restart the game
    */
   restartGame() {
-    // Reset game state
-    this.state = 'playing';
-    this.missionTimer = GAME.missionTime;
-
-    // Reset score
-    this.scoreSystem.reset();
-
-    // Reset Zaku
-    this.zaku.getGroup().visible = true;
-    this.resetZakuPosition();
-    this.zaku.boostEnergy = this.zaku.maxBoostEnergy;
-
-    // Reset colony (recreate it)
-    this.colony.removeFromScene(this.sceneManager.scene);
-    this.colony = new Colony();
-    this.colony.setPosition(0, 0, 0);
-    this.colony.addToScene(this.sceneManager.scene);
+    this.stateMachine.transition('briefing');
+  }
 
-    // Clear particles
+  /**
+   * Dispose and rebuild every entity and reset all systems for a new mission
+   */
+  resetMission() {
+    // Dispose entities (projectiles and effects in flight go with them)
+    this.zaku.dispose();
+    this.colony.dispose();
+    if (this.escort) {
+      this.escort.removeFromScene(this.sceneManager.scene);
+      this.escort.dispose();
+    }
+    this.enemySystem.reset();
     this.particleSystem.clear();
+    this.debrisSystem.clear();
+
+    // Rebuild entities
+    this.createEntities();
+    this.damageSystem.setColony(this.colony);
+    this.damageSystem.setEscort(this.escort);
+    this.damageSystem.reset();
+    this.targetingSystem.setColony(this.colony);
+    this.hud.updateLockOn(null);
+
+    // Reset mission state
+    this.applyMissionRules();
+    this.scoreSystem.reset();
+    this.collisionCooldown = 0;
+    this.isZakuDown = false;
+    this.crashTimer = 0;
+    this.crashReason = null;
+    this.hitStopTimer = 0;
+
+    // Carry the unlocked weapons, machine gun first
+    this.weaponSystem.setWeapons(this.campaign.getAvailableWeapons(this.arsenal));
+    this.zaku.setWeapon(this.weaponSystem.getCurrentWeapon());
+    this.hud.setWeapons(this.weaponSystem.getWeapons());
+    this.hud.updateWeapon(this.weaponSystem.getCurrentIndex());
 
     // Reset camera
     this.cameraController.reset();
 
-    // Reset HUD
-    this.hud.hideGameOver();
-    this.hud.hideRankings();
-
     // Reset timer display color
     const timerElement = document.getElementById('timer');
     if (timerElement) {
       timerElement.style.color = '';
     }
 
-    // Restart clock
-    this.clock.start();
-
-    // Request pointer lock
-    this.inputManager.requestPointerLock(this.container);
+    this.updateHUD();
 
-    console.log('Game restarted');
+    console.log('Mission reset');
   }
 
   /**
@@ -321,6 +789,9 @@ export class Game {
 
     this.deltaTime = this.clock.getDelta();
 
+    // Read controller state before anything queries input
+    this.inputManager.pollGamepad();
+
     // FPS counter
     this.fpsCounter++;
     this.fpsTimer += this.deltaTime;
@@ -331,10 +802,8 @@ export class Game {
       this.updateFPSDisplay();
     }
 
-    // Update game state
-    if (this.state === 'playing') {
-      this.update(this.deltaTime);
-    }
+    // Update current game state
+    this.stateMachine.update(this.deltaTime);
 
     // Always render
     this.render();
@@ -347,6 +816,19 @@ export class Game {
    * Update game state
    */
   update(deltaTime) {
+    // Pause
+    if (this.inputManager.isActionJustPressed('pause')) {
+      this.pauseGame();
+      return;
+    }
+
+    // Hit-stop: the world freezes briefly on a melee impact, only the camera shakes
+    if (this.hitStopTimer > 0) {
+      this.hitStopTimer -= deltaTime;
+      this.cameraController.update(deltaTime);
+      return;
+    }
+
     // Update mission timer
     this.missionTimer -= deltaTime;
     if (this.missionTimer <= 0) {
@@ -363,32 +845,87 @@ export class Game {
     this.zaku.processMovement(movement, deltaTime);
     this.zaku.update(deltaTime);
 
-    // Update camera
-    this.cameraController.rotate(mouseDelta.x, mouseDelta.y);
+    // Update camera (right stick adds to mouse look)
+    const stickAim = this.inputManager.getGamepadAim();
+    this.cameraController.rotate(
+      mouseDelta.x + stickAim.x * GAMEPAD.aimSpeed * deltaTime,
+      mouseDelta.y + stickAim.y * GAMEPAD.aimSpeed * deltaTime
+    );
     this.cameraController.zoom(mouseWheel);
     this.cameraController.update(deltaTime);
 
-    // Handle shooting (left mouse button)
-    if (this.inputManager.isMouseButtonDown(0)) {
-      this.handleShooting();
+    // Handle shooting (burst and charge modes keep working after release)
+    this.handleShooting(deltaTime);
+
+    // Handle Heat Hawk swing (the hit lands partway through the animation)
+    if (this.inputManager.isActionJustPressed('melee')) {
+      this.handleMelee();
+    }
+    if (this.zaku.consumeMeleeHit()) {
+      this.resolveMeleeHit();
+    }
+
+    // Handle weapon switching
+    if (this.inputManager.isActionJustPressed('weapon1')) {
+      this.switchWeapon(0);
+    } else if (this.inputManager.isActionJustPressed('weapon2')) {
+      this.switchWeapon(1);
+    } else if (this.inputManager.isActionJustPressed('weapon3')) {
+      this.switchWeapon(2);
+    } else if (this.inputManager.isActionJustPressed('nextWeapon')) {
+      this.switchWeapon((this.weaponSystem.getCurrentIndex() + 1) % this.weaponSystem.getWeapons().length);
     }
 
-    // Handle view mode toggle (right mouse button)
-    if (this.inputManager.isMouseButtonJustPressed(2)) {
+    // Toggle pool stats overlay
+    if (this.inputManager.isActionJustPressed('debugOverlay')) {
+      if (this.hud.toggleDebugOverlay()) {
+        this.hud.updateDebugOverlay(getPoolStats(), this.getDebugInfo());
+      }
+    }
+
+    // Handle view mode toggle
+    if (this.inputManager.isActionJustPressed('view')) {
       const newMode = this.cameraController.toggleViewMode();
       this.hud.showMessage(this.cameraController.getViewModeName(), 1500);
     }
 
-    // Handle reset position (R key)
-    if (this.inputManager.isKeyJustPressed(KEYS.reload)) {
+    // Handle manual reload
+    if (this.inputManager.isActionJustPressed('reload')) {
+      if (this.weaponSystem.startReload()) {
+        this.hud.showMessage(t('msg.reloading'), 800);
+      }
+    }
+
+    // Handle reset position
+    if (this.inputManager.isActionJustPressed('resetPosition')) {
       this.resetZakuPosition();
     }
 
+    // Update reload progress and rate of fire
+    this.weaponSystem.update(deltaTime);
+    this.damageSystem.update(deltaTime);
+
     // Update colony
     this.colony.update(deltaTime);
+    this.damageSystem.resolveStructure(deltaTime);
+
+    // Escorted Musai follows its route
+    if (this.escort) {
+      this.escort.update(deltaTime);
+    }
 
-    // Check bullet collisions with colony
-    this.checkBulletCollisions();
+    // Colony defense turrets engage the Zaku
+    this.updateColonyDefenses(deltaTime);
+
+    // Update enemy waves
+    this.updateEnemies(deltaTime);
+
+    // Resolve projectile hits
+    this.damageSystem.resolveProjectiles(this.zaku, deltaTime);
+    this.damageSystem.resolveHostileProjectiles(this.colony, this.zaku, deltaTime);
+    this.enemySystem.getEnemies().forEach(enemy => {
+      this.damageSystem.resolveHostileProjectiles(enemy, this.zaku, deltaTime);
+    });
 
     // Update scene
     this.sceneManager.update(deltaTime);
@@ -396,36 +933,158 @@ export class Game {
     // Update systems
     this.scoreSystem.update(deltaTime);
     this.particleSystem.update(deltaTime);
+    this.debrisSystem.update(deltaTime);
+
+    // Lock-on bracket and lead pip
+    this.updateTargeting();
 
     // Update HUD
     this.updateHUD();
 
     // Check collision with colony
-    this.checkZakuCollision();
+    this.checkZakuCollision(deltaTime);
 
-    // Check win condition
-    if (this.colony.getDestructionPercentage() >= GAME.targetDestructionRate) {
+    // Zaku destroyed (collision damage or enemy fire)
+    if (this.zaku.isDestroyed() && !this.isZakuDown) {
+      this.handleZakuCrash();
+      return;
+    }
+
+    // Show results shortly after the Zaku goes down
+    if (this.isZakuDown) {
+      this.crashTimer -= deltaTime;
+      if (this.crashTimer <= 0) {
+        this.endGame(false, this.crashReason);
+      }
+      return;
+    }
+
+    // Objectives: a failed primary loses the mission, all primaries done wins it
+    this.updateObjectives(deltaTime);
+    if (this.objectiveSystem.getFailedPrimary()) {
+      this.endGame(false, 'objective');
+    } else if (this.objectiveSystem.isComplete()) {
       this.endGame(true);
     }
   }
 
   /**
-   * Check if Zaku collides with colony
+   * Track objective progress and announce completed and failed objectives
    */
-  checkZakuCollision() {
+  updateObjectives(deltaTime) {
+    const changed = this.objectiveSystem.update(deltaTime, {
+      colony: this.colony,
+      damageTaken: this.zaku.maxHealth - this.zaku.health,
+      escort: this.escort,
+    });
+
+    changed.forEach(objective => {
+      const label = this.objectiveSystem.getLabel(objective);
+      const key = objective.status === 'complete' ? 'msg.objectiveComplete' : 'msg.objectiveFailed';
+      this.hud.showMessage(t(key, { label }), 2000);
+    });
+
+    this.hud.updateObjectives(this.objectiveSystem.getChecklist());
+  }
+
+  /**
+   * Aim and fire colony turrets at the Zaku
+   */
+  updateColonyDefenses(deltaTime) {
+    const target = this.isZakuDown ? null : this.zaku.getBoundingSphere().center;
+    const shots = this.colony.updateTurrets(deltaTime, target, this.zaku.velocity);
+
+    shots.forEach(shot => {
+      this.particleSystem.createMuzzleFlash(shot.position, shot.direction);
+    });
+
+    if (shots.length > 0) {
+      this.audioManager.playTurretFire();
+    }
+  }
+
+  /**
+   * Spawn enemy waves and run enemy AI
+   */
+  updateEnemies(deltaTime) {
+    const context = {
+      playerPosition: this.zaku.getBoundingSphere().center,
+      playerVelocity: this.zaku.velocity,
+      playerAlive: !this.isZakuDown,
+      escort: this.escort && !this.escort.isDestroyed()
+        ? { position: this.escort.getPosition(), velocity: this.escort.velocity }
+        : null,
+      colonyPosition: this.colony.getPosition(),
+      colony: this.colony,
+    };
+
+    const { wave, shots } = this.enemySystem.update(deltaTime, context);
+
+    if (wave > 0) {
+      this.hud.showMessage(t('msg.wave', { wave }), 2000);
+    }
+
+    shots.forEach(shot => {
+      this.particleSystem.createMuzzleFlash(shot.position, shot.direction);
+    });
+
+    if (shots.length > 0) {
+      this.audioManager.playTurretFire();
+    }
+  }
+
+  /**
+   * Extra lines for the debug overlay
+   */
+  getDebugInfo() {
+    const { type, seed } = this.colony.layout;
+    return [
+      `COLONY ${type.toUpperCase()}  SEED ${seed}  SPIN ${this.colony.getSpinRate().toFixed(2)} rad/s`,
+      `DEBRIS ${this.debrisSystem.getChunkCount()} chunks`,
+    ];
+  }
+
+  /**
+   * Check if Zaku collides with colony or large debris
+   * Bounces the suit off and deals damage based on impact speed
+   */
+  checkZakuCollision(deltaTime) {
+    this.collisionCooldown = Math.max(0, this.collisionCooldown - deltaTime);
+    if (this.isZakuDown) return;
+
     const zakuBounds = this.zaku.getBoundingSphere();
-    const collision = this.colony.checkCollision(zakuBounds.center, zakuBounds.radius);
+    let info = this.colony.getCollisionInfo(zakuBounds.center, zakuBounds.radius);
+    if (!info.collision) {
+      info = this.debrisSystem.getCollisionInfo(zakuBounds.center, zakuBounds.radius);
+    }
+    if (!info.collision) return;
 
-    if (collision) {
-      // Zaku crashed into colony!
-      this.handleZakuCrash();
+    const impactSpeed = this.zaku.bounceOff(info.normal, info.penetration, info.surfaceVelocity);
+    if (info.chunk) {
+      this.debrisSystem.pushChunk(info.chunk, info.normal, impactSpeed);
+    }
+    if (impactSpeed < COLLISION.minImpactSpeed || this.collisionCooldown > 0) return;
+
+    this.collisionCooldown = COLLISION.damageCooldown;
+
+    // Sparks where the suit hit the hull
+    const contactPoint = zakuBounds.center.clone().addScaledVector(info.normal, -zakuBounds.radius);
+    this.particleSystem.spawn('hullScrape', contactPoint);
+
+    const damage = (impactSpeed - COLLISION.minImpactSpeed) * COLLISION.damagePerSpeed;
+    this.damageSystem.damagePlayer(this.zaku, damage, 'collision');
+
+    if (!this.zaku.isDestroyed()) {
+      this.hud.showMessage(t('msg.collision', { damage: Math.ceil(damage) }), 800);
     }
   }
 
   /**
-   * Handle Zaku crash into colony
+   * Handle Zaku destruction (HP reached zero)
    */
   handleZakuCrash() {
+    this.isZakuDown = true;
+
     // Create massive explosion at Zaku position
     const zakuPos = this.zaku.getPosition();
 
@@ -440,15 +1099,13 @@ export class Game {
 
       // Stagger explosions slightly
       setTimeout(() => {
-        this.particleSystem.createExplosion(pos, 3, 0xFF4400);
-        this.particleSystem.createDebris(pos, 20);
+        this.particleSystem.spawn('zakuSecondary', pos);
         this.audioManager.playExplosion(1.5);
       }, i * 100);
     }
 
     // Main explosion
-    this.particleSystem.createExplosion(zakuPos, 5, 0xFF6600);
-    this.particleSystem.createDebris(zakuPos, 30);
+    this.particleSystem.spawn('zakuDestroyed', zakuPos);
 
     // Camera shake
     this.cameraController.shake(2, 1);
@@ -459,10 +1116,9 @@ export class Game {
     // Hide Zaku
     this.zaku.getGroup().visible = false;
 
-    // End game after short delay
-    setTimeout(() => {
-      this.endGame(false, 'collision');
-    }, 500);
+    // End game after short delay (game time, so pausing holds it)
+    this.crashReason = this.zaku.lastDamageSource === 'collision' ? 'collision' : 'destroyed';
+    this.crashTimer = 0.5;
   }
 
   /**
@@ -478,143 +1134,111 @@ export class Game {
     this.zaku.velocity.set(0, 0, 0);
     this.zaku.resetPose();
     this.cameraController.reset();
-    this.hud.showMessage('위치 초기화', 1000);
+    this.hud.showMessage(t('msg.positionReset'), 1000);
     console.log('Zaku position reset');
   }
 
   /**
-   * Check bullet collisions with colony
+   * Switch the active weapon slot
    */
-  checkBulletCollisions() {
-    const bullets = this.zaku.getBullets();
-    const targets = this.colony.getHitTargets();
-
-    for (let i = bullets.length - 1; i >= 0; i--) {
-      const bullet = bullets[i];
-
-      // Create ray from bullet position in bullet direction
-      const bulletRay = new THREE.Raycaster(
-        bullet.position.clone(),
-        bullet.userData.direction.clone(),
-        0,
-        bullet.userData.speed * this.deltaTime * 2 // Check slightly ahead
-      );
+  switchWeapon(index) {
+    if (!this.weaponSystem.switchWeapon(index)) return;
 
-      const intersects = bulletRay.intersectObjects(targets, true);
-
-      if (intersects.length > 0) {
-        const hit = intersects[0];
-
-        // Find which section was hit
-        const sectionInfo = this.colony.getSectionAtPoint(hit);
+    const weapon = this.weaponSystem.getCurrentWeapon();
+    this.zaku.setWeapon(weapon);
+    this.hud.updateWeapon(index);
+    this.hud.showMessage(weapon.name, 1000);
+  }
 
-        if (sectionInfo) {
-          // Deal damage
-          const damage = bullet.userData.damage;
-          const result = this.colony.damageSection(sectionInfo.index, damage);
+  /**
+   * Lock-on input and HUD readout
+   */
+  updateTargeting() {
+    const camera = this.sceneManager.camera;
+    const origin = this.zaku.getPosition();
+
+    if (this.inputManager.isActionJustPressed('lockOn')) {
+      if (this.targetingSystem.getTarget()) {
+        this.targetingSystem.release();
+      } else if (!this.targetingSystem.acquire(camera, origin)) {
+        this.hud.showMessage(t('msg.noTarget'), 800);
+      }
+    }
 
-          if (result) {
-            // Create explosion effect at hit point
-            this.colony.createExplosion(hit.point, 0.5);
+    if (this.inputManager.isActionJustPressed('cycleTarget')) {
+      this.targetingSystem.cycle(camera, origin);
+    }
 
-            // Play explosion sound
-            this.audioManager.playExplosion(0.3);
+    this.targetingSystem.update(origin);
 
-            // Record stats
-            this.scoreSystem.recordShot(true);
-            this.scoreSystem.recordDamage(damage);
+    // Lead pip for unguided projectiles; homing ones steer themselves
+    const { projectile } = this.weaponSystem.getCurrentWeapon();
+    const leadSpeed = projectile.homingTurnRate > 0 ? 0 : projectile.speed;
+    this.hud.updateLockOn(this.targetingSystem.getScreenInfo(camera, origin, leadSpeed));
+  }
 
-            if (result.destroyed) {
-              // Section destroyed - bigger explosion
-              this.scoreSystem.recordDestruction();
-              const scoreResult = this.scoreSystem.addScore(result.points);
+  /**
+   * Handle shooting logic
+   * The active weapon's fire mode decides when to shoot; DamageSystem resolves aim and hits
+   */
+  handleShooting(deltaTime) {
+    const weapon = this.weaponSystem.getCurrentWeapon();
+    const held = this.inputManager.isActionDown('fire');
+    const pressed = this.inputManager.isActionJustPressed('fire');
+    if (!held && !weapon.isTriggerBusy()) return;
+
+    // Crosshair feedback (with a lock, empty space resolves at the target's range)
+    const camera = this.sceneManager.camera;
+    const target = this.targetingSystem.getTarget();
+    const aimDistance = target ? target.getPosition().distanceTo(camera.position) : undefined;
+    const aim = this.damageSystem.resolveAim(camera, aimDistance);
+    this.hud.setCrosshairHit(aim.onTarget);
+
+    // No firing while reloading or with an empty weapon
+    if (!this.weaponSystem.canFire()) {
+      if (this.weaponSystem.isOutOfAmmo() && pressed) {
+        this.hud.showMessage(t('msg.noAmmo'), 800);
+      }
+      weapon.resetTrigger();
+      return;
+    }
 
-              // Large explosion
-              this.colony.createExplosion(hit.point, 2);
-              this.particleSystem.createDebris(hit.point, 15);
+    // Fire mode and rate of fire
+    const shot = this.weaponSystem.updateTrigger(held, pressed, deltaTime);
+    if (!shot) return;
+    this.damageSystem.recordShot();
 
-              // Louder explosion sound
-              this.audioManager.playExplosion(1);
+    // Fire weapon (animation, particles, projectile); homing projectiles chase the lock
+    this.zaku.fire(aim.point, target, shot.damageMultiplier);
+    this.audioManager.playFireSound(weapon.sound);
 
-              // Camera shake
-              this.cameraController.shake(0.5, 0.3);
+    // Spend a round; an empty magazine starts reloading automatically
+    if (this.weaponSystem.consumeAmmo()) {
+      this.hud.showMessage(t('msg.reloading'), 800);
+    }
+  }
 
-              // Score popup
-              this.hud.addScore(scoreResult.points, 50, 40);
-            }
-          }
-        }
+  /**
+   * Start a Heat Hawk swing
+   * Uses DamageSystem's rate of fire like the guns; needs no ammo
+   */
+  handleMelee() {
+    if (this.zaku.isSwinging()) return;
+    if (!this.damageSystem.tryFire('heatHawk', MELEE.heatHawk.fireRate)) return;
 
-        // Remove bullet on hit
-        if (bullet.parent) {
-          bullet.parent.remove(bullet);
-        }
-        bullet.geometry.dispose();
-        bullet.material.dispose();
-        bullets.splice(i, 1);
-      }
-    }
+    this.zaku.startMeleeSwing();
   }
 
   /**
-   * Handle shooting logic
+   * Apply the swing's arc hit and the impact feedback
    */
-  handleShooting() {
-    // Fire weapon (handles cooldown, animation, sound, particles)
-    this.zaku.fire();
-
-    // Raycast from camera center
-    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.sceneManager.camera);
-
-    // Get colony hit targets
-    const targets = this.colony.getHitTargets();
-    const intersects = this.raycaster.intersectObjects(targets, true);
-
-    if (intersects.length > 0) {
-      const hit = intersects[0];
-
-      // Find which section was hit
-      const sectionInfo = this.colony.getSectionAtPoint(hit);
-
-      if (sectionInfo) {
-        // Deal damage (simplified - 10 damage per frame when holding fire)
-        const damage = 10 * this.deltaTime * 60; // Normalize to 60fps
-        const result = this.colony.damageSection(sectionInfo.index, damage);
-
-        if (result) {
-          // Record stats
-          this.scoreSystem.recordShot(true);
-          this.scoreSystem.recordDamage(damage);
-
-          if (result.destroyed) {
-            // Section destroyed
-            this.scoreSystem.recordDestruction();
-            const scoreResult = this.scoreSystem.addScore(result.points);
-
-            // Create explosion
-            this.particleSystem.createExplosion(hit.point, 2);
-            this.particleSystem.createDebris(hit.point, 15);
-
-            // Camera shake
-            this.cameraController.shake(0.5, 0.3);
-
-            // Score popup
-            this.hud.addScore(scoreResult.points, 50, 40);
-          } else {
-            // Hit but not destroyed - small effect
-            if (Math.random() < 0.1) {
-              this.particleSystem.createExplosion(hit.point, 0.3, 0xFFAA00);
-            }
-          }
-        }
-      }
+  resolveMeleeHit() {
+    const weapon = MELEE.heatHawk;
+    const hits = this.damageSystem.resolveMelee(this.zaku.getMeleeArc(), weapon);
+    if (hits === 0) return;
 
-      // Set crosshair hit state
-      this.hud.setCrosshairHit(true);
-    } else {
-      this.hud.setCrosshairHit(false);
-      this.scoreSystem.recordShot(false);
-    }
+    this.hitStopTimer = weapon.hitStop;
+    this.cameraController.shake(weapon.shakeIntensity, weapon.shakeDuration);
   }
 
   /**
@@ -625,11 +1249,28 @@ export class Game {
 
     this.hud.updateTimer(this.missionTimer);
     this.hud.updateScore(scoreState.score);
+    this.hud.updateHP(this.zaku.getHealthPercentage());
     this.hud.updateBoost(this.zaku.getBoostPercentage());
+    this.updateWeaponHUD();
     this.hud.updateDestructionRate(this.colony.getDestructionPercentage());
     this.hud.updateCombo(scoreState.combo, scoreState.comboTimerPercent);
   }
 
+  /**
+   * Update ammo counters, reload and charge indicators for every weapon slot
+   */
+  updateWeaponHUD() {
+    const currentIndex = this.weaponSystem.getCurrentIndex();
+    const reloadProgress = this.weaponSystem.getReloadProgress();
+
+    this.hud.updateWeapon(currentIndex, this.weaponSystem.getCurrentWeapon().getChargeRatio());
+
+    this.weaponSystem.getWeapons().forEach((weapon, index) => {
+      this.hud.updateAmmo(index, weapon.magazine, weapon.reserve);
+      this.hud.updateReload(index, index === currentIndex ? reloadProgress : null);
+    });
+  }
+
   /**
    * Update FPS display
    */
@@ -652,6 +1293,10 @@ export class Game {
       document.body.appendChild(fpsElement);
     }
     fpsElement.textContent = `FPS: ${this.fps}`;
+
+    if (this.hud) {
+      this.hud.updateDebugOverlay(getPoolStats(), this.getDebugInfo());
+    }
   }
 
   /**
@@ -674,12 +1319,16 @@ export class Game {
 
     // Dispose systems
     this.particleSystem.dispose();
+    this.debrisSystem.dispose();
     this.hud.dispose();
     this.inputManager.dispose();
 
     // Remove entities from scene
     this.zaku.removeFromScene(this.sceneManager.scene);
     this.colony.removeFromScene(this.sceneManager.scene);
+    if (this.escort) {
+      this.escort.removeFromScene(this.sceneManager.scene);
+    }
 
     console.log('Game disposed');
   }
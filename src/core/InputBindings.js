@@ -0,0 +1,375 @@
+/**
+ * Input Bindings
+ * Rebindable action map (action -> bindings) stored per profile in localStorage
+ */
+
+import { KEYS, MAX_BINDINGS_PER_ACTION, MAX_PAD_BINDINGS_PER_ACTION } from '../utils/Constants.js';
+
+const STORAGE_KEY = 'zakuColonyDestroyer_bindings';
+const STORAGE_VERSION = 2;
+const DEFAULT_PROFILE = 'default';
+
+// Short labels for bindings whose code is not readable as-is
+const BINDING_LABELS = {
+  Space: 'SPACE',
+  ShiftLeft: 'L-SHIFT',
+  ShiftRight: 'R-SHIFT',
+  ControlLeft: 'L-CTRL',
+  ControlRight: 'R-CTRL',
+  AltLeft: 'L-ALT',
+  AltRight: 'R-ALT',
+  Escape: 'ESC',
+  Enter: 'ENTER',
+  Tab: 'TAB',
+  Backquote: '`',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Mouse0: 'L-CLICK',
+  Mouse1: 'M-CLICK',
+  Mouse2: 'R-CLICK',
+  Pad0: 'PAD A',
+  Pad1: 'PAD B',
+  Pad2: 'PAD X',
+  Pad3: 'PAD Y',
+  Pad4: 'PAD LB',
+  Pad5: 'PAD RB',
+  Pad6: 'PAD LT',
+  Pad7: 'PAD RT',
+  Pad8: 'PAD BACK',
+  Pad9: 'PAD START',
+  Pad10: 'PAD LS',
+  Pad11: 'PAD RS',
+  Pad12: 'PAD ↑',
+  Pad13: 'PAD ↓',
+  Pad14: 'PAD ←',
+  Pad15: 'PAD →',
+};
+
+/**
+ * Get a short display label for a binding
+ */
+export function formatBinding(binding) {
+  if (!binding) return '-';
+  if (BINDING_LABELS[binding]) return BINDING_LABELS[binding];
+  if (binding.startsWith('Key')) return binding.slice(3);
+  if (binding.startsWith('Digit')) return binding.slice(5);
+  if (binding.startsWith('Numpad')) return `NUM ${binding.slice(6)}`;
+  if (binding.startsWith('Mouse')) return `MOUSE ${binding.slice(5)}`;
+  if (binding.startsWith('Pad')) return `PAD ${binding.slice(3)}`;
+  return binding.toUpperCase();
+}
+
+/**
+ * Check if a binding is a gamepad button
+ */
+export function isPadBinding(binding) {
+  return binding.startsWith('Pad');
+}
+
+/**
+ * Check if a controls panel slot takes gamepad buttons: the first
+ * MAX_BINDINGS_PER_ACTION slots hold keys and mouse buttons, the rest pad buttons
+ */
+export function isPadSlot(slot) {
+  return slot >= MAX_BINDINGS_PER_ACTION;
+}
+
+/**
+ * Trim a binding list to its key/mouse and pad slots, keys first
+ */
+function limitBindings(list) {
+  return [
+    ...list.filter(binding => !isPadBinding(binding)).slice(0, MAX_BINDINGS_PER_ACTION),
+    ...list.filter(isPadBinding).slice(0, MAX_PAD_BINDINGS_PER_ACTION),
+  ];
+}
+
+/**
+ * Copy the default bindings
+ */
+function getDefaultBindings() {
+  const bindings = {};
+  for (const action in KEYS) {
+    bindings[action] = [...KEYS[action]];
+  }
+  return bindings;
+}
+
+/**
+ * Version 1 profiles predate gamepad support: append the default pad buttons
+ */
+function addGamepadDefaults(stored) {
+  const upgraded = { ...stored };
+  for (const action in KEYS) {
+    if (!Array.isArray(upgraded[action])) continue;
+    const padBindings = KEYS[action].filter(binding =>
+      binding.startsWith('Pad') && !upgraded[action].includes(binding)
+    );
+    upgraded[action] = [...upgraded[action], ...padBindings];
+  }
+  return upgraded;
+}
+
+export class InputBindings {
+  constructor() {
+    // All stored profiles: name -> { action: [bindings] }
+    // No prototype, so typed names like "constructor" are just profile names
+    this.profiles = Object.create(null);
+    this.activeProfile = DEFAULT_PROFILE;
+
+    // Change listeners: () => void
+    this.listeners = [];
+
+    this.load();
+  }
+
+  /**
+   * Load profiles from localStorage
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        if (data.version <= STORAGE_VERSION && data.profiles) {
+          for (const name in data.profiles) {
+            let stored = data.profiles[name];
+            if (data.version < 2) stored = addGamepadDefaults(stored);
+            this.profiles[name] = this.sanitize(stored);
+          }
+          if (Object.hasOwn(this.profiles, data.activeProfile)) {
+            this.activeProfile = data.activeProfile;
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('[InputBindings] Could not load bindings');
+    }
+
+    if (!Object.hasOwn(this.profiles, this.activeProfile)) {
+      this.profiles[this.activeProfile] = getDefaultBindings();
+    }
+    this.bindings = this.profiles[this.activeProfile];
+  }
+
+  /**
+   * Save profiles to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: STORAGE_VERSION,
+        activeProfile: this.activeProfile,
+        profiles: this.profiles,
+      }));
+    } catch (e) {
+      console.warn('[InputBindings] Could not save bindings');
+    }
+  }
+
+  /**
+   * Keep known actions only; missing actions get their defaults
+   */
+  sanitize(stored) {
+    const bindings = getDefaultBindings();
+    for (const action in bindings) {
+      const list = stored && stored[action];
+      if (Array.isArray(list)) {
+        bindings[action] = limitBindings(list.filter(binding => typeof binding === 'string'));
+      }
+    }
+    return bindings;
+  }
+
+  /**
+   * Get all action names
+   */
+  getActions() {
+    return Object.keys(KEYS);
+  }
+
+  /**
+   * Get bindings of an action
+   */
+  getBindings(action) {
+    return this.bindings[action] || [];
+  }
+
+  /**
+   * Get the binding in a controls panel slot (see isPadSlot)
+   * @returns {string|undefined}
+   */
+  getSlotBinding(action, slot) {
+    return this.getSlotGroup(action, slot)[this.getGroupIndex(slot)];
+  }
+
+  /**
+   * Get the bindings of an action that share a slot's kind (keys and mouse, or pad)
+   */
+  getSlotGroup(action, slot) {
+    const pad = isPadSlot(slot);
+    return this.getBindings(action).filter(binding => isPadBinding(binding) === pad);
+  }
+
+  /**
+   * Get a slot's position within its kind
+   */
+  getGroupIndex(slot) {
+    return isPadSlot(slot) ? slot - MAX_BINDINGS_PER_ACTION : slot;
+  }
+
+  /**
+   * Write a slot group back into an action's list, keeping the other kind
+   */
+  setSlotGroup(action, slot, group) {
+    const list = this.bindings[action];
+    const others = list.filter(binding => isPadBinding(binding) !== isPadSlot(slot));
+    list.splice(0, list.length, ...(isPadSlot(slot) ? [...others, ...group] : [...group, ...others]));
+  }
+
+  /**
+   * Find the action a binding is assigned to
+   * @param {string} exceptAction - Action to skip
+   * @returns {string|null}
+   */
+  findConflict(binding, exceptAction = null) {
+    for (const action in this.bindings) {
+      if (action !== exceptAction && this.bindings[action].includes(binding)) {
+        return action;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if any action uses a binding
+   */
+  isBound(binding) {
+    return this.findConflict(binding) !== null;
+  }
+
+  /**
+   * Assign a binding to a slot of an action.
+   * If another action already uses it, that action takes over the
+   * binding this slot held before (or loses it if the slot was empty).
+   * Pad buttons only go into pad slots and keys and mouse buttons only
+   * into the others (see isPadSlot).
+   * @returns {{conflict: string|null, rejected: boolean}} Action the binding was
+   *   taken from; rejected if the binding does not fit the slot's kind
+   */
+  setBinding(action, slot, binding) {
+    if (!this.bindings[action] || slot < 0 || slot >= MAX_BINDINGS_PER_ACTION + MAX_PAD_BINDINGS_PER_ACTION) {
+      console.warn(`[InputBindings] Invalid binding slot: ${action}[${slot}]`);
+      return { conflict: null, rejected: true };
+    }
+    if (isPadBinding(binding) !== isPadSlot(slot)) {
+      return { conflict: null, rejected: true };
+    }
+
+    const list = this.getSlotGroup(action, slot);
+    let index = this.getGroupIndex(slot);
+    const previous = list[index] || null;
+    const conflict = this.findConflict(binding, action);
+
+    if (conflict) {
+      const other = this.bindings[conflict];
+      const index = other.indexOf(binding);
+      if (previous && !other.includes(previous)) {
+        other[index] = previous;
+      } else {
+        other.splice(index, 1);
+      }
+    }
+
+    // Same binding in the other slot of this action is dropped
+    const duplicate = list.indexOf(binding);
+    if (duplicate !== -1 && duplicate !== index) {
+      list.splice(duplicate, 1);
+      index = Math.min(index, list.length);
+    }
+
+    if (index < list.length) {
+      list[index] = binding;
+    } else {
+      list.push(binding);
+    }
+
+    this.setSlotGroup(action, slot, list);
+    this.save();
+    this.notify();
+    return { conflict, rejected: false };
+  }
+
+  /**
+   * Remove the binding in a slot
+   */
+  clearBinding(action, slot) {
+    if (!this.bindings[action]) return;
+
+    const list = this.getSlotGroup(action, slot);
+    const index = this.getGroupIndex(slot);
+    if (index < 0 || index >= list.length) return;
+
+    list.splice(index, 1);
+    this.setSlotGroup(action, slot, list);
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Restore the default bindings of the active profile
+   */
+  resetToDefaults() {
+    this.bindings = getDefaultBindings();
+    this.profiles[this.activeProfile] = this.bindings;
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Get stored profile names
+   */
+  getProfiles() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * Get active profile name
+   */
+  getProfile() {
+    return this.activeProfile;
+  }
+
+  /**
+   * Switch to a profile, creating it with default bindings if needed
+   */
+  setProfile(name) {
+    const profile = String(name).trim().slice(0, 20);
+    if (!profile) return;
+
+    if (!Object.hasOwn(this.profiles, profile)) {
+      this.profiles[profile] = getDefaultBindings();
+    }
+    this.activeProfile = profile;
+    this.bindings = this.profiles[profile];
+
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Register a change listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
@@ -1,12 +1,17 @@
 /**
  * InputManager
- * Handles keyboard, mouse, and touch input for the game
+ * Handles keyboard, mouse, gamepad, and touch input for the game
  */
 
-import { KEYS } from '../utils/Constants.js';
+import { GAMEPAD } from '../utils/Constants.js';
 
 export class InputManager {
-  constructor() {
+  /**
+   * @param {InputBindings} bindings - Action map used to resolve actions
+   */
+  constructor(bindings) {
+    this.bindings = bindings;
+
     // Keyboard state
     this.keys = new Set();
     this.keysJustPressed = new Set();
@@ -26,10 +31,30 @@ export class InputManager {
       wheel: 0,
     };
 
-    // Touch state for virtual buttons
-    this.touchButtons = new Set();
-    this.touchButtonsJustPressed = new Set();
-    this.touchButtonsJustReleased = new Set();
+    // Touch state for virtual buttons (by action)
+    this.touchActions = new Set();
+    this.touchActionsJustPressed = new Set();
+
+    // Touch stick (-1 to 1 per axis) and accumulated drag-to-aim movement
+    this.touchStick = { x: 0, y: 0 };
+    this.touchAim = { x: 0, y: 0 };
+
+    // Gamepad state (first connected pad, polled every frame)
+    this.gamepad = {
+      index: null,
+      buttons: new Set(),
+      buttonsJustPressed: new Set(),
+      move: { x: 0, y: 0 },
+      aim: { x: 0, y: 0 },
+      deadzone: 0.15,
+      responseCurve: 1.5,
+    };
+
+    // Gamepad connect/disconnect listeners: (connected, gamepad) => void
+    this.gamepadListeners = [];
+
+    // Pending rebind capture: (binding) => void
+    this.captureCallback = null;
 
     // Check if mobile device
     this.isMobile = this.detectMobile();
@@ -46,6 +71,8 @@ export class InputManager {
     this.onWheel = this.onWheel.bind(this);
     this.onPointerLockChange = this.onPointerLockChange.bind(this);
     this.onContextMenu = this.onContextMenu.bind(this);
+    this.onGamepadConnected = this.onGamepadConnected.bind(this);
+    this.onGamepadDisconnected = this.onGamepadDisconnected.bind(this);
 
     // Initialize
     this.init();
@@ -74,6 +101,10 @@ export class InputManager {
 
     // Prevent context menu on right click
     window.addEventListener('contextmenu', this.onContextMenu);
+
+    // Gamepad hot-plug events
+    window.addEventListener('gamepadconnected', this.onGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this.onGamepadDisconnected);
   }
 
   // Request pointer lock
@@ -86,8 +117,35 @@ export class InputManager {
     document.exitPointerLock();
   }
 
+  // Deliver the next key or mouse button to a callback instead of the game
+  captureNextBinding(callback) {
+    this.captureCallback = callback;
+  }
+
+  cancelCapture() {
+    this.captureCallback = null;
+  }
+
+  // Returns true if the binding was consumed by a pending capture
+  handleCapture(binding, event) {
+    if (!this.captureCallback) return false;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const callback = this.captureCallback;
+    this.captureCallback = null;
+    callback(binding);
+    return true;
+  }
+
   // Keyboard handlers
   onKeyDown(event) {
+    // Leave typing in text fields alone
+    if (event.target instanceof HTMLInputElement && event.target.type === 'text') return;
+
+    if (this.handleCapture(event.code, event)) return;
+
     if (!this.keys.has(event.code)) {
       this.keysJustPressed.add(event.code);
     }
@@ -106,6 +164,8 @@ export class InputManager {
 
   // Mouse handlers
   onMouseDown(event) {
+    if (this.handleCapture(`Mouse${event.button}`, event)) return;
+
     if (!this.mouse.buttons.has(event.button)) {
       this.mouse.buttonsJustPressed.add(event.button);
     }
@@ -144,50 +204,127 @@ export class InputManager {
     event.preventDefault();
   }
 
-  // Check if key is a game key
-  isGameKey(code) {
-    return Object.values(KEYS).includes(code);
+  // Gamepad hot-plug handlers
+  onGamepadConnected(event) {
+    if (this.gamepad.index === null) {
+      this.gamepad.index = event.gamepad.index;
+    }
+    this.gamepadListeners.forEach(listener => listener(true, event.gamepad));
   }
 
-  // Touch button handlers (called from HUD touch buttons)
-  onTouchButtonDown(keyCode) {
-    if (!this.keys.has(keyCode)) {
-      this.keysJustPressed.add(keyCode);
+  onGamepadDisconnected(event) {
+    if (this.gamepad.index === event.gamepad.index) {
+      this.gamepad.index = null;
+      this.gamepad.buttons.clear();
+      this.gamepad.move = { x: 0, y: 0 };
+      this.gamepad.aim = { x: 0, y: 0 };
+
+      // Fall back to another connected pad
+      const other = this.getConnectedGamepads()[0];
+      if (other) this.gamepad.index = other.index;
     }
-    this.keys.add(keyCode);
-    this.touchButtons.add(keyCode);
+    this.gamepadListeners.forEach(listener => listener(false, event.gamepad));
   }
 
-  onTouchButtonUp(keyCode) {
-    this.keys.delete(keyCode);
-    this.keysJustReleased.add(keyCode);
-    this.touchButtons.delete(keyCode);
+  onGamepadChange(listener) {
+    this.gamepadListeners.push(listener);
   }
 
-  // Touch fire button (simulates mouse click)
-  onTouchFireDown() {
-    if (!this.mouse.buttons.has(0)) {
-      this.mouse.buttonsJustPressed.add(0);
-    }
-    this.mouse.buttons.add(0);
+  getConnectedGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+  }
+
+  // Stick deadzone and response curve (from settings)
+  setGamepadResponse(deadzone, responseCurve) {
+    this.gamepad.deadzone = deadzone;
+    this.gamepad.responseCurve = responseCurve;
   }
 
-  onTouchFireUp() {
-    this.mouse.buttons.delete(0);
-    this.mouse.buttonsJustReleased.add(0);
+  // Radial deadzone, rescaled to 0-1 and shaped by the response curve
+  shapeStick(x, y) {
+    const { deadzone, responseCurve } = this.gamepad;
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadzone) return { x: 0, y: 0 };
+
+    const scaled = Math.pow(Math.min(1, (magnitude - deadzone) / (1 - deadzone)), responseCurve);
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+  }
+
+  // Read the active gamepad (call once per frame, before game update)
+  pollGamepad() {
+    const state = this.gamepad;
+    if (state.index === null || !navigator.getGamepads) return;
+
+    const pad = navigator.getGamepads()[state.index];
+    if (!pad) return;
+
+    // Buttons (triggers count once past the threshold)
+    pad.buttons.forEach((button, i) => {
+      const binding = `Pad${i}`;
+      const pressed = button.pressed || button.value > GAMEPAD.triggerThreshold;
+
+      if (pressed && !state.buttons.has(binding)) {
+        state.buttonsJustPressed.add(binding);
+        if (this.captureCallback) {
+          const callback = this.captureCallback;
+          this.captureCallback = null;
+          callback(binding);
+        }
+      }
+
+      if (pressed) {
+        state.buttons.add(binding);
+      } else {
+        state.buttons.delete(binding);
+      }
+    });
+
+    // Sticks
+    const axis = (i) => pad.axes[i] || 0;
+    state.move = this.shapeStick(axis(GAMEPAD.moveAxes[0]), axis(GAMEPAD.moveAxes[1]));
+    state.aim = this.shapeStick(axis(GAMEPAD.aimAxes[0]), axis(GAMEPAD.aimAxes[1]));
+  }
+
+  // Right stick aim (-1 to 1 per axis, down/right positive like mouse movement)
+  getGamepadAim() {
+    return this.gamepad.aim;
   }
 
-  // Touch view change (simulates right click)
-  onTouchViewDown() {
-    if (!this.mouse.buttons.has(2)) {
-      this.mouse.buttonsJustPressed.add(2);
+  // Check if key is a game key
+  isGameKey(code) {
+    return this.bindings.isBound(code);
+  }
+
+  // Touch button handlers (called from HUD touch buttons)
+  onTouchActionDown(action) {
+    if (!this.touchActions.has(action)) {
+      this.touchActionsJustPressed.add(action);
     }
-    this.mouse.buttons.add(2);
+    this.touchActions.add(action);
+  }
+
+  onTouchActionUp(action) {
+    this.touchActions.delete(action);
   }
 
-  onTouchViewUp() {
-    this.mouse.buttons.delete(2);
-    this.mouse.buttonsJustReleased.add(2);
+  // Floating stick position (called from TouchControls)
+  setTouchStick(x, y) {
+    this.touchStick.x = x;
+    this.touchStick.y = y;
+  }
+
+  // Drag-to-aim movement in mouse pixels (called from TouchControls)
+  addTouchAim(deltaX, deltaY) {
+    this.touchAim.x += deltaX;
+    this.touchAim.y += deltaY;
+  }
+
+  // Analog translation from whichever of gamepad stick or touch stick is pushed further
+  getAnalogMove() {
+    const pad = this.gamepad.move;
+    const touch = this.touchStick;
+    return Math.hypot(pad.x, pad.y) >= Math.hypot(touch.x, touch.y) ? pad : touch;
   }
 
   // Input state queries
@@ -215,29 +352,66 @@ export class InputManager {
     return this.mouse.buttonsJustReleased.has(button);
   }
 
-  // Movement input helpers
+  // Binding queries ('Mouse<button>' or a keyboard code)
+  isBindingDown(binding) {
+    if (binding.startsWith('Pad')) {
+      return this.gamepad.buttons.has(binding);
+    }
+    if (binding.startsWith('Mouse')) {
+      return this.isMouseButtonDown(Number(binding.slice(5)));
+    }
+    return this.isKeyDown(binding);
+  }
+
+  isBindingJustPressed(binding) {
+    if (binding.startsWith('Pad')) {
+      return this.gamepad.buttonsJustPressed.has(binding);
+    }
+    if (binding.startsWith('Mouse')) {
+      return this.isMouseButtonJustPressed(Number(binding.slice(5)));
+    }
+    return this.isKeyJustPressed(binding);
+  }
+
+  // Action queries (any binding or touch button)
+  isActionDown(action) {
+    return this.touchActions.has(action) ||
+      this.bindings.getBindings(action).some(binding => this.isBindingDown(binding));
+  }
+
+  isActionJustPressed(action) {
+    return this.touchActionsJustPressed.has(action) ||
+      this.bindings.getBindings(action).some(binding => this.isBindingJustPressed(binding));
+  }
+
+  // Movement input helpers (keys give 0/1, the left stick gives fractions)
   getMovementInput() {
+    const move = this.getAnalogMove();
+    const axis = (action, value) => Math.max(this.isActionDown(action) ? 1 : 0, value);
+
     return {
-      forward: this.isKeyDown(KEYS.forward) ? 1 : 0,
-      backward: this.isKeyDown(KEYS.backward) ? 1 : 0,
-      left: this.isKeyDown(KEYS.left) ? 1 : 0,
-      right: this.isKeyDown(KEYS.right) ? 1 : 0,
-      up: this.isKeyDown(KEYS.up) ? 1 : 0,
-      down: this.isKeyDown(KEYS.down) ? 1 : 0,
-      rotateLeft: this.isKeyDown(KEYS.rotateRight) ? 1 : 0,
-      rotateRight: this.isKeyDown(KEYS.rotateLeft) ? 1 : 0,
-      boost: this.isKeyDown(KEYS.boost),
+      forward: axis('forward', -move.y),
+      backward: axis('backward', move.y),
+      left: axis('left', -move.x),
+      right: axis('right', move.x),
+      up: this.isActionDown('up') ? 1 : 0,
+      down: this.isActionDown('down') ? 1 : 0,
+      rotateLeft: this.isActionDown('rotateRight') ? 1 : 0,
+      rotateRight: this.isActionDown('rotateLeft') ? 1 : 0,
+      boost: this.isActionDown('boost'),
     };
   }
 
-  // Get mouse delta and reset
+  // Get mouse delta (including touch aim) and reset
   getMouseDelta() {
     const delta = {
-      x: this.mouse.deltaX,
-      y: this.mouse.deltaY,
+      x: this.mouse.deltaX + this.touchAim.x,
+      y: this.mouse.deltaY + this.touchAim.y,
     };
     this.mouse.deltaX = 0;
     this.mouse.deltaY = 0;
+    this.touchAim.x = 0;
+    this.touchAim.y = 0;
     return delta;
   }
 
@@ -254,6 +428,8 @@ export class InputManager {
     this.keysJustReleased.clear();
     this.mouse.buttonsJustPressed.clear();
     this.mouse.buttonsJustReleased.clear();
+    this.touchActionsJustPressed.clear();
+    this.gamepad.buttonsJustPressed.clear();
   }
 
   // Cleanup
@@ -266,5 +442,7 @@ export class InputManager {
     window.removeEventListener('wheel', this.onWheel);
     document.removeEventListener('pointerlockchange', this.onPointerLockChange);
     window.removeEventListener('contextmenu', this.onContextMenu);
+    window.removeEventListener('gamepadconnected', this.onGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', this.onGamepadDisconnected);
   }
 }
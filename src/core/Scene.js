@@ -5,6 +5,7 @@
 
 import * as THREE from 'three';
 import { randomRange, randomPointOnSphere } from '../utils/MathUtils.js';
+import { CAMERA, QUALITY } from '../utils/Constants.js';
 
 export class SceneManager {
   constructor(container) {
@@ -27,7 +28,7 @@ export class SceneManager {
 
     // Camera
     this.camera = new THREE.PerspectiveCamera(
-      60,
+      CAMERA.fov,
       window.innerWidth / window.innerHeight,
       0.1,
       2000
@@ -222,6 +223,28 @@ export class SceneManager {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
+  /**
+   * Apply a graphics quality preset (see QUALITY)
+   */
+  setQuality(level) {
+    const preset = QUALITY[level];
+    if (!preset) return;
+
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio));
+
+    if (this.renderer.shadowMap.enabled !== preset.shadows) {
+      this.renderer.shadowMap.enabled = preset.shadows;
+
+      // Materials must recompile to pick up the shadow change
+      this.scene.traverse(child => {
+        if (child.material) {
+          const materials = Array.isArray(child.material) ? child.material : [child.material];
+          materials.forEach(material => { material.needsUpdate = true; });
+        }
+      });
+    }
+  }
+
   /**
    * Add object to scene
    */
@@ -0,0 +1,167 @@
+/**
+ * Settings Manager
+ * Player options persisted to localStorage under a versioned schema
+ */
+
+import { SETTINGS, QUALITY } from '../utils/Constants.js';
+import { LANGUAGES } from '../utils/Strings.js';
+
+const STORAGE_KEY = 'zakuColonyDestroyer_settings';
+
+// Type and valid range of every setting
+const SCHEMA = {
+  masterVolume: { type: 'number', min: 0, max: 1 },
+  musicVolume: { type: 'number', min: 0, max: 1 },
+  sfxVolume: { type: 'number', min: 0, max: 1 },
+  mouseSensitivity: { type: 'number', min: 0.2, max: 3 },
+  invertY: { type: 'boolean' },
+  fov: { type: 'number', min: 50, max: 100 },
+  quality: { type: 'enum', options: Object.keys(QUALITY) },
+  language: { type: 'enum', options: Object.keys(LANGUAGES) },
+  gamepadDeadzone: { type: 'number', min: 0, max: 0.5 },
+  gamepadCurve: { type: 'number', min: 1, max: 3 },
+  syncProgress: { type: 'boolean' },
+};
+
+// Upgrades stored values from version N to N + 1
+const MIGRATIONS = {
+  // 1: (values) => ({ ...values, newSetting: SETTINGS.defaults.newSetting }),
+};
+
+export class SettingsManager {
+  constructor() {
+    // Change listeners: (key, value) => void
+    this.listeners = [];
+
+    this.values = this.load();
+  }
+
+  /**
+   * Load settings from localStorage, migrating older versions
+   */
+  load() {
+    const values = { ...SETTINGS.defaults };
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (!saved) return values;
+
+      const data = JSON.parse(saved);
+      let version = data.version;
+      let stored = data.values || {};
+
+      // Unknown or future versions are discarded
+      if (!Number.isInteger(version) || version > SETTINGS.version) {
+        console.warn(`[SettingsManager] Ignoring settings with version ${version}`);
+        return values;
+      }
+
+      while (version < SETTINGS.version) {
+        const migrate = MIGRATIONS[version];
+        if (migrate) stored = migrate(stored);
+        version++;
+      }
+
+      // Keep only known keys with valid values
+      for (const key in SCHEMA) {
+        if (key in stored) {
+          values[key] = this.sanitize(key, stored[key]);
+        }
+      }
+    } catch (e) {
+      console.warn('[SettingsManager] Could not load settings');
+    }
+
+    return values;
+  }
+
+  /**
+   * Save settings to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: SETTINGS.version,
+        values: this.values,
+      }));
+    } catch (e) {
+      console.warn('[SettingsManager] Could not save settings');
+    }
+  }
+
+  /**
+   * Coerce a value into the schema, falling back to the default
+   */
+  sanitize(key, value) {
+    const rule = SCHEMA[key];
+    const fallback = SETTINGS.defaults[key];
+
+    switch (rule.type) {
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.max(rule.min, Math.min(rule.max, number));
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? value : fallback;
+      case 'enum':
+        return rule.options.includes(value) ? value : fallback;
+      default:
+        return fallback;
+    }
+  }
+
+  /**
+   * Get a setting
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Get a copy of all settings
+   */
+  getAll() {
+    return { ...this.values };
+  }
+
+  /**
+   * Change a setting, save and notify listeners
+   */
+  set(key, value) {
+    if (!SCHEMA[key]) {
+      console.warn(`[SettingsManager] Unknown setting: ${key}`);
+      return;
+    }
+
+    const sanitized = this.sanitize(key, value);
+    if (this.values[key] === sanitized) return;
+
+    this.values[key] = sanitized;
+    this.save();
+    this.notify(key, sanitized);
+  }
+
+  /**
+   * Restore every setting to its default
+   */
+  reset() {
+    for (const key in SCHEMA) {
+      this.set(key, SETTINGS.defaults[key]);
+    }
+  }
+
+  /**
+   * Register a change listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  notify(key, value) {
+    this.listeners.forEach(listener => listener(key, value));
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * State Machine
+ * Named states with enter/exit/update hooks and an explicit transition table
+ */
+
+export class StateMachine {
+  /**
+   * @param {object} transitions - Allowed transitions: { from: [to, ...] }
+   */
+  constructor(transitions) {
+    this.transitions = transitions;
+
+    // Registered states: name -> { enter, exit, update }
+    this.states = {};
+
+    // Current state name
+    this.current = null;
+  }
+
+  /**
+   * Register a state
+   * @param {string} name
+   * @param {object} hooks - enter(previous, data), exit(next), update(deltaTime)
+   */
+  addState(name, hooks = {}) {
+    this.states[name] = hooks;
+    return this;
+  }
+
+  /**
+   * Check if a transition is allowed from the current state
+   */
+  canTransition(name) {
+    if (this.current === null) return true;
+    const allowed = this.transitions[this.current] || [];
+    return allowed.includes(name);
+  }
+
+  /**
+   * Change state, running exit hook of the old state and enter hook of the new one
+   * @param {string} name - Target state
+   * @param {object} data - Passed to the enter hook
+   * @returns {boolean} True if the transition happened
+   */
+  transition(name, data = null) {
+    if (!this.states[name]) {
+      console.warn(`[StateMachine] Unknown state: ${name}`);
+      return false;
+    }
+    if (!this.canTransition(name)) {
+      console.warn(`[StateMachine] Invalid transition: ${this.current} -> ${name}`);
+      return false;
+    }
+
+    const previous = this.current;
+    const previousHooks = this.states[previous];
+    if (previousHooks && previousHooks.exit) {
+      previousHooks.exit(name);
+    }
+
+    this.current = name;
+
+    const hooks = this.states[name];
+    if (hooks.enter) {
+      hooks.enter(previous, data);
+    }
+
+    return true;
+  }
+
+  /**
+   * Run the current state's update hook
+   */
+  update(deltaTime) {
+    const hooks = this.states[this.current];
+    if (hooks && hooks.update) {
+      hooks.update(deltaTime);
+    }
+  }
+
+  /**
+   * Check the current state
+   */
+  is(name) {
+    return this.current === name;
+  }
+
+  /**
+   * Get current state name
+   */
+  getState() {
+    return this.current;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Ball
+ * Slow Federation support pod with a low-recoil cannon
+ */
+
+import * as THREE from 'three';
+import { Enemy } from './Enemy.js';
+import { FEDERATION_COLORS } from '../utils/Constants.js';
+
+export class Ball extends Enemy {
+  constructor() {
+    super('ball');
+  }
+
+  /**
+   * Build the Ball model (faces +Z)
+   */
+  createModel() {
+    const mats = {
+      pod: new THREE.MeshStandardMaterial({ color: FEDERATION_COLORS.ball, roughness: 0.6, metalness: 0.3 }),
+      dark: new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6, metalness: 0.5 }),
+      window: new THREE.MeshBasicMaterial({ color: FEDERATION_COLORS.canopy }),
+    };
+
+    // Spherical pod
+    const pod = new THREE.Mesh(new THREE.SphereGeometry(3.5, 16, 12), mats.pod);
+    this.group.add(pod);
+
+    // Cockpit window
+    const cockpit = new THREE.Mesh(new THREE.CircleGeometry(1, 12), mats.window);
+    cockpit.position.set(0, 0.5, 3.45);
+    this.group.add(cockpit);
+
+    // Cannon on top (recoils when firing)
+    this.cannon = new THREE.Group();
+    this.cannon.position.set(0, 3.8, 0);
+    this.group.add(this.cannon);
+
+    const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.6, 5, 8), mats.dark);
+    barrel.rotation.x = Math.PI / 2;
+    barrel.position.z = 1.5;
+    this.cannon.add(barrel);
+
+    const mount = new THREE.Mesh(new THREE.BoxGeometry(1.5, 1, 2), mats.dark);
+    this.cannon.add(mount);
+
+    this.muzzlePoint.position.set(0, 3.8, 4.5);
+
+    // Manipulator arms
+    this.arms = [-1, 1].map(side => {
+      const arm = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.5, 3), mats.dark);
+      arm.position.set(side * 2.2, -1.8, 2.5);
+      this.group.add(arm);
+      return arm;
+    });
+  }
+
+  /**
+   * Cannon recoil recovery and idle arm motion
+   */
+  updateAnimation(deltaTime) {
+    this.cannon.position.z *= Math.max(0, 1 - deltaTime * 5);
+
+    const wave = Math.sin(this.time * 1.5) * 0.2;
+    this.arms[0].rotation.x = wave;
+    this.arms[1].rotation.x = -wave;
+  }
+
+  /**
+   * Fire with cannon recoil
+   */
+  fire(aimPoint) {
+    this.cannon.position.z = -1;
+    return super.fire(aimPoint);
+  }
+
+  /**
+   * Heavier, slower shell
+   */
+  createBulletAssets() {
+    return {
+      geometry: new THREE.SphereGeometry(0.6, 8, 8),
+      material: new THREE.MeshBasicMaterial({ color: 0xFFCC33 }),
+    };
+  }
+}
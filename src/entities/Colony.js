@@ -1,17 +1,28 @@
 /**
  * Space Colony
- * O'Neill Cylinder type space colony
+ * O'Neill Cylinder type space colony, spinning about its long axis (X)
  */
 
 import * as THREE from 'three';
-import { COLONY, COLONY_COLORS } from '../utils/Constants.js';
+import { COLONY_COLORS, COLONY_INTEGRITY, COLONY_SPIN, TURRET, POOLS } from '../utils/Constants.js';
 import { randomRange } from '../utils/MathUtils.js';
+import { ObjectPool } from '../systems/ObjectPool.js';
+import { generateColonyLayout } from '../systems/ColonyGenerator.js';
 
 export class Colony {
-  constructor() {
+  /**
+   * @param {object} [layout] - From generateColonyLayout (random seed if omitted)
+   */
+  constructor(layout = generateColonyLayout()) {
+    // Type, size and section placement
+    this.layout = layout;
+
     // Root group
     this.group = new THREE.Group();
 
+    // Spin about the X axis in rad/s (see setSpinRate)
+    this.spinRate = Math.sqrt(COLONY_SPIN.gravity / layout.radius);
+
     // Destructible sections with health
     this.sections = [];
 
@@ -20,10 +31,24 @@ export class Colony {
     this.currentHealth = 0;
     this.destructionPercentage = 0;
 
-    // Explosion particles
-    this.explosionParticles = [];
     this.scene = null;
 
+    // Structural collapse: hull damage on its way to a neighbour, and
+    // sections that broke off (drifting until their secondary explosion)
+    this.pendingCollapses = [];
+    this.drifting = [];
+    this.detached = [];
+
+    // Turret shells in flight (world space), pooled on a shared mesh
+    this.projectiles = [];
+    this.shellGeometry = new THREE.BoxGeometry(0.4, 0.4, 3);
+    this.shellMaterial = new THREE.MeshBasicMaterial({ color: COLONY_COLORS.turretShell });
+    this.shellPool = new ObjectPool({
+      name: 'turret shell',
+      create: () => new THREE.Mesh(this.shellGeometry, this.shellMaterial),
+      capacity: POOLS.turretShell,
+    });
+
     // Build the colony
     this.createColony();
   }
@@ -67,15 +92,20 @@ export class Colony {
         transparent: true,
         opacity: 0.3,
       }),
+      turret: new THREE.MeshStandardMaterial({
+        color: COLONY_COLORS.turret,
+        roughness: 0.5,
+        metalness: 0.6,
+      }),
     };
   }
 
   /**
-   * Build the colony structure
+   * Build the colony structure from the layout
    */
   createColony() {
     const mats = this.createMaterials();
-    const { length, radius } = COLONY;
+    const { length, radius } = this.layout;
 
     // ============================================
     // MAIN CYLINDER
@@ -111,58 +141,29 @@ export class Colony {
     // ============================================
     // WINDOW SECTIONS
     // ============================================
-    const windowCount = 6;
-    const windowWidth = length * 0.8 / windowCount;
-    const windowHeight = radius * 0.3;
-
-    for (let i = 0; i < windowCount; i++) {
-      for (let j = 0; j < 3; j++) {
-        const angle = (j / 3) * Math.PI * 2 + Math.PI / 6;
-
-        const windowGeom = new THREE.BoxGeometry(windowWidth, windowHeight, 2);
-        const windowMesh = new THREE.Mesh(windowGeom, mats.window.clone());
-
-        const xPos = (i - windowCount / 2 + 0.5) * (length * 0.8 / windowCount);
-        const yPos = Math.sin(angle) * (radius + 1);
-        const zPos = Math.cos(angle) * (radius + 1);
-
-        windowMesh.position.set(xPos, yPos, zPos);
-        windowMesh.rotation.x = angle;
-        windowMesh.castShadow = true;
-
-        // Make window destructible
-        const section = {
-          mesh: windowMesh,
-          type: 'window',
-          health: 50,
-          maxHealth: 50,
-          points: 100,
-          destroyed: false,
-        };
-        this.sections.push(section);
-        this.totalHealth += section.maxHealth;
-
-        this.group.add(windowMesh);
-      }
-    }
+    this.layout.windows.forEach(({ x, angle, width, height }) => {
+      const windowGeom = new THREE.BoxGeometry(width, height, 2);
+      const windowMesh = new THREE.Mesh(windowGeom, mats.window.clone());
+
+      windowMesh.position.set(x, Math.sin(angle) * (radius + 1), Math.cos(angle) * (radius + 1));
+      windowMesh.rotation.x = angle;
+      windowMesh.castShadow = true;
+
+      // Make window destructible
+      this.addSection(windowMesh, 'window', 50, 100);
+    });
 
     // ============================================
-    // SOLAR PANELS
+    // SOLAR PANELS (mirrors)
     // ============================================
-    const panelCount = 4;
-    for (let i = 0; i < panelCount; i++) {
+    this.layout.mirrors.forEach(({ x, angle, width, height }) => {
       const panelGroup = new THREE.Group();
 
-      const angle = (i / panelCount) * Math.PI * 2;
-      const panelX = (i % 2 === 0 ? 1 : -1) * (length * 0.3);
-      const panelY = Math.sin(angle) * (radius + 20);
-      const panelZ = Math.cos(angle) * (radius + 20);
-
-      panelGroup.position.set(panelX, panelY, panelZ);
+      panelGroup.position.set(x, Math.sin(angle) * (radius + 20), Math.cos(angle) * (radius + 20));
       panelGroup.rotation.x = angle;
 
       // Panel structure
-      const panelGeom = new THREE.BoxGeometry(40, 20, 0.5);
+      const panelGeom = new THREE.BoxGeometry(width, height, 0.5);
       const panel = new THREE.Mesh(panelGeom, mats.solarPanel);
       panel.castShadow = true;
       panel.receiveShadow = true;
@@ -179,38 +180,22 @@ export class Colony {
       const gridMat = new THREE.LineBasicMaterial({ color: 0x333366 });
       for (let g = -4; g <= 4; g++) {
         const lineGeom = new THREE.BufferGeometry().setFromPoints([
-          new THREE.Vector3(-20, g * 2, 0.3),
-          new THREE.Vector3(20, g * 2, 0.3),
+          new THREE.Vector3(-width / 2, g * height / 10, 0.3),
+          new THREE.Vector3(width / 2, g * height / 10, 0.3),
         ]);
         const line = new THREE.Line(lineGeom, gridMat);
         panelGroup.add(line);
       }
 
-      const section = {
-        mesh: panelGroup,
-        type: 'solarPanel',
-        health: 100,
-        maxHealth: 100,
-        points: 200,
-        destroyed: false,
-      };
-      this.sections.push(section);
-      this.totalHealth += section.maxHealth;
-
-      this.group.add(panelGroup);
-    }
+      this.addSection(panelGroup, 'solarPanel', 100, 200);
+    });
 
     // ============================================
     // DOCKING BAYS
     // ============================================
-    const dockPositions = [
-      { x: length / 2 + 10, y: 0, z: 0 },
-      { x: -length / 2 - 10, y: 0, z: 0 },
-    ];
-
-    dockPositions.forEach((pos, index) => {
+    this.layout.docks.forEach(({ end }) => {
       const dockGroup = new THREE.Group();
-      dockGroup.position.set(pos.x, pos.y, pos.z);
+      dockGroup.position.set(end * (length / 2 + 10), 0, 0);
 
       // Main dock structure
       const dockGeom = new THREE.CylinderGeometry(15, 20, 30, 8);
@@ -233,33 +218,97 @@ export class Colony {
 
       // Lights
       const lightGeom = new THREE.SphereGeometry(2, 8, 8);
-      const lightMat = new THREE.MeshBasicMaterial({
-        color: 0xFF0000,
-        emissive: 0xFF0000,
-      });
+      const lightMat = new THREE.MeshBasicMaterial({ color: 0xFF0000 });
       const light1 = new THREE.Mesh(lightGeom, lightMat);
-      light1.position.set(index === 0 ? 15 : -15, 12, 0);
+      light1.position.set(end * 15, 12, 0);
       dockGroup.add(light1);
 
-      const section = {
-        mesh: dockGroup,
-        type: 'dockingBay',
-        health: 200,
-        maxHealth: 200,
-        points: 500,
-        destroyed: false,
-      };
-      this.sections.push(section);
-      this.totalHealth += section.maxHealth;
+      this.addSection(dockGroup, 'dockingBay', 200, 500);
+    });
+
+    // ============================================
+    // CONTROL TOWERS
+    // ============================================
+    this.layout.towers.forEach(({ cap, x, angle }) => {
+      const towerGroup = this.createTower(mats);
+
+      // Stand on the hull, or off an end cap beside the dock
+      const radial = new THREE.Vector3(0, Math.sin(angle), Math.cos(angle));
+      const normal = cap === 0 ? radial : new THREE.Vector3(cap, 0, 0);
+      const base = cap === 0
+        ? radial.clone().multiplyScalar(radius).setX(x)
+        : radial.clone().multiplyScalar(radius * 0.7).setX(x);
+
+      towerGroup.position.copy(base).addScaledVector(normal, 15);
+      towerGroup.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
 
-      this.group.add(dockGroup);
+      this.addSection(towerGroup, 'controlTower', 150, 300);
     });
 
     // ============================================
-    // CONTROL TOWER
+    // HULL SECTIONS (destructible)
+    // ============================================
+    this.layout.hullSections.forEach(({ ring, slot, x, angle, width }) => {
+      const hullSectionGeom = new THREE.BoxGeometry(width, 10, 10);
+      const hullSection = new THREE.Mesh(hullSectionGeom, mats.hull.clone());
+
+      hullSection.position.set(x, Math.sin(angle) * (radius - 2), Math.cos(angle) * (radius - 2));
+      hullSection.rotation.x = angle;
+      hullSection.castShadow = true;
+
+      const section = this.addSection(hullSection, 'hullSection', 500, 1000);
+      section.ring = ring;
+      section.slot = slot;
+    });
+
     // ============================================
+    // DEFENSE TURRETS
+    // ============================================
+    this.layout.turrets.forEach(({ x, angle }) => {
+      const turretGroup = this.createTurret(mats);
+      const normal = new THREE.Vector3(0, Math.sin(angle), Math.cos(angle));
+      turretGroup.position.set(x, normal.y * radius, normal.z * radius);
+      turretGroup.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
+
+      const section = this.addSection(turretGroup, 'turret', TURRET.health, TURRET.points);
+      section.turret = {
+        head: turretGroup.getObjectByName('turretHead'),
+        muzzle: turretGroup.getObjectByName('muzzlePoint'),
+        cooldown: Math.random() * TURRET.fireRate, // Stagger first volley
+      };
+    });
+
+    // Initialize current health
+    this.currentHealth = this.totalHealth;
+
+    this.buildStructure();
+  }
+
+  /**
+   * Register a destructible section and add its mesh to the colony
+   * @returns {object} The section
+   */
+  addSection(mesh, type, health, points) {
+    const section = {
+      mesh,
+      type,
+      health,
+      maxHealth: health,
+      points,
+      destroyed: false,
+    };
+    this.sections.push(section);
+    this.totalHealth += section.maxHealth;
+
+    this.group.add(mesh);
+    return section;
+  }
+
+  /**
+   * Create a control tower (local +Y points away from its base)
+   */
+  createTower(mats) {
     const towerGroup = new THREE.Group();
-    towerGroup.position.set(0, radius + 15, 0);
 
     const towerGeom = new THREE.CylinderGeometry(5, 8, 30, 8);
     const tower = new THREE.Mesh(towerGeom, mats.dock);
@@ -279,53 +328,100 @@ export class Colony {
     dish.rotation.z = -Math.PI / 4;
     towerGroup.add(dish);
 
-    const section = {
-      mesh: towerGroup,
-      type: 'controlTower',
-      health: 150,
-      maxHealth: 150,
-      points: 300,
-      destroyed: false,
-    };
-    this.sections.push(section);
-    this.totalHealth += section.maxHealth;
+    return towerGroup;
+  }
 
-    this.group.add(towerGroup);
+  /**
+   * Build the connectivity graph between sections
+   * Hull sections link to their neighbours around the ring and along the
+   * axis, and carry everything else: each window, panel, dock, tower and
+   * turret is supported by its nearest hull section
+   */
+  buildStructure() {
+    const hull = this.sections.filter(section => section.type === 'hullSection');
+    const perRing = hull.filter(section => section.ring === 0).length;
 
-    // ============================================
-    // HULL SECTIONS (destructible)
-    // ============================================
-    const hullSectionCount = 8;
-    for (let i = 0; i < hullSectionCount; i++) {
-      const angle = (i / hullSectionCount) * Math.PI * 2;
-      const sectionX = ((i % 4) - 1.5) * (length * 0.2);
+    this.sections.forEach(section => {
+      section.links = [];
+      section.supports = [];
+      section.dependents = [];
+    });
 
-      const hullSectionGeom = new THREE.BoxGeometry(length * 0.15, 10, 10);
-      const hullSection = new THREE.Mesh(hullSectionGeom, mats.hull.clone());
+    hull.forEach(section => {
+      hull.forEach(other => {
+        if (other === section) return;
 
-      const yPos = Math.sin(angle) * (radius - 2);
-      const zPos = Math.cos(angle) * (radius - 2);
+        const slotGap = Math.abs(other.slot - section.slot);
+        const aroundRing = other.ring === section.ring && (slotGap === 1 || slotGap === perRing - 1);
+        const alongAxis = other.slot === section.slot && Math.abs(other.ring - section.ring) === 1;
+        if (aroundRing || alongAxis) section.links.push(other);
+      });
+    });
 
-      hullSection.position.set(sectionX, yPos, zPos);
-      hullSection.rotation.x = angle;
-      hullSection.castShadow = true;
+    this.sections.forEach(section => {
+      if (section.type === 'hullSection' || hull.length === 0) return;
 
-      const section = {
-        mesh: hullSection,
-        type: 'hullSection',
-        health: 500,
-        maxHealth: 500,
-        points: 1000,
-        destroyed: false,
-      };
-      this.sections.push(section);
-      this.totalHealth += section.maxHealth;
+      let nearest = hull[0];
+      hull.forEach(candidate => {
+        if (candidate.mesh.position.distanceToSquared(section.mesh.position) <
+            nearest.mesh.position.distanceToSquared(section.mesh.position)) {
+          nearest = candidate;
+        }
+      });
 
-      this.group.add(hullSection);
-    }
+      section.supports.push(nearest);
+      nearest.dependents.push(section);
+    });
+  }
 
-    // Initialize current health
-    this.currentHealth = this.totalHealth;
+  /**
+   * Create an anti-aircraft turret (local +Y points away from the hull)
+   */
+  createTurret(mats) {
+    const turretGroup = new THREE.Group();
+
+    // Base ring
+    const baseGeom = new THREE.CylinderGeometry(4, 5, 2, 12);
+    const base = new THREE.Mesh(baseGeom, mats.turret);
+    base.position.y = 1;
+    base.castShadow = true;
+    turretGroup.add(base);
+
+    // Rotating head (barrels point along +Z for lookAt)
+    const head = new THREE.Group();
+    head.name = 'turretHead';
+    head.position.y = 4;
+    turretGroup.add(head);
+
+    const housingGeom = new THREE.SphereGeometry(3, 12, 8);
+    const housing = new THREE.Mesh(housingGeom, mats.turret);
+    housing.castShadow = true;
+    head.add(housing);
+
+    // Twin barrels
+    const barrelGeom = new THREE.CylinderGeometry(0.4, 0.5, 7, 8);
+    [-1.2, 1.2].forEach(offset => {
+      const barrel = new THREE.Mesh(barrelGeom, mats.dock);
+      barrel.rotation.x = Math.PI / 2;
+      barrel.position.set(offset, 0, 4);
+      barrel.castShadow = true;
+      head.add(barrel);
+    });
+
+    // Sensor light
+    const sensorGeom = new THREE.SphereGeometry(0.6, 8, 8);
+    const sensorMat = new THREE.MeshBasicMaterial({ color: 0xFF0000 });
+    const sensor = new THREE.Mesh(sensorGeom, sensorMat);
+    sensor.position.set(0, 2, 1.5);
+    head.add(sensor);
+
+    // Muzzle point
+    const muzzlePoint = new THREE.Object3D();
+    muzzlePoint.name = 'muzzlePoint';
+    muzzlePoint.position.set(0, 0, 8);
+    head.add(muzzlePoint);
+
+    return turretGroup;
   }
 
   /**
@@ -341,6 +437,34 @@ export class Colony {
    */
   removeFromScene(scene) {
     scene.remove(this.group);
+
+    // Shells in flight and broken-off sections belong to this colony
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      this.removeBullet(i);
+    }
+    this.detached.forEach(section => scene.remove(section.mesh));
+    this.drifting = [];
+  }
+
+  /**
+   * Remove from scene and free all resources (shells, model)
+   */
+  dispose() {
+    if (this.scene) {
+      this.removeFromScene(this.scene);
+    }
+
+    this.shellPool.dispose();
+    this.shellGeometry.dispose();
+    this.shellMaterial.dispose();
+
+    // Broken-off sections left the group for the scene
+    [this.group, ...this.detached.map(section => section.mesh)].forEach(root => {
+      root.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    });
   }
 
   /**
@@ -348,6 +472,40 @@ export class Colony {
    */
   setPosition(x, y, z) {
     this.group.position.set(x, y, z);
+    this.group.updateMatrixWorld(true);
+  }
+
+  /**
+   * Get position
+   */
+  getPosition() {
+    return this.group.position.clone();
+  }
+
+  /**
+   * Set the spin rate (rad/s about the long axis)
+   */
+  setSpinRate(rate) {
+    this.spinRate = rate;
+  }
+
+  /**
+   * Get the spin rate (rad/s about the long axis)
+   */
+  getSpinRate() {
+    return this.spinRate;
+  }
+
+  /**
+   * Get the velocity of the spinning colony frame at a world point
+   * (the hull's surface speed there, for anything touching or leaving it)
+   */
+  getSurfaceVelocity(point, target = new THREE.Vector3()) {
+    const y = point.y - this.group.position.y;
+    const z = point.z - this.group.position.z;
+
+    // Spin axis is X: velocity = (rate, 0, 0) x offset
+    return target.set(0, -this.spinRate * z, this.spinRate * y);
   }
 
   /**
@@ -392,12 +550,123 @@ export class Colony {
     // Hide the mesh
     section.mesh.visible = false;
 
+    // Pass the load on to connected sections
+    this.collapseSection(section);
+
     // Calculate destruction percentage
     this.updateDestructionPercentage();
   }
 
+  /**
+   * Spread a destroyed section's failure through the connectivity graph
+   * Linked hull takes delayed damage (which can chain); attachments left
+   * without any support break off
+   */
+  collapseSection(section) {
+    section.links.forEach(link => {
+      if (link.destroyed) return;
+
+      this.pendingCollapses.push({
+        section: link,
+        damage: link.maxHealth * COLONY_INTEGRITY.cascadeDamage,
+        delay: randomRange(...COLONY_INTEGRITY.cascadeDelay),
+      });
+    });
+
+    section.dependents.forEach(dependent => {
+      if (dependent.destroyed) return;
+
+      if (dependent.supports.every(support => support.destroyed)) {
+        this.detachSection(dependent);
+      }
+    });
+  }
+
+  /**
+   * Break a section off the colony: it counts as destroyed and drifts
+   * away from the axis until its secondary explosion
+   */
+  detachSection(section) {
+    section.destroyed = true;
+    section.detached = true;
+    this.currentHealth -= section.health;
+    section.health = 0;
+
+    const mesh = section.mesh;
+    const position = mesh.getWorldPosition(new THREE.Vector3());
+    const axisPoint = this.group.localToWorld(new THREE.Vector3(mesh.position.x, 0, 0));
+    const outward = position.clone().sub(axisPoint).normalize();
+
+    // Leave the (rotating) colony group, keeping the world transform
+    if (this.scene) this.scene.attach(mesh);
+
+    // Flung off along the hull's direction of travel, still turning with the colony
+    const spin = COLONY_INTEGRITY.driftSpin;
+    const velocity = this.getSurfaceVelocity(position)
+      .addScaledVector(outward, randomRange(...COLONY_INTEGRITY.driftSpeed));
+    this.drifting.push({
+      section,
+      velocity,
+      spin: new THREE.Vector3(this.spinRate + randomRange(-spin, spin), randomRange(-spin, spin), randomRange(-spin, spin)),
+      fuse: randomRange(...COLONY_INTEGRITY.secondaryDelay),
+    });
+    this.detached.push(section);
+  }
+
+  /**
+   * Advance pending collapses and drifting sections
+   * @returns {Array<object>} Events for DamageSystem:
+   *   {type: 'cascade', index, damage, point} - load reached a linked section
+   *   {type: 'secondary', section, point, velocity} - a broken-off section exploded
+   */
+  updateStructure(deltaTime) {
+    const events = [];
+
+    for (let i = this.pendingCollapses.length - 1; i >= 0; i--) {
+      const pending = this.pendingCollapses[i];
+      pending.delay -= deltaTime;
+      if (pending.delay > 0) continue;
+
+      this.pendingCollapses.splice(i, 1);
+      if (pending.section.destroyed) continue;
+
+      events.push({
+        type: 'cascade',
+        index: this.sections.indexOf(pending.section),
+        damage: pending.damage,
+        point: pending.section.mesh.getWorldPosition(new THREE.Vector3()),
+      });
+    }
+
+    for (let i = this.drifting.length - 1; i >= 0; i--) {
+      const piece = this.drifting[i];
+      const mesh = piece.section.mesh;
+
+      mesh.position.addScaledVector(piece.velocity, deltaTime);
+      mesh.rotation.x += piece.spin.x * deltaTime;
+      mesh.rotation.y += piece.spin.y * deltaTime;
+      mesh.rotation.z += piece.spin.z * deltaTime;
+
+      piece.fuse -= deltaTime;
+      if (piece.fuse > 0) continue;
+
+      mesh.visible = false;
+      this.drifting.splice(i, 1);
+      events.push({
+        type: 'secondary',
+        section: piece.section,
+        point: mesh.getWorldPosition(new THREE.Vector3()),
+        velocity: piece.velocity,
+      });
+    }
+
+    return events;
+  }
+
   /**
    * Get section at raycaster intersection
+   * Sections are matched by mesh, so the hit holds in the spinning frame
+   * as long as the raycast saw current transforms (see update)
    */
   getSectionAtPoint(intersect) {
     let target = intersect.object;
@@ -425,6 +694,29 @@ export class Colony {
     return null;
   }
 
+  /**
+   * Get all intact sections within radius of a world point (splash damage)
+   * @returns {Array<{index: number, section: object, distance: number}>}
+   */
+  getSectionsInRadius(point, radius) {
+    const results = [];
+    const bounds = new THREE.Box3();
+
+    this.sections.forEach((section, index) => {
+      if (section.destroyed) return;
+
+      // Distance to the section's world bounding box (0 if inside)
+      bounds.setFromObject(section.mesh);
+      const distance = bounds.distanceToPoint(point);
+
+      if (distance <= radius) {
+        results.push({ index, section, distance });
+      }
+    });
+
+    return results;
+  }
+
   /**
    * Update destruction percentage
    */
@@ -462,27 +754,19 @@ export class Colony {
    */
   checkCollision(point, radius = 0) {
     // Colony is a horizontal cylinder along X axis
-    // Center at group position
-    const colonyPos = this.group.position;
-    const { length, radius: colonyRadius } = COLONY;
+    const { length, radius: colonyRadius } = this.layout;
 
-    // Transform point to colony local space
-    const localX = point.x - colonyPos.x;
-    const localY = point.y - colonyPos.y;
-    const localZ = point.z - colonyPos.z;
-
-    // Account for colony rotation
-    const rotatedY = localY * Math.cos(-this.group.rotation.x) - localZ * Math.sin(-this.group.rotation.x);
-    const rotatedZ = localY * Math.sin(-this.group.rotation.x) + localZ * Math.cos(-this.group.rotation.x);
+    // Transform point to the colony's spinning frame
+    const local = this.group.worldToLocal(point.clone());
 
     // Check if within cylinder length (X axis)
     const halfLength = length / 2;
-    if (Math.abs(localX) > halfLength + radius) {
+    if (Math.abs(local.x) > halfLength + radius) {
       return false;
     }
 
     // Check radial distance (Y-Z plane)
-    const radialDistance = Math.sqrt(rotatedY * rotatedY + rotatedZ * rotatedZ);
+    const radialDistance = Math.sqrt(local.y * local.y + local.z * local.z);
 
     // Collision if inside cylinder
     return radialDistance < colonyRadius + radius;
@@ -490,125 +774,192 @@ export class Colony {
 
   /**
    * Get collision info for detailed response
+   * surfaceVelocity is how fast the spinning hull moves at the point
    */
   getCollisionInfo(point, radius = 0) {
     const colonyPos = this.group.position;
-    const { length, radius: colonyRadius } = COLONY;
+    const { length, radius: colonyRadius } = this.layout;
 
     const localX = point.x - colonyPos.x;
     const localY = point.y - colonyPos.y;
     const localZ = point.z - colonyPos.z;
 
+    // Rotation is around the X axis, so radial distance is rotation-invariant
     const radialDistance = Math.sqrt(localY * localY + localZ * localZ);
-    const penetration = colonyRadius + radius - radialDistance;
+    const radialPenetration = colonyRadius + radius - radialDistance;
+    const capPenetration = length / 2 + radius - Math.abs(localX);
+
+    const collision = this.checkCollision(point, radius);
+
+    // Push-out normal (world space) along the axis of least penetration
+    const normal = new THREE.Vector3();
+    let penetration = 0;
+
+    if (collision) {
+      if (capPenetration < radialPenetration) {
+        // Through an end cap
+        normal.set(Math.sign(localX) || 1, 0, 0);
+        penetration = capPenetration;
+      } else {
+        // Through the hull
+        if (radialDistance > 0) {
+          normal.set(0, localY / radialDistance, localZ / radialDistance);
+        } else {
+          normal.set(0, 1, 0);
+        }
+        penetration = radialPenetration;
+      }
+    }
 
     return {
-      collision: this.checkCollision(point, radius),
-      penetration: penetration > 0 ? penetration : 0,
+      collision,
+      penetration: Math.max(0, penetration),
+      normal,
       point: point.clone(),
       radialDistance,
+      surfaceVelocity: this.getSurfaceVelocity(point),
     };
   }
 
   /**
-   * Create explosion at position
+   * Aim intact turrets at a target and fire when lined up
+   * @param {THREE.Vector3|null} targetPosition - World position to engage (null = hold fire)
+   * @param {THREE.Vector3} targetVelocity - Target velocity for leading shots
+   * @returns {Array<{position: THREE.Vector3, direction: THREE.Vector3}>} Shots fired this frame
    */
-  createExplosion(position, intensity = 1) {
-    if (!this.scene) return;
+  updateTurrets(deltaTime, targetPosition, targetVelocity) {
+    const shots = [];
+    if (!targetPosition) return shots;
 
-    const particleCount = Math.floor(15 * intensity);
+    const muzzlePos = new THREE.Vector3();
+    const muzzleVelocity = new THREE.Vector3();
+    const relativeVelocity = new THREE.Vector3();
+    const outward = new THREE.Vector3();
+    const toTarget = new THREE.Vector3();
 
-    for (let i = 0; i < particleCount; i++) {
-      // Orange sphere particle - 2x size
-      const size = (1 + Math.random() * 3) * intensity;  // 2x larger base size
-      const geometry = new THREE.SphereGeometry(size, 8, 8);
-      const material = new THREE.MeshBasicMaterial({
-        color: new THREE.Color().setHSL(0.08 + Math.random() * 0.05, 1, 0.5 + Math.random() * 0.2), // Orange color (0.08 = orange hue)
-        transparent: true,
-        opacity: 1,
-      });
+    this.sections.forEach(section => {
+      if (section.type !== 'turret' || section.destroyed) return;
+
+      const { head, muzzle } = section.turret;
+      section.turret.cooldown -= deltaTime * 1000;
+
+      muzzle.getWorldPosition(muzzlePos);
+      toTarget.subVectors(targetPosition, muzzlePos);
+      const distance = toTarget.length();
+      if (distance > TURRET.range) return;
+
+      // Hull blocks the shot if the target is below the turret's horizon
+      outward.set(0, 1, 0).applyQuaternion(section.mesh.getWorldQuaternion(new THREE.Quaternion()));
+      if (toTarget.dot(outward) <= 0) return;
+
+      // Lead the target by the shell's flight time; the shell carries the
+      // turret's surface velocity, so lead with the target's velocity relative to it
+      this.getSurfaceVelocity(muzzlePos, muzzleVelocity);
+      relativeVelocity.subVectors(targetVelocity, muzzleVelocity);
+      const flightTime = distance / TURRET.projectileSpeed;
+      const aimPoint = targetPosition.clone().addScaledVector(relativeVelocity, flightTime);
+
+      // Turn towards the aim point at limited speed
+      const current = head.quaternion.clone();
+      head.lookAt(aimPoint);
+      const desired = head.quaternion.clone();
+      head.quaternion.copy(current).rotateTowards(desired, TURRET.turnSpeed * deltaTime);
+
+      if (section.turret.cooldown > 0) return;
+      if (head.quaternion.angleTo(desired) > TURRET.fireTolerance) return;
+
+      section.turret.cooldown = TURRET.fireRate;
+
+      const direction = head.getWorldDirection(new THREE.Vector3());
+      direction.x += (Math.random() - 0.5) * TURRET.spread;
+      direction.y += (Math.random() - 0.5) * TURRET.spread;
+      direction.z += (Math.random() - 0.5) * TURRET.spread;
+      direction.normalize();
+
+      this.spawnShell(muzzlePos, direction, muzzleVelocity);
+      shots.push({ position: muzzlePos.clone(), direction });
+    });
 
-      const particle = new THREE.Mesh(geometry, material);
-      particle.position.copy(position);
-
-      // Random velocity
-      const speed = 10 + Math.random() * 20 * intensity;
-      particle.userData = {
-        velocity: new THREE.Vector3(
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2
-        ).normalize().multiplyScalar(speed),
-        life: 0.5 + Math.random() * 0.5,
-        maxLife: 0.5 + Math.random() * 0.5,
-        initialSize: size,
-      };
+    return shots;
+  }
 
-      this.explosionParticles.push(particle);
-      this.scene.add(particle);
-    }
+  /**
+   * Spawn a turret shell
+   * @param {THREE.Vector3} direction - Barrel direction
+   * @param {THREE.Vector3} [carrierVelocity] - Velocity of the muzzle, added to the shell's
+   */
+  spawnShell(position, direction, carrierVelocity = null) {
+    const shell = this.shellPool.acquire();
+    if (!shell) return;
+
+    const velocity = direction.clone().multiplyScalar(TURRET.projectileSpeed);
+    if (carrierVelocity) velocity.add(carrierVelocity);
+
+    shell.position.copy(position);
+    shell.lookAt(position.clone().add(velocity));
+
+    shell.userData = {
+      type: 'turretShell',
+      source: 'turret',
+      direction: velocity.clone().normalize(),
+      distanceTraveled: 0,
+      maxDistance: TURRET.range * 1.5,
+      damage: TURRET.damage,
+      speed: velocity.length(),
+    };
 
-    // Add a flash light (orange)
-    const flash = new THREE.PointLight(0xff6600, 5 * intensity, 30);
-    flash.position.copy(position);
-    flash.userData = { life: 0.1 };
-    this.scene.add(flash);
-    this.explosionParticles.push(flash);
+    this.projectiles.push(shell);
+    if (this.scene) {
+      this.scene.add(shell);
+    }
   }
 
   /**
-   * Update explosion particles
+   * Move turret shells and expire them at max range
    */
-  updateExplosions(deltaTime) {
-    for (let i = this.explosionParticles.length - 1; i >= 0; i--) {
-      const particle = this.explosionParticles[i];
+  updateProjectiles(deltaTime) {
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const shell = this.projectiles[i];
+      const moveDistance = shell.userData.speed * deltaTime;
 
-      if (particle.isLight) {
-        // Update flash light
-        particle.userData.life -= deltaTime;
-        particle.intensity *= 0.8;
+      shell.position.addScaledVector(shell.userData.direction, moveDistance);
+      shell.userData.distanceTraveled += moveDistance;
 
-        if (particle.userData.life <= 0) {
-          this.scene.remove(particle);
-          this.explosionParticles.splice(i, 1);
-        }
-      } else if (particle.isMesh) {
-        // Update particle
-        particle.userData.life -= deltaTime;
-
-        // Move particle
-        particle.position.add(
-          particle.userData.velocity.clone().multiplyScalar(deltaTime)
-        );
-
-        // Apply drag
-        particle.userData.velocity.multiplyScalar(0.95);
-
-        // Fade out and shrink
-        const lifeRatio = particle.userData.life / particle.userData.maxLife;
-        particle.material.opacity = lifeRatio;
-        particle.scale.setScalar(lifeRatio);
-
-        // Remove dead particles
-        if (particle.userData.life <= 0) {
-          this.scene.remove(particle);
-          particle.geometry.dispose();
-          particle.material.dispose();
-          this.explosionParticles.splice(i, 1);
-        }
+      if (shell.userData.distanceTraveled >= shell.userData.maxDistance) {
+        this.removeBullet(i);
       }
     }
   }
 
+  /**
+   * Get turret shells in flight (projectile owner interface, same as Zaku)
+   */
+  getBullets() {
+    return this.projectiles;
+  }
+
+  /**
+   * Remove a turret shell from the scene and return it to the pool
+   */
+  removeBullet(index) {
+    const shell = this.projectiles[index];
+    if (!shell) return;
+
+    this.shellPool.release(shell);
+    this.projectiles.splice(index, 1);
+  }
+
   /**
    * Update colony (animations, etc.)
    */
   update(deltaTime) {
-    // Slow rotation
-    this.group.rotation.x += deltaTime * 0.01;
+    // Spin, and bring section transforms up to date so this frame's
+    // raycasts and bounds checks hit the sections where they are now
+    this.group.rotation.x = (this.group.rotation.x + this.spinRate * deltaTime) % (Math.PI * 2);
+    this.group.updateMatrixWorld(true);
 
-    // Update explosion particles
-    this.updateExplosions(deltaTime);
+    // Move turret shells
+    this.updateProjectiles(deltaTime);
 
     // Animate window lights
     this.sections.forEach(section => {
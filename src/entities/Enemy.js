@@ -0,0 +1,336 @@
+/**
+ * Enemy
+ * Base class for Federation mobile suits and craft.
+ * Subclasses build the model in createModel(); movement, firing and
+ * projectiles follow the same rules as the Zaku.
+ */
+
+import * as THREE from 'three';
+import { ENEMIES, FEDERATION_COLORS, POOLS } from '../utils/Constants.js';
+import { EnemyAI } from '../systems/EnemyAI.js';
+import { ObjectPool } from '../systems/ObjectPool.js';
+
+// Projectile pools shared by every enemy of a class: constructor -> pool
+const bulletPools = new Map();
+
+export class Enemy {
+  /**
+   * @param {string} type - Key into ENEMIES
+   */
+  constructor(type) {
+    this.type = type;
+    this.config = ENEMIES[type];
+
+    // Root group (model faces +Z)
+    this.group = new THREE.Group();
+
+    // Physics
+    this.velocity = new THREE.Vector3();
+
+    // Health
+    this.maxHealth = this.config.health;
+    this.health = this.maxHealth;
+    this.destroyed = false;
+
+    // Weapon
+    this.fireCooldown = Math.random() * this.config.fireRate;
+    this.bullets = [];
+    this.bulletScene = null;
+
+    // Muzzle in model space (subclasses move it onto the gun)
+    this.muzzlePoint = new THREE.Object3D();
+    this.muzzlePoint.name = 'muzzlePoint';
+    this.group.add(this.muzzlePoint);
+
+    // Animation time
+    this.time = Math.random() * 10;
+
+    // Build the model
+    this.createModel();
+
+    // Brain
+    this.ai = new EnemyAI(this, this.config.ai);
+  }
+
+  /**
+   * Build the model into this.group (implemented by subclasses)
+   */
+  createModel() {}
+
+  /**
+   * Per-type animation (implemented by subclasses)
+   */
+  updateAnimation() {}
+
+  /**
+   * Add to scene
+   */
+  addToScene(scene) {
+    scene.add(this.group);
+    this.bulletScene = scene;
+  }
+
+  /**
+   * Remove from scene along with projectiles in flight
+   */
+  removeFromScene(scene) {
+    scene.remove(this.group);
+
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      this.removeBullet(i);
+    }
+  }
+
+  /**
+   * Set position
+   */
+  setPosition(x, y, z) {
+    this.group.position.set(x, y, z);
+  }
+
+  /**
+   * Get position
+   */
+  getPosition() {
+    return this.group.position.clone();
+  }
+
+  /**
+   * Update enemy
+   * @param {object} context - AI context (see EnemyAI.update)
+   * @returns {object|null} Shot fired this frame ({position, direction}) or null
+   */
+  update(deltaTime, context) {
+    this.time += deltaTime;
+    this.updateBullets(deltaTime);
+
+    if (this.destroyed) return null;
+
+    const command = this.ai.update(deltaTime, context);
+
+    // Steer towards the commanded velocity
+    const steer = Math.min(1, this.config.turnRate * deltaTime);
+    this.velocity.lerp(command.velocity, steer);
+
+    // Keep clear of the colony hull
+    if (context.colony) {
+      const info = context.colony.getCollisionInfo(this.group.position, this.config.radius * 2);
+      if (info.collision) {
+        this.velocity.addScaledVector(info.normal, this.config.speed * steer * 2);
+      }
+    }
+
+    this.group.position.addScaledVector(this.velocity, deltaTime);
+
+    // Face the target while shooting, otherwise the direction of travel
+    const facing = command.fire ? command.aimPoint : this.group.position.clone().add(this.velocity);
+    this.faceTowards(facing, deltaTime);
+
+    this.updateAnimation(deltaTime, command);
+
+    // Fire
+    this.fireCooldown -= deltaTime * 1000;
+    if (command.fire && this.fireCooldown <= 0 && command.aimPoint) {
+      this.fireCooldown = this.config.fireRate;
+      return this.fire(command.aimPoint);
+    }
+
+    return null;
+  }
+
+  /**
+   * Smoothly rotate so +Z points at a world position
+   */
+  faceTowards(point, deltaTime) {
+    if (point.distanceToSquared(this.group.position) < 0.01) return;
+
+    const current = this.group.quaternion.clone();
+    this.group.lookAt(point);
+    const desired = this.group.quaternion.clone();
+    this.group.quaternion.copy(current).rotateTowards(desired, this.config.turnRate * deltaTime);
+  }
+
+  /**
+   * Fire a projectile at a world position
+   * @returns {{position: THREE.Vector3, direction: THREE.Vector3}|null} Null when too many are in flight
+   */
+  fire(aimPoint) {
+    const pool = this.getBulletPool();
+    const bullet = pool.acquire();
+    if (!bullet) return null;
+
+    const startPos = this.muzzlePoint.getWorldPosition(new THREE.Vector3());
+    const direction = aimPoint.clone().sub(startPos).normalize();
+
+    // Inaccuracy
+    const { spread } = this.config;
+    direction.x += (Math.random() - 0.5) * spread;
+    direction.y += (Math.random() - 0.5) * spread;
+    direction.z += (Math.random() - 0.5) * spread;
+    direction.normalize();
+
+    bullet.position.copy(startPos);
+    bullet.lookAt(startPos.clone().add(direction));
+
+    bullet.userData = {
+      type: 'bullet',
+      source: 'enemy',
+      pool,
+      startPosition: startPos.clone(),
+      direction,
+      distanceTraveled: 0,
+      maxDistance: this.config.range * 1.5,
+      damage: this.config.damage,
+      speed: this.config.projectileSpeed,
+    };
+
+    this.bullets.push(bullet);
+    if (this.bulletScene) {
+      this.bulletScene.add(bullet);
+    }
+
+    return { position: startPos, direction };
+  }
+
+  /**
+   * Get the projectile pool of this enemy class, creating it on first use
+   */
+  getBulletPool() {
+    let pool = bulletPools.get(this.constructor);
+    if (!pool) {
+      const { geometry, material } = this.createBulletAssets();
+      pool = new ObjectPool({
+        name: `${this.config.name} bolt`,
+        create: () => new THREE.Mesh(geometry, material),
+        capacity: POOLS.enemyBolt,
+      });
+      bulletPools.set(this.constructor, pool);
+    }
+    return pool;
+  }
+
+  /**
+   * Create the shared projectile geometry and material (points along +Z)
+   */
+  createBulletAssets() {
+    return {
+      geometry: new THREE.BoxGeometry(0.3, 0.3, 2.5),
+      material: new THREE.MeshBasicMaterial({ color: FEDERATION_COLORS.beam }),
+    };
+  }
+
+  /**
+   * Move projectiles and expire them at max range
+   */
+  updateBullets(deltaTime) {
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      const bullet = this.bullets[i];
+      const moveDistance = bullet.userData.speed * deltaTime;
+
+      bullet.position.addScaledVector(bullet.userData.direction, moveDistance);
+      bullet.userData.distanceTraveled += moveDistance;
+
+      if (bullet.userData.distanceTraveled >= bullet.userData.maxDistance) {
+        this.removeBullet(i);
+      }
+    }
+  }
+
+  /**
+   * Get projectiles in flight (projectile owner interface, same as Zaku)
+   */
+  getBullets() {
+    return this.bullets;
+  }
+
+  /**
+   * Remove a projectile from the scene and return it to its pool
+   */
+  removeBullet(index) {
+    const bullet = this.bullets[index];
+    if (!bullet) return;
+
+    bullet.userData.pool.release(bullet);
+
+    this.bullets.splice(index, 1);
+  }
+
+  /**
+   * Take damage
+   * @returns {object|null} Hit result with points and destroyed flag (same shape as Colony.damageSection)
+   */
+  takeDamage(amount) {
+    if (this.destroyed) return null;
+
+    this.health -= amount;
+
+    if (this.health <= 0) {
+      this.health = 0;
+      this.destroyed = true;
+      this.group.visible = false;
+      return {
+        points: this.config.points,
+        destroyed: true,
+        type: this.type,
+      };
+    }
+
+    return {
+      points: Math.floor(amount),
+      destroyed: false,
+      type: this.type,
+    };
+  }
+
+  /**
+   * Get health ratio (0-1)
+   */
+  getHealthRatio() {
+    return this.health / this.maxHealth;
+  }
+
+  /**
+   * Check if an object belongs to this enemy's model
+   */
+  ownsObject(object) {
+    let current = object;
+    while (current) {
+      if (current === this.group) return true;
+      current = current.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Get meshes for raycasting
+   */
+  getHitTargets() {
+    const targets = [];
+    if (this.destroyed) return targets;
+
+    this.group.traverse(child => {
+      if (child.isMesh) targets.push(child);
+    });
+    return targets;
+  }
+
+  /**
+   * Get bounding sphere for splash damage
+   */
+  getBoundingSphere() {
+    return {
+      center: this.group.position.clone(),
+      radius: this.config.radius,
+    };
+  }
+
+  /**
+   * Free model resources (projectiles are freed by removeFromScene)
+   */
+  dispose() {
+    this.group.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
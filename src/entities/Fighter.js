@@ -0,0 +1,81 @@
+/**
+ * Fighter
+ * Fast Federation space fighter that strafes with vulcan guns
+ */
+
+import * as THREE from 'three';
+import { Enemy } from './Enemy.js';
+import { FEDERATION_COLORS } from '../utils/Constants.js';
+
+export class Fighter extends Enemy {
+  constructor() {
+    super('fighter');
+  }
+
+  /**
+   * Build the fighter model (faces +Z)
+   */
+  createModel() {
+    const mats = {
+      hull: new THREE.MeshStandardMaterial({ color: FEDERATION_COLORS.fighter, roughness: 0.4, metalness: 0.5 }),
+      red: new THREE.MeshStandardMaterial({ color: FEDERATION_COLORS.red, roughness: 0.5, metalness: 0.3 }),
+      canopy: new THREE.MeshStandardMaterial({ color: FEDERATION_COLORS.canopy, roughness: 0.1, metalness: 0.8 }),
+      engine: new THREE.MeshBasicMaterial({ color: FEDERATION_COLORS.engine }),
+    };
+
+    // Airframe (rolls independently of the heading)
+    this.body = new THREE.Group();
+    this.group.add(this.body);
+
+    // Fuselage
+    const fuselage = new THREE.Mesh(new THREE.CylinderGeometry(0.8, 1.2, 8, 8), mats.hull);
+    fuselage.rotation.x = Math.PI / 2;
+    this.body.add(fuselage);
+
+    const nose = new THREE.Mesh(new THREE.ConeGeometry(0.8, 2.5, 8), mats.hull);
+    nose.rotation.x = Math.PI / 2;
+    nose.position.z = 5.2;
+    this.body.add(nose);
+
+    // Canopy
+    const canopy = new THREE.Mesh(new THREE.SphereGeometry(0.7, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2), mats.canopy);
+    canopy.position.set(0, 0.6, 2);
+    canopy.scale.set(1, 1, 2);
+    this.body.add(canopy);
+
+    // Delta wings with red tips
+    const wing = new THREE.Mesh(new THREE.BoxGeometry(9, 0.2, 3), mats.hull);
+    wing.position.z = -1;
+    this.body.add(wing);
+
+    [-1, 1].forEach(side => {
+      const tip = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.25, 2), mats.red);
+      tip.position.set(side * 4.5, 0, -1);
+      this.body.add(tip);
+    });
+
+    // Tail fin
+    const fin = new THREE.Mesh(new THREE.BoxGeometry(0.2, 2.2, 1.8), mats.hull);
+    fin.position.set(0, 1.2, -3.2);
+    this.body.add(fin);
+
+    // Engine glow
+    this.engine = new THREE.Mesh(new THREE.SphereGeometry(0.9, 8, 8), mats.engine);
+    this.engine.position.z = -4.2;
+    this.body.add(this.engine);
+
+    this.muzzlePoint.position.set(0, -0.5, 6);
+  }
+
+  /**
+   * Bank into turns and flicker the engine
+   */
+  updateAnimation(deltaTime, command) {
+    // Roll follows sideways steering input
+    const localSteer = command.velocity.clone().applyQuaternion(this.group.quaternion.clone().invert());
+    const targetRoll = Math.max(-0.8, Math.min(0.8, -localSteer.x / this.config.speed));
+    this.body.rotation.z += (targetRoll - this.body.rotation.z) * Math.min(1, deltaTime * 4);
+
+    this.engine.scale.setScalar(0.8 + Math.random() * 0.4);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * GM
+ * Federation mass-production mobile suit armed with a beam spray gun
+ */
+
+import * as THREE from 'three';
+import { Enemy } from './Enemy.js';
+import { FEDERATION_COLORS } from '../utils/Constants.js';
+
+export class GM extends Enemy {
+  constructor() {
+    super('gm');
+  }
+
+  /**
+   * Build the GM model (faces +Z)
+   */
+  createModel() {
+    const mats = {
+      white: new THREE.MeshStandardMaterial({ color: FEDERATION_COLORS.white, roughness: 0.5, metalness: 0.3 }),
+      red: new THREE.MeshStandardMaterial({ color: FEDERATION_COLORS.red, roughness: 0.5, metalness: 0.3 }),
+      dark: new THREE.MeshStandardMaterial({ color: 0x333340, roughness: 0.6, metalness: 0.5 }),
+      visor: new THREE.MeshBasicMaterial({ color: FEDERATION_COLORS.visor }),
+      engine: new THREE.MeshBasicMaterial({ color: FEDERATION_COLORS.engine }),
+    };
+
+    // Torso
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(5, 5, 3.5), mats.red);
+    torso.position.y = 4;
+    this.group.add(torso);
+
+    const waist = new THREE.Mesh(new THREE.BoxGeometry(4, 1.5, 3), mats.white);
+    waist.position.y = 1;
+    this.group.add(waist);
+
+    // Head with goggle visor
+    const head = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), mats.white);
+    head.position.y = 7.5;
+    this.group.add(head);
+
+    const visor = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.5, 0.3), mats.visor);
+    visor.position.set(0, 7.7, 1.05);
+    this.group.add(visor);
+
+    // Arms
+    [-1, 1].forEach(side => {
+      const shoulder = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2.5), mats.white);
+      shoulder.position.set(side * 3.5, 5.5, 0);
+      this.group.add(shoulder);
+
+      const arm = new THREE.Mesh(new THREE.BoxGeometry(1.4, 4.5, 1.4), mats.white);
+      arm.position.set(side * 3.5, 2.5, 0.5);
+      this.group.add(arm);
+    });
+
+    // Legs
+    this.legs = [-1, 1].map(side => {
+      const leg = new THREE.Mesh(new THREE.BoxGeometry(1.8, 6, 2), mats.white);
+      leg.geometry.translate(0, -3, 0); // Pivot at hip
+      leg.position.set(side * 1.3, 0.3, 0);
+      this.group.add(leg);
+      return leg;
+    });
+
+    // Backpack thrusters
+    const backpack = new THREE.Mesh(new THREE.BoxGeometry(3, 3, 1.5), mats.dark);
+    backpack.position.set(0, 4.5, -2.5);
+    this.group.add(backpack);
+
+    this.thrusters = [-0.8, 0.8].map(offset => {
+      const glow = new THREE.Mesh(new THREE.SphereGeometry(0.5, 8, 8), mats.engine);
+      glow.position.set(offset, 3.5, -3.4);
+      this.group.add(glow);
+      return glow;
+    });
+
+    // Beam spray gun in the right hand
+    const gun = new THREE.Mesh(new THREE.BoxGeometry(0.8, 1, 5), mats.dark);
+    gun.position.set(3.5, 1, 2.5);
+    this.group.add(gun);
+    this.muzzlePoint.position.set(3.5, 1, 5.2);
+
+    // Shield on the left arm
+    const shield = new THREE.Mesh(new THREE.BoxGeometry(0.4, 5, 3), mats.red);
+    shield.position.set(-4.6, 3, 0.8);
+    this.group.add(shield);
+  }
+
+  /**
+   * Leg sway and thruster flicker
+   */
+  updateAnimation() {
+    const sway = Math.sin(this.time * 2) * 0.15;
+    this.legs[0].rotation.x = sway;
+    this.legs[1].rotation.x = -sway;
+
+    const flicker = 0.8 + Math.random() * 0.4;
+    this.thrusters.forEach(glow => glow.scale.setScalar(flicker));
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Musai
+ * Friendly Zeon cruiser escorted in escort missions. Flies a straight
+ * route to its destination and draws fire from the Federation waves.
+ */
+
+import * as THREE from 'three';
+import { MUSAI, MUSAI_COLORS } from '../utils/Constants.js';
+
+export class Musai {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.health]
+   * @param {number} [options.speed]
+   */
+  constructor({ health = MUSAI.health, speed = MUSAI.speed } = {}) {
+    // Root group (model faces +Z)
+    this.group = new THREE.Group();
+
+    // Route
+    this.speed = speed;
+    this.velocity = new THREE.Vector3();
+    this.destination = new THREE.Vector3();
+    this.routeLength = 0;
+    this.arrived = false;
+
+    // Health
+    this.maxHealth = health;
+    this.health = health;
+    this.destroyed = false;
+
+    // Animation time
+    this.time = 0;
+
+    this.createModel();
+  }
+
+  /**
+   * Build the cruiser model (faces +Z)
+   */
+  createModel() {
+    const mats = {
+      hull: new THREE.MeshStandardMaterial({ color: MUSAI_COLORS.hull, roughness: 0.6, metalness: 0.4 }),
+      dark: new THREE.MeshStandardMaterial({ color: MUSAI_COLORS.dark, roughness: 0.6, metalness: 0.5 }),
+      bridge: new THREE.MeshStandardMaterial({
+        color: MUSAI_COLORS.bridge,
+        emissive: MUSAI_COLORS.bridge,
+        emissiveIntensity: 0.8,
+      }),
+      engine: new THREE.MeshBasicMaterial({ color: MUSAI_COLORS.engine }),
+    };
+
+    // Main hull with a tapered bow
+    const hull = new THREE.Mesh(new THREE.CylinderGeometry(6, 7, 50, 8), mats.hull);
+    hull.rotation.x = Math.PI / 2;
+    this.group.add(hull);
+
+    const bow = new THREE.Mesh(new THREE.CylinderGeometry(2.5, 6, 14, 8), mats.hull);
+    bow.rotation.x = Math.PI / 2;
+    bow.position.z = 32;
+    this.group.add(bow);
+
+    // Bridge tower
+    const tower = new THREE.Mesh(new THREE.BoxGeometry(4, 8, 6), mats.dark);
+    tower.position.set(0, 9, 4);
+    this.group.add(tower);
+
+    const bridge = new THREE.Mesh(new THREE.BoxGeometry(6, 2, 3), mats.bridge);
+    bridge.position.set(0, 13, 5);
+    this.group.add(bridge);
+
+    // Engine pods on side pylons
+    this.thrusters = [-1, 1].map(side => {
+      const pylon = new THREE.Mesh(new THREE.BoxGeometry(8, 1.5, 10), mats.hull);
+      pylon.position.set(side * 8, 0, -14);
+      this.group.add(pylon);
+
+      const pod = new THREE.Mesh(new THREE.CylinderGeometry(3.5, 3.5, 24, 8), mats.dark);
+      pod.rotation.x = Math.PI / 2;
+      pod.position.set(side * 13, 0, -14);
+      this.group.add(pod);
+
+      const thruster = new THREE.Mesh(new THREE.CircleGeometry(2.5, 12), mats.engine);
+      thruster.rotation.y = Math.PI;
+      thruster.position.set(side * 13, 0, -26.1);
+      this.group.add(thruster);
+      return thruster;
+    });
+
+    // Mega particle cannon turrets along the spine
+    [14, 0, -10].forEach(z => {
+      const turret = new THREE.Mesh(new THREE.BoxGeometry(3, 1.5, 3), mats.dark);
+      turret.position.set(0, 6.5, z);
+      this.group.add(turret);
+
+      const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 5, 6), mats.dark);
+      barrel.rotation.x = Math.PI / 2;
+      barrel.position.set(0, 6.8, z + 3);
+      this.group.add(barrel);
+    });
+  }
+
+  /**
+   * Set the route: place the cruiser at start, heading for destination
+   */
+  setRoute(start, destination) {
+    this.group.position.copy(start);
+    this.destination.copy(destination);
+    this.group.lookAt(destination);
+    this.routeLength = start.distanceTo(destination);
+    this.arrived = this.routeLength <= MUSAI.arrivalDistance;
+  }
+
+  /**
+   * Add to scene
+   */
+  addToScene(scene) {
+    scene.add(this.group);
+  }
+
+  /**
+   * Remove from scene
+   */
+  removeFromScene(scene) {
+    scene.remove(this.group);
+  }
+
+  /**
+   * Fly towards the destination and stop there
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    if (this.destroyed) return;
+
+    if (this.arrived) {
+      this.velocity.set(0, 0, 0);
+    } else {
+      const toDestination = this.destination.clone().sub(this.group.position);
+      const distance = toDestination.length();
+
+      if (distance <= MUSAI.arrivalDistance) {
+        this.arrived = true;
+        this.velocity.set(0, 0, 0);
+      } else {
+        this.velocity.copy(toDestination).multiplyScalar(Math.min(this.speed, distance / deltaTime) / distance);
+        this.group.position.addScaledVector(this.velocity, deltaTime);
+        this.faceTowards(this.destination, deltaTime);
+      }
+    }
+
+    // Thrusters flicker while under way
+    const glow = this.arrived ? 0.4 : 0.9 + Math.sin(this.time * 20) * 0.1;
+    this.thrusters.forEach(thruster => thruster.scale.setScalar(glow));
+  }
+
+  /**
+   * Smoothly rotate so +Z points at a world position
+   */
+  faceTowards(point, deltaTime) {
+    const current = this.group.quaternion.clone();
+    this.group.lookAt(point);
+    const desired = this.group.quaternion.clone();
+    this.group.quaternion.copy(current).rotateTowards(desired, MUSAI.turnRate * deltaTime);
+  }
+
+  /**
+   * Take damage
+   * @returns {{destroyed: boolean}|null} Null once destroyed
+   */
+  takeDamage(amount) {
+    if (this.destroyed) return null;
+
+    this.health = Math.max(0, this.health - amount);
+    if (this.health <= 0) {
+      this.destroyed = true;
+      this.group.visible = false;
+    }
+
+    return { destroyed: this.destroyed };
+  }
+
+  /**
+   * Check if destroyed
+   */
+  isDestroyed() {
+    return this.destroyed;
+  }
+
+  /**
+   * Check if the destination was reached
+   */
+  hasArrived() {
+    return this.arrived;
+  }
+
+  /**
+   * Get the share of the route flown (0-1)
+   */
+  getRouteProgress() {
+    if (this.arrived) return 1;
+    return Math.max(0, 1 - this.group.position.distanceTo(this.destination) / this.routeLength);
+  }
+
+  /**
+   * Get health ratio (0-1)
+   */
+  getHealthRatio() {
+    return this.health / this.maxHealth;
+  }
+
+  /**
+   * Get position
+   */
+  getPosition() {
+    return this.group.position.clone();
+  }
+
+  /**
+   * Get bounding sphere for hostile fire
+   */
+  getBoundingSphere() {
+    return {
+      center: this.group.position.clone(),
+      radius: MUSAI.radius,
+    };
+  }
+
+  /**
+   * Free model resources
+   */
+  dispose() {
+    this.group.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -5,11 +5,20 @@
  */
 
 import * as THREE from 'three';
-import { ZAKU_COLORS, MOVEMENT, WEAPONS } from '../utils/Constants.js';
-import { lerp, normalizeAngle } from '../utils/MathUtils.js';
+import { ZAKU, ZAKU_COLORS, ZAKU_VARIANTS, MOVEMENT, MELEE, MUZZLE_EFFECTS, POOLS, COLLISION } from '../utils/Constants.js';
+import { lerp, normalizeAngle, easeInOutCubic } from '../utils/MathUtils.js';
+import { ObjectPool } from '../systems/ObjectPool.js';
 
 export class Zaku {
-  constructor() {
+  /**
+   * @param {string} [variant] - Key into ZAKU_VARIANTS
+   */
+  constructor(variant = 'standard') {
+    // Variant: paint and performance
+    this.variant = Object.hasOwn(ZAKU_VARIANTS, variant) ? ZAKU_VARIANTS[variant] : ZAKU_VARIANTS.standard;
+    this.colors = { ...ZAKU_COLORS, ...this.variant.colors };
+    this.speedMultiplier = this.variant.speed;
+
     // Root group
     this.group = new THREE.Group();
 
@@ -37,21 +46,34 @@ export class Zaku {
     // Boost state
     this.boostEnergy = 100;
     this.maxBoostEnergy = 100;
-    this.boostRegenRate = 15; // per second
-    this.boostDrainRate = 25; // per second
+    this.boostRegenRate = 15 * this.variant.boost; // per second
+    this.boostDrainRate = 25 / this.variant.boost; // per second
+
+    // Health state
+    this.maxHealth = Math.round(ZAKU.maxHealth * this.variant.health);
+    this.health = this.maxHealth;
+    this.lastDamageSource = null; // 'collision', 'enemy', ...
 
     // Firing state
     this.isFiring = false;
     this.muzzleFlash = null;
     this.muzzleParticles = [];
-    this.lastFireTime = 0;
-    this.fireRate = WEAPONS.machineGun.fireRate;
+    this.weapon = null;                   // Weapon instance in the right hand (see setWeapon)
+    this.currentModel = 'machineGun';     // Key into parts of the visible weapon mesh
+    this.muzzleEffect = MUZZLE_EFFECTS.flash;
 
     // Bullet/Projectile state
     this.bullets = [];
-    this.bulletSpeed = 150;  // Units per second
-    this.bulletRange = WEAPONS.machineGun.range;  // 3x Zaku height (60 units)
-    this.bulletDamage = WEAPONS.machineGun.damage;
+    this.projectilePools = {};            // Pools per projectile look (see getProjectilePool)
+
+    // Heat Hawk swing state (left hand, independent of the gun slot)
+    this.meleeSwing = {
+      active: false,
+      time: 0,              // Seconds since the swing started
+      hitPending: false,    // Blade reached the hit point; read by consumeMeleeHit()
+      startShoulder: 0,     // Left arm pose when the swing started
+      startElbow: 0,
+    };
 
     // Space flight animation config
     this.animConfig = {
@@ -72,32 +94,32 @@ export class Zaku {
   createMaterials() {
     return {
       main: new THREE.MeshStandardMaterial({
-        color: ZAKU_COLORS.main,
+        color: this.colors.main,
         roughness: 0.6,
         metalness: 0.4,
       }),
       dark: new THREE.MeshStandardMaterial({
-        color: ZAKU_COLORS.dark,
+        color: this.colors.dark,
         roughness: 0.7,
         metalness: 0.3,
       }),
       light: new THREE.MeshStandardMaterial({
-        color: ZAKU_COLORS.light,
+        color: this.colors.light,
         roughness: 0.5,
         metalness: 0.5,
       }),
       monoeye: new THREE.MeshBasicMaterial({
-        color: ZAKU_COLORS.monoeye,
-        emissive: ZAKU_COLORS.monoeye,
+        color: this.colors.monoeye,
+        emissive: this.colors.monoeye,
         emissiveIntensity: 2,
       }),
       spike: new THREE.MeshStandardMaterial({
-        color: ZAKU_COLORS.spike,
+        color: this.colors.spike,
         roughness: 0.3,
         metalness: 0.8,
       }),
       vernier: new THREE.MeshBasicMaterial({
-        color: ZAKU_COLORS.vernierFlame,
+        color: this.colors.vernierFlame,
         transparent: true,
         opacity: 0.8,
       }),
@@ -206,6 +228,176 @@ export class Zaku {
     return gunGroup;
   }
 
+  /**
+   * Create Zaku Bazooka (280mm)
+   */
+  createBazooka(mats) {
+    const bazookaGroup = new THREE.Group();
+
+    // Launch tube
+    const tubeGeom = new THREE.CylinderGeometry(0.6, 0.6, 9, 12);
+    const tube = new THREE.Mesh(tubeGeom, mats.gunBody);
+    tube.rotation.x = Math.PI / 2;
+    tube.position.set(0, 0.4, 1.5);
+    bazookaGroup.add(tube);
+
+    // Muzzle ring
+    const muzzleGeom = new THREE.CylinderGeometry(0.8, 0.7, 0.6, 12);
+    const muzzle = new THREE.Mesh(muzzleGeom, mats.gunMetal);
+    muzzle.rotation.x = Math.PI / 2;
+    muzzle.position.set(0, 0.4, 6.2);
+    bazookaGroup.add(muzzle);
+
+    // Rear exhaust (flared)
+    const exhaustGeom = new THREE.CylinderGeometry(0.6, 0.9, 1, 12);
+    const exhaust = new THREE.Mesh(exhaustGeom, mats.gunMetal);
+    exhaust.rotation.x = Math.PI / 2;
+    exhaust.position.set(0, 0.4, -3.4);
+    bazookaGroup.add(exhaust);
+
+    // Grip (handle)
+    const gripGeom = new THREE.BoxGeometry(0.5, 1.5, 0.8);
+    const grip = new THREE.Mesh(gripGeom, mats.dark);
+    grip.position.set(0, -0.8, 0);
+    grip.rotation.x = 0.3;
+    bazookaGroup.add(grip);
+
+    // Scope
+    const scopeGeom = new THREE.BoxGeometry(0.4, 0.5, 1.5);
+    const scope = new THREE.Mesh(scopeGeom, mats.gunMetal);
+    scope.position.set(-0.7, 1, 1);
+    bazookaGroup.add(scope);
+
+    // Muzzle flash point (for particle effects)
+    const muzzlePoint = new THREE.Group();
+    muzzlePoint.position.set(0, 0.4, 6.8);
+    muzzlePoint.name = 'muzzlePoint';
+    bazookaGroup.add(muzzlePoint);
+
+    // Muzzle flash light
+    const muzzleFlash = new THREE.PointLight(0xff4400, 0, 15);
+    muzzleFlash.position.copy(muzzlePoint.position);
+    muzzleFlash.name = 'muzzleFlash';
+    bazookaGroup.add(muzzleFlash);
+
+    // Muzzle flash mesh (sprite-like)
+    const flashGeom = new THREE.SphereGeometry(0.9, 8, 8);
+    const flashMat = new THREE.MeshBasicMaterial({
+      color: 0xff6600,
+      transparent: true,
+      opacity: 0,
+    });
+    const flashMesh = new THREE.Mesh(flashGeom, flashMat);
+    flashMesh.position.copy(muzzlePoint.position);
+    flashMesh.name = 'flashMesh';
+    bazookaGroup.add(flashMesh);
+
+    // Set shadows
+    bazookaGroup.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+
+    return bazookaGroup;
+  }
+
+  /**
+   * Create Heat Hawk (heated melee axe)
+   * Grip at the origin, handle along -Y, blade edge facing -Z
+   */
+  createHeatHawk(mats) {
+    const axeGroup = new THREE.Group();
+
+    // Handle
+    const handleGeom = new THREE.CylinderGeometry(0.22, 0.25, 4.5, 8);
+    const handle = new THREE.Mesh(handleGeom, mats.gunBody);
+    handle.position.y = -1.5;
+    axeGroup.add(handle);
+
+    // Pommel
+    const pommelGeom = new THREE.SphereGeometry(0.35, 8, 8);
+    const pommel = new THREE.Mesh(pommelGeom, mats.gunMetal);
+    pommel.position.y = 0.8;
+    axeGroup.add(pommel);
+
+    // Blade mount
+    const mountGeom = new THREE.BoxGeometry(0.5, 1.2, 0.8);
+    const mount = new THREE.Mesh(mountGeom, mats.gunMetal);
+    mount.position.set(0, -3.2, -0.3);
+    axeGroup.add(mount);
+
+    // Heated blade (glow is driven by the swing)
+    const bladeGeom = new THREE.BoxGeometry(0.15, 2.2, 1.8);
+    const bladeMat = new THREE.MeshStandardMaterial({
+      color: 0xff6a00,
+      emissive: 0xff3300,
+      emissiveIntensity: 1,
+      roughness: 0.3,
+      metalness: 0.6,
+    });
+    const blade = new THREE.Mesh(bladeGeom, bladeMat);
+    blade.position.set(0, -3.2, -1.5);
+    blade.name = 'blade';
+    axeGroup.add(blade);
+
+    // Blade glow light
+    const glow = new THREE.PointLight(0xff5500, 0, 15);
+    glow.position.copy(blade.position);
+    glow.name = 'bladeGlow';
+    axeGroup.add(glow);
+
+    axeGroup.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+      }
+    });
+
+    return axeGroup;
+  }
+
+  /**
+   * Hang the Heat Hawk on the waist
+   */
+  holsterHeatHawk() {
+    const axe = this.parts.heatHawk;
+    this.parts.waist.add(axe);
+    axe.position.set(2.4, -0.2, -0.6);
+    axe.rotation.set(0.2, 0, 0.25);
+  }
+
+  /**
+   * Put the Heat Hawk in the left hand
+   */
+  drawHeatHawk() {
+    const axe = this.parts.heatHawk;
+    this.parts.leftHand.add(axe);
+    axe.position.set(0, -0.3, 0);
+    axe.rotation.set(0, 0, 0);
+  }
+
+  /**
+   * Get the mesh group of the active weapon
+   */
+  getActiveWeaponPart() {
+    return this.parts[this.currentModel];
+  }
+
+  /**
+   * Switch the weapon held in the right hand
+   * @param {Weapon} weapon - Weapon instance; its model picks the mesh
+   */
+  setWeapon(weapon) {
+    if (!this.parts[weapon.model]) return;
+
+    this.parts[this.currentModel].visible = false;
+    this.weapon = weapon;
+    this.currentModel = weapon.model;
+    this.muzzleEffect = MUZZLE_EFFECTS[weapon.muzzleEffect];
+    this.parts[weapon.model].visible = true;
+  }
+
   /**
    * Create muzzle flash particles
    */
@@ -234,34 +426,36 @@ export class Zaku {
   }
 
   /**
-   * Fire weapon - create muzzle flash, particles and bullet
+   * Fire weapon - create muzzle flash, particles and projectile
+   * Rate of fire and fire mode are handled by the Weapon instance
+   * @param {THREE.Vector3} [aimPoint] - World point to shoot at (defaults to muzzle direction)
+   * @param {object} [homingTarget] - Locked target for homing projectiles to steer towards
+   * @param {number} [damageMultiplier] - Charge bonus of this shot
    */
-  fire() {
-    const now = Date.now();
-    if (now - this.lastFireTime < this.fireRate) return false;
-    this.lastFireTime = now;
+  fire(aimPoint = null, homingTarget = null, damageMultiplier = 1) {
+    if (!this.weapon) return false;
 
     // Get muzzle flash components
-    const muzzleFlash = this.parts.machineGun.getObjectByName('muzzleFlash');
-    const flashMesh = this.parts.machineGun.getObjectByName('flashMesh');
+    const weaponPart = this.getActiveWeaponPart();
+    const muzzleFlash = weaponPart.getObjectByName('muzzleFlash');
+    const flashMesh = weaponPart.getObjectByName('flashMesh');
 
     if (muzzleFlash) {
-      muzzleFlash.intensity = 3;
+      muzzleFlash.intensity = this.muzzleEffect.light;
     }
 
     if (flashMesh) {
-      flashMesh.material.opacity = 0.9;
+      flashMesh.material.opacity = this.muzzleEffect.flashOpacity;
       flashMesh.scale.setScalar(1 + Math.random() * 0.5);
     }
 
-    // Spawn bullet projectile
-    this.spawnBullet();
+    // Spawn projectile for the active weapon
+    this.spawnProjectile(aimPoint, homingTarget, damageMultiplier);
 
     // Spawn particles
-    this.spawnMuzzleParticles();
-
-    // Play sound
-    this.playFireSound();
+    for (let i = 0; i < this.muzzleEffect.particles; i++) {
+      this.spawnMuzzleParticles();
+    }
 
     // Add recoil animation
     this.applyRecoil();
@@ -271,56 +465,179 @@ export class Zaku {
   }
 
   /**
-   * Create a bullet mesh
+   * Create the shared geometry and material of a tracer style
+   * @param {string} color - Tracer color
+   * @param {number} size - Tracer radius; length is 10x
    */
-  createBulletMesh() {
-    const geometry = new THREE.CylinderGeometry(0.1, 0.1, 1, 6);
-    const material = new THREE.MeshBasicMaterial({
-      color: 0xffff00,
-      emissive: 0xffff00,
-    });
-    const bullet = new THREE.Mesh(geometry, material);
-    bullet.rotation.x = Math.PI / 2; // Point forward
-    return bullet;
+  createTracerAssets(color, size) {
+    return {
+      geometry: new THREE.CylinderGeometry(size, size, size * 10, 6),
+      material: new THREE.MeshBasicMaterial({ color }),
+    };
   }
 
   /**
-   * Spawn a bullet from muzzle point
+   * Create a tracer mesh (points along +Z)
    */
-  spawnBullet() {
-    const muzzlePoint = this.parts.machineGun.getObjectByName('muzzlePoint');
-    if (!muzzlePoint) return;
+  createTracerMesh(assets) {
+    const tracer = new THREE.Group();
+
+    const streak = new THREE.Mesh(assets.geometry, assets.material);
+    streak.rotation.x = Math.PI / 2;
+    tracer.add(streak);
+
+    return tracer;
+  }
 
-    // Get world position and direction of muzzle
+  /**
+   * Create the shared geometries and materials of a rocket style
+   * @param {string} color - Exhaust flame color
+   */
+  createRocketAssets(color) {
+    return {
+      bodyGeom: new THREE.CylinderGeometry(0.35, 0.35, 2, 8),
+      bodyMat: new THREE.MeshBasicMaterial({ color: 0x555544 }),
+      noseGeom: new THREE.ConeGeometry(0.35, 0.8, 8),
+      noseMat: new THREE.MeshBasicMaterial({ color: 0x886622 }),
+      flameGeom: new THREE.ConeGeometry(0.3, 1.5, 8),
+      flameMat: new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.8,
+      }),
+    };
+  }
+
+  /**
+   * Create a rocket mesh (points along +Z)
+   * @param {number} size - Body radius
+   */
+  createRocketMesh(assets, size) {
+    const rocket = new THREE.Group();
+    rocket.scale.setScalar(size / 0.35);
+
+    // Rocket body
+    const body = new THREE.Mesh(assets.bodyGeom, assets.bodyMat);
+    body.rotation.x = Math.PI / 2;
+    rocket.add(body);
+
+    // Warhead
+    const nose = new THREE.Mesh(assets.noseGeom, assets.noseMat);
+    nose.rotation.x = Math.PI / 2;
+    nose.position.z = 1.4;
+    rocket.add(nose);
+
+    // Exhaust flame
+    const flame = new THREE.Mesh(assets.flameGeom, assets.flameMat);
+    flame.rotation.x = -Math.PI / 2;
+    flame.position.z = -1.75;
+    rocket.add(flame);
+
+    return rocket;
+  }
+
+  /**
+   * Get the projectile pool for a weapon's look, creating it on first use
+   * Weapons with the same projectile type, color and size share a pool
+   */
+  getProjectilePool(weapon) {
+    const { type, size } = weapon.projectile;
+    const key = `${type}:${weapon.tracerColor}:${size}`;
+
+    if (!this.projectilePools[key]) {
+      const isRocket = type === 'rocket';
+      const assets = isRocket
+        ? this.createRocketAssets(weapon.tracerColor)
+        : this.createTracerAssets(weapon.tracerColor, size);
+
+      this.projectilePools[key] = {
+        assets,
+        pool: new ObjectPool({
+          name: `${type} ${weapon.tracerColor}`,
+          create: () => (isRocket ? this.createRocketMesh(assets, size) : this.createTracerMesh(assets)),
+          capacity: isRocket ? POOLS.rocket : POOLS.tracer,
+        }),
+      };
+    }
+
+    return this.projectilePools[key].pool;
+  }
+
+  /**
+   * Get world position of a muzzle and the firing direction
+   * Aims at aimPoint when given, otherwise straight out of the barrel
+   */
+  getMuzzleRay(muzzlePoint, aimPoint) {
     const startPos = new THREE.Vector3();
     muzzlePoint.getWorldPosition(startPos);
 
     const direction = new THREE.Vector3(0, 0, 1);
-    muzzlePoint.getWorldDirection(direction);
+    if (aimPoint && aimPoint.distanceToSquared(startPos) > 1) {
+      direction.subVectors(aimPoint, startPos).normalize();
+    } else {
+      muzzlePoint.getWorldDirection(direction);
+    }
+
+    return { startPos, direction };
+  }
+
+  /**
+   * Turn a direction by a random angle of up to spread radians
+   */
+  applySpread(direction, spread) {
+    if (spread <= 0) return direction;
+
+    const axis = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+      .cross(direction);
+    if (axis.lengthSq() < 1e-8) return direction;
+
+    return direction.applyAxisAngle(axis.normalize(), Math.random() * spread);
+  }
+
+  /**
+   * Spawn a projectile of the active weapon from its muzzle point
+   * @param {object} [homingTarget] - Target handle with getPosition() and isAlive()
+   */
+  spawnProjectile(aimPoint = null, homingTarget = null, damageMultiplier = 1) {
+    const { projectile } = this.weapon;
+    const muzzlePoint = this.getActiveWeaponPart().getObjectByName('muzzlePoint');
+    if (!muzzlePoint) return;
+
+    // Get world position and firing direction
+    const { startPos, direction } = this.getMuzzleRay(muzzlePoint, aimPoint);
+    this.applySpread(direction, projectile.spread);
 
-    // Create bullet
-    const bullet = this.createBulletMesh();
-    bullet.position.copy(startPos);
-    bullet.lookAt(startPos.clone().add(direction));
+    // Take a projectile mesh (none when too many are in flight)
+    const pool = this.getProjectilePool(this.weapon);
+    const mesh = pool.acquire();
+    if (!mesh) return;
 
-    // Store bullet data
-    bullet.userData = {
+    mesh.position.copy(startPos);
+    mesh.lookAt(startPos.clone().add(direction));
+
+    // Store projectile data
+    mesh.userData = {
+      type: projectile.type,
+      pool,
       startPosition: startPos.clone(),
       direction: direction.normalize(),
       distanceTraveled: 0,
-      maxDistance: this.bulletRange,
-      damage: this.bulletDamage,
-      speed: this.bulletSpeed,
+      maxDistance: projectile.range,
+      damage: this.weapon.damage * damageMultiplier,
+      speed: projectile.speed,
+      explosionRadius: this.weapon.splashRadius,
+      homingTarget: projectile.homingTurnRate > 0 ? homingTarget : null,
+      homingTurnRate: projectile.homingTurnRate,
     };
 
-    this.bullets.push(bullet);
+    this.bullets.push(mesh);
 
-    // Add bullet to scene
+    // Add projectile to scene
     if (this.bulletScene) {
-      this.bulletScene.add(bullet);
+      this.bulletScene.add(mesh);
     }
 
-    return bullet;
+    return mesh;
   }
 
   /**
@@ -331,25 +648,50 @@ export class Zaku {
       const bullet = this.bullets[i];
       const moveDistance = bullet.userData.speed * deltaTime;
 
+      // Homing projectiles turn towards their target at a limited rate
+      const { homingTarget, homingTurnRate } = bullet.userData;
+      if (homingTarget && homingTarget.isAlive()) {
+        this.steerProjectile(bullet, homingTarget.getPosition(), homingTurnRate * deltaTime);
+      }
+
       // Move bullet
-      bullet.position.add(
-        bullet.userData.direction.clone().multiplyScalar(moveDistance)
-      );
+      bullet.position.addScaledVector(bullet.userData.direction, moveDistance);
       bullet.userData.distanceTraveled += moveDistance;
 
       // Check if bullet exceeded range
       if (bullet.userData.distanceTraveled >= bullet.userData.maxDistance) {
-        // Remove bullet
-        if (bullet.parent) {
-          bullet.parent.remove(bullet);
-        }
-        bullet.geometry.dispose();
-        bullet.material.dispose();
-        this.bullets.splice(i, 1);
+        this.removeBullet(i);
       }
     }
   }
 
+  /**
+   * Rotate a projectile's direction towards a point by at most maxAngle radians
+   */
+  steerProjectile(projectile, point, maxAngle) {
+    const { direction } = projectile.userData;
+    const desired = point.sub(projectile.position).normalize();
+    const angle = direction.angleTo(desired);
+    if (angle < 1e-4) return;
+
+    const axis = new THREE.Vector3().crossVectors(direction, desired);
+    if (axis.lengthSq() < 1e-8) return;
+
+    direction.applyAxisAngle(axis.normalize(), Math.min(angle, maxAngle));
+    projectile.lookAt(projectile.position.clone().add(direction));
+  }
+
+  /**
+   * Remove a projectile from the scene and return it to its pool
+   */
+  removeBullet(index) {
+    const bullet = this.bullets[index];
+    if (!bullet) return;
+
+    bullet.userData.pool.release(bullet);
+    this.bullets.splice(index, 1);
+  }
+
   /**
    * Add bullets to scene
    */
@@ -368,7 +710,8 @@ export class Zaku {
    * Spawn muzzle particles
    */
   spawnMuzzleParticles() {
-    const muzzlePoint = this.parts.machineGun.getObjectByName('muzzlePoint');
+    const weaponPart = this.getActiveWeaponPart();
+    const muzzlePoint = weaponPart.getObjectByName('muzzlePoint');
     if (!muzzlePoint) return;
 
     // Get world position of muzzle
@@ -391,7 +734,7 @@ export class Zaku {
           (Math.random() - 0.5) * spread,
           Math.random() * 2 + 1
         );
-        particle.userData.velocity.applyQuaternion(this.parts.machineGun.getWorldQuaternion(new THREE.Quaternion()));
+        particle.userData.velocity.applyQuaternion(weaponPart.getWorldQuaternion(new THREE.Quaternion()));
 
         particle.userData.life = 0.3 + Math.random() * 0.2;
         particle.userData.maxLife = particle.userData.life;
@@ -434,8 +777,9 @@ export class Zaku {
     }
 
     // Fade muzzle flash
-    const muzzleFlash = this.parts.machineGun.getObjectByName('muzzleFlash');
-    const flashMesh = this.parts.machineGun.getObjectByName('flashMesh');
+    const weaponPart = this.getActiveWeaponPart();
+    const muzzleFlash = weaponPart.getObjectByName('muzzleFlash');
+    const flashMesh = weaponPart.getObjectByName('flashMesh');
 
     if (muzzleFlash && muzzleFlash.intensity > 0) {
       muzzleFlash.intensity *= 0.8;
@@ -452,64 +796,14 @@ export class Zaku {
    * Apply recoil animation
    */
   applyRecoil() {
-    // Small backward kick to the gun
-    if (this.parts.machineGun) {
-      this.parts.machineGun.position.z -= 0.1;
+    // Backward kick to the weapon (strength from the muzzle effect)
+    const weaponPart = this.getActiveWeaponPart();
+    if (weaponPart) {
+      weaponPart.position.z -= this.muzzleEffect.recoil;
       // Will be restored in update
     }
   }
 
-  /**
-   * Play firing sound using Web Audio API
-   */
-  playFireSound() {
-    try {
-      const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-
-      // Create noise for gunshot
-      const bufferSize = audioCtx.sampleRate * 0.1; // 0.1 second
-      const buffer = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
-      const data = buffer.getChannelData(0);
-
-      // Generate noise with decay
-      for (let i = 0; i < bufferSize; i++) {
-        const t = i / bufferSize;
-        data[i] = (Math.random() * 2 - 1) * Math.exp(-t * 20);
-      }
-
-      const noise = audioCtx.createBufferSource();
-      noise.buffer = buffer;
-
-      // Low-pass filter for bass punch
-      const lowpass = audioCtx.createBiquadFilter();
-      lowpass.type = 'lowpass';
-      lowpass.frequency.value = 1000;
-
-      // High-pass for crack
-      const highpass = audioCtx.createBiquadFilter();
-      highpass.type = 'highpass';
-      highpass.frequency.value = 100;
-
-      // Gain for volume
-      const gain = audioCtx.createGain();
-      gain.gain.value = 0.3;
-
-      // Connect
-      noise.connect(lowpass);
-      lowpass.connect(highpass);
-      highpass.connect(gain);
-      gain.connect(audioCtx.destination);
-
-      noise.start();
-      noise.stop(audioCtx.currentTime + 0.1);
-
-      // Cleanup
-      setTimeout(() => audioCtx.close(), 200);
-    } catch (e) {
-      // Audio not supported or blocked
-    }
-  }
-
   /**
    * Add particles to scene
    */
@@ -568,7 +862,7 @@ export class Zaku {
     // Monoeye glow (larger, transparent)
     const glowGeom = new THREE.SphereGeometry(0.5, 12, 12);
     const glowMat = new THREE.MeshBasicMaterial({
-      color: ZAKU_COLORS.monoeyeGlow,
+      color: this.colors.monoeyeGlow,
       transparent: true,
       opacity: 0.3,
     });
@@ -669,6 +963,19 @@ export class Zaku {
     this.parts.machineGun.rotation.x = 0;                // Gun pointing 45 degrees down (along arm direction)
     this.parts.rightHand.add(this.parts.machineGun);
 
+    // ============================================
+    // BAZOOKA (attached to right hand, hidden until selected)
+    // ============================================
+    this.parts.bazooka = this.createBazooka(mats);
+    this.parts.bazooka.position.set(0, 0, 1.5);
+    this.parts.bazooka.visible = false;
+    this.parts.rightHand.add(this.parts.bazooka);
+
+    // ============================================
+    // HEAT HAWK (on the waist, drawn into the left hand for a swing)
+    // ============================================
+    this.parts.heatHawk = this.createHeatHawk(mats);
+
     // ============================================
     // SET SHOOTING POSE FOR ARMS (90 degrees down, gun facing front)
     // ============================================
@@ -692,6 +999,7 @@ export class Zaku {
     this.parts.waist.position.y = -3;
     this.parts.waist.castShadow = true;
     this.parts.torso.add(this.parts.waist);
+    this.holsterHeatHawk();
 
     // Skirt armor
     const skirtGeom = new THREE.ConeGeometry(3, 2, 6);
@@ -858,6 +1166,37 @@ export class Zaku {
     scene.remove(this.group);
   }
 
+  /**
+   * Remove model, muzzle particles and projectiles and free their resources
+   */
+  dispose() {
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      this.removeBullet(i);
+    }
+
+    // Projectile pools and their shared geometries and materials
+    Object.values(this.projectilePools).forEach(({ pool, assets }) => {
+      pool.dispose();
+      Object.values(assets).forEach(asset => asset.dispose());
+    });
+    this.projectilePools = {};
+
+    this.muzzleParticles.forEach(particle => {
+      if (particle.parent) particle.parent.remove(particle);
+      particle.geometry.dispose();
+      particle.material.dispose();
+    });
+    this.muzzleParticles = [];
+
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+    this.group.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
   /**
    * Set position
    */
@@ -908,7 +1247,7 @@ export class Zaku {
     }
 
     // Calculate speed
-    const speed = this.isBoosting ? MOVEMENT.boostSpeed : MOVEMENT.normalSpeed;
+    const speed = (this.isBoosting ? MOVEMENT.boostSpeed : MOVEMENT.normalSpeed) * this.speedMultiplier;
     const inertia = this.isBoosting ? MOVEMENT.boostInertia : MOVEMENT.inertia;
 
     // Handle rotation (yaw)
@@ -934,10 +1273,9 @@ export class Zaku {
     this.group.rotation.set(this.pitch, this.currentRotation, this.roll);
 
     // Calculate target velocity in local space
+    // Analog input keeps its magnitude; combined directions are capped at full speed
     const targetVelocity = new THREE.Vector3(moveX, moveY, moveZ);
-    if (targetVelocity.length() > 0) {
-      targetVelocity.normalize().multiplyScalar(speed);
-    }
+    targetVelocity.clampLength(0, 1).multiplyScalar(speed);
 
     // Transform to world space
     targetVelocity.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.currentRotation);
@@ -1048,6 +1386,111 @@ export class Zaku {
       this.parts.leftKnee.rotation.x = lerp(this.parts.leftKnee.rotation.x, 0.1, deltaTime * 2);
       this.parts.rightKnee.rotation.x = lerp(this.parts.rightKnee.rotation.x, 0.1, deltaTime * 2);
     }
+
+    // Melee swing is layered over the flight pose
+    this.updateMeleeSwing(deltaTime);
+  }
+
+  // ============================================
+  // MELEE (Heat Hawk)
+  // ============================================
+
+  /**
+   * Start a Heat Hawk swing
+   * Swing rate is enforced by DamageSystem.tryFire()
+   * @returns {boolean} False if a swing is already in progress
+   */
+  startMeleeSwing() {
+    const swing = this.meleeSwing;
+    if (swing.active) return false;
+
+    swing.active = true;
+    swing.time = 0;
+    swing.hitPending = false;
+    swing.startShoulder = this.parts.leftShoulder.rotation.x;
+    swing.startElbow = this.parts.leftElbow.rotation.x;
+
+    this.drawHeatHawk();
+    return true;
+  }
+
+  /**
+   * Check if a swing is in progress
+   */
+  isSwinging() {
+    return this.meleeSwing.active;
+  }
+
+  /**
+   * Check (once) whether the blade reached its hit point this frame
+   */
+  consumeMeleeHit() {
+    if (!this.meleeSwing.hitPending) return false;
+    this.meleeSwing.hitPending = false;
+    return true;
+  }
+
+  /**
+   * Get the swing's hit volume: a cone in front of the Zaku
+   * The model faces -Z, the opposite of the group's world direction
+   * @returns {{origin: THREE.Vector3, forward: THREE.Vector3, range: number, arc: number}}
+   */
+  getMeleeArc() {
+    return {
+      origin: this.getBoundingSphere().center,
+      forward: this.group.getWorldDirection(new THREE.Vector3()).negate(),
+      range: MELEE.heatHawk.range,
+      arc: MELEE.heatHawk.arc,
+    };
+  }
+
+  /**
+   * Drive the left arm and blade glow through the swing
+   * Windup overhead, accelerating chop, then the base pose takes the arm back
+   */
+  updateMeleeSwing(deltaTime) {
+    const swing = this.meleeSwing;
+    if (!swing.active) return;
+
+    const weapon = MELEE.heatHawk;
+    const previous = swing.time / weapon.swingTime;
+    swing.time += deltaTime;
+    const progress = Math.min(1, swing.time / weapon.swingTime);
+
+    if (previous < weapon.hitTime && progress >= weapon.hitTime) {
+      swing.hitPending = true;
+    }
+
+    const windupEnd = 0.35;
+    const strikeEnd = 0.55;
+    const shoulder = this.parts.leftShoulder.rotation;
+    const elbow = this.parts.leftElbow.rotation;
+
+    if (progress < windupEnd) {
+      // Raise the axe over the head
+      const k = easeInOutCubic(progress / windupEnd);
+      shoulder.x = lerp(swing.startShoulder, -2.8, k);
+      shoulder.z = lerp(0, -0.3, k);
+      elbow.x = lerp(swing.startElbow, -1.0, k);
+    } else if (progress < strikeEnd) {
+      // Chop down and forward
+      const k = Math.pow((progress - windupEnd) / (strikeEnd - windupEnd), 2);
+      shoulder.x = lerp(-2.8, -1.0, k);
+      shoulder.z = -0.3;
+      elbow.x = lerp(-1.0, 0, k);
+    }
+
+    // Blade heats up through the swing
+    const heat = Math.sin(progress * Math.PI);
+    const blade = this.parts.heatHawk.getObjectByName('blade');
+    const glow = this.parts.heatHawk.getObjectByName('bladeGlow');
+    blade.material.emissiveIntensity = 1 + heat * 3;
+    glow.intensity = heat * 8;
+
+    if (progress >= 1) {
+      swing.active = false;
+      this.holsterHeatHawk();
+    }
   }
 
   /**
@@ -1058,12 +1501,13 @@ export class Zaku {
     this.updateMuzzleParticles(deltaTime);
     this.updateBullets(deltaTime);
 
-    // Restore gun position after recoil
-    if (this.parts.machineGun) {
-      this.parts.machineGun.position.z = THREE.MathUtils.lerp(
-        this.parts.machineGun.position.z,
+    // Restore weapon position after recoil
+    const weaponPart = this.getActiveWeaponPart();
+    if (weaponPart) {
+      weaponPart.position.z = THREE.MathUtils.lerp(
+        weaponPart.position.z,
         1.5, // Original position
-        deltaTime * 20
+        deltaTime * this.muzzleEffect.recoilRecovery
       );
     }
   }
@@ -1075,6 +1519,68 @@ export class Zaku {
     return (this.boostEnergy / this.maxBoostEnergy) * 100;
   }
 
+  /**
+   * Take damage
+   * @param {number} amount - HP to remove
+   * @param {string} source - What dealt the damage ('collision', 'enemy', ...)
+   * @returns {object|null} Damage result, null if already destroyed
+   */
+  takeDamage(amount, source = 'unknown') {
+    if (this.isDestroyed() || amount <= 0) return null;
+
+    this.health = Math.max(0, this.health - amount);
+    this.lastDamageSource = source;
+
+    return {
+      damage: amount,
+      health: this.health,
+      destroyed: this.health <= 0,
+    };
+  }
+
+  /**
+   * Check if the Zaku has been destroyed
+   */
+  isDestroyed() {
+    return this.health <= 0;
+  }
+
+  /**
+   * Get health percentage (0-100)
+   */
+  getHealthPercentage() {
+    return (this.health / this.maxHealth) * 100;
+  }
+
+  /**
+   * Bounce off a surface
+   * @param {THREE.Vector3} normal - Surface normal (pointing away from the surface)
+   * @param {number} penetration - Overlap depth to push out
+   * @param {THREE.Vector3} [surfaceVelocity] - Velocity of the surface (spinning hull, debris chunk)
+   * @returns {number} Impact speed relative to the surface: the approach plus the slide
+   *   friction takes off (0 if already moving away)
+   */
+  bounceOff(normal, penetration, surfaceVelocity = null) {
+    // Push out of the surface
+    this.group.position.addScaledVector(normal, penetration);
+
+    // Work in the surface's frame (the spinning hull sweeps past the suit)
+    const relative = this.velocity.clone();
+    if (surfaceVelocity) relative.sub(surfaceVelocity);
+
+    const approachSpeed = -relative.dot(normal);
+    if (approachSpeed <= 0) return 0;
+
+    // Reflect the normal component of velocity
+    this.velocity.addScaledVector(normal, approachSpeed * (1 + COLLISION.bounce));
+
+    // Friction drags the suit along with the surface
+    const slide = relative.addScaledVector(normal, approachSpeed);
+    this.velocity.addScaledVector(slide, -COLLISION.grip);
+
+    return Math.hypot(approachSpeed, slide.length() * COLLISION.grip);
+  }
+
   /**
    * Get bounding sphere for collision detection
    */
@@ -34,8 +34,15 @@ document.addEventListener('DOMContentLoaded', () => {
   console.log('  WASD - Move');
   console.log('  Q/E - Rotate');
   console.log('  Space - Ascend');
-  console.log('  Shift - Descend');
-  console.log('  Ctrl - Boost');
+  console.log('  Shift/C - Descend');
+  console.log('  Ctrl/F - Boost');
   console.log('  Mouse - Aim');
   console.log('  Left Click - Fire');
+  console.log('  1/2 - Switch weapon');
+  console.log('  G - Heat Hawk');
+  console.log('  R - Reload');
+  console.log('  T - Reset position');
+  console.log('  Esc - Pause');
+  console.log('  Gamepad - Left stick move, right stick aim, RT fire, LT boost');
+  console.log('Keys can be rebound in Settings > Controls');
 });
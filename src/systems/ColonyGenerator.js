@@ -0,0 +1,186 @@
+/**
+ * Colony Generator
+ * Builds a colony layout from a seed: type, size and where every section
+ * goes. The same seed always gives the same layout (daily challenges, bug
+ * reports); Colony turns the layout into meshes.
+ *
+ * Positions are in colony space: x along the axis, angles around it with
+ * y = sin(angle), z = cos(angle).
+ */
+
+import { COLONY_TYPES } from '../utils/Constants.js';
+import { createRandom } from '../utils/MathUtils.js';
+
+/**
+ * New random seed (short, so it's easy to share)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * Seed shared by every player on a day (UTC)
+ */
+export function getDailySeed(date = new Date()) {
+  return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Generate a colony layout
+ * @param {string} [seed]
+ * @param {string} [type] - Force a type from COLONY_TYPES (otherwise the seed picks)
+ * @returns {object} Layout: {seed, type, length, radius, windows, mirrors, docks, towers, hullSections, turrets}
+ */
+export function generateColonyLayout(seed = randomSeed(), type = null) {
+  seed = String(seed);
+  const random = createRandom(seed);
+
+  // Always draw the type so a forced type doesn't shift the rest of the sequence
+  const picked = random.pick(Object.keys(COLONY_TYPES));
+  if (type && !COLONY_TYPES[type]) {
+    console.warn(`[ColonyGenerator] Unknown colony type "${type}", using "${picked}"`);
+    type = null;
+  }
+  type = type ?? picked;
+
+  const spec = COLONY_TYPES[type];
+  const layout = {
+    seed,
+    type,
+    length: Math.round(random.range(...spec.length)),
+    radius: Math.round(random.range(...spec.radius)),
+    windows: [],
+    mirrors: [],
+    docks: [],
+    towers: [],
+    hullSections: [],
+    turrets: [],
+  };
+
+  addWindows(layout, spec, random);
+  addMirrors(layout, spec, random);
+  addDocks(layout, spec, random);
+  addTowers(layout, spec, random);
+  addHullSections(layout, spec, random);
+  addTurrets(layout, spec, random);
+
+  return layout;
+}
+
+/**
+ * Window strips along the hull, and scattered viewports
+ */
+function addWindows(layout, spec, random) {
+  const { length, radius } = layout;
+
+  for (let strip = 0; strip < spec.windowStrips; strip++) {
+    const angle = (strip / spec.windowStrips) * Math.PI * 2 + Math.PI / 6;
+    const count = random.int(...spec.windowsPerStrip);
+    const spacing = length * 0.8 / count;
+
+    for (let i = 0; i < count; i++) {
+      layout.windows.push({
+        x: (i - count / 2 + 0.5) * spacing,
+        angle,
+        width: spacing,
+        height: radius * 0.3,
+      });
+    }
+  }
+
+  const viewports = random.int(...spec.viewports);
+  for (let i = 0; i < viewports; i++) {
+    layout.windows.push({
+      x: random.range(-0.4, 0.4) * length,
+      angle: random.range(0, Math.PI * 2),
+      width: 12,
+      height: 6,
+    });
+  }
+}
+
+/**
+ * Mirrors (solar panels on arms), between the window strips when there are any
+ */
+function addMirrors(layout, spec, random) {
+  const count = random.int(...spec.mirrors);
+  const offset = spec.windowStrips > 0
+    ? Math.PI / 6 + Math.PI / spec.windowStrips
+    : random.range(0, Math.PI * 2);
+
+  for (let i = 0; i < count; i++) {
+    const x = spec.mirrorCluster
+      ? -0.4 * layout.length
+      : (i % 2 === 0 ? 1 : -1) * random.range(0.25, 0.35) * layout.length;
+
+    layout.mirrors.push({
+      x,
+      angle: offset + (i / count) * Math.PI * 2,
+      width: Math.round(random.range(...spec.mirrorWidth)),
+      height: 20,
+    });
+  }
+}
+
+/**
+ * Docking bays on one or both end caps (end: 1 = front, -1 = back)
+ */
+function addDocks(layout, spec, random) {
+  const count = random.int(...spec.docks);
+  const ends = count >= 2 ? [1, -1] : [random.pick([1, -1])];
+
+  ends.forEach(end => layout.docks.push({ end }));
+}
+
+/**
+ * Control towers on the hull (cap 0) or standing off an end cap (cap +-1)
+ */
+function addTowers(layout, spec, random) {
+  const count = random.int(...spec.towers);
+
+  for (let i = 0; i < count; i++) {
+    const cap = spec.towerPlacement === 'cap' ? random.pick([1, -1]) : 0;
+
+    layout.towers.push({
+      cap,
+      x: cap === 0 ? random.range(-0.35, 0.35) * layout.length : cap * layout.length / 2,
+      angle: (i / count) * Math.PI * 2 + random.range(0, Math.PI / 2),
+    });
+  }
+}
+
+/**
+ * Rings of destructible hull sections (ring/slot drive the connectivity graph)
+ */
+function addHullSections(layout, spec, random) {
+  const rings = random.int(...spec.hullRings);
+  const spacing = layout.length * 0.8 / rings;
+  const width = Math.min(layout.length * 0.15, spacing * 0.8);
+  const offset = random.range(0, Math.PI * 2);
+
+  for (let ring = 0; ring < rings; ring++) {
+    for (let slot = 0; slot < spec.hullPerRing; slot++) {
+      layout.hullSections.push({
+        ring,
+        slot,
+        x: (ring - (rings - 1) / 2) * spacing,
+        angle: offset + (slot / spec.hullPerRing) * Math.PI * 2,
+        width,
+      });
+    }
+  }
+}
+
+/**
+ * Anti-aircraft turrets spread around the hull
+ */
+function addTurrets(layout, spec, random) {
+  const count = random.int(...spec.turrets);
+
+  for (let i = 0; i < count; i++) {
+    layout.turrets.push({
+      x: random.range(-0.4, 0.4) * layout.length,
+      angle: (i / count) * Math.PI * 2 + random.range(-0.2, 0.2),
+    });
+  }
+}
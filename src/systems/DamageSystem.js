@@ -0,0 +1,462 @@
+/**
+ * Damage System
+ * Single damage pipeline for every weapon: rate of fire, aiming,
+ * projectile hit resolution, splash damage, score recording and effects
+ */
+
+import * as THREE from 'three';
+import { FRACTURE } from '../utils/Constants.js';
+import { t } from '../utils/Strings.js';
+
+// Distance of the aim point when the crosshair is over empty space
+const DEFAULT_AIM_DISTANCE = 200;
+
+export class DamageSystem {
+  /**
+   * @param {object} deps
+   * @param {ScoreSystem} deps.scoreSystem
+   * @param {ParticleSystem} deps.particleSystem
+   * @param {DebrisSystem} deps.debrisSystem
+   * @param {AudioManager} deps.audioManager
+   * @param {CameraController} deps.cameraController
+   * @param {HUD} deps.hud
+   */
+  constructor({ scoreSystem, particleSystem, debrisSystem, audioManager, cameraController, hud }) {
+    this.scoreSystem = scoreSystem;
+    this.particleSystem = particleSystem;
+    this.debrisSystem = debrisSystem;
+    this.audioManager = audioManager;
+    this.cameraController = cameraController;
+    this.hud = hud;
+
+    // Damage targets (colony and escort are recreated on restart)
+    this.colony = null;
+    this.enemySystem = null;
+    this.escort = null;
+
+    // Rate of fire: ms until each weapon may fire again
+    this.cooldowns = {};
+
+    // Raycasters
+    this.aimRaycaster = new THREE.Raycaster();
+    this.projectileRaycaster = new THREE.Raycaster();
+    this.projectileRay = new THREE.Ray();
+  }
+
+  /**
+   * Set the colony that receives damage
+   */
+  setColony(colony) {
+    this.colony = colony;
+  }
+
+  /**
+   * Set the Musai escorted in this mission (null for none)
+   */
+  setEscort(escort) {
+    this.escort = escort;
+  }
+
+  /**
+   * Set the enemy system whose enemies receive damage
+   */
+  setEnemySystem(enemySystem) {
+    this.enemySystem = enemySystem;
+  }
+
+  /**
+   * Get every mesh a player projectile can hit
+   */
+  getHitTargets() {
+    const targets = this.colony ? this.colony.getHitTargets() : [];
+    if (this.enemySystem) {
+      targets.push(...this.enemySystem.getHitTargets());
+    }
+    return targets;
+  }
+
+  /**
+   * Update weapon cooldowns
+   */
+  update(deltaTime) {
+    for (const key in this.cooldowns) {
+      this.cooldowns[key] = Math.max(0, this.cooldowns[key] - deltaTime * 1000);
+    }
+  }
+
+  /**
+   * Check rate of fire and register a shot
+   * Guns run their own fire modes (see Weapon); this gates melee swings
+   * @param {string} weaponKey - Weapon id
+   * @param {number} fireRate - ms until the weapon may fire again
+   * @returns {boolean} True if the weapon may fire now
+   */
+  tryFire(weaponKey, fireRate) {
+    if (this.cooldowns[weaponKey] > 0) return false;
+
+    this.cooldowns[weaponKey] = fireRate;
+
+    this.recordShot();
+    return true;
+  }
+
+  /**
+   * Register a shot for accuracy
+   */
+  recordShot() {
+    // Counted as a miss until a projectile reports a hit
+    this.scoreSystem.recordShot(false);
+  }
+
+  /**
+   * Resolve where the crosshair is pointing
+   * @param {THREE.Camera} camera
+   * @param {number} [fallbackDistance] - Range of the aim point when nothing is under the crosshair
+   * @returns {{point: THREE.Vector3, onTarget: boolean}}
+   */
+  resolveAim(camera, fallbackDistance = DEFAULT_AIM_DISTANCE) {
+    this.aimRaycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+
+    const intersects = this.aimRaycaster.intersectObjects(this.getHitTargets(), true);
+
+    if (intersects.length > 0) {
+      return { point: intersects[0].point.clone(), onTarget: true };
+    }
+
+    const point = this.aimRaycaster.ray.at(fallbackDistance, new THREE.Vector3());
+    return { point, onTarget: false };
+  }
+
+  /**
+   * Move-ahead raycast for every projectile of an owner, applying hits
+   * @param {Zaku} owner - Projectile owner (getBullets/removeBullet)
+   */
+  resolveProjectiles(owner, deltaTime) {
+    if (!this.colony) return;
+
+    const projectiles = owner.getBullets();
+    const targets = this.getHitTargets();
+
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const projectile = projectiles[i];
+      const data = projectile.userData;
+
+      this.projectileRaycaster.set(projectile.position, data.direction);
+      this.projectileRaycaster.near = 0;
+      this.projectileRaycaster.far = data.speed * deltaTime * 2; // Check slightly ahead
+
+      const intersects = this.projectileRaycaster.intersectObjects(targets, true);
+
+      if (intersects.length > 0) {
+        this.applyProjectileHit(data, intersects[0]);
+
+        // Remove projectile on hit
+        owner.removeBullet(i);
+      }
+    }
+  }
+
+  /**
+   * Move-ahead sphere test for hostile projectiles against the player's Zaku
+   * and the escorted Musai
+   * @param {object} owner - Projectile owner (getBullets/removeBullet)
+   * @param {Zaku} zaku
+   */
+  resolveHostileProjectiles(owner, zaku, deltaTime) {
+    const projectiles = owner.getBullets();
+    if (projectiles.length === 0) return;
+
+    const targets = [{
+      sphere: zaku.getBoundingSphere(),
+      hit: data => this.damagePlayer(zaku, data.damage, data.source),
+    }];
+    if (this.escort && !this.escort.isDestroyed()) {
+      targets.push({
+        sphere: this.escort.getBoundingSphere(),
+        hit: data => this.damageEscort(this.escort, data.damage),
+      });
+    }
+
+    const spheres = targets.map(({ sphere }) => new THREE.Sphere(sphere.center, sphere.radius));
+    const hitPoint = new THREE.Vector3();
+
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const projectile = projectiles[i];
+      const data = projectile.userData;
+
+      this.projectileRay.set(projectile.position, data.direction);
+      const index = spheres.findIndex(sphere =>
+        this.projectileRay.intersectSphere(sphere, hitPoint) &&
+        hitPoint.distanceTo(projectile.position) <= data.speed * deltaTime * 2
+      );
+      if (index === -1) continue;
+
+      // Small impact flash on the armor
+      this.particleSystem.spawn('armorHit', hitPoint);
+      targets[index].hit(data);
+
+      owner.removeBullet(i);
+    }
+  }
+
+  /**
+   * Apply a projectile impact
+   * @param {object} data - Projectile userData (type, damage, explosionRadius)
+   * @param {object} hit - Raycaster intersection
+   */
+  applyProjectileHit(data, hit) {
+    if (data.explosionRadius > 0) {
+      this.applySplashDamage(hit.point, data.explosionRadius, data.damage);
+      return;
+    }
+
+    // Enemy hit
+    const enemy = this.enemySystem ? this.enemySystem.getEnemyFromObject(hit.object) : null;
+    if (enemy) {
+      if (this.damageEnemy(enemy, data.damage, hit.point)) {
+        this.scoreSystem.recordHit();
+        this.particleSystem.spawn('bulletImpact', hit.point);
+        this.audioManager.playExplosion(0.3);
+      }
+      return;
+    }
+
+    // Find which section was hit
+    const sectionInfo = this.colony.getSectionAtPoint(hit);
+    if (!sectionInfo) return;
+
+    const impulse = data.direction.clone().multiplyScalar(data.damage * FRACTURE.impulsePerDamage);
+    const result = this.damageSection(sectionInfo.index, data.damage, hit.point, impulse);
+    if (!result) return;
+
+    this.scoreSystem.recordHit();
+
+    // Create explosion effect at hit point
+    this.particleSystem.spawn('sectionHit', hit.point);
+
+    // Play explosion sound
+    this.audioManager.playExplosion(0.3);
+  }
+
+  /**
+   * Splash damage to every section and enemy in range
+   */
+  applySplashDamage(point, radius, damage) {
+    // Explosion effects
+    this.particleSystem.spawn('splash', point);
+    this.audioManager.playExplosion(1.2);
+    this.cameraController.shake(0.4, 0.25);
+
+    // Sections are thrown away from the blast
+    const sectionsInRange = this.colony.getSectionsInRadius(point, radius);
+    sectionsInRange.forEach(({ index, section }) => {
+      const impulse = section.mesh.getWorldPosition(new THREE.Vector3()).sub(point).normalize()
+        .multiplyScalar(damage * FRACTURE.impulsePerDamage);
+      this.damageSection(index, damage, point, impulse);
+    });
+
+    const enemiesInRange = this.enemySystem
+      ? this.enemySystem.getEnemiesInRadius(point, radius)
+      : [];
+    enemiesInRange.forEach(({ enemy }) => {
+      this.damageEnemy(enemy, damage, point);
+    });
+
+    if (sectionsInRange.length > 0 || enemiesInRange.length > 0) {
+      this.scoreSystem.recordHit();
+    }
+  }
+
+  /**
+   * Resolve a melee swing against everything inside its arc
+   * @param {object} arc - Hit volume from Zaku.getMeleeArc()
+   * @param {object} weapon - Melee stats (see MELEE)
+   * @returns {number} Number of sections and enemies hit
+   */
+  resolveMelee(arc, weapon) {
+    const halfArc = arc.arc / 2;
+    const bounds = new THREE.Box3();
+    const toTarget = new THREE.Vector3();
+    let hits = 0;
+
+    // Inside the reach and within the cone's half-angle (a target we are touching always counts)
+    const inArc = (point) => {
+      toTarget.subVectors(point, arc.origin);
+      return toTarget.lengthSq() < 1e-6 || arc.forward.angleTo(toTarget) <= halfArc;
+    };
+
+    this.colony.getSectionsInRadius(arc.origin, arc.range).forEach(({ index, section }) => {
+      const point = bounds.setFromObject(section.mesh).clampPoint(arc.origin, new THREE.Vector3());
+      if (!inArc(point)) return;
+
+      const damage = weapon.damage * weapon.sectionMultiplier;
+      const impulse = arc.forward.clone().multiplyScalar(damage * FRACTURE.impulsePerDamage);
+      if (this.damageSection(index, damage, point, impulse)) {
+        this.particleSystem.spawn('meleeSectionHit', point);
+        hits++;
+      }
+    });
+
+    const enemiesInRange = this.enemySystem
+      ? this.enemySystem.getEnemiesInRadius(arc.origin, arc.range)
+      : [];
+    enemiesInRange.forEach(({ enemy }) => {
+      const point = enemy.getPosition();
+      if (!inArc(point)) return;
+
+      if (this.damageEnemy(enemy, weapon.damage, point)) {
+        this.particleSystem.spawn('meleeEnemyHit', point);
+        hits++;
+      }
+    });
+
+    if (hits > 0) {
+      this.scoreSystem.recordHit();
+      this.audioManager.playMeleeHit();
+    }
+
+    return hits;
+  }
+
+  /**
+   * Apply damage to a colony section and handle destruction rewards
+   * @param {THREE.Vector3} [impulse] - Hit impulse passed on to the fracture debris
+   * @returns {object|null} Hit result from Colony.damageSection
+   */
+  damageSection(sectionIndex, damage, point, impulse = null) {
+    const result = this.colony.damageSection(sectionIndex, damage);
+    if (!result) return null;
+
+    this.scoreSystem.recordDamage(damage);
+
+    if (result.destroyed) {
+      // Break the hidden section into tumbling chunks, flung along with the spinning hull
+      this.debrisSystem.fracture(this.colony.sections[sectionIndex].mesh, {
+        point,
+        impulse,
+        velocityAt: position => this.colony.getSurfaceVelocity(position),
+      });
+
+      // Section destroyed - bigger explosion
+      this.scoreSystem.recordDestruction();
+      const scoreResult = this.scoreSystem.addScore(result.points);
+
+      // Large explosion
+      this.particleSystem.spawn('sectionDestroyed', point);
+
+      // Louder explosion sound
+      this.audioManager.playExplosion(1);
+
+      // Camera shake
+      this.cameraController.shake(0.5, 0.3);
+
+      // Score popup
+      this.hud.addScore(scoreResult.points, 50, 40);
+
+      if (result.type === 'turret') {
+        this.hud.showMessage(t('msg.turretDestroyed'), 1000);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the colony's structural collapse: cascading hull damage and the
+   * secondary explosions of broken-off sections
+   */
+  resolveStructure(deltaTime) {
+    if (!this.colony) return;
+
+    this.colony.updateStructure(deltaTime).forEach(event => {
+      if (event.type === 'cascade') {
+        // Strain shows as a hit even when the section holds
+        this.particleSystem.spawn('sectionHit', event.point);
+        this.damageSection(event.index, event.damage, event.point);
+        return;
+      }
+
+      this.scoreSystem.recordDestruction();
+      const scoreResult = this.scoreSystem.addScore(event.section.points);
+
+      this.particleSystem.spawn('secondaryExplosion', event.point);
+      this.debrisSystem.fracture(event.section.mesh, { point: event.point, velocity: event.velocity });
+      this.audioManager.playExplosion(0.8);
+      this.cameraController.shake(0.3, 0.2);
+      this.hud.addScore(scoreResult.points, 50, 40);
+    });
+  }
+
+  /**
+   * Apply damage to an enemy and handle kill rewards
+   * @returns {object|null} Hit result from Enemy.takeDamage
+   */
+  damageEnemy(enemy, damage, point) {
+    const result = enemy.takeDamage(damage);
+    if (!result) return null;
+
+    this.scoreSystem.recordDamage(damage);
+
+    if (result.destroyed) {
+      this.scoreSystem.recordKill();
+      const scoreResult = this.scoreSystem.addScore(result.points);
+
+      const position = enemy.getPosition();
+      this.particleSystem.spawn('enemyDestroyed', position);
+      this.audioManager.playExplosion(1.2);
+      this.cameraController.shake(0.4, 0.25);
+
+      this.hud.addScore(scoreResult.points, 50, 40);
+      this.hud.showMessage(t('msg.enemyDestroyed', { name: enemy.config.name }), 1000);
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply damage to the player's Zaku (collisions, enemy fire)
+   * @param {Zaku} zaku
+   * @param {number} amount - HP to remove
+   * @param {string} source - Damage source ('collision', 'enemy', ...)
+   * @returns {object|null} Damage result from Zaku.takeDamage
+   */
+  damagePlayer(zaku, amount, source) {
+    const result = zaku.takeDamage(amount, source);
+    if (!result) return null;
+
+    // Feedback scales with the size of the hit
+    const intensity = Math.min(1, amount / 30);
+    this.cameraController.shake(0.3 + intensity, 0.2 + intensity * 0.3);
+    this.audioManager.playExplosion(0.4 + intensity * 0.6);
+    this.hud.flashDamage();
+    this.hud.updateHP(zaku.getHealthPercentage());
+
+    return result;
+  }
+
+  /**
+   * Apply damage to the escorted Musai
+   * @returns {object|null} Damage result from Musai.takeDamage
+   */
+  damageEscort(escort, amount) {
+    const result = escort.takeDamage(amount);
+    if (!result) return null;
+
+    if (result.destroyed) {
+      const position = escort.getPosition();
+      this.particleSystem.spawn('zakuDestroyed', position);
+      this.audioManager.playExplosion(2);
+      this.cameraController.shake(0.6, 0.5);
+      this.hud.showMessage(t('msg.escortDestroyed'), 2000);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reset for new game
+   */
+  reset() {
+    this.cooldowns = {};
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Debris System
+ * Breaks destroyed colony sections into convex chunks that tumble away in
+ * zero-G and fade out. Chunks are built at runtime: the mesh surface is
+ * sampled, samples are grouped around random seed points and each group's
+ * convex hull becomes one chunk. All break-ups share one budget (see
+ * FRACTURE); large chunks stay solid so the Zaku can crash into them.
+ */
+
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+import { FRACTURE } from '../utils/Constants.js';
+import { randomRange, clamp } from '../utils/MathUtils.js';
+
+const _sample = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _torque = new THREE.Vector3();
+
+export class DebrisSystem {
+  /**
+   * @param {THREE.Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Break-ups in spawn order: {material, chunks, age, life, opacity}
+    // Chunks of one mesh share a material, so they fade together
+    this.groups = [];
+    this.chunkCount = 0;
+  }
+
+  /**
+   * Break an object's meshes into chunks at their current world transform
+   * The caller hides the original
+   * @param {THREE.Object3D} object - Section mesh or group
+   * @param {object} [options]
+   * @param {THREE.Vector3} [options.point] - Blast origin (world); defaults to each mesh's center
+   * @param {THREE.Vector3} [options.impulse] - Hit impulse (direction * units per second)
+   * @param {THREE.Vector3} [options.velocity] - Velocity of the object itself (drifting sections)
+   * @param {Function} [options.velocityAt] - (point) => velocity of a moving frame the object
+   *   was part of (the spinning colony); each chunk keeps it from where it starts
+   * @returns {number} Chunks created
+   */
+  fracture(object, { point = null, impulse = null, velocity = null, velocityAt = null } = {}) {
+    object.updateWorldMatrix(true, true);
+
+    const meshes = [];
+    object.traverse(child => {
+      if (child.isMesh && !Array.isArray(child.material)) meshes.push(child);
+    });
+
+    const motion = { impulse, velocity, velocityAt };
+    return meshes.reduce((total, mesh) => total + this.fractureMesh(mesh, point, motion), 0);
+  }
+
+  /**
+   * Break one mesh into chunks
+   * @returns {number} Chunks created
+   */
+  fractureMesh(mesh, point, motion) {
+    const geometry = mesh.geometry;
+    if (!geometry.attributes.position || geometry.attributes.position.count < 4) return 0;
+
+    // Bigger meshes break into more pieces; small parts (lights, sensors) just vanish
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+    mesh.getWorldScale(_scale);
+    const radius = geometry.boundingSphere.radius * Math.max(_scale.x, _scale.y, _scale.z);
+    if (radius < FRACTURE.minSourceRadius) return 0;
+
+    const count = clamp(Math.round(radius / FRACTURE.chunkSize), 2, FRACTURE.maxChunksPerMesh);
+    if (!this.makeRoom(count)) return 0;
+
+    // Sample the surface in world space; the first samples double as seeds
+    const sampler = new MeshSurfaceSampler(mesh).build();
+    const samples = [];
+    for (let i = 0; i < count * FRACTURE.samplesPerChunk; i++) {
+      sampler.sample(_sample);
+      samples.push(_sample.clone().applyMatrix4(mesh.matrixWorld));
+    }
+
+    const clusters = samples.slice(0, count).map(() => []);
+    samples.forEach(sample => {
+      let nearest = 0;
+      for (let k = 1; k < count; k++) {
+        if (sample.distanceToSquared(samples[k]) < sample.distanceToSquared(samples[nearest])) {
+          nearest = k;
+        }
+      }
+      clusters[nearest].push(sample);
+    });
+
+    const material = mesh.material.clone();
+    const group = {
+      material,
+      chunks: [],
+      age: 0,
+      life: randomRange(...FRACTURE.life),
+      opacity: material.opacity,
+    };
+
+    const origin = point ?? geometry.boundingSphere.center.clone().applyMatrix4(mesh.matrixWorld);
+    clusters.forEach(points => {
+      const chunk = this.createChunk(points, material, origin, motion);
+      if (chunk) group.chunks.push(chunk);
+    });
+
+    if (group.chunks.length === 0) {
+      material.dispose();
+      return 0;
+    }
+
+    this.groups.push(group);
+    this.chunkCount += group.chunks.length;
+    return group.chunks.length;
+  }
+
+  /**
+   * Build one chunk from the convex hull of a cluster of surface samples
+   * @param {object} motion - {impulse, velocity, velocityAt} (see fracture)
+   * @returns {object|null} Null if the cluster is too flat or small for a hull
+   */
+  createChunk(points, material, origin, { impulse, velocity, velocityAt }) {
+    if (points.length < 4) return null;
+
+    const geometry = new ConvexGeometry(points);
+    geometry.computeBoundingSphere();
+    const bounds = geometry.boundingSphere;
+
+    if (geometry.attributes.position.count === 0 || !(bounds.radius > 0.05)) {
+      geometry.dispose();
+      return null;
+    }
+
+    // Center the geometry so the chunk tumbles about its middle
+    _center.copy(bounds.center);
+    geometry.translate(-_center.x, -_center.y, -_center.z);
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.copy(_center);
+    mesh.castShadow = true;
+    this.scene.add(mesh);
+
+    const radius = geometry.boundingSphere.radius;
+
+    // Thrown away from the blast, plus the hit impulse (light chunks fly faster)
+    _offset.subVectors(_center, origin);
+    const chunkVelocity = velocity ? velocity.clone() : new THREE.Vector3();
+    if (velocityAt) {
+      chunkVelocity.add(velocityAt(_center));
+    }
+    if (_offset.lengthSq() > 1e-6) {
+      chunkVelocity.addScaledVector(_offset.clone().normalize(), randomRange(...FRACTURE.blastSpeed));
+    }
+
+    const spin = FRACTURE.spin / Math.max(1, radius / FRACTURE.chunkSize);
+    const angularVelocity = new THREE.Vector3(
+      randomRange(-spin, spin),
+      randomRange(-spin, spin),
+      randomRange(-spin, spin)
+    );
+
+    if (impulse) {
+      const mass = Math.max(1, radius / FRACTURE.chunkSize);
+      chunkVelocity.addScaledVector(impulse, 1 / mass);
+
+      // Off-center hits set the chunk spinning
+      _torque.crossVectors(_offset, impulse).multiplyScalar(1 / (mass * Math.max(1, radius * radius)));
+      angularVelocity.add(_torque);
+    }
+
+    return {
+      mesh,
+      velocity: chunkVelocity,
+      angularVelocity,
+      radius,
+      solid: radius >= FRACTURE.solidRadius,
+    };
+  }
+
+  /**
+   * Free budget for new chunks, removing the oldest break-ups
+   * @returns {boolean} False if the request can never fit
+   */
+  makeRoom(count) {
+    if (count > FRACTURE.maxChunks) return false;
+
+    while (this.chunkCount + count > FRACTURE.maxChunks && this.groups.length > 0) {
+      this.removeGroup(0);
+    }
+    return true;
+  }
+
+  /**
+   * Move, spin and fade every chunk
+   */
+  update(deltaTime) {
+    for (let i = this.groups.length - 1; i >= 0; i--) {
+      const group = this.groups[i];
+      group.age += deltaTime;
+
+      if (group.age >= group.life) {
+        this.removeGroup(i);
+        continue;
+      }
+
+      // Fade out over the last moments of life
+      const remaining = group.life - group.age;
+      if (remaining < FRACTURE.fadeTime) {
+        if (!group.material.transparent) {
+          group.material.transparent = true;
+          group.material.needsUpdate = true;
+        }
+        group.material.opacity = group.opacity * (remaining / FRACTURE.fadeTime);
+      }
+
+      group.chunks.forEach(chunk => {
+        chunk.mesh.position.addScaledVector(chunk.velocity, deltaTime);
+        chunk.mesh.rotation.x += chunk.angularVelocity.x * deltaTime;
+        chunk.mesh.rotation.y += chunk.angularVelocity.y * deltaTime;
+        chunk.mesh.rotation.z += chunk.angularVelocity.z * deltaTime;
+      });
+    }
+  }
+
+  /**
+   * Get collision info against solid chunks (same shape as Colony.getCollisionInfo)
+   * @returns {object} Collision info; chunk is the one hit (deepest overlap), surfaceVelocity its velocity
+   */
+  getCollisionInfo(point, radius = 0) {
+    const info = {
+      collision: false,
+      penetration: 0,
+      normal: new THREE.Vector3(),
+      point: point.clone(),
+      chunk: null,
+      surfaceVelocity: new THREE.Vector3(),
+    };
+
+    this.groups.forEach(group => {
+      group.chunks.forEach(chunk => {
+        if (!chunk.solid) return;
+
+        const distance = point.distanceTo(chunk.mesh.position);
+        const penetration = radius + chunk.radius - distance;
+        if (penetration <= info.penetration) return;
+
+        info.collision = true;
+        info.penetration = penetration;
+        info.chunk = chunk;
+        info.surfaceVelocity.copy(chunk.velocity);
+        if (distance > 0) {
+          info.normal.subVectors(point, chunk.mesh.position).divideScalar(distance);
+        } else {
+          info.normal.set(0, 1, 0);
+        }
+      });
+    });
+
+    return info;
+  }
+
+  /**
+   * Shove a chunk the Zaku ran into
+   * @param {THREE.Vector3} normal - Collision normal (from the chunk towards the Zaku)
+   */
+  pushChunk(chunk, normal, impactSpeed) {
+    chunk.velocity.addScaledVector(normal, -impactSpeed * FRACTURE.pushFactor);
+  }
+
+  /**
+   * Get live chunk count
+   */
+  getChunkCount() {
+    return this.chunkCount;
+  }
+
+  /**
+   * Remove a break-up and free its chunks
+   */
+  removeGroup(index) {
+    const group = this.groups[index];
+
+    group.chunks.forEach(chunk => {
+      this.scene.remove(chunk.mesh);
+      chunk.mesh.geometry.dispose();
+    });
+    group.material.dispose();
+    this.chunkCount -= group.chunks.length;
+
+    this.groups.splice(index, 1);
+  }
+
+  /**
+   * Remove all chunks
+   */
+  clear() {
+    for (let i = this.groups.length - 1; i >= 0; i--) {
+      this.removeGroup(i);
+    }
+  }
+
+  /**
+   * Dispose
+   */
+  dispose() {
+    this.clear();
+  }
+}
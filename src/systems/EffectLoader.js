@@ -0,0 +1,235 @@
+/**
+ * Effect Loader
+ * Validates the effect JSON files in src/data/effects and compiles them
+ * into the form ParticleSystem plays (colors parsed, vectors built)
+ *
+ * An effect is a set of emitters. Each emitter bursts particles at start
+ * and/or emits them at a rate, from a shape, inside a velocity cone, with
+ * size/opacity curves and a color gradient over the particle's life.
+ */
+
+import * as THREE from 'three';
+import {
+  PARTICLE_MESHES,
+  PARTICLE_TEXTURES,
+  EMITTER_SHAPES,
+  EMITTER_ORIENTS,
+  EMITTER_SCALE_TARGETS,
+} from '../utils/Constants.js';
+import { validateObject } from '../utils/Schema.js';
+
+// Every effect file bundled with the game: path -> parsed JSON
+const EFFECT_FILES = import.meta.glob('../data/effects/*.json', { eager: true, import: 'default' });
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const NUMBER = { type: 'number' };
+const LIFE_TIME = { type: 'number', min: 0, max: 1 };       // 0 = spawn, 1 = end of life
+
+/**
+ * Curve and gradient points must be in time order
+ */
+function checkTimeOrder(points, path, errors) {
+  for (let i = 1; i < points.length; i++) {
+    if (points[i][0] < points[i - 1][0]) {
+      errors.push(`${path}[${i}] comes before the previous point (t ${points[i][0]} < ${points[i - 1][0]})`);
+    }
+  }
+}
+
+/**
+ * Rule for a [t, value] curve over particle life
+ */
+function curve(defaultPoints) {
+  return {
+    type: 'array',
+    minLength: 1,
+    items: { type: 'tuple', items: [LIFE_TIME, { type: 'number', min: 0 }] },
+    check: checkTimeOrder,
+    optional: true,
+    default: defaultPoints,
+  };
+}
+
+/**
+ * Rule for an [x, y, z] vector
+ */
+function vec3(defaultValue) {
+  return { type: 'tuple', items: [NUMBER, NUMBER, NUMBER], optional: true, default: defaultValue };
+}
+
+// Field rules of one emitter (optional fields get their default)
+export const EMITTER_SCHEMA = {
+  name: { type: 'string' },
+  mesh: { type: 'enum', options: Object.keys(PARTICLE_MESHES) },
+  texture: { type: 'enum', options: PARTICLE_TEXTURES, optional: true, default: 'none' },
+
+  // Emission
+  burst: { type: 'integer', min: 0, optional: true, default: 0 },         // Particles at start
+  rate: { type: 'number', min: 0, optional: true, default: 0 },           // Particles per second...
+  emitTime: { type: 'number', min: 0, optional: true, default: 0 },       // ...for this many seconds
+  shape: { type: 'enum', options: EMITTER_SHAPES, optional: true, default: 'point' },
+  radius: { type: 'number', min: 0, optional: true, default: 0 },         // Sphere/shell radius
+
+  // Motion
+  life: { type: 'range', min: 0.01 },                                     // Seconds
+  speed: { type: 'range', min: 0, optional: true, default: [0, 0] },
+  direction: vec3([0, 1, 0]),                                             // Cone axis (the play direction overrides)
+  cone: { type: 'number', min: 0, max: Math.PI, optional: true, default: Math.PI },   // Half-angle (rad); PI = all round
+  velocityOffset: vec3([0, 0, 0]),                                        // Added to every particle (e.g. upward bias)
+  drag: { type: 'number', min: 0, max: 1, optional: true, default: 1 },   // Velocity kept per 1/60 s
+  spin: { type: 'number', min: 0, optional: true, default: 0 },           // Max rad/s per axis
+  orient: { type: 'enum', options: EMITTER_ORIENTS, optional: true, default: 'none' },
+
+  // Look over life
+  size: { type: 'range', min: 0 },
+  sizeCurve: curve([[0, 1], [1, 1]]),                                     // Size multiplier
+  opacity: { type: 'number', min: 0, max: 1, optional: true, default: 1 },
+  opacityCurve: curve([[0, 1], [1, 0]]),                                  // Opacity multiplier
+  colors: {
+    type: 'array',
+    minLength: 1,
+    items: { type: 'tuple', items: [LIFE_TIME, { type: 'string', pattern: HEX_COLOR }] },
+    check: checkTimeOrder,
+    optional: true,
+    default: [[0, '#ffffff']],
+  },
+  hueJitter: { type: 'number', min: 0, max: 1, optional: true, default: 0 },         // +/- half per particle
+  lightnessJitter: { type: 'number', min: 0, max: 1, optional: true, default: 0 },
+  tint: { type: 'boolean', optional: true, default: false },              // Caller's color replaces the gradient
+
+  // What the play scale multiplies
+  scaleWith: {
+    type: 'array',
+    items: { type: 'enum', options: EMITTER_SCALE_TARGETS },
+    optional: true,
+    default: [],
+  },
+};
+
+// Field rules of an effect definition
+const SCHEMA = {
+  id: { type: 'string', pattern: /^[A-Za-z][A-Za-z0-9_-]*$/ },
+  priority: { type: 'integer', min: 0, optional: true, default: 0 },
+  duration: { type: 'number', min: 0.01 },                                // Seconds until every particle is freed
+  light: {
+    type: 'object',
+    optional: true,
+    fields: {
+      color: { type: 'string', pattern: HEX_COLOR },
+      intensity: { type: 'number', min: 0 },                              // Multiplied by the play scale
+      life: { type: 'number', min: 0.01, optional: true, default: 0.1 },
+      distance: { type: 'number', min: 0, optional: true, default: 30 },
+    },
+  },
+  emitters: {
+    type: 'array',
+    minLength: 1,
+    items: { type: 'object', fields: EMITTER_SCHEMA },
+  },
+};
+
+/**
+ * Validate one effect definition
+ * @returns {{definition: object, errors: string[]}} Definition with defaults filled in
+ */
+export function validateEffectDefinition(data) {
+  const errors = [];
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { definition: null, errors: ['effect definition must be a JSON object'] };
+  }
+
+  const definition = validateObject(SCHEMA, data, '', errors);
+
+  (Array.isArray(definition.emitters) ? definition.emitters : []).forEach((emitter, index) => {
+    const path = `emitters[${index}]`;
+    if (emitter.burst === 0 && emitter.rate === 0) {
+      errors.push(`${path} emits nothing (set burst or rate)`);
+    }
+    if (emitter.rate > 0 && emitter.emitTime === 0) {
+      errors.push(`${path}.emitTime is required when rate is set`);
+    }
+    if (Array.isArray(emitter.direction) && emitter.direction.every(n => n === 0)) {
+      errors.push(`${path}.direction must not be [0, 0, 0]`);
+    }
+    if (emitter.emitTime > definition.duration) {
+      errors.push(`${path}.emitTime (${emitter.emitTime}) must not exceed duration (${definition.duration})`);
+    }
+  });
+
+  return { definition, errors };
+}
+
+/**
+ * Validate effect files; invalid files are reported and skipped
+ * @param {object} files - File name -> parsed JSON
+ * @returns {object} Effect id -> valid definition
+ */
+export function loadEffectDefinitions(files = EFFECT_FILES) {
+  const definitions = {};
+
+  for (const file in files) {
+    const name = file.split('/').pop();
+    const { definition, errors } = validateEffectDefinition(files[file]);
+
+    if (definition && definitions[definition.id]) {
+      errors.push(`id "${definition.id}" is already used by ${definitions[definition.id].file}`);
+    }
+
+    if (errors.length > 0) {
+      console.warn(`[EffectLoader] Skipping ${name}:\n  ${errors.join('\n  ')}`);
+      continue;
+    }
+
+    definitions[definition.id] = { ...definition, file: name };
+  }
+
+  return definitions;
+}
+
+/**
+ * Turn a validated definition into the runtime form ParticleSystem plays
+ */
+export function compileEffect(definition) {
+  return {
+    id: definition.id,
+    priority: definition.priority,
+    duration: definition.duration,
+    light: definition.light
+      ? { ...definition.light, color: new THREE.Color(definition.light.color) }
+      : null,
+    emitters: definition.emitters.map(emitter => {
+      const stops = emitter.colors.map(([t, hex]) => ({ t, color: new THREE.Color(hex) }));
+
+      return {
+        ...emitter,
+        direction: new THREE.Vector3(...emitter.direction).normalize(),
+        velocityOffset: new THREE.Vector3(...emitter.velocityOffset),
+        cosCone: Math.cos(emitter.cone),
+        baseColor: stops[0].color,
+        baseHSL: stops[0].color.getHSL({ h: 0, s: 0, l: 0 }),
+
+        // How the look changes over life (shared by every particle of the emitter)
+        profile: {
+          sizeCurve: emitter.sizeCurve,
+          opacityCurve: emitter.opacityCurve,
+          gradient: stops.length > 1 ? stops : null,
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Load and compile every effect file
+ * @returns {object} Effect id -> compiled effect
+ */
+export function loadEffects(files = EFFECT_FILES) {
+  const definitions = loadEffectDefinitions(files);
+  const effects = {};
+
+  for (const id in definitions) {
+    effects[id] = compileEffect(definitions[id]);
+  }
+  return effects;
+}
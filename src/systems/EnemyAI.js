@@ -0,0 +1,260 @@
+/**
+ * Enemy AI
+ * State machine that drives enemy steering and firing through
+ * pluggable behaviors (patrol, intercept, strafe, retreat)
+ */
+
+import * as THREE from 'three';
+import { ENEMY_WAVES } from '../utils/Constants.js';
+
+/**
+ * Behavior registry
+ * Each behavior may define enter(ai, context) and must define
+ * update(ai, context, deltaTime) returning { velocity, fire }
+ */
+const BEHAVIORS = {};
+
+/**
+ * Register a behavior so enemy profiles can list it by name
+ */
+export function registerBehavior(name, behavior) {
+  BEHAVIORS[name] = behavior;
+}
+
+// ============================================
+// BUILT-IN BEHAVIORS
+// ============================================
+
+/**
+ * Patrol: orbit the colony until a target comes into detection range
+ */
+registerBehavior('patrol', {
+  enter(ai) {
+    const position = ai.enemy.getPosition();
+    ai.memory.patrolAngle = Math.atan2(position.y, position.z);
+  },
+
+  update(ai, context, deltaTime) {
+    const { enemy } = ai;
+    const speed = enemy.config.speed * 0.6;
+
+    // Advance along an orbit around the colony's long axis
+    ai.memory.patrolAngle += (speed / ENEMY_WAVES.patrolRadius) * deltaTime;
+    const angle = ai.memory.patrolAngle;
+
+    const waypoint = new THREE.Vector3(
+      context.colonyPosition.x + ai.patrolOffset,
+      context.colonyPosition.y + Math.sin(angle) * ENEMY_WAVES.patrolRadius,
+      context.colonyPosition.z + Math.cos(angle) * ENEMY_WAVES.patrolRadius
+    );
+
+    const velocity = waypoint.sub(enemy.getPosition()).normalize().multiplyScalar(speed);
+    return { velocity, fire: false };
+  },
+});
+
+/**
+ * Intercept: fly at the target's predicted position, firing when in range
+ */
+registerBehavior('intercept', {
+  update(ai, context) {
+    const { enemy } = ai;
+    const toTarget = ai.getLeadPoint().sub(enemy.getPosition());
+    const distance = toTarget.length();
+
+    const velocity = toTarget.normalize().multiplyScalar(enemy.config.speed);
+    return { velocity, fire: distance < enemy.config.range };
+  },
+});
+
+/**
+ * Strafe: circle the target at strafe range while firing
+ */
+registerBehavior('strafe', {
+  enter(ai) {
+    ai.memory.strafeSide = Math.random() < 0.5 ? -1 : 1;
+    ai.memory.strafeFlipTimer = 2 + Math.random() * 2;
+  },
+
+  update(ai, context, deltaTime) {
+    const { enemy } = ai;
+    const { strafeRange } = enemy.config.ai;
+
+    // Switch direction every few seconds to stay unpredictable
+    ai.memory.strafeFlipTimer -= deltaTime;
+    if (ai.memory.strafeFlipTimer <= 0) {
+      ai.memory.strafeSide *= -1;
+      ai.memory.strafeFlipTimer = 2 + Math.random() * 2;
+    }
+
+    const toTarget = ai.target.position.clone().sub(enemy.getPosition());
+    const distance = toTarget.length();
+    toTarget.normalize();
+
+    // Sideways around the target, corrected towards strafe range
+    const tangent = new THREE.Vector3().crossVectors(toTarget, THREE.Object3D.DEFAULT_UP);
+    if (tangent.lengthSq() < 0.01) tangent.set(1, 0, 0);
+    tangent.normalize().multiplyScalar(ai.memory.strafeSide);
+
+    const radial = toTarget.multiplyScalar((distance - strafeRange) / strafeRange);
+    const velocity = tangent.add(radial).normalize().multiplyScalar(enemy.config.speed);
+
+    return { velocity, fire: distance < enemy.config.range };
+  },
+});
+
+/**
+ * Retreat: break off away from the target (or the colony) for a while
+ */
+registerBehavior('retreat', {
+  update(ai, context) {
+    const { enemy } = ai;
+    const away = enemy.getPosition().sub(ai.target ? ai.target.position : context.colonyPosition);
+    if (away.lengthSq() < 0.01) away.set(0, 1, 0);
+
+    const velocity = away.normalize().multiplyScalar(enemy.config.speed * 1.2);
+    return { velocity, fire: false };
+  },
+});
+
+// ============================================
+// STATE MACHINE
+// ============================================
+
+export class EnemyAI {
+  /**
+   * @param {Enemy} enemy - Controlled enemy
+   * @param {object} profile - AI profile from ENEMIES[type].ai
+   */
+  constructor(enemy, profile) {
+    this.enemy = enemy;
+    this.profile = profile;
+
+    // Current behavior
+    this.state = null;
+    this.stateTime = 0;
+
+    // Per-behavior scratch data
+    this.memory = {};
+
+    // Retreat only once per life
+    this.hasRetreated = false;
+
+    // Who to attack this frame: {position, velocity} or null (see pickTarget)
+    this.target = null;
+
+    // Spread patrol orbits along the colony
+    this.patrolOffset = (Math.random() - 0.5) * 200;
+  }
+
+  /**
+   * Check if the profile allows a behavior
+   */
+  canUse(name) {
+    return this.profile.behaviors.includes(name) && BEHAVIORS[name] !== undefined;
+  }
+
+  /**
+   * Change behavior, running its enter hook
+   */
+  setState(name, context) {
+    if (this.state === name) return;
+
+    this.state = name;
+    this.stateTime = 0;
+
+    const behavior = BEHAVIORS[name];
+    if (behavior.enter) {
+      behavior.enter(this, context);
+    }
+  }
+
+  /**
+   * Pick the behavior for this frame
+   */
+  selectState(context) {
+    const { profile, enemy } = this;
+
+    // Badly damaged: break off once
+    if (this.canUse('retreat') && !this.hasRetreated &&
+        enemy.getHealthRatio() <= profile.retreatHealth) {
+      this.hasRetreated = true;
+      return 'retreat';
+    }
+    if (this.state === 'retreat' && this.stateTime < profile.retreatTime) {
+      return 'retreat';
+    }
+
+    if (!this.target) return 'patrol';
+
+    const distance = enemy.getPosition().distanceTo(this.target.position);
+
+    // Hysteresis keeps strafing enemies from flickering at the boundary
+    const strafeExit = profile.strafeRange * 1.5;
+    if (this.canUse('strafe') &&
+        (distance < profile.strafeRange || (this.state === 'strafe' && distance < strafeExit))) {
+      return 'strafe';
+    }
+
+    if (this.canUse('intercept') && distance < profile.detectRange) {
+      return 'intercept';
+    }
+
+    return 'patrol';
+  }
+
+  /**
+   * Pick the nearest of the player and the escort (if the mission has one)
+   * @returns {{position: THREE.Vector3, velocity: THREE.Vector3}|null} Null when neither is alive
+   */
+  pickTarget(context) {
+    const candidates = [];
+    if (context.playerAlive) {
+      candidates.push({ position: context.playerPosition, velocity: context.playerVelocity });
+    }
+    if (context.escort) {
+      candidates.push(context.escort);
+    }
+
+    const position = this.enemy.getPosition();
+    let nearest = null;
+    candidates.forEach(candidate => {
+      if (!nearest || position.distanceTo(candidate.position) < position.distanceTo(nearest.position)) {
+        nearest = candidate;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Predict where the target will be when a shot arrives
+   */
+  getLeadPoint() {
+    const distance = this.enemy.getPosition().distanceTo(this.target.position);
+    const flightTime = distance / this.enemy.config.projectileSpeed;
+    return this.target.position.clone().addScaledVector(this.target.velocity, flightTime);
+  }
+
+  /**
+   * Update AI
+   * @param {object} context - { playerPosition, playerVelocity, playerAlive, escort, colonyPosition }
+   *   escort is {position, velocity} of a live Musai, or null
+   * @returns {{velocity: THREE.Vector3, fire: boolean, aimPoint: THREE.Vector3|null}} Steering command
+   */
+  update(deltaTime, context) {
+    this.target = this.pickTarget(context);
+    this.setState(this.selectState(context), context);
+    this.stateTime += deltaTime;
+
+    const command = BEHAVIORS[this.state].update(this, context, deltaTime);
+    command.aimPoint = this.target ? this.getLeadPoint() : null;
+    return command;
+  }
+
+  /**
+   * Get current behavior name
+   */
+  getState() {
+    return this.state;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Enemy System
+ * Spawns Federation waves around the colony and keeps track of live enemies
+ */
+
+import * as THREE from 'three';
+import { GM } from '../entities/GM.js';
+import { Ball } from '../entities/Ball.js';
+import { Fighter } from '../entities/Fighter.js';
+import { ENEMY_WAVES } from '../utils/Constants.js';
+import { randomPointOnSphere } from '../utils/MathUtils.js';
+
+// Enemy classes by type key (ENEMIES / mission waves)
+const ENEMY_CLASSES = {
+  gm: GM,
+  ball: Ball,
+  fighter: Fighter,
+};
+
+// Wave schedule when no mission sets one (same shape as a mission's waves)
+const DEFAULT_WAVES = {
+  firstDelay: ENEMY_WAVES.firstWaveDelay,
+  interval: ENEMY_WAVES.interval,
+  maxActive: ENEMY_WAVES.maxActive,
+  spawnDistance: ENEMY_WAVES.spawnDistance,
+  list: ENEMY_WAVES.waves.map(enemies => ({ enemies })),
+};
+
+export class EnemySystem {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Live enemies
+    this.enemies = [];
+
+    // Wave schedule and state
+    this.waves = DEFAULT_WAVES;
+    this.waveNumber = 0;
+    this.waveTimer = this.waves.firstDelay;
+  }
+
+  /**
+   * Set the wave schedule (a mission's waves) and restart it
+   */
+  setWaves(waves) {
+    this.waves = waves;
+    this.reset();
+  }
+
+  /**
+   * Update wave timer and all enemies
+   * @param {object} context - AI context (see EnemyAI.update)
+   * @returns {{wave: number, shots: Array}} Wave spawned this frame (0 if none) and shots fired
+   */
+  update(deltaTime, context) {
+    let wave = 0;
+
+    this.waveTimer -= deltaTime;
+    if (this.waveTimer <= 0) {
+      this.waveTimer = this.waves.interval;
+      if (this.enemies.length < this.waves.maxActive) {
+        wave = this.spawnWave(context.colonyPosition);
+      }
+    }
+
+    const shots = [];
+    this.enemies.forEach(enemy => {
+      const shot = enemy.update(deltaTime, context);
+      if (shot) shots.push(shot);
+    });
+
+    // Drop destroyed enemies once their last shots have landed or expired
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      if (enemy.destroyed && enemy.getBullets().length === 0) {
+        this.removeEnemy(i);
+      }
+    }
+
+    return { wave, shots };
+  }
+
+  /**
+   * Spawn the next wave on a sphere around the colony
+   * @returns {number} Wave number
+   */
+  spawnWave(colonyPosition) {
+    const { list, spawnDistance } = this.waves;
+    const wave = list[Math.min(this.waveNumber, list.length - 1)];
+    this.waveNumber++;
+
+    // Wave arrives from one direction (the mission's, or a random one) in a loose formation
+    const origin = wave.direction
+      ? new THREE.Vector3(...wave.direction).setLength(spawnDistance)
+      : randomPointOnSphere(spawnDistance);
+    origin.add(colonyPosition);
+
+    wave.enemies.forEach(type => {
+      const offset = randomPointOnSphere(20);
+      this.spawnEnemy(type, origin.clone().add(offset));
+    });
+
+    return this.waveNumber;
+  }
+
+  /**
+   * Spawn a single enemy
+   */
+  spawnEnemy(type, position) {
+    const EnemyClass = ENEMY_CLASSES[type];
+    if (!EnemyClass) {
+      console.warn(`[EnemySystem] Unknown enemy type: ${type}`);
+      return null;
+    }
+
+    const enemy = new EnemyClass();
+    enemy.setPosition(position.x, position.y, position.z);
+    enemy.addToScene(this.scene);
+    this.enemies.push(enemy);
+    return enemy;
+  }
+
+  /**
+   * Remove an enemy and free its resources
+   */
+  removeEnemy(index) {
+    const enemy = this.enemies[index];
+    enemy.removeFromScene(this.scene);
+    enemy.dispose();
+    this.enemies.splice(index, 1);
+  }
+
+  /**
+   * Get all enemies (including destroyed ones with shots still in flight)
+   */
+  getEnemies() {
+    return this.enemies;
+  }
+
+  /**
+   * Get number of enemies still fighting
+   */
+  getActiveCount() {
+    return this.enemies.filter(enemy => !enemy.destroyed).length;
+  }
+
+  /**
+   * Get all meshes for raycasting
+   */
+  getHitTargets() {
+    const targets = [];
+    this.enemies.forEach(enemy => {
+      targets.push(...enemy.getHitTargets());
+    });
+    return targets;
+  }
+
+  /**
+   * Find the enemy a raycast hit belongs to
+   */
+  getEnemyFromObject(object) {
+    return this.enemies.find(enemy => !enemy.destroyed && enemy.ownsObject(object)) || null;
+  }
+
+  /**
+   * Get enemies within radius of a world point (splash damage)
+   * @returns {Array<{enemy: Enemy, distance: number}>}
+   */
+  getEnemiesInRadius(point, radius) {
+    const results = [];
+    this.enemies.forEach(enemy => {
+      if (enemy.destroyed) return;
+
+      const bounds = enemy.getBoundingSphere();
+      const distance = Math.max(0, bounds.center.distanceTo(point) - bounds.radius);
+      if (distance <= radius) {
+        results.push({ enemy, distance });
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Get current wave number
+   */
+  getWaveNumber() {
+    return this.waveNumber;
+  }
+
+  /**
+   * Remove all enemies and restart the wave schedule
+   */
+  reset() {
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      this.removeEnemy(i);
+    }
+    this.waveNumber = 0;
+    this.waveTimer = this.waves.firstDelay;
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * Mission Loader
+ * Validates the mission JSON files in src/data/missions (ordered as
+ * campaign stages) and builds a mission's colony and spawn point
+ *
+ * A mission sets the colony (seed, type, position, spin), the Zaku spawn point,
+ * enemy waves, objectives (see ObjectiveSystem), an optional Musai to
+ * escort, time limit, scoring, briefing text and its campaign star ratings
+ * and unlocks (see CampaignManager).
+ * Text fields are {ko, en} objects (see localize).
+ */
+
+import * as THREE from 'three';
+import {
+  CAMPAIGN,
+  COLONY_SPIN,
+  COLONY_TYPES,
+  ENEMIES,
+  ENEMY_WAVES,
+  GAME,
+  MUSAI,
+  OBJECTIVE_TYPES,
+  SCORING,
+  SECTION_TYPES,
+  ZAKU_VARIANTS,
+} from '../utils/Constants.js';
+import { LANGUAGES } from '../utils/Strings.js';
+import { validateObject } from '../utils/Schema.js';
+import { Colony } from '../entities/Colony.js';
+import { Musai } from '../entities/Musai.js';
+import { generateColonyLayout, randomSeed } from './ColonyGenerator.js';
+
+// Every mission file bundled with the game: path -> parsed JSON
+const MISSION_FILES = import.meta.glob('../data/missions/*.json', { eager: true, import: 'default' });
+
+// Capped at 32 characters like the server's progress IDs, so every stage can sync
+const ID = { type: 'string', pattern: /^[A-Za-z][A-Za-z0-9_-]{0,31}$/ };
+const NUMBER = { type: 'number' };
+const VEC3 = { type: 'tuple', items: [NUMBER, NUMBER, NUMBER] };
+
+// Text in every language
+const TEXT = {
+  type: 'object',
+  fields: Object.fromEntries(Object.keys(LANGUAGES).map(language => [language, { type: 'string' }])),
+};
+
+// Distance of the default spawn point from the hull
+const SPAWN_CLEARANCE = 100;
+
+// Field rules of a mission definition (optional fields get their default)
+const SCHEMA = {
+  id: ID,
+  order: { type: 'integer', min: 1 },                             // Stage number
+  name: TEXT,
+  briefing: TEXT,
+  timeLimit: { type: 'number', min: 10 },                         // Seconds
+  spawn: {
+    type: 'object',
+    optional: true,                                               // Default: in front of the colony
+    fields: {
+      position: VEC3,
+    },
+  },
+  colony: {
+    type: 'object',
+    fields: {
+      seed: { type: 'string', optional: true },                   // Omit for a new layout each session
+      type: { type: 'enum', options: Object.keys(COLONY_TYPES), optional: true },   // Omit to let the seed pick
+      position: { ...VEC3, optional: true, default: [0, 0, 0] },
+      spin: { type: 'number', min: 0, max: COLONY_SPIN.maxRate, optional: true },   // rad/s; omit for the gravity spin
+    },
+  },
+  waves: {
+    type: 'object',
+    fields: {
+      firstDelay: { type: 'number', min: 0, optional: true, default: ENEMY_WAVES.firstWaveDelay },
+      interval: { type: 'number', min: 1, optional: true, default: ENEMY_WAVES.interval },
+      maxActive: { type: 'integer', min: 1, optional: true, default: ENEMY_WAVES.maxActive },
+      spawnDistance: { type: 'number', min: 50, optional: true, default: ENEMY_WAVES.spawnDistance },
+      // Compositions in order; the last one repeats
+      list: {
+        type: 'array',
+        minLength: 1,
+        items: {
+          type: 'object',
+          fields: {
+            enemies: { type: 'array', minLength: 1, items: { type: 'enum', options: Object.keys(ENEMIES) } },
+            direction: { ...VEC3, optional: true },               // From the colony; omit for a random side
+          },
+        },
+      },
+    },
+  },
+  escort: {
+    type: 'object',
+    optional: true,                                               // Needed by escort objectives
+    fields: {
+      start: VEC3,
+      destination: VEC3,
+      speed: { type: 'number', min: 1, optional: true, default: MUSAI.speed },
+      health: { type: 'number', min: 1, optional: true, default: MUSAI.health },
+    },
+  },
+  objectives: {
+    type: 'array',
+    minLength: 1,
+    items: {
+      type: 'object',
+      fields: {
+        id: ID,
+        type: { type: 'enum', options: OBJECTIVE_TYPES },
+        target: { type: 'number', min: 0, optional: true },      // destruction: percent, damageLimit: HP
+        section: { type: 'enum', options: SECTION_TYPES, optional: true },   // destroyAll
+        deadline: { type: 'number', min: 1, optional: true },    // Fails if not done this many seconds in
+        primary: { type: 'boolean', optional: true, default: true },          // Failing a primary fails the mission
+        bonus: { type: 'number', min: 0, optional: true, default: 0 },        // Final score bonus when completed
+        text: { ...TEXT, optional: true },                        // Checklist label (default per type)
+      },
+    },
+  },
+  scoring: {
+    type: 'object',
+    optional: true,
+    default: { ...SCORING, comboTimeout: GAME.comboTimeout },
+    fields: {
+      timeBonus: { type: 'number', min: 0, optional: true, default: SCORING.timeBonus },
+      destructionBonus: { type: 'number', min: 0, optional: true, default: SCORING.destructionBonus },
+      comboBonus: { type: 'number', min: 0, optional: true, default: SCORING.comboBonus },
+      comboTimeout: { type: 'number', min: 100, optional: true, default: GAME.comboTimeout },   // ms
+    },
+  },
+  // Campaign rating: a won mission earns one star per threshold it meets
+  stars: {
+    type: 'object',
+    fields: {
+      score: { type: 'number', min: 0 },                         // Final score
+      timeLeft: { type: 'number', min: 0 },                      // Seconds
+      destruction: { type: 'number', min: 0, max: 100 },         // Percent
+    },
+  },
+  // Rewards for the first win (clearing a stage also unlocks the next one)
+  unlocks: {
+    type: 'object',
+    optional: true,
+    default: { weapons: [], variants: [] },
+    fields: {
+      weapons: { type: 'array', items: ID, optional: true, default: [] },     // Weapon ids (src/data/weapons)
+      variants: {
+        type: 'array',
+        items: { type: 'enum', options: Object.keys(ZAKU_VARIANTS) },
+        optional: true,
+        default: [],
+      },
+    },
+  },
+};
+
+/**
+ * Validate one mission definition
+ * @returns {{definition: object, errors: string[]}} Definition with defaults filled in
+ */
+export function validateMissionDefinition(data) {
+  const errors = [];
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { definition: null, errors: ['mission definition must be a JSON object'] };
+  }
+
+  const definition = validateObject(SCHEMA, data, '', errors);
+
+  // Objectives
+  const objectives = Array.isArray(definition.objectives) ? definition.objectives : [];
+  if (objectives.length > 0 && !objectives.some(objective => objective.primary)) {
+    errors.push('objectives needs at least one primary objective');
+  }
+  objectives.forEach((objective, index) => {
+    const path = `objectives[${index}]`;
+    if (objectives.findIndex(other => other.id === objective.id) !== index) {
+      errors.push(`${path}.id "${objective.id}" is already used`);
+    }
+    if ((objective.type === 'destruction' || objective.type === 'damageLimit') && objective.target === undefined) {
+      errors.push(`${path}.target is required for a ${objective.type} objective`);
+    }
+    if (objective.type === 'destruction' && objective.target > 100) {
+      errors.push(`${path}.target must be <= 100 for a destruction objective (got ${objective.target})`);
+    }
+    if (objective.type === 'destroyAll' && objective.section === undefined) {
+      errors.push(`${path}.section is required for a destroyAll objective`);
+    }
+    if (objective.type === 'escort' && !definition.escort) {
+      errors.push(`${path} is an escort objective but the mission has no escort`);
+    }
+    if (objective.deadline !== undefined && objective.deadline > definition.timeLimit) {
+      errors.push(`${path}.deadline must be <= timeLimit (got ${objective.deadline})`);
+    }
+  });
+  if (definition.escort && !objectives.some(objective => objective.type === 'escort')) {
+    errors.push('escort is set but no objective has type "escort"');
+  }
+
+  // Star ratings
+  if (definition.stars && definition.stars.timeLeft > definition.timeLimit) {
+    errors.push(`stars.timeLeft must be <= timeLimit (got ${definition.stars.timeLeft})`);
+  }
+
+  // Unlocks (the starter arsenal is always carried)
+  if (definition.unlocks && Array.isArray(definition.unlocks.weapons)) {
+    definition.unlocks.weapons
+      .filter(id => CAMPAIGN.starterWeapons.includes(id))
+      .forEach(id => errors.push(`unlocks.weapons must not list the starter weapon "${id}"`));
+  }
+
+  // Wave directions
+  const waves = definition.waves && Array.isArray(definition.waves.list) ? definition.waves.list : [];
+  waves.forEach((wave, index) => {
+    if (Array.isArray(wave.direction) && wave.direction.every(n => n === 0)) {
+      errors.push(`waves.list[${index}].direction must not be [0, 0, 0]`);
+    }
+  });
+
+  // The Zaku and the Musai must not start inside the colony
+  if (errors.length === 0 && definition.spawn) {
+    checkClearOfColony(definition, definition.spawn.position, 'spawn.position', errors);
+  }
+  if (errors.length === 0 && definition.escort) {
+    checkClearOfColony(definition, definition.escort.start, 'escort.start', errors);
+    checkClearOfColony(definition, definition.escort.destination, 'escort.destination', errors);
+  }
+
+  return { definition, errors };
+}
+
+/**
+ * Check a point against the colony cylinder (the exact layout when the
+ * seed is fixed, otherwise the largest the colony type can be)
+ */
+function checkClearOfColony(definition, point, path, errors) {
+  const { seed, type, position } = definition.colony;
+
+  let length;
+  let radius;
+  if (seed) {
+    ({ length, radius } = generateColonyLayout(seed, type ?? null));
+  } else {
+    const specs = type ? [COLONY_TYPES[type]] : Object.values(COLONY_TYPES);
+    length = Math.max(...specs.map(spec => spec.length[1]));
+    radius = Math.max(...specs.map(spec => spec.radius[1]));
+  }
+
+  const local = new THREE.Vector3(...point).sub(new THREE.Vector3(...position));
+  const radial = Math.hypot(local.y, local.z);
+
+  if (Math.abs(local.x) <= length / 2 && radial <= radius) {
+    const size = `length ${length}, radius ${radius}${seed ? '' : ' at most'}`;
+    errors.push(`${path} [${point.join(', ')}] is inside the colony (${size})`);
+  }
+}
+
+/**
+ * Validate mission files; invalid files are reported and skipped
+ * @param {object} files - File name -> parsed JSON
+ * @returns {object[]} Valid missions ordered as stages
+ */
+export function loadMissions(files = MISSION_FILES) {
+  const missions = [];
+
+  for (const file in files) {
+    const name = file.split('/').pop();
+    const { definition, errors } = validateMissionDefinition(files[file]);
+
+    // Ids pick the mission, order numbers the stages; both must be unique
+    if (definition) {
+      const clash = missions.find(other => other.id === definition.id || other.order === definition.order);
+      if (clash) {
+        const field = clash.id === definition.id ? `id "${definition.id}"` : `order ${definition.order}`;
+        errors.push(`${field} is already used by ${clash.file}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn(`[MissionLoader] Skipping ${name}:\n  ${errors.join('\n  ')}`);
+      continue;
+    }
+
+    missions.push({ ...definition, file: name });
+  }
+
+  if (missions.length === 0) {
+    throw new Error('[MissionLoader] No valid mission definitions found');
+  }
+
+  return missions.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Build a mission's colony, the Zaku spawn point and the Musai to escort
+ * @param {object} mission - Validated mission
+ * @param {string} [seed] - Colony seed (defaults to the mission's, or a new one)
+ * @returns {{colony: Colony, spawn: THREE.Vector3, escort: Musai|null}}
+ */
+export function buildMission(mission, seed = mission.colony.seed ?? randomSeed()) {
+  const layout = generateColonyLayout(seed, mission.colony.type ?? null);
+  const colony = new Colony(layout);
+  colony.setPosition(...mission.colony.position);
+  if (mission.colony.spin !== undefined) {
+    colony.setSpinRate(mission.colony.spin);
+  }
+
+  // Default spawn: in front of the colony, clear of its mirrors and towers
+  const spawn = mission.spawn
+    ? new THREE.Vector3(...mission.spawn.position)
+    : colony.getPosition().add(new THREE.Vector3(0, 0, layout.radius + SPAWN_CLEARANCE));
+
+  let escort = null;
+  if (mission.escort) {
+    const { start, destination, speed, health } = mission.escort;
+    escort = new Musai({ speed, health });
+    escort.setRoute(new THREE.Vector3(...start), new THREE.Vector3(...destination));
+  }
+
+  return { colony, spawn, escort };
+}
@@ -0,0 +1,125 @@
+/**
+ * Object Pool
+ * Reuses short-lived scene objects (projectiles, particles, debris) instead of
+ * allocating and disposing them per shot. Pools register themselves so the
+ * debug overlay can list their usage.
+ */
+
+// Every live pool, for getPoolStats()
+const registry = new Set();
+
+export class ObjectPool {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Label in the debug overlay
+   * @param {function(): object} options.create - Build a new object
+   * @param {function(object): void} [options.reset] - Prepare a released object for reuse
+   * @param {function(object): void} [options.destroy] - Free an object's own resources on dispose
+   * @param {number} options.capacity - Max objects in use at once
+   * @param {number} [options.prewarm] - Objects to build up front
+   */
+  constructor({ name, create, reset = null, destroy = null, capacity, prewarm = 0 }) {
+    this.name = name;
+    this.create = create;
+    this.reset = reset;
+    this.destroy = destroy;
+    this.capacity = capacity;
+
+    // Objects ready for reuse
+    this.free = [];
+
+    // Objects handed out
+    this.active = new Set();
+
+    // Stats
+    this.created = 0;
+    this.dropped = 0;           // acquire() calls refused at capacity
+    this.peak = 0;
+
+    for (let i = 0; i < Math.min(prewarm, capacity); i++) {
+      this.free.push(this.build());
+    }
+
+    registry.add(this);
+  }
+
+  /**
+   * Create a new object
+   */
+  build() {
+    this.created++;
+    return this.create();
+  }
+
+  /**
+   * Take an object from the pool
+   * @returns {object|null} Null when the pool is at capacity
+   */
+  acquire() {
+    if (this.active.size >= this.capacity) {
+      this.dropped++;
+      return null;
+    }
+
+    const object = this.free.length > 0 ? this.free.pop() : this.build();
+    this.active.add(object);
+    this.peak = Math.max(this.peak, this.active.size);
+    return object;
+  }
+
+  /**
+   * Return an object to the pool
+   */
+  release(object) {
+    if (!this.active.delete(object)) return;
+
+    if (object.parent) {
+      object.parent.remove(object);
+    }
+    if (this.reset) this.reset(object);
+
+    this.free.push(object);
+  }
+
+  /**
+   * Return every object in use to the pool
+   */
+  releaseAll() {
+    [...this.active].forEach(object => this.release(object));
+  }
+
+  /**
+   * Get usage for the debug overlay
+   */
+  getStats() {
+    return {
+      name: this.name,
+      active: this.active.size,
+      free: this.free.length,
+      capacity: this.capacity,
+      created: this.created,
+      peak: this.peak,
+      dropped: this.dropped,
+    };
+  }
+
+  /**
+   * Drop all objects and unregister the pool
+   * Shared geometries and materials belong to the pool's owner
+   */
+  dispose() {
+    this.releaseAll();
+    if (this.destroy) {
+      this.free.forEach(object => this.destroy(object));
+    }
+    this.free = [];
+    registry.delete(this);
+  }
+}
+
+/**
+ * Get stats of every live pool
+ */
+export function getPoolStats() {
+  return [...registry].map(pool => pool.getStats());
+}
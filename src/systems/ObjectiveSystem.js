@@ -0,0 +1,246 @@
+/**
+ * Objective System
+ * Tracks a mission's primary and secondary objectives: progress, completion,
+ * failure (deadlines, limits, a lost escort) and the score bonus they award.
+ * The mission is won once every primary objective is done and lost as soon
+ * as one fails; secondary objectives only affect the bonus.
+ */
+
+import { t, localize } from '../utils/Strings.js';
+
+/**
+ * Objective type registry
+ * Each type defines label(objective) and update(objective, context)
+ * returning { status, progress, detail }. Types with holds: true are
+ * conditions to keep (active counts as done) and complete when the mission
+ * is won or their deadline passes.
+ */
+const OBJECTIVE_HANDLERS = {};
+
+/**
+ * Register an objective type so missions can use it by name
+ */
+export function registerObjectiveType(name, handler) {
+  OBJECTIVE_HANDLERS[name] = handler;
+}
+
+// ============================================
+// BUILT-IN OBJECTIVE TYPES
+// ============================================
+
+/**
+ * Destruction: wreck a share of the colony
+ */
+registerObjectiveType('destruction', {
+  label: objective => t('objective.destruction', { target: objective.target }),
+
+  update(objective, context) {
+    const percent = context.colony.getDestructionPercentage();
+    return {
+      status: percent >= objective.target ? 'complete' : 'active',
+      progress: objective.target > 0 ? Math.min(1, percent / objective.target) : 1,
+      detail: `${Math.floor(percent)}%`,
+    };
+  },
+});
+
+/**
+ * Destroy all: every section of one type (control towers, solar mirrors...)
+ */
+registerObjectiveType('destroyAll', {
+  label: objective => t('objective.destroyAll', { section: t(`target.${objective.section}`) }),
+
+  update(objective, context) {
+    const sections = context.colony.sections.filter(section => section.type === objective.section);
+    const destroyed = sections.filter(section => section.destroyed).length;
+    return {
+      status: destroyed === sections.length ? 'complete' : 'active',
+      progress: sections.length > 0 ? destroyed / sections.length : 1,
+      detail: `${destroyed}/${sections.length}`,
+    };
+  },
+});
+
+/**
+ * Damage limit: the Zaku loses no more than target HP
+ */
+registerObjectiveType('damageLimit', {
+  holds: true,
+  label: objective => t('objective.damageLimit', { target: objective.target }),
+
+  update(objective, context) {
+    const taken = context.damageTaken;
+    return {
+      status: taken > objective.target ? 'failed' : 'active',
+      progress: objective.target > 0 ? Math.max(0, 1 - taken / objective.target) : 0,
+      detail: `${Math.ceil(taken)}/${objective.target} HP`,
+    };
+  },
+});
+
+/**
+ * Escort: the mission's Musai reaches its destination
+ */
+registerObjectiveType('escort', {
+  label: () => t('objective.escort'),
+
+  update(objective, context) {
+    const { escort } = context;
+    if (!escort || escort.isDestroyed()) {
+      return { status: 'failed', progress: 0, detail: '0%' };
+    }
+
+    return {
+      status: escort.hasArrived() ? 'complete' : 'active',
+      progress: escort.getRouteProgress(),
+      detail: `${Math.ceil(escort.getHealthRatio() * 100)}%`,
+    };
+  },
+});
+
+// ============================================
+// OBJECTIVE TRACKER
+// ============================================
+
+export class ObjectiveSystem {
+  constructor() {
+    // Mission objectives: {definition, status, progress, detail}
+    this.objectives = [];
+
+    // Seconds since launch (for deadlines)
+    this.elapsed = 0;
+  }
+
+  /**
+   * Set the mission's objectives and start tracking them
+   * @param {object[]} definitions - Validated mission objectives
+   */
+  setObjectives(definitions) {
+    this.objectives = definitions.map(definition => ({
+      definition,
+      status: 'active',
+      progress: 0,
+      detail: '',
+    }));
+    this.elapsed = 0;
+  }
+
+  /**
+   * Update progress and status of every open objective
+   * @param {object} context - {colony, damageTaken, escort}
+   * @returns {object[]} Objectives that completed or failed this frame
+   */
+  update(deltaTime, context) {
+    this.elapsed += deltaTime;
+    const changed = [];
+
+    this.objectives.forEach(objective => {
+      if (objective.status !== 'active') return;
+
+      const { definition } = objective;
+      const handler = OBJECTIVE_HANDLERS[definition.type];
+      const result = handler.update(definition, context);
+
+      objective.progress = result.progress;
+      objective.detail = result.detail;
+      objective.status = result.status;
+
+      // Past the deadline: conditions to keep are met, goals are missed
+      if (objective.status === 'active' && definition.deadline !== undefined &&
+          this.elapsed >= definition.deadline) {
+        objective.status = handler.holds ? 'complete' : 'failed';
+      }
+
+      if (objective.status !== 'active') changed.push(objective);
+    });
+
+    return changed;
+  }
+
+  /**
+   * Check if every primary objective is done (kept conditions count)
+   */
+  isComplete() {
+    return this.objectives.every(objective => {
+      if (!objective.definition.primary) return true;
+      if (objective.status === 'complete') return true;
+      return objective.status === 'active' && OBJECTIVE_HANDLERS[objective.definition.type].holds === true;
+    });
+  }
+
+  /**
+   * Get the first failed primary objective
+   * @returns {object|null}
+   */
+  getFailedPrimary() {
+    return this.objectives.find(objective => objective.definition.primary && objective.status === 'failed') || null;
+  }
+
+  /**
+   * Settle open objectives at the end of the mission
+   * On a win kept conditions complete; everything else still open fails
+   */
+  finish(victory) {
+    this.objectives.forEach(objective => {
+      if (objective.status !== 'active') return;
+
+      const { holds } = OBJECTIVE_HANDLERS[objective.definition.type];
+      objective.status = victory && holds ? 'complete' : 'failed';
+    });
+  }
+
+  /**
+   * Get the score bonus of completed objectives
+   */
+  getBonus() {
+    return this.objectives
+      .filter(objective => objective.status === 'complete')
+      .reduce((total, objective) => total + objective.definition.bonus, 0);
+  }
+
+  /**
+   * Get the number of completed objectives
+   */
+  getCompletedCount() {
+    return this.objectives.filter(objective => objective.status === 'complete').length;
+  }
+
+  /**
+   * Get the checklist label of an objective
+   */
+  getLabel(objective) {
+    const { definition } = objective;
+    if (definition.text) return localize(definition.text);
+    return OBJECTIVE_HANDLERS[definition.type].label(definition);
+  }
+
+  /**
+   * Get the checklist for the HUD
+   * @returns {Array<{id, label, detail, status, primary, bonus, timeLeft}>} timeLeft is null without a deadline
+   */
+  getChecklist() {
+    return this.objectives.map(objective => {
+      const { definition } = objective;
+      const timeLeft = definition.deadline !== undefined && objective.status === 'active'
+        ? Math.max(0, definition.deadline - this.elapsed)
+        : null;
+
+      return {
+        id: definition.id,
+        label: this.getLabel(objective),
+        detail: objective.detail,
+        status: objective.status,
+        primary: definition.primary,
+        bonus: definition.bonus,
+        timeLeft,
+      };
+    });
+  }
+
+  /**
+   * Reset every objective for a retry
+   */
+  reset() {
+    this.setObjectives(this.objectives.map(objective => objective.definition));
+  }
+}
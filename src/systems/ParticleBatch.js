@@ -0,0 +1,279 @@
+/**
+ * Particle Batch
+ * Draws every particle of one look (geometry + material) as a single
+ * InstancedMesh. Per-particle state lives in typed arrays and is written
+ * straight into the instance buffers, so an explosion costs no extra draw
+ * calls, meshes or materials. Slots come from an ObjectPool so the debug
+ * overlay shows batch usage like any other pool.
+ */
+
+import * as THREE from 'three';
+import { sampleCurve } from '../utils/MathUtils.js';
+import { ObjectPool } from './ObjectPool.js';
+
+// Scratch objects for composing instance matrices
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _euler = new THREE.Euler();
+const _matrix = new THREE.Matrix4();
+const _color = new THREE.Color();
+
+/**
+ * Sample a color gradient ([{t, color}] in time order) into target
+ */
+function sampleGradient(stops, t, target) {
+  if (t <= stops[0].t) return target.copy(stops[0].color);
+
+  for (let i = 1; i < stops.length; i++) {
+    if (t <= stops[i].t) {
+      const from = stops[i - 1];
+      const to = stops[i];
+      const span = to.t - from.t;
+      return target.lerpColors(from.color, to.color, span > 0 ? (t - from.t) / span : 1);
+    }
+  }
+
+  return target.copy(stops[stops.length - 1].color);
+}
+
+/**
+ * Let a MeshBasicMaterial read a per-instance opacity attribute
+ */
+function addInstanceOpacity(material) {
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', 'attribute float instanceOpacity;\nvarying float vInstanceOpacity;\n#include <common>')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', 'varying float vInstanceOpacity;\n#include <common>')
+      .replace('#include <opaque_fragment>', 'diffuseColor.a *= vInstanceOpacity;\n#include <opaque_fragment>');
+  };
+}
+
+export class ParticleBatch {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Label in the debug overlay
+   * @param {THREE.BufferGeometry} options.geometry - Unit geometry, scaled per particle
+   * @param {THREE.Material} options.material - Shared material (owned by the caller)
+   * @param {number} options.capacity - Max live particles
+   * @param {boolean} [options.fade] - Per-instance color and opacity curves (transparent material); off for lit debris
+   * @param {boolean} [options.rotates] - Particles have an orientation (debris, sprites)
+   */
+  constructor({ name, geometry, material, capacity, fade = true, rotates = false }) {
+    this.capacity = capacity;
+    this.fade = fade;
+    this.rotates = rotates;
+    this.colorsChanged = false;                      // Gradient colors were written this frame
+
+    // Per-particle state
+    this.positions = new Float32Array(capacity * 3);
+    this.velocities = new Float32Array(capacity * 3);
+    this.rotations = new Float32Array(capacity * 3);
+    this.spins = new Float32Array(capacity * 3);
+    this.life = new Float32Array(capacity);          // 1 at spawn, hidden at 0
+    this.decay = new Float32Array(capacity);         // Life lost per second
+    this.drag = new Float32Array(capacity);          // Velocity kept per 1/60 s (1 = none)
+    this.size = new Float32Array(capacity);          // Scaled by the size curve
+    this.opacity = new Float32Array(capacity);       // Scaled by the opacity curve
+    this.profiles = new Array(capacity);             // Curves over life (shared per emitter)
+
+    this.mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.frustumCulled = false;                 // Bounds would only cover the unit geometry
+    this.mesh.count = 0;
+
+    if (fade) {
+      // Per-instance color and opacity (must exist before the first compile)
+      this.mesh.setColorAt(0, _color.set(0xffffff));
+      this.mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+
+      this.opacityAttribute = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+      this.opacityAttribute.setUsage(THREE.DynamicDrawUsage);
+      this.mesh.geometry = geometry.clone();
+      this.mesh.geometry.setAttribute('instanceOpacity', this.opacityAttribute);
+      addInstanceOpacity(material);
+    }
+
+    // Instance slots; instances up to the highest slot ever used are drawn
+    let nextSlot = 0;
+    this.slots = new ObjectPool({
+      name,
+      create: () => nextSlot++,
+      reset: (slot) => this.hide(slot),
+      capacity,
+    });
+  }
+
+  /**
+   * Start a particle
+   * @param {object} particle
+   * @param {THREE.Vector3} particle.position
+   * @param {THREE.Vector3} [particle.velocity]
+   * @param {THREE.Euler} [particle.rotation]
+   * @param {THREE.Vector3} [particle.spin] - rad/s per axis
+   * @param {THREE.Color|number} [particle.color]
+   * @param {number} [particle.opacity]
+   * @param {number} particle.decay - Life lost per second
+   * @param {number} [particle.drag]
+   * @param {number} particle.size
+   * @param {object} particle.profile - {sizeCurve, opacityCurve, gradient|null} over life
+   * @returns {number|null} Slot, or null when the batch is full
+   */
+  spawn(particle) {
+    const slot = this.slots.acquire();
+    if (slot === null) return null;
+
+    const i3 = slot * 3;
+    particle.position.toArray(this.positions, i3);
+
+    if (particle.velocity) {
+      particle.velocity.toArray(this.velocities, i3);
+    } else {
+      this.velocities.fill(0, i3, i3 + 3);
+    }
+
+    // Euler.toArray would also write the rotation order
+    const rotation = particle.rotation;
+    this.rotations[i3] = rotation ? rotation.x : 0;
+    this.rotations[i3 + 1] = rotation ? rotation.y : 0;
+    this.rotations[i3 + 2] = rotation ? rotation.z : 0;
+
+    if (particle.spin) {
+      particle.spin.toArray(this.spins, i3);
+    } else {
+      this.spins.fill(0, i3, i3 + 3);
+    }
+
+    this.life[slot] = 1;
+    this.decay[slot] = particle.decay;
+    this.drag[slot] = particle.drag ?? 1;
+    this.size[slot] = particle.size;
+    this.opacity[slot] = particle.opacity ?? 1;
+    this.profiles[slot] = particle.profile;
+
+    if (this.fade) {
+      this.mesh.setColorAt(slot, _color.set(particle.color ?? 0xffffff));
+      this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    this.mesh.count = Math.max(this.mesh.count, slot + 1);
+    this.writeInstance(slot);
+    return slot;
+  }
+
+  /**
+   * End a particle and free its slot
+   */
+  kill(slot) {
+    this.slots.release(slot);
+  }
+
+  /**
+   * Collapse a slot's instance so it draws nothing
+   */
+  hide(slot) {
+    this.life[slot] = 0;
+    this.profiles[slot] = null;
+    _matrix.makeScale(0, 0, 0);
+    this.mesh.setMatrixAt(slot, _matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Write a particle's transform, opacity and color into the instance buffers
+   */
+  writeInstance(slot) {
+    const life = this.life[slot];
+    if (life <= 0) {
+      this.hide(slot);
+      return;
+    }
+
+    const i3 = slot * 3;
+    const age = 1 - life;
+    const profile = this.profiles[slot];
+    const size = this.size[slot] * sampleCurve(profile.sizeCurve, age);
+    _position.fromArray(this.positions, i3);
+    _scale.setScalar(size);
+
+    if (this.rotates) {
+      _euler.set(this.rotations[i3], this.rotations[i3 + 1], this.rotations[i3 + 2]);
+      _quaternion.setFromEuler(_euler);
+    } else {
+      _quaternion.identity();
+    }
+
+    _matrix.compose(_position, _quaternion, _scale);
+    this.mesh.setMatrixAt(slot, _matrix);
+
+    if (this.fade) {
+      this.opacityAttribute.array[slot] = this.opacity[slot] * sampleCurve(profile.opacityCurve, age);
+
+      if (profile.gradient) {
+        this.mesh.setColorAt(slot, sampleGradient(profile.gradient, age, _color));
+        this.colorsChanged = true;
+      }
+    }
+  }
+
+  /**
+   * Advance every live particle
+   */
+  update(deltaTime) {
+    if (this.slots.active.size === 0) return;
+
+    const frames = deltaTime * 60;
+
+    for (const slot of this.slots.active) {
+      if (this.life[slot] <= 0) continue;
+
+      const i3 = slot * 3;
+      this.life[slot] -= this.decay[slot] * deltaTime;
+
+      // Move, then slow down (drag is tuned per 60 fps frame)
+      const drag = this.drag[slot] === 1 ? 1 : Math.pow(this.drag[slot], frames);
+      for (let axis = 0; axis < 3; axis++) {
+        this.positions[i3 + axis] += this.velocities[i3 + axis] * deltaTime;
+        this.velocities[i3 + axis] *= drag;
+        this.rotations[i3 + axis] += this.spins[i3 + axis] * deltaTime;
+      }
+
+      this.writeInstance(slot);
+    }
+
+    this.mesh.instanceMatrix.needsUpdate = true;
+    if (this.fade) this.opacityAttribute.needsUpdate = true;
+    if (this.colorsChanged) {
+      this.mesh.instanceColor.needsUpdate = true;
+      this.colorsChanged = false;
+    }
+  }
+
+  /**
+   * Get live particle count
+   */
+  getActiveCount() {
+    return this.slots.active.size;
+  }
+
+  /**
+   * Free every slot
+   */
+  clear() {
+    this.slots.releaseAll();
+    this.mesh.count = 0;
+  }
+
+  /**
+   * Free GPU buffers (geometry and material belong to the caller)
+   */
+  dispose() {
+    this.clear();
+    this.slots.dispose();
+    if (this.mesh.parent) this.mesh.parent.remove(this.mesh);
+    if (this.fade) this.mesh.geometry.dispose();
+    this.mesh.dispose();
+  }
+}
@@ -1,300 +1,524 @@
 /**
  * Particle System
- * Handles explosions and visual effects
+ * Plays the declarative effects from src/data/effects (see EffectLoader)
+ * Particles are instances in a few ParticleBatches (one draw call per look);
+ * every effect draws from one particle and light budget (see EFFECT_BUDGET)
  */
 
 import * as THREE from 'three';
-import { randomRange } from '../utils/MathUtils.js';
+import { PARTICLE_MESHES, EFFECTS, EFFECT_BUDGET } from '../utils/Constants.js';
+import { randomRange, clamp } from '../utils/MathUtils.js';
+import { loadEffects } from './EffectLoader.js';
+import { ParticleBatch } from './ParticleBatch.js';
+
+// Scratch objects for spawning (ParticleBatch copies the values)
+const _position = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _spin = new THREE.Vector3();
+const _euler = new THREE.Euler();
+const _quaternion = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+const _color = new THREE.Color();
+const _up = new THREE.Vector3(0, 1, 0);
+const _origin = new THREE.Vector3();
 
 export class ParticleSystem {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} [effects] - Effect id -> compiled effect (defaults to the bundled files)
+   */
+  constructor(scene, effects = loadEffects()) {
     this.scene = scene;
+    this.effects = effects;
 
-    // Active particle groups
+    // Active effects (see play)
     this.particles = [];
 
-    // Particle pool for reuse
-    this.pool = [];
-    this.maxPoolSize = 50;
+    // Live particles across all effects (budget)
+    this.particleCount = 0;
+
+    // Shared unit geometries per particle mesh (instances are scaled per particle)
+    this.geometries = {
+      spark: new THREE.SphereGeometry(1, 4, 4),
+      flash: new THREE.SphereGeometry(1, 16, 16),
+      blob: new THREE.SphereGeometry(1, 8, 8),
+      sprite: new THREE.PlaneGeometry(1, 1),
+      box: new THREE.BoxGeometry(1, 1, 1),
+      tetra: new THREE.TetrahedronGeometry(1),
+    };
+
+    // Lit debris doesn't fade, so all of it shares one material
+    this.debrisMaterial = new THREE.MeshStandardMaterial({
+      color: 0x666666,
+      roughness: 0.8,
+      metalness: 0.3,
+    });
+
+    // Created on first use: mesh[:texture] -> batch, texture name -> texture
+    this.batches = {};
+    this.materials = [];
+    this.textures = {};
+
+    // Flash lights stay in the scene at zero intensity when idle; adding and
+    // removing lights would recompile every lit material
+    this.lights = [];
+    for (let i = 0; i < EFFECT_BUDGET.maxLights; i++) {
+      const light = new THREE.PointLight(0xff6600, 0, 30);
+      light.userData = { life: 0, priority: 0 };
+      this.scene.add(light);
+      this.lights.push(light);
+    }
   }
 
+  // ============================================
+  // BATCHES
+  // ============================================
+
   /**
-   * Create an explosion at position
+   * Get the batch drawing a mesh/texture look, creating it on first use
    */
-  createExplosion(position, size = 1, color = 0xFF6600) {
-    const particleCount = Math.floor(20 * size);
-    const group = new THREE.Group();
-    group.position.copy(position);
-
-    const particles = [];
-
-    for (let i = 0; i < particleCount; i++) {
-      // Create particle geometry
-      const geometry = new THREE.SphereGeometry(0.5 * size, 4, 4);
-      const material = new THREE.MeshBasicMaterial({
-        color: color,
-        transparent: true,
-        opacity: 1,
+  getBatch(mesh, texture = 'none') {
+    const key = texture === 'none' ? mesh : `${mesh}:${texture}`;
+
+    if (!this.batches[key]) {
+      const { capacity, lit, round } = PARTICLE_MESHES[mesh];
+
+      let material = this.debrisMaterial;
+      if (!lit) {
+        material = new THREE.MeshBasicMaterial({
+          transparent: true,
+          depthWrite: false,
+          side: round ? THREE.FrontSide : THREE.DoubleSide,
+          map: this.getTexture(texture),
+        });
+        this.materials.push(material);
+      }
+
+      const batch = new ParticleBatch({
+        name: key,
+        geometry: this.geometries[mesh],
+        material,
+        capacity,
+        fade: !lit,
+        rotates: !round,
       });
-      const particle = new THREE.Mesh(geometry, material);
-
-      // Random direction
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI;
-      const speed = randomRange(5, 15) * size;
-
-      particle.userData = {
-        velocity: new THREE.Vector3(
-          Math.sin(phi) * Math.cos(theta) * speed,
-          Math.sin(phi) * Math.sin(theta) * speed,
-          Math.cos(phi) * speed
-        ),
-        life: 1,
-        decay: randomRange(0.5, 1.5),
-      };
-
-      group.add(particle);
-      particles.push(particle);
+      batch.mesh.castShadow = lit;
+      this.scene.add(batch.mesh);
+      this.batches[key] = batch;
     }
 
-    // Add flash
-    const flashGeometry = new THREE.SphereGeometry(3 * size, 16, 16);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-      color: 0xFFFF00,
-      transparent: true,
-      opacity: 0.8,
-    });
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    flash.userData = {
-      isFlash: true,
-      life: 1,
-      decay: 5,
-    };
-    group.add(flash);
-    particles.push(flash);
+    return this.batches[key];
+  }
+
+  /**
+   * Get a particle texture, drawing it on first use
+   * @returns {THREE.Texture|null} Null for 'none'
+   */
+  getTexture(name) {
+    if (name === 'none') return null;
+
+    if (!this.textures[name]) {
+      const size = 64;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+
+      const context = canvas.getContext('2d');
+      const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+      if (name === 'ring') {
+        gradient.addColorStop(0.55, 'rgba(255, 255, 255, 0)');
+        gradient.addColorStop(0.8, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+      } else {
+        // Soft round glow
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.6)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+      }
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, size, size);
 
-    this.scene.add(group);
+      this.textures[name] = new THREE.CanvasTexture(canvas);
+      this.textures[name].colorSpace = THREE.SRGBColorSpace;
+    }
 
-    this.particles.push({
-      group,
-      particles,
-      age: 0,
-      maxAge: 2,
+    return this.textures[name];
+  }
+
+  // ============================================
+  // BUDGET
+  // ============================================
+
+  /**
+   * Find the effect to cull first: lowest priority, then oldest
+   * @param {number} belowPriority - Only effects under this priority qualify
+   * @param {function} [filter] - Extra condition on the effect
+   * @returns {number} Index in this.particles, or -1
+   */
+  findCullCandidate(belowPriority, filter = null) {
+    let candidate = -1;
+
+    this.particles.forEach((effect, index) => {
+      if (effect.priority >= belowPriority) return;
+      if (filter && !filter(effect)) return;
+
+      const best = this.particles[candidate];
+      if (!best || effect.priority < best.priority ||
+          (effect.priority === best.priority && effect.age > best.age)) {
+        candidate = index;
+      }
     });
 
-    return group;
+    return candidate;
   }
 
   /**
-   * Create debris particles
+   * Make room for new particles, culling lower priority effects
+   * @returns {number} Particles the effect may use (may be less than asked)
    */
-  createDebris(position, count = 10) {
-    const group = new THREE.Group();
-    group.position.copy(position);
+  claimParticles(count, priority) {
+    while (this.particleCount + count > EFFECT_BUDGET.maxParticles) {
+      const index = this.findCullCandidate(priority);
+      if (index === -1) break;
+      this.removeParticleGroup(index);
+    }
 
-    const particles = [];
+    return Math.max(0, Math.min(count, EFFECT_BUDGET.maxParticles - this.particleCount));
+  }
 
-    for (let i = 0; i < count; i++) {
-      // Create debris geometry (random shapes)
-      const size = randomRange(0.3, 1);
-      const geometry = Math.random() > 0.5
-        ? new THREE.BoxGeometry(size, size, size)
-        : new THREE.TetrahedronGeometry(size);
-
-      const material = new THREE.MeshStandardMaterial({
-        color: 0x666666,
-        roughness: 0.8,
-        metalness: 0.3,
-      });
+  /**
+   * Limit how many effects pile up in one spot
+   * @returns {boolean} False if the new effect should be skipped
+   */
+  claimSpace(position, priority) {
+    const radiusSq = EFFECT_BUDGET.overlapRadius * EFFECT_BUDGET.overlapRadius;
+    const overlaps = (effect) => effect.position.distanceToSquared(position) < radiusSq;
+
+    const overlapping = this.particles.filter(overlaps).length;
+    if (overlapping < EFFECT_BUDGET.maxOverlapping) return true;
+
+    const index = this.findCullCandidate(priority, overlaps);
+    if (index === -1) return false;
+
+    this.removeParticleGroup(index);
+    return true;
+  }
 
-      const particle = new THREE.Mesh(geometry, material);
-      particle.castShadow = true;
-
-      // Random direction and spin
-      const speed = randomRange(3, 8);
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI;
-
-      particle.userData = {
-        velocity: new THREE.Vector3(
-          Math.sin(phi) * Math.cos(theta) * speed,
-          Math.sin(phi) * Math.sin(theta) * speed + 2, // Upward bias
-          Math.cos(phi) * speed
-        ),
-        spin: new THREE.Vector3(
-          randomRange(-3, 3),
-          randomRange(-3, 3),
-          randomRange(-3, 3)
-        ),
-        life: 1,
-        decay: randomRange(0.2, 0.5),
-      };
-
-      group.add(particle);
-      particles.push(particle);
+  /**
+   * Light a flash, taking over the dimmest lower priority light if all are busy
+   * @param {object} flash - Compiled effect light {color, intensity, life, distance}
+   */
+  flashLight(position, flash, scale, priority) {
+    let light = this.lights.find(candidate => candidate.userData.life <= 0);
+
+    if (!light) {
+      light = this.lights
+        .filter(candidate => candidate.userData.priority <= priority)
+        .sort((a, b) => a.intensity - b.intensity)[0];
+      if (!light) return;
     }
 
-    this.scene.add(group);
+    light.position.copy(position);
+    light.color.copy(flash.color);
+    light.distance = flash.distance;
+    light.intensity = flash.intensity * scale;
+    light.userData.life = flash.life;
+    light.userData.priority = priority;
+  }
+
+  // ============================================
+  // PLAYING EFFECTS
+  // ============================================
 
-    this.particles.push({
-      group,
-      particles,
+  /**
+   * Play an effect from src/data/effects
+   * @param {string|object} effect - Effect id, or a compiled effect (preview page)
+   * @param {THREE.Vector3} position
+   * @param {object} [options]
+   * @param {number} [options.scale] - Multiplies what each emitter's scaleWith lists
+   * @param {number|THREE.Color} [options.color] - Replaces the colors of tint emitters
+   * @param {THREE.Vector3} [options.direction] - Replaces the emitters' cone axis
+   * @param {number} [options.priority] - Defaults to the effect's priority
+   * @returns {object|null} Effect record, or null if culled
+   */
+  play(effect, position, { scale = 1, color = null, direction = null, priority } = {}) {
+    const definition = typeof effect === 'string' ? this.effects[effect] : effect;
+    if (!definition) {
+      console.warn(`[ParticleSystem] Unknown effect "${effect}"`);
+      return null;
+    }
+    priority = priority ?? definition.priority;
+
+    // Bursts, trimmed to what the budget allows
+    const bursts = definition.emitters.map(emitter =>
+      Math.floor(emitter.burst * this.getScale(emitter, 'count', scale)));
+    const wanted = bursts.reduce((sum, count) => sum + count, 0);
+    const allowed = this.claimParticles(wanted, priority);
+    const streams = definition.emitters.some(emitter => emitter.rate > 0);
+    if (allowed === 0 && !streams) return null;
+
+    const record = {
+      definition,
+      position: position.clone(),
+      particles: [],
       age: 0,
-      maxAge: 4,
+      maxAge: definition.duration,
+      priority,
+      scale,
+      color: color !== null ? new THREE.Color(color) : null,
+      direction: direction ? direction.clone().normalize() : null,
+      owed: definition.emitters.map(() => 0),     // Fractional particles of rate emitters
+      removed: false,
+    };
+    this.particles.push(record);
+
+    const share = wanted > 0 ? allowed / wanted : 0;
+    definition.emitters.forEach((emitter, index) => {
+      this.emit(record, emitter, Math.floor(bursts[index] * share));
     });
 
-    return group;
+    if (definition.light) {
+      this.flashLight(position, definition.light, scale, priority);
+    }
+
+    return record;
   }
 
   /**
-   * Create muzzle flash
+   * Play a named effect preset (see EFFECTS)
+   * @returns {boolean} False if the effect was culled
    */
-  createMuzzleFlash(position, direction) {
-    const group = new THREE.Group();
-    group.position.copy(position);
-
-    // Flash sprite
-    const flashGeometry = new THREE.PlaneGeometry(2, 2);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-      color: 0xFFFF00,
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide,
-    });
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    flash.lookAt(direction);
-    flash.userData = {
-      life: 1,
-      decay: 15,
-    };
-    group.add(flash);
+  spawn(name, position) {
+    const preset = EFFECTS[name];
+    if (!preset) {
+      console.warn(`[ParticleSystem] Unknown effect preset "${name}"`);
+      return false;
+    }
 
-    this.scene.add(group);
+    if (!this.claimSpace(position, preset.priority)) return false;
 
-    this.particles.push({
-      group,
-      particles: [flash],
-      age: 0,
-      maxAge: 0.1,
+    preset.layers.forEach(layer => {
+      this.play(layer.effect, position, {
+        scale: layer.scale,
+        color: layer.color ?? null,
+        priority: preset.priority,
+      });
     });
 
-    return group;
+    return true;
   }
 
   /**
-   * Create smoke trail
+   * Play scale for one emitter property (1 unless listed in scaleWith)
    */
-  createSmokeTrail(position) {
-    const group = new THREE.Group();
-    group.position.copy(position);
-
-    const geometry = new THREE.SphereGeometry(1, 8, 8);
-    const material = new THREE.MeshBasicMaterial({
-      color: 0x888888,
-      transparent: true,
-      opacity: 0.5,
-    });
-    const smoke = new THREE.Mesh(geometry, material);
-
-    smoke.userData = {
-      velocity: new THREE.Vector3(
-        randomRange(-0.5, 0.5),
-        randomRange(0.5, 2),
-        randomRange(-0.5, 0.5)
-      ),
-      life: 1,
-      decay: 0.5,
-      grow: 2,
-    };
+  getScale(emitter, target, scale) {
+    return emitter.scaleWith.includes(target) ? scale : 1;
+  }
 
-    group.add(smoke);
+  /**
+   * Spawn particles from one emitter of a playing effect
+   */
+  emit(record, emitter, count) {
+    if (count <= 0) return;
 
-    this.scene.add(group);
+    const batch = this.getBatch(emitter.mesh, emitter.texture);
+    const speedScale = this.getScale(emitter, 'speed', record.scale);
+    const sizeScale = this.getScale(emitter, 'size', record.scale);
+    const radius = emitter.radius * this.getScale(emitter, 'radius', record.scale);
+    const axis = record.direction ?? emitter.direction;
+    const tinted = emitter.tint && record.color;
+    const profile = tinted ? { ...emitter.profile, gradient: null } : emitter.profile;
 
-    this.particles.push({
-      group,
-      particles: [smoke],
-      age: 0,
-      maxAge: 3,
-    });
+    for (let i = 0; i < count; i++) {
+      this.getEmitPosition(record.position, emitter.shape, radius, _position);
+      this.getConeDirection(axis, emitter.cosCone, _velocity)
+        .multiplyScalar(randomRange(emitter.speed[0], emitter.speed[1]) * speedScale)
+        .add(emitter.velocityOffset);
+
+      const slot = batch.spawn({
+        position: _position,
+        velocity: _velocity,
+        rotation: this.getEmitRotation(emitter.orient, axis),
+        spin: emitter.spin > 0
+          ? _spin.set(
+            randomRange(-emitter.spin, emitter.spin),
+            randomRange(-emitter.spin, emitter.spin),
+            randomRange(-emitter.spin, emitter.spin)
+          )
+          : null,
+        color: tinted ? record.color : this.getEmitColor(emitter),
+        opacity: emitter.opacity,
+        decay: 1 / randomRange(emitter.life[0], emitter.life[1]),
+        drag: emitter.drag,
+        size: randomRange(emitter.size[0], emitter.size[1]) * sizeScale,
+        profile,
+      });
+      if (slot === null) break;
 
-    return group;
+      record.particles.push({ batch, slot });
+      this.particleCount++;
+    }
+  }
+
+  /**
+   * Pick a spawn point for an emitter shape
+   */
+  getEmitPosition(origin, shape, radius, target) {
+    if (shape === 'point' || radius === 0) return target.copy(origin);
+
+    // Uniform inside the sphere, or on its surface for a shell
+    const distance = shape === 'shell' ? radius : radius * Math.cbrt(Math.random());
+    this.getConeDirection(_up, -1, target);
+    return target.multiplyScalar(distance).add(origin);
+  }
+
+  /**
+   * Random unit direction within a cone around an axis
+   * @param {number} cosCone - Cosine of the half-angle (-1 = any direction)
+   */
+  getConeDirection(axis, cosCone, target) {
+    const cosTheta = 1 - Math.random() * (1 - cosCone);
+    const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+    const phi = Math.random() * Math.PI * 2;
+
+    target.set(sinTheta * Math.cos(phi), cosTheta, sinTheta * Math.sin(phi));
+    return target.applyQuaternion(_quaternion.setFromUnitVectors(_up, axis));
+  }
+
+  /**
+   * Starting orientation of a particle
+   * @returns {THREE.Euler|null} Null for unrotated
+   */
+  getEmitRotation(orient, axis) {
+    switch (orient) {
+      case 'random':
+        return _euler.set(
+          Math.random() * Math.PI * 2,
+          Math.random() * Math.PI * 2,
+          Math.random() * Math.PI * 2
+        );
+      case 'direction':
+        // Face along the axis (+Z towards it, like Object3D.lookAt)
+        return _euler.setFromRotationMatrix(_matrix.lookAt(axis, _origin, _up));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Starting color of a particle: the gradient's first stop, jittered
+   */
+  getEmitColor(emitter) {
+    if (emitter.hueJitter === 0 && emitter.lightnessJitter === 0) {
+      return emitter.baseColor;
+    }
+
+    const { h, s, l } = emitter.baseHSL;
+    return _color.setHSL(
+      h + (Math.random() - 0.5) * emitter.hueJitter,
+      s,
+      clamp(l + (Math.random() - 0.5) * emitter.lightnessJitter, 0, 1)
+    );
   }
 
+  // ============================================
+  // EFFECT SHORTCUTS
+  // ============================================
+
+  /**
+   * Create an explosion at position
+   * @returns {object|null} Effect record, or null if culled
+   */
+  createExplosion(position, size = 1, color = 0xFF6600, priority = 0) {
+    return this.play('explosion', position, { scale: size, color, priority });
+  }
+
+  /**
+   * Create a lit fireball of large orange blobs that slow down and shrink
+   * (structure hits on the colony)
+   * @returns {object|null} Effect record, or null if culled
+   */
+  createFireball(position, intensity = 1, priority = 0) {
+    return this.play('fireball', position, { scale: intensity, priority });
+  }
+
+  /**
+   * Create debris particles
+   * @returns {object|null} Effect record, or null if culled
+   */
+  createDebris(position, count = 10, priority = 0) {
+    return this.play('debris', position, { scale: count / 10, priority });
+  }
+
+  /**
+   * Create muzzle flash
+   * @returns {object|null} Effect record, or null if culled
+   */
+  createMuzzleFlash(position, direction) {
+    return this.play('muzzleFlash', position, { direction });
+  }
+
+  /**
+   * Create smoke trail
+   * @returns {object|null} Effect record, or null if culled
+   */
+  createSmokeTrail(position) {
+    return this.play('smokeTrail', position);
+  }
+
+  // ============================================
+  // UPDATE
+  // ============================================
+
   /**
    * Update all particles
    */
   update(deltaTime) {
-    // Update each particle group
+    // Expire effects
     for (let i = this.particles.length - 1; i >= 0; i--) {
-      const particleGroup = this.particles[i];
-      particleGroup.age += deltaTime;
+      const record = this.particles[i];
+      record.age += deltaTime;
 
-      // Check if expired
-      if (particleGroup.age >= particleGroup.maxAge) {
+      if (record.age >= record.maxAge) {
         this.removeParticleGroup(i);
-        continue;
-      }
-
-      // Update individual particles
-      for (const particle of particleGroup.particles) {
-        const data = particle.userData;
-
-        // Update life
-        data.life -= data.decay * deltaTime;
-
-        if (data.life <= 0) {
-          particle.visible = false;
-          continue;
-        }
-
-        // Apply velocity
-        if (data.velocity) {
-          particle.position.add(data.velocity.clone().multiplyScalar(deltaTime));
-        }
-
-        // Apply spin
-        if (data.spin) {
-          particle.rotation.x += data.spin.x * deltaTime;
-          particle.rotation.y += data.spin.y * deltaTime;
-          particle.rotation.z += data.spin.z * deltaTime;
-        }
-
-        // Apply growth
-        if (data.grow) {
-          const scale = 1 + data.grow * (1 - data.life);
-          particle.scale.setScalar(scale);
-        }
-
-        // Update opacity
-        if (particle.material) {
-          particle.material.opacity = data.life;
-
-          // Flash effect - shrink quickly
-          if (data.isFlash) {
-            particle.scale.setScalar(data.life * 3);
-          }
-        }
       }
     }
+
+    // Rate emitters (claiming particles may cull other effects, so walk a copy)
+    [...this.particles].forEach(record => {
+      record.definition.emitters.forEach((emitter, index) => {
+        if (record.removed || emitter.rate === 0 || record.age > emitter.emitTime) return;
+
+        record.owed[index] += emitter.rate * this.getScale(emitter, 'count', record.scale) * deltaTime;
+        const count = Math.floor(record.owed[index]);
+        record.owed[index] -= count;
+
+        this.emit(record, emitter, this.claimParticles(count, record.priority));
+      });
+    });
+
+    // Simulate and upload every batch
+    Object.values(this.batches).forEach(batch => batch.update(deltaTime));
+
+    // Fade flash lights
+    this.lights.forEach(light => {
+      if (light.userData.life <= 0) return;
+
+      light.userData.life -= deltaTime;
+      light.intensity = light.userData.life > 0 ? light.intensity * 0.8 : 0;
+    });
   }
 
   /**
-   * Remove a particle group
+   * Remove an effect and free its particles
    */
   removeParticleGroup(index) {
-    const particleGroup = this.particles[index];
+    const record = this.particles[index];
 
-    // Remove from scene
-    this.scene.remove(particleGroup.group);
-
-    // Dispose geometries and materials
-    for (const particle of particleGroup.particles) {
-      if (particle.geometry) particle.geometry.dispose();
-      if (particle.material) particle.material.dispose();
-    }
+    record.particles.forEach(({ batch, slot }) => batch.kill(slot));
+    this.particleCount -= record.particles.length;
+    record.removed = true;
 
-    // Remove from array
     this.particles.splice(index, 1);
   }
 
@@ -305,6 +529,11 @@ export class ParticleSystem {
     for (let i = this.particles.length - 1; i >= 0; i--) {
       this.removeParticleGroup(i);
     }
+
+    this.lights.forEach(light => {
+      light.intensity = 0;
+      light.userData.life = 0;
+    });
   }
 
   /**
@@ -312,5 +541,15 @@ export class ParticleSystem {
    */
   dispose() {
     this.clear();
+
+    this.lights.forEach(light => this.scene.remove(light));
+    this.lights = [];
+
+    Object.values(this.batches).forEach(batch => batch.dispose());
+    this.batches = {};
+    Object.values(this.geometries).forEach(geometry => geometry.dispose());
+    this.materials.forEach(material => material.dispose());
+    this.debrisMaterial.dispose();
+    Object.values(this.textures).forEach(texture => texture.dispose());
   }
 }
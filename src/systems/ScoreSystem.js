@@ -3,7 +3,7 @@
  * Manages scoring, combos, and high scores
  */
 
-import { GAME } from '../utils/Constants.js';
+import { GAME, SCORING } from '../utils/Constants.js';
 
 export class ScoreSystem {
   constructor() {
@@ -16,10 +16,14 @@ export class ScoreSystem {
     this.comboTimer = 0;
     this.comboTimeout = GAME.comboTimeout;
 
+    // Final score bonuses (see setRules)
+    this.rules = { ...SCORING };
+
     // Statistics
     this.stats = {
       totalDamage: 0,
       sectionsDestroyed: 0,
+      enemiesDestroyed: 0,
       maxCombo: 0,
       accuracy: 0,
       shotsFired: 0,
@@ -27,6 +31,16 @@ export class ScoreSystem {
     };
   }
 
+  /**
+   * Set the mission's scoring rules
+   * @param {object} scoring - {timeBonus, destructionBonus, comboBonus, comboTimeout}
+   */
+  setRules(scoring) {
+    const { comboTimeout, ...rules } = scoring;
+    this.rules = { ...SCORING, ...rules };
+    this.comboTimeout = comboTimeout ?? GAME.comboTimeout;
+  }
+
   /**
    * Add score with combo multiplier
    */
@@ -93,6 +107,15 @@ export class ScoreSystem {
     this.stats.accuracy = (this.stats.shotsHit / this.stats.shotsFired) * 100;
   }
 
+  /**
+   * Record a hit for a shot already counted by recordShot
+   */
+  recordHit() {
+    if (this.stats.shotsHit >= this.stats.shotsFired) return;
+    this.stats.shotsHit++;
+    this.stats.accuracy = (this.stats.shotsHit / this.stats.shotsFired) * 100;
+  }
+
   /**
    * Record damage dealt
    */
@@ -107,29 +130,41 @@ export class ScoreSystem {
     this.stats.sectionsDestroyed++;
   }
 
+  /**
+   * Record enemy destroyed
+   */
+  recordKill() {
+    this.stats.enemiesDestroyed++;
+  }
+
   /**
    * Calculate final score with bonuses
+   * @param {number} [objectiveBonus] - Bonus of completed objectives (ObjectiveSystem.getBonus)
    */
-  calculateFinalScore(timeRemaining, destructionPercent) {
+  calculateFinalScore(timeRemaining, destructionPercent, objectiveBonus = 0) {
     let finalScore = this.score;
 
     // Time bonus
-    const timeBonus = Math.floor(timeRemaining * 50);
+    const timeBonus = Math.floor(timeRemaining * this.rules.timeBonus);
     finalScore += timeBonus;
 
     // Destruction bonus
-    const destructionBonus = Math.floor(destructionPercent * 100);
+    const destructionBonus = Math.floor(destructionPercent * this.rules.destructionBonus);
     finalScore += destructionBonus;
 
     // Combo bonus
-    const comboBonus = this.stats.maxCombo * 100;
+    const comboBonus = this.stats.maxCombo * this.rules.comboBonus;
     finalScore += comboBonus;
 
+    // Objective bonus
+    finalScore += objectiveBonus;
+
     return {
       baseScore: this.score,
       timeBonus,
       destructionBonus,
       comboBonus,
+      objectiveBonus,
       finalScore,
     };
   }
@@ -250,6 +285,7 @@ export class ScoreSystem {
     this.stats = {
       totalDamage: 0,
       sectionsDestroyed: 0,
+      enemiesDestroyed: 0,
       maxCombo: 0,
       accuracy: 0,
       shotsFired: 0,
@@ -0,0 +1,271 @@
+/**
+ * Targeting System
+ * Lock-on to colony sections and enemies under the crosshair, target
+ * cycling, lead prediction for slow projectiles and homing targets
+ */
+
+import * as THREE from 'three';
+import { LOCK_ON } from '../utils/Constants.js';
+import { clamp } from '../utils/MathUtils.js';
+import { t } from '../utils/Strings.js';
+
+export class TargetingSystem {
+  constructor() {
+    this.colony = null;
+    this.enemySystem = null;
+
+    // Current lock (target handle, see createSectionTarget/createEnemyTarget)
+    this.target = null;
+  }
+
+  /**
+   * Set the colony whose sections can be locked
+   */
+  setColony(colony) {
+    this.colony = colony;
+    this.target = null;
+  }
+
+  /**
+   * Set the enemy system whose enemies can be locked
+   */
+  setEnemySystem(enemySystem) {
+    this.enemySystem = enemySystem;
+  }
+
+  // ============================================
+  // TARGET HANDLES
+  // ============================================
+
+  /**
+   * Wrap a colony section as a lockable target
+   * Its velocity is the spinning hull's, so lead and homing track the section
+   */
+  createSectionTarget(section) {
+    const sphere = new THREE.Box3().setFromObject(section.mesh).getBoundingSphere(new THREE.Sphere());
+
+    return {
+      key: section,
+      radius: sphere.radius,
+      getLabel: () => t(`target.${section.type}`),
+      getPosition: () => section.mesh.getWorldPosition(new THREE.Vector3()),
+      getVelocity: () => this.colony.getSurfaceVelocity(section.mesh.getWorldPosition(new THREE.Vector3())),
+      getHealthRatio: () => Math.max(0, section.health) / section.maxHealth,
+      isAlive: () => !section.destroyed,
+    };
+  }
+
+  /**
+   * Wrap an enemy as a lockable target
+   */
+  createEnemyTarget(enemy) {
+    return {
+      key: enemy,
+      radius: enemy.config.radius,
+      getLabel: () => enemy.config.name,
+      getPosition: () => enemy.getPosition(),
+      getVelocity: () => enemy.velocity.clone(),
+      getHealthRatio: () => enemy.getHealthRatio(),
+      isAlive: () => !enemy.destroyed,
+    };
+  }
+
+  /**
+   * Get every target that can currently be locked
+   */
+  getCandidates() {
+    const candidates = [];
+
+    if (this.colony) {
+      this.colony.sections.forEach(section => {
+        if (!section.destroyed) candidates.push(this.createSectionTarget(section));
+      });
+    }
+
+    if (this.enemySystem) {
+      this.enemySystem.getEnemies().forEach(enemy => {
+        if (!enemy.destroyed) candidates.push(this.createEnemyTarget(enemy));
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Find targets within a cone around the camera's view direction
+   * @returns {Array<{target: object, distance: number}>} Nearest first
+   */
+  findInView(camera, origin, maxAngle) {
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    const toTarget = new THREE.Vector3();
+    const results = [];
+
+    this.getCandidates().forEach(target => {
+      const position = target.getPosition();
+      const distance = position.distanceTo(origin);
+      if (distance > LOCK_ON.range) return;
+
+      toTarget.subVectors(position, camera.position);
+      if (forward.angleTo(toTarget) <= maxAngle) {
+        results.push({ target, distance });
+      }
+    });
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+
+  // ============================================
+  // LOCK CONTROL
+  // ============================================
+
+  /**
+   * Lock the nearest target under the crosshair
+   * @returns {object|null} New target
+   */
+  acquire(camera, origin) {
+    const [nearest] = this.findInView(camera, origin, LOCK_ON.acquireAngle);
+    this.target = nearest ? nearest.target : null;
+    return this.target;
+  }
+
+  /**
+   * Move the lock to the next target on screen (by distance)
+   * @returns {object|null} New target
+   */
+  cycle(camera, origin) {
+    const inView = this.findInView(camera, origin, LOCK_ON.cycleAngle);
+    if (inView.length === 0) return this.target;
+
+    const currentIndex = this.target
+      ? inView.findIndex(entry => entry.target.key === this.target.key)
+      : -1;
+    this.target = inView[(currentIndex + 1) % inView.length].target;
+    return this.target;
+  }
+
+  /**
+   * Drop the current lock
+   */
+  release() {
+    this.target = null;
+  }
+
+  /**
+   * Drop the lock when the target dies or gets too far away
+   * @returns {boolean} True if a lock was lost this frame
+   */
+  update(origin) {
+    if (!this.target) return false;
+
+    if (!this.target.isAlive() ||
+        this.target.getPosition().distanceTo(origin) > LOCK_ON.breakRange) {
+      this.target = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get current lock
+   */
+  getTarget() {
+    return this.target;
+  }
+
+  // ============================================
+  // PREDICTION
+  // ============================================
+
+  /**
+   * Point to aim at so a projectile from origin meets the target
+   * (constant target velocity, straight projectile)
+   */
+  getLeadPoint(origin, projectileSpeed) {
+    if (!this.target) return null;
+
+    const position = this.target.getPosition();
+    const velocity = this.target.getVelocity();
+    const offset = position.clone().sub(origin);
+
+    // |offset + velocity * t| = projectileSpeed * t
+    const a = velocity.lengthSq() - projectileSpeed * projectileSpeed;
+    const b = 2 * offset.dot(velocity);
+    const c = offset.lengthSq();
+
+    let time;
+    if (Math.abs(a) < 1e-6) {
+      time = b < 0 ? -c / b : offset.length() / projectileSpeed;
+    } else {
+      const discriminant = b * b - 4 * a * c;
+      if (discriminant < 0) {
+        time = offset.length() / projectileSpeed;
+      } else {
+        const root = Math.sqrt(discriminant);
+        const t1 = (-b - root) / (2 * a);
+        const t2 = (-b + root) / (2 * a);
+        time = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+        if (!(time > 0)) time = offset.length() / projectileSpeed;
+      }
+    }
+
+    return position.addScaledVector(velocity, time);
+  }
+
+  // ============================================
+  // HUD
+  // ============================================
+
+  /**
+   * Project a world point to screen pixels
+   * @returns {{x: number, y: number}|null} Null when behind the camera
+   */
+  toScreen(point, camera) {
+    const ndc = point.clone().project(camera);
+    if (ndc.z > 1) return null;
+
+    return {
+      x: (ndc.x + 1) / 2 * window.innerWidth,
+      y: (1 - ndc.y) / 2 * window.innerHeight,
+    };
+  }
+
+  /**
+   * Build the lock-on readout for the HUD
+   * @param {number} projectileSpeed - Speed for the lead pip (0 for none)
+   * @returns {object|null} { x, y, size, label, health, distance, lead }
+   */
+  getScreenInfo(camera, origin, projectileSpeed) {
+    if (!this.target) return null;
+
+    const position = this.target.getPosition();
+    const screen = this.toScreen(position, camera);
+    if (!screen) return null;
+
+    const distance = position.distanceTo(camera.position);
+    const fovScale = window.innerHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    const size = clamp(
+      (this.target.radius * 2 * fovScale) / Math.max(distance, 1),
+      LOCK_ON.minBracketSize,
+      LOCK_ON.maxBracketSize
+    );
+
+    const leadPoint = projectileSpeed > 0 ? this.getLeadPoint(origin, projectileSpeed) : null;
+
+    return {
+      x: screen.x,
+      y: screen.y,
+      size,
+      label: this.target.getLabel(),
+      health: this.target.getHealthRatio(),
+      distance: position.distanceTo(origin),
+      lead: leadPoint ? this.toScreen(leadPoint, camera) : null,
+    };
+  }
+
+  /**
+   * Clear lock
+   */
+  reset() {
+    this.target = null;
+  }
+}
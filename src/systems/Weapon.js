@@ -0,0 +1,121 @@
+/**
+ * Weapon
+ * Runtime instance of a weapon definition (see WeaponLoader):
+ * magazine state and the trigger logic of its fire mode
+ */
+
+export class Weapon {
+  /**
+   * @param {object} definition - Validated weapon definition
+   */
+  constructor(definition) {
+    // Definition fields (id, name, damage, fireMode, projectile, ...)
+    Object.assign(this, definition);
+
+    // Ammo state (definition's ammo is the total carried)
+    this.magazine = 0;
+    this.reserve = 0;
+
+    // Trigger state
+    this.cooldown = 0;          // ms until the next shot is allowed
+    this.burstRemaining = 0;    // Shots left in the current burst
+    this.chargeTimer = 0;       // ms the trigger has been held (charge mode)
+
+    this.resetAmmo();
+  }
+
+  /**
+   * Fill the magazine and reserve
+   */
+  resetAmmo() {
+    this.magazine = Math.min(this.magazineSize, this.ammo);
+    this.reserve = this.ammo - this.magazine;
+  }
+
+  /**
+   * Full magazines and an idle trigger (new game)
+   */
+  reset() {
+    this.resetAmmo();
+    this.resetTrigger();
+    this.cooldown = 0;
+  }
+
+  /**
+   * Drop a burst or charge in progress
+   */
+  resetTrigger() {
+    this.burstRemaining = 0;
+    this.chargeTimer = 0;
+  }
+
+  /**
+   * Check if the trigger still has work to do after release (burst or charge)
+   */
+  isTriggerBusy() {
+    return this.burstRemaining > 0 || this.chargeTimer > 0;
+  }
+
+  /**
+   * Get charge progress (0-1)
+   */
+  getChargeRatio() {
+    if (this.fireMode !== 'charge') return 0;
+    return Math.min(1, this.chargeTimer / this.charge.time);
+  }
+
+  /**
+   * Update cooldown
+   */
+  update(deltaTime) {
+    this.cooldown = Math.max(0, this.cooldown - deltaTime * 1000);
+  }
+
+  /**
+   * Run the fire mode for this frame's trigger input
+   * @param {boolean} held - Fire input is down
+   * @param {boolean} pressed - Fire input went down this frame
+   * @returns {{damageMultiplier: number}|null} Shot to fire, or null
+   */
+  updateTrigger(held, pressed, deltaTime) {
+    if (this.cooldown > 0) return null;
+
+    switch (this.fireMode) {
+      case 'auto':
+        if (!held) return null;
+        this.cooldown = this.fireRate;
+        return { damageMultiplier: 1 };
+
+      case 'semi':
+        if (!pressed) return null;
+        this.cooldown = this.fireRate;
+        return { damageMultiplier: 1 };
+
+      case 'burst':
+        if (this.burstRemaining === 0) {
+          if (!pressed) return null;
+          this.burstRemaining = this.burst.count;
+        }
+        this.burstRemaining--;
+        this.cooldown = this.burstRemaining > 0 ? this.burst.interval : this.fireRate;
+        return { damageMultiplier: 1 };
+
+      case 'charge': {
+        if (held) {
+          this.chargeTimer += deltaTime * 1000;
+          return null;
+        }
+        if (this.chargeTimer === 0) return null;
+
+        // Released: damage scales with how long the trigger was held
+        const ratio = this.getChargeRatio();
+        this.chargeTimer = 0;
+        this.cooldown = this.fireRate;
+        return { damageMultiplier: 1 + (this.charge.maxDamageMultiplier - 1) * ratio };
+      }
+
+      default:
+        return null;
+    }
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Weapon Loader
+ * Validates the weapon JSON files in src/data/weapons and builds
+ * Weapon instances from them (ordered by their slot)
+ */
+
+import {
+  WEAPON_MODELS,
+  FIRE_MODES,
+  PROJECTILE_TYPES,
+  MUZZLE_EFFECTS,
+  FIRE_SOUNDS,
+} from '../utils/Constants.js';
+import { validateObject } from '../utils/Schema.js';
+import { Weapon } from './Weapon.js';
+
+// Every weapon file bundled with the game: path -> parsed JSON
+const WEAPON_FILES = import.meta.glob('../data/weapons/*.json', { eager: true, import: 'default' });
+
+// Field rules of a weapon definition (optional fields get their default)
+const SCHEMA = {
+  id: { type: 'string', pattern: /^[A-Za-z][A-Za-z0-9_-]*$/ },
+  name: { type: 'string' },
+  shortName: { type: 'string', optional: true },
+  slot: { type: 'integer', min: 1 },
+  model: { type: 'enum', options: WEAPON_MODELS },
+  damage: { type: 'number', min: 0 },
+  fireMode: { type: 'enum', options: FIRE_MODES },
+  fireRate: { type: 'number', min: 1 },                       // ms between shots
+  burst: {
+    type: 'object',
+    optional: true,
+    fields: {
+      count: { type: 'integer', min: 2, max: 10 },
+      interval: { type: 'number', min: 1 },                   // ms between shots of a burst
+    },
+  },
+  charge: {
+    type: 'object',
+    optional: true,
+    fields: {
+      time: { type: 'number', min: 1 },                       // ms to full charge
+      maxDamageMultiplier: { type: 'number', min: 1 },
+    },
+  },
+  ammo: { type: 'integer', min: 1 },                          // Total rounds carried
+  magazineSize: { type: 'integer', min: 1 },
+  reloadTime: { type: 'number', min: 0 },                     // ms
+  projectile: {
+    type: 'object',
+    fields: {
+      type: { type: 'enum', options: PROJECTILE_TYPES },
+      speed: { type: 'number', min: 1 },                      // Units per second
+      range: { type: 'number', min: 1 },                      // Projectile expires after this distance
+      spread: { type: 'number', min: 0, max: 0.5, optional: true, default: 0 },   // Cone half-angle (rad)
+      size: { type: 'number', min: 0.01, max: 5, optional: true, default: 0.1 },
+      homingTurnRate: { type: 'number', min: 0, optional: true, default: 0 },     // rad/s towards a lock
+    },
+  },
+  splashRadius: { type: 'number', min: 0, optional: true, default: 0 },
+  tracerColor: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ },
+  sound: { type: 'enum', options: Object.keys(FIRE_SOUNDS) },
+  muzzleEffect: { type: 'enum', options: Object.keys(MUZZLE_EFFECTS) },
+};
+
+/**
+ * Validate one weapon definition
+ * @returns {{definition: object, errors: string[]}} Definition with defaults filled in
+ */
+export function validateWeaponDefinition(data) {
+  const errors = [];
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { definition: null, errors: ['weapon definition must be a JSON object'] };
+  }
+
+  const definition = validateObject(SCHEMA, data, '', errors);
+
+  // Fire mode settings: the mode's block is required, any other mode's block is an error
+  for (const mode of ['burst', 'charge']) {
+    if (definition.fireMode === mode && !definition[mode]) {
+      errors.push(`${mode} is required when fireMode is "${mode}"`);
+    } else if (definition.fireMode !== mode && definition[mode]) {
+      errors.push(`${mode} is only allowed when fireMode is "${mode}" (got "${definition.fireMode}")`);
+    }
+  }
+
+  if (definition.magazineSize > definition.ammo) {
+    errors.push(`magazineSize (${definition.magazineSize}) must not exceed ammo (${definition.ammo})`);
+  }
+
+  return { definition, errors };
+}
+
+/**
+ * Validate weapon files; invalid files are reported and skipped
+ * @param {object} files - File name -> parsed JSON
+ * @returns {object[]} Valid definitions ordered by slot
+ */
+export function loadWeaponDefinitions(files = WEAPON_FILES) {
+  const definitions = [];
+
+  for (const file in files) {
+    const name = file.split('/').pop();
+    const { definition, errors } = validateWeaponDefinition(files[file]);
+
+    // Ids pick the weapon, slots order the HUD; both must be unique
+    if (definition) {
+      const clash = definitions.find(other => other.id === definition.id || other.slot === definition.slot);
+      if (clash) {
+        const field = clash.id === definition.id ? `id "${definition.id}"` : `slot ${definition.slot}`;
+        errors.push(`${field} is already used by ${clash.file}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn(`[WeaponLoader] Skipping ${name}:\n  ${errors.join('\n  ')}`);
+      continue;
+    }
+
+    definitions.push({ ...definition, file: name });
+  }
+
+  if (definitions.length === 0) {
+    throw new Error('[WeaponLoader] No valid weapon definitions found');
+  }
+
+  return definitions.sort((a, b) => a.slot - b.slot);
+}
+
+/**
+ * Build a weapon instance from a validated definition
+ */
+export function createWeapon(definition) {
+  return new Weapon(definition);
+}
+
+/**
+ * Load every weapon file and build the loadout
+ * @returns {Weapon[]} Weapons ordered by slot
+ */
+export function loadWeapons(files = WEAPON_FILES) {
+  return loadWeaponDefinitions(files).map(createWeapon);
+}
@@ -0,0 +1,208 @@
+/**
+ * Weapon System
+ * Manages the Zaku's weapon loadout, the active weapon slot,
+ * magazines and reloading
+ */
+
+export class WeaponSystem {
+  /**
+   * @param {Weapon[]} weapons - Loadout in HUD order (see WeaponLoader)
+   */
+  constructor(weapons) {
+    // Weapon slots in HUD order ([1] machine gun, [2] bazooka, ...)
+    this.weapons = weapons;
+
+    // Active slot index
+    this.currentIndex = 0;
+
+    // Reload state (applies to the active weapon)
+    this.isReloading = false;
+    this.reloadTimer = 0;       // ms remaining
+    this.reloadDuration = 0;    // ms total
+
+    this.reset();
+  }
+
+  /**
+   * Switch to a weapon slot
+   * @returns {boolean} True if the active weapon changed
+   */
+  switchWeapon(index) {
+    if (index < 0 || index >= this.weapons.length) return false;
+    if (index === this.currentIndex) return false;
+
+    // Switching weapons aborts a reload, burst or charge in progress
+    this.cancelReload();
+    this.getCurrentWeapon().resetTrigger();
+    this.currentIndex = index;
+
+    // Picking up an empty weapon reloads it straight away
+    if (this.getAmmo().magazine === 0) {
+      this.startReload();
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if the active weapon can fire right now
+   */
+  canFire() {
+    return !this.isReloading && this.getAmmo().magazine > 0;
+  }
+
+  /**
+   * Check if the active weapon is completely out of ammo
+   */
+  isOutOfAmmo() {
+    const ammo = this.getAmmo();
+    return ammo.magazine === 0 && ammo.reserve === 0;
+  }
+
+  /**
+   * Consume one round from the active magazine
+   * @returns {boolean} True if an automatic reload was started
+   */
+  consumeAmmo() {
+    const ammo = this.getAmmo();
+    if (ammo.magazine <= 0) return false;
+
+    ammo.magazine--;
+
+    // Auto reload on empty magazine
+    if (ammo.magazine === 0) {
+      return this.startReload();
+    }
+    return false;
+  }
+
+  /**
+   * Start reloading the active weapon
+   * @returns {boolean} True if a reload was started
+   */
+  startReload() {
+    if (this.isReloading) return false;
+
+    const weapon = this.getCurrentWeapon();
+    const ammo = this.getAmmo();
+
+    // Nothing to do if magazine is full or no reserve left
+    if (ammo.magazine >= weapon.magazineSize || ammo.reserve <= 0) return false;
+
+    this.isReloading = true;
+    this.reloadDuration = weapon.reloadTime;
+    this.reloadTimer = weapon.reloadTime;
+    return true;
+  }
+
+  /**
+   * Abort a reload in progress (magazine stays as it was)
+   */
+  cancelReload() {
+    this.isReloading = false;
+    this.reloadTimer = 0;
+    this.reloadDuration = 0;
+  }
+
+  /**
+   * Move rounds from reserve into the magazine
+   */
+  finishReload() {
+    const weapon = this.getCurrentWeapon();
+    const ammo = this.getAmmo();
+
+    const rounds = Math.min(weapon.magazineSize - ammo.magazine, ammo.reserve);
+    ammo.magazine += rounds;
+    ammo.reserve -= rounds;
+
+    this.cancelReload();
+  }
+
+  /**
+   * Run the active weapon's fire mode
+   * @returns {{damageMultiplier: number}|null} Shot to fire, or null
+   */
+  updateTrigger(held, pressed, deltaTime) {
+    return this.getCurrentWeapon().updateTrigger(held, pressed, deltaTime);
+  }
+
+  /**
+   * Update weapon cooldowns and the reload timer
+   * @returns {boolean} True if a reload finished this frame
+   */
+  update(deltaTime) {
+    this.weapons.forEach(weapon => weapon.update(deltaTime));
+
+    if (!this.isReloading) return false;
+
+    this.reloadTimer -= deltaTime * 1000;
+
+    if (this.reloadTimer <= 0) {
+      this.finishReload();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get reload progress of the active weapon (0-1), or null if not reloading
+   */
+  getReloadProgress() {
+    if (!this.isReloading) return null;
+    return 1 - this.reloadTimer / this.reloadDuration;
+  }
+
+  /**
+   * Get ammo state ({ magazine, reserve }) for a slot (defaults to active slot)
+   */
+  getAmmo(index = this.currentIndex) {
+    return this.weapons[index];
+  }
+
+  /**
+   * Get every weapon in slot order
+   */
+  getWeapons() {
+    return this.weapons;
+  }
+
+  /**
+   * Get active slot index
+   */
+  getCurrentIndex() {
+    return this.currentIndex;
+  }
+
+  /**
+   * Get active weapon id
+   */
+  getCurrentKey() {
+    return this.getCurrentWeapon().id;
+  }
+
+  /**
+   * Get active weapon
+   */
+  getCurrentWeapon() {
+    return this.weapons[this.currentIndex];
+  }
+
+  /**
+   * Replace the loadout (campaign unlocks) and reset it
+   * @param {Weapon[]} weapons - Loadout in HUD order
+   */
+  setWeapons(weapons) {
+    this.weapons = weapons;
+    this.reset();
+  }
+
+  /**
+   * Reset for new game (first slot selected, all magazines full)
+   */
+  reset() {
+    this.currentIndex = 0;
+    this.cancelReload();
+
+    this.weapons.forEach(weapon => weapon.reset());
+  }
+}
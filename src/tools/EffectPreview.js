@@ -0,0 +1,463 @@
+/**
+ * Effect Preview
+ * Dev page (effects.html, `npm run effects`) for tuning the effect files in
+ * src/data/effects: edit an effect with sliders, watch it loop, copy or
+ * download the JSON and drop it back into the folder.
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { ParticleSystem } from '../systems/ParticleSystem.js';
+import {
+  EMITTER_SCHEMA,
+  loadEffectDefinitions,
+  validateEffectDefinition,
+  compileEffect,
+} from '../systems/EffectLoader.js';
+
+// Slider bounds [min, max, step] for numeric fields (the schema leaves most open)
+const SLIDERS = {
+  duration: [0.1, 10, 0.1],
+  priority: [0, 6, 1],
+  intensity: [0, 20, 0.1],
+  scale: [0.1, 5, 0.1],
+  burst: [0, 200, 1],
+  rate: [0, 500, 1],
+  emitTime: [0, 10, 0.1],
+  radius: [0, 20, 0.1],
+  life: [0.01, 5, 0.01],
+  speed: [0, 60, 0.5],
+  cone: [0, Math.PI, 0.01],
+  drag: [0, 1, 0.005],
+  spin: [0, 20, 0.1],
+  size: [0, 20, 0.05],
+  opacity: [0, 1, 0.01],
+  hueJitter: [0, 1, 0.01],
+  lightnessJitter: [0, 1, 0.01],
+};
+
+// A new emitter when "Add emitter" is pressed on an empty effect
+const NEW_EMITTER = { name: 'emitter', mesh: 'spark', burst: 20, life: 1, speed: [5, 10], size: 0.5 };
+
+/**
+ * Create a DOM element
+ */
+function element(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  children.forEach(child => node.append(child));
+  return node;
+}
+
+export class EffectPreview {
+  /**
+   * @param {HTMLElement} viewport - Holds the canvas
+   * @param {HTMLElement} panel - Holds the controls
+   */
+  constructor(viewport, panel) {
+    this.viewport = viewport;
+    this.panel = panel;
+
+    // Effect files as authored (valid ones only; the loader warns about the rest)
+    this.definitions = loadEffectDefinitions();
+
+    // The effect being edited, as raw JSON (only the fields that are set)
+    this.data = null;
+    this.compiled = null;
+
+    // Play options
+    this.scale = 1;
+    this.tint = null;
+    this.loop = true;
+    this.playTime = 0;
+
+    this.clock = new THREE.Clock();
+  }
+
+  /**
+   * Set up the scene and the panel, then start rendering
+   */
+  init() {
+    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.shadowMap.enabled = true;
+    this.viewport.appendChild(this.renderer.domElement);
+
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x000510);
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.4));
+
+    const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+    sun.position.set(20, 40, 10);
+    this.scene.add(sun);
+    this.scene.add(new THREE.GridHelper(60, 12, 0x00aaff, 0x001a33));
+
+    this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    this.camera.position.set(0, 15, 40);
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls.target.set(0, 3, 0);
+
+    this.particleSystem = new ParticleSystem(this.scene);
+    this.origin = new THREE.Vector3(0, 3, 0);
+
+    this.buildPanel();
+    this.selectEffect(Object.keys(this.definitions)[0]);
+
+    window.addEventListener('resize', () => this.onResize());
+    this.onResize();
+    this.renderer.setAnimationLoop(() => this.animate());
+  }
+
+  // ============================================
+  // PANEL
+  // ============================================
+
+  /**
+   * Build the controls that don't depend on the effect
+   */
+  buildPanel() {
+    const select = element('select', {
+      onchange: () => this.selectEffect(select.value),
+    }, Object.keys(this.definitions).map(id => element('option', { value: id, textContent: id })));
+    this.effectSelect = select;
+
+    const tintInput = element('input', {
+      type: 'color',
+      value: '#ff6600',
+      disabled: true,
+      oninput: () => { this.tint = tintInput.value; this.play(); },
+    });
+    const tintToggle = element('input', {
+      type: 'checkbox',
+      onchange: () => {
+        tintInput.disabled = !tintToggle.checked;
+        this.tint = tintToggle.checked ? tintInput.value : null;
+        this.play();
+      },
+    });
+
+    this.effectFields = element('div');
+    this.emitterFields = element('div');
+    this.errorList = element('ul', { className: 'errors' });
+    this.jsonText = element('textarea', {
+      spellcheck: false,
+      onchange: () => this.loadJSON(this.jsonText.value),
+    });
+
+    this.panel.append(
+      element('h1', { textContent: 'Effect Preview' }),
+      this.row('Effect', select),
+      this.row('Play scale', this.slider('scale', this.scale, value => { this.scale = value; this.play(); })),
+      this.row('Play color', element('span', {}, [tintToggle, tintInput])),
+      this.row('Loop', element('input', {
+        type: 'checkbox',
+        checked: this.loop,
+        onchange: (event) => { this.loop = event.target.checked; },
+      })),
+      element('div', { className: 'buttons' }, [
+        element('button', { textContent: 'Play', onclick: () => this.play() }),
+        element('button', { textContent: 'Add emitter', onclick: () => this.addEmitter() }),
+        element('button', { textContent: 'Download JSON', onclick: () => this.downloadJSON() }),
+      ]),
+      this.errorList,
+      this.effectFields,
+      this.emitterFields,
+      element('h2', { textContent: 'JSON (edit or copy)' }),
+      this.jsonText
+    );
+  }
+
+  /**
+   * Labelled control row
+   */
+  row(label, control) {
+    return element('label', { className: 'row' }, [element('span', { textContent: label }), control]);
+  }
+
+  /**
+   * Slider with a live value readout
+   */
+  slider(key, value, onChange) {
+    const [min, max, step] = SLIDERS[key];
+    const readout = element('output', { textContent: value });
+    const input = element('input', {
+      type: 'range',
+      min,
+      max,
+      step,
+      value,
+      oninput: () => {
+        readout.textContent = input.value;
+        onChange(Number(input.value));
+      },
+    });
+
+    return element('span', { className: 'slider' }, [input, readout]);
+  }
+
+  /**
+   * Control for one schema field
+   * Numbers get sliders, enums selects, hex colors pickers; the rest is JSON text
+   */
+  fieldControl(key, rule, value, onChange) {
+    if ((rule.type === 'number' || rule.type === 'integer') && SLIDERS[key]) {
+      return this.slider(key, value, onChange);
+    }
+
+    if (rule.type === 'range' && SLIDERS[key]) {
+      const range = typeof value === 'number' ? [value, value] : [...value];
+      const update = (index, number) => {
+        range[index] = number;
+        onChange(range[0] === range[1] ? range[0] : [...range]);
+      };
+      return element('span', { className: 'pair' }, [
+        this.slider(key, range[0], number => update(0, number)),
+        this.slider(key, range[1], number => update(1, number)),
+      ]);
+    }
+
+    if (rule.type === 'enum') {
+      const select = element('select', {
+        onchange: () => onChange(select.value),
+      }, rule.options.map(option => element('option', { value: option, textContent: option })));
+      select.value = value;
+      return select;
+    }
+
+    if (rule.type === 'boolean') {
+      return element('input', {
+        type: 'checkbox',
+        checked: value,
+        onchange: (event) => onChange(event.target.checked),
+      });
+    }
+
+    if (key === 'colors') {
+      // One picker per gradient stop; times are edited in the JSON
+      const colors = structuredClone(value);
+      return element('span', {}, colors.map(([t, hex], index) => element('input', {
+        type: 'color',
+        value: hex,
+        title: `t = ${t}`,
+        oninput: (event) => {
+          colors[index][1] = event.target.value;
+          onChange(structuredClone(colors));
+        },
+      })));
+    }
+
+    const input = element('input', {
+      type: 'text',
+      value: JSON.stringify(value),
+      onchange: () => {
+        try {
+          onChange(JSON.parse(input.value));
+          input.classList.remove('invalid');
+        } catch {
+          input.classList.add('invalid');
+        }
+      },
+    });
+    return input;
+  }
+
+  /**
+   * Rebuild the field controls for the current effect
+   */
+  buildFields() {
+    const data = this.data;
+
+    this.effectFields.replaceChildren(
+      element('h2', { textContent: data.id }),
+      this.row('Duration', this.slider('duration', data.duration, value => this.setField(data, 'duration', value))),
+      this.row('Priority', this.slider('priority', data.priority ?? 0, value => this.setField(data, 'priority', value))),
+      this.row('Light', element('input', {
+        type: 'checkbox',
+        checked: Boolean(data.light),
+        onchange: (event) => {
+          this.setField(data, 'light', event.target.checked ? { color: '#ffffff', intensity: 3 } : undefined);
+          this.buildFields();
+        },
+      }))
+    );
+
+    if (data.light) {
+      this.effectFields.append(
+        this.row('Light color', element('input', {
+          type: 'color',
+          value: data.light.color,
+          oninput: (event) => this.setField(data.light, 'color', event.target.value),
+        })),
+        this.row('Intensity', this.slider('intensity', data.light.intensity,
+          value => this.setField(data.light, 'intensity', value)))
+      );
+    }
+
+    this.emitterFields.replaceChildren(...data.emitters.map((emitter, index) => {
+      const fieldset = element('fieldset', {}, [
+        element('legend', { textContent: emitter.name ?? `emitter ${index}` }),
+        element('button', { textContent: 'Remove', onclick: () => this.removeEmitter(index) }),
+      ]);
+
+      for (const key in EMITTER_SCHEMA) {
+        const rule = EMITTER_SCHEMA[key];
+        const value = emitter[key] ?? structuredClone(rule.default) ?? '';
+        fieldset.append(this.row(key, this.fieldControl(key, rule, value, next => this.setField(emitter, key, next))));
+      }
+      return fieldset;
+    }));
+  }
+
+  // ============================================
+  // EDITING
+  // ============================================
+
+  /**
+   * Start editing an effect file
+   */
+  selectEffect(id) {
+    if (!this.definitions[id]) return;
+
+    // Edit the file as written, not the copy with defaults filled in
+    const { file, ...definition } = this.definitions[id];
+    this.data = this.stripDefaults(definition);
+    this.effectSelect.value = id;
+    this.buildFields();
+    this.refresh();
+  }
+
+  /**
+   * Drop emitter fields equal to their default, so exports stay short
+   */
+  stripDefaults(definition) {
+    const data = structuredClone(definition);
+
+    data.emitters.forEach(emitter => {
+      for (const key in EMITTER_SCHEMA) {
+        const rule = EMITTER_SCHEMA[key];
+        if (rule.optional && JSON.stringify(emitter[key]) === JSON.stringify(rule.default)) {
+          delete emitter[key];
+        }
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Change one field and replay (undefined removes it)
+   */
+  setField(target, key, value) {
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+    this.refresh();
+  }
+
+  addEmitter() {
+    const last = this.data.emitters[this.data.emitters.length - 1];
+    const emitter = last ? structuredClone(last) : { ...NEW_EMITTER };
+    emitter.name = `${emitter.name}${this.data.emitters.length}`;
+
+    this.data.emitters.push(emitter);
+    this.buildFields();
+    this.refresh();
+  }
+
+  removeEmitter(index) {
+    this.data.emitters.splice(index, 1);
+    this.buildFields();
+    this.refresh();
+  }
+
+  /**
+   * Replace the effect with JSON typed into the text box
+   */
+  loadJSON(text) {
+    try {
+      this.data = JSON.parse(text);
+    } catch (error) {
+      this.showErrors([`JSON: ${error.message}`]);
+      return;
+    }
+
+    if (!Array.isArray(this.data.emitters)) this.data.emitters = [];
+    this.buildFields();
+    this.refresh();
+  }
+
+  /**
+   * Validate the edited effect; replay it if valid
+   */
+  refresh() {
+    this.jsonText.value = JSON.stringify(this.data, null, 2);
+
+    const { definition, errors } = validateEffectDefinition(this.data);
+    this.showErrors(errors);
+    if (errors.length > 0) return;
+
+    this.compiled = compileEffect(definition);
+    this.play();
+  }
+
+  showErrors(errors) {
+    this.errorList.replaceChildren(...errors.map(error => element('li', { textContent: error })));
+  }
+
+  /**
+   * Download the edited effect as <id>.json
+   */
+  downloadJSON() {
+    const blob = new Blob([`${JSON.stringify(this.data, null, 2)}\n`], { type: 'application/json' });
+    const link = element('a', { href: URL.createObjectURL(blob), download: `${this.data.id}.json` });
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // ============================================
+  // PLAYBACK
+  // ============================================
+
+  /**
+   * Restart the effect
+   */
+  play() {
+    if (!this.compiled) return;
+
+    this.particleSystem.clear();
+    this.particleSystem.play(this.compiled, this.origin, { scale: this.scale, color: this.tint });
+    this.playTime = 0;
+  }
+
+  animate() {
+    const deltaTime = Math.min(this.clock.getDelta(), 0.1);
+
+    this.playTime += deltaTime;
+    if (this.loop && this.compiled && this.playTime >= this.compiled.duration) {
+      this.play();
+    }
+
+    this.particleSystem.update(deltaTime);
+    this.controls.update();
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  onResize() {
+    const { clientWidth: width, clientHeight: height } = this.viewport;
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+}
+
+// Start when loaded by effects.html
+document.addEventListener('DOMContentLoaded', () => {
+  const preview = new EffectPreview(
+    document.getElementById('viewport'),
+    document.getElementById('panel')
+  );
+  preview.init();
+
+  // Store for debugging, like window.game
+  window.preview = preview;
+});
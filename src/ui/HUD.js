@@ -3,8 +3,25 @@
  * SF/Neon style game interface
  */
 
-import { UI_COLORS, WEAPONS } from '../utils/Constants.js';
+import { UI_COLORS, QUALITY, MAX_BINDINGS_PER_ACTION, MAX_PAD_BINDINGS_PER_ACTION, CAMPAIGN } from '../utils/Constants.js';
+import { formatBinding, isPadSlot } from '../core/InputBindings.js';
+import { TouchControls } from './TouchControls.js';
 import { formatTime, formatNumber } from '../utils/MathUtils.js';
+import { t, LANGUAGES } from '../utils/Strings.js';
+
+// Checklist marks by objective status
+const OBJECTIVE_MARKS = {
+  active: '□',
+  complete: '✓',
+  failed: '✗',
+};
+
+/**
+ * Star rating as marks (★★☆)
+ */
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(CAMPAIGN.maxStars - stars);
+}
 
 export class HUD {
   constructor() {
@@ -14,13 +31,19 @@ export class HUD {
     // UI elements
     this.elements = {};
 
+    // Weapon panel entries (see setWeapons)
+    this.weaponItems = [];
+
+    // Objective checklist rows (see setObjectives)
+    this.objectiveItems = [];
+
     // State
     this.score = 0;
     this.combo = 0;
     this.comboTimer = 0;
     this.currentWeapon = 0;
-    this.ammo = [WEAPONS.machineGun.ammo, WEAPONS.bazooka.ammo];
-    this.maxAmmo = [WEAPONS.machineGun.ammo, WEAPONS.bazooka.ammo];
+    this.ammo = [];
+    this.reserveAmmo = [];
     this.hp = 100;
     this.boost = 100;
     this.timer = 300;
@@ -60,7 +83,7 @@ export class HUD {
       <div class="hud-top-right">
         <div class="mission-panel">
           <div class="mission-title">MISSION</div>
-          <div class="mission-objective">Destroy Colony: <span id="destruction-rate">0</span>%</div>
+          <div class="objective-list" id="objective-list"></div>
         </div>
         <div class="timer-panel">
           <div class="timer-label">TIME</div>
@@ -77,6 +100,23 @@ export class HUD {
         <div class="crosshair-dot"></div>
       </div>
 
+      <!-- Lock-on bracket and lead pip -->
+      <div class="lock-bracket" id="lock-bracket">
+        <div class="lock-corner lock-tl"></div>
+        <div class="lock-corner lock-tr"></div>
+        <div class="lock-corner lock-bl"></div>
+        <div class="lock-corner lock-br"></div>
+        <div class="lock-info">
+          <div class="lock-label" id="lock-label"></div>
+          <div class="lock-health"><div class="lock-health-fill" id="lock-health-fill"></div></div>
+          <div class="lock-distance" id="lock-distance"></div>
+        </div>
+      </div>
+      <div class="lead-pip" id="lead-pip"></div>
+
+      <!-- Debug overlay: object pool usage -->
+      <div class="debug-overlay" id="debug-overlay"></div>
+
       <!-- Center: Combo Display -->
       <div class="combo-display" id="combo-display">
         <div class="combo-text">COMBO</div>
@@ -86,22 +126,7 @@ export class HUD {
 
       <!-- Bottom Left: Weapons -->
       <div class="hud-bottom-left">
-        <div class="weapon-panel">
-          <div class="weapon-item active" id="weapon-1">
-            <div class="weapon-key">[1]</div>
-            <div class="weapon-name">MACHINE GUN</div>
-            <div class="weapon-ammo">
-              <span id="ammo-1">500</span>/<span id="max-ammo-1">500</span>
-            </div>
-          </div>
-          <div class="weapon-item" id="weapon-2">
-            <div class="weapon-key">[2]</div>
-            <div class="weapon-name">BAZOOKA</div>
-            <div class="weapon-ammo">
-              <span id="ammo-2">20</span>/<span id="max-ammo-2">20</span>
-            </div>
-          </div>
-        </div>
+        <div class="weapon-panel" id="weapon-panel"></div>
       </div>
 
       <!-- Bottom Right: Score -->
@@ -119,15 +144,157 @@ export class HUD {
         </div>
       </div>
 
+      <!-- Damage Flash -->
+      <div class="damage-flash" id="damage-flash"></div>
+
+      <!-- Device notice (controller hot-plug) -->
+      <div class="device-notice" id="device-notice"></div>
+
       <!-- Score Popup Container -->
       <div class="score-popup-container" id="score-popup-container"></div>
 
+      <!-- Title Screen -->
+      <div class="menu-screen title-screen" id="title-screen">
+        <div class="title-logo">ZAKU</div>
+        <div class="title-subtitle">COLONY DESTROYER</div>
+        <div class="title-highscore">HIGH SCORE <span id="title-highscore">0</span></div>
+        <div class="menu-buttons">
+          <button class="game-btn restart-btn" id="title-start-btn" data-i18n="menu.start">${t('menu.start')}</button>
+          <button class="game-btn ranking-btn" id="title-ranking-btn" data-i18n="menu.ranking">${t('menu.ranking')}</button>
+          <button class="game-btn back-btn" id="title-settings-btn" data-i18n="menu.settings">${t('menu.settings')}</button>
+        </div>
+      </div>
+
+      <!-- Stage Select Screen -->
+      <div class="menu-screen" id="stages-screen">
+        <div class="game-over-panel stages-panel">
+          <div class="menu-title">CAMPAIGN</div>
+          <div class="stages-stars">★ <span id="stages-stars">0/0</span></div>
+          <div class="stages-list" id="stages-list"></div>
+          <div class="settings-row variant-row">
+            <span class="settings-label" data-i18n="stages.variant">${t('stages.variant')}</span>
+            <button class="controls-slot" id="variant-prev-btn">◀</button>
+            <span class="variant-name" id="variant-name"></span>
+            <button class="controls-slot" id="variant-next-btn">▶</button>
+          </div>
+          <div class="menu-buttons">
+            <button class="game-btn back-btn" id="stages-back-btn" data-i18n="menu.back">${t('menu.back')}</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Briefing Screen -->
+      <div class="menu-screen" id="briefing-screen">
+        <div class="game-over-panel briefing-panel">
+          <div class="menu-title">MISSION BRIEFING</div>
+          <div class="briefing-name" id="briefing-name"></div>
+          <div class="briefing-text" id="briefing-text"></div>
+          <div class="game-over-stats">
+            <div class="stat-row">
+              <span class="stat-label">OBJECTIVE</span>
+              <span class="stat-value briefing-objectives" id="briefing-objective"></span>
+            </div>
+            <div class="stat-row" id="briefing-secondary-row">
+              <span class="stat-label">SECONDARY</span>
+              <span class="stat-value briefing-objectives" id="briefing-secondary"></span>
+            </div>
+            <div class="stat-row">
+              <span class="stat-label">TIME LIMIT</span>
+              <span class="stat-value" id="briefing-time"></span>
+            </div>
+          </div>
+          <div class="menu-buttons">
+            <button class="game-btn back-btn" id="briefing-back-btn" data-i18n="menu.back">${t('menu.back')}</button>
+            <button class="game-btn restart-btn" id="briefing-launch-btn" data-i18n="menu.launch">${t('menu.launch')}</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Pause Screen -->
+      <div class="menu-screen" id="pause-screen">
+        <div class="game-over-panel">
+          <div class="menu-title">PAUSED</div>
+          <div class="menu-buttons">
+            <button class="game-btn quit-btn" id="pause-title-btn" data-i18n="menu.title">${t('menu.title')}</button>
+            <button class="game-btn back-btn" id="pause-settings-btn" data-i18n="menu.settings">${t('menu.settings')}</button>
+            <button class="game-btn restart-btn" id="pause-resume-btn" data-i18n="menu.resume">${t('menu.resume')}</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Settings Screen -->
+      <div class="menu-screen settings-screen" id="settings-screen">
+        <div class="game-over-panel settings-panel">
+          <div class="menu-title" data-i18n="settings.title">${t('settings.title')}</div>
+          <div class="settings-list">
+            ${this.createSettingsSlider('masterVolume', 0, 100, 5)}
+            ${this.createSettingsSlider('musicVolume', 0, 100, 5)}
+            ${this.createSettingsSlider('sfxVolume', 0, 100, 5)}
+            ${this.createSettingsSlider('mouseSensitivity', 0.2, 3, 0.1)}
+            <label class="settings-row">
+              <span class="settings-label" data-i18n="settings.invertY">${t('settings.invertY')}</span>
+              <input type="checkbox" data-setting="invertY">
+            </label>
+            <label class="settings-row">
+              <span class="settings-label" data-i18n="settings.syncProgress">${t('settings.syncProgress')}</span>
+              <input type="checkbox" data-setting="syncProgress">
+            </label>
+            ${this.createSettingsSlider('fov', 50, 100, 1)}
+            ${this.createSettingsSlider('gamepadDeadzone', 0, 0.5, 0.05)}
+            ${this.createSettingsSlider('gamepadCurve', 1, 3, 0.1)}
+            <label class="settings-row">
+              <span class="settings-label" data-i18n="settings.quality">${t('settings.quality')}</span>
+              <select data-setting="quality">
+                ${Object.keys(QUALITY).map(level => `
+                  <option value="${level}" data-i18n="settings.quality.${level}">${t(`settings.quality.${level}`)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label class="settings-row">
+              <span class="settings-label" data-i18n="settings.language">${t('settings.language')}</span>
+              <select data-setting="language">
+                ${Object.entries(LANGUAGES).map(([code, name]) => `
+                  <option value="${code}">${name}</option>
+                `).join('')}
+              </select>
+            </label>
+          </div>
+          <div class="menu-buttons">
+            <button class="game-btn back-btn" id="settings-controls-btn" data-i18n="settings.controls">${t('settings.controls')}</button>
+            <button class="game-btn back-btn" id="settings-touch-btn" data-i18n="settings.touchLayout">${t('settings.touchLayout')}</button>
+            <button class="game-btn quit-btn" id="settings-reset-btn" data-i18n="settings.reset">${t('settings.reset')}</button>
+            <button class="game-btn restart-btn" id="settings-close-btn" data-i18n="settings.close">${t('settings.close')}</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Controls Screen -->
+      <div class="menu-screen controls-screen" id="controls-screen">
+        <div class="game-over-panel settings-panel">
+          <div class="menu-title" data-i18n="controls.title">${t('controls.title')}</div>
+          <div class="settings-row">
+            <span class="settings-label" data-i18n="controls.profile">${t('controls.profile')}</span>
+            <select id="controls-profile-select"></select>
+            <input type="text" id="controls-profile-input" maxlength="20">
+            <button class="controls-slot" id="controls-profile-btn" data-i18n="controls.profileCreate">${t('controls.profileCreate')}</button>
+          </div>
+          <div class="settings-list controls-list" id="controls-list"></div>
+          <div class="controls-notice" id="controls-notice"></div>
+          <div class="menu-buttons">
+            <button class="game-btn quit-btn" id="controls-reset-btn" data-i18n="settings.reset">${t('settings.reset')}</button>
+            <button class="game-btn restart-btn" id="controls-close-btn" data-i18n="settings.close">${t('settings.close')}</button>
+          </div>
+        </div>
+      </div>
+
       <!-- Game Over Screen -->
       <div class="game-over-screen" id="game-over-screen">
         <div class="game-over-panel">
           <div class="game-over-title" id="game-over-title">GAME OVER</div>
           <div class="game-over-reason" id="game-over-reason"></div>
           <div class="game-over-rank" id="game-over-rank"></div>
+          <div class="game-over-stars" id="game-over-stars"></div>
+          <div class="game-over-unlocks" id="game-over-unlocks"></div>
           <div class="game-over-stats">
             <div class="stat-row">
               <span class="stat-label">SCORE</span>
@@ -141,10 +308,20 @@ export class HUD {
               <span class="stat-label">TIME</span>
               <span class="stat-value" id="final-time">00:00</span>
             </div>
+            <div class="stat-row">
+              <span class="stat-label">OBJECTIVES</span>
+              <span class="stat-value" id="final-objectives">0/0</span>
+            </div>
+            <div class="stat-row">
+              <span class="stat-label">BONUS</span>
+              <span class="stat-value" id="final-bonus">0</span>
+            </div>
           </div>
           <div class="game-over-buttons">
-            <button class="game-btn ranking-btn" id="ranking-btn">순위보기</button>
-            <button class="game-btn restart-btn" id="restart-btn">다시하기</button>
+            <button class="game-btn quit-btn" id="game-over-title-btn" data-i18n="menu.title">${t('menu.title')}</button>
+            <button class="game-btn ranking-btn" id="ranking-btn" data-i18n="menu.ranking">${t('menu.ranking')}</button>
+            <button class="game-btn back-btn" id="game-over-stages-btn" data-i18n="menu.stages">${t('menu.stages')}</button>
+            <button class="game-btn restart-btn" id="restart-btn" data-i18n="menu.restart">${t('menu.restart')}</button>
           </div>
         </div>
       </div>
@@ -157,7 +334,7 @@ export class HUD {
             <!-- Rankings will be populated dynamically -->
           </div>
           <div class="ranking-buttons">
-            <button class="game-btn back-btn" id="ranking-back-btn">돌아가기</button>
+            <button class="game-btn back-btn" id="ranking-back-btn" data-i18n="menu.back">${t('menu.back')}</button>
           </div>
         </div>
       </div>
@@ -166,53 +343,33 @@ export class HUD {
       <div class="hud-bottom-center desktop-only">
         <div class="keymap-panel">
           <div class="keymap-row">
-            <span class="key">W</span><span class="key-desc">전진</span>
-            <span class="key">S</span><span class="key-desc">후진</span>
-            <span class="key">A</span><span class="key-desc">좌이동</span>
-            <span class="key">D</span><span class="key-desc">우이동</span>
+            <span class="key" data-binding="forward">W</span><span class="key-desc" data-i18n="key.forward">${t('key.forward')}</span>
+            <span class="key" data-binding="backward">S</span><span class="key-desc" data-i18n="key.backward">${t('key.backward')}</span>
+            <span class="key" data-binding="left">A</span><span class="key-desc" data-i18n="key.left">${t('key.left')}</span>
+            <span class="key" data-binding="right">D</span><span class="key-desc" data-i18n="key.right">${t('key.right')}</span>
           </div>
           <div class="keymap-row">
-            <span class="key">Q</span><span class="key-desc">좌회전</span>
-            <span class="key">E</span><span class="key-desc">우회전</span>
-            <span class="key">SPACE</span><span class="key-desc">상승</span>
-            <span class="key">SHIFT</span><span class="key-desc">하강</span>
+            <span class="key" data-binding="rotateLeft">Q</span><span class="key-desc" data-i18n="key.rotateLeft">${t('key.rotateLeft')}</span>
+            <span class="key" data-binding="rotateRight">E</span><span class="key-desc" data-i18n="key.rotateRight">${t('key.rotateRight')}</span>
+            <span class="key" data-binding="up">SPACE</span><span class="key-desc" data-i18n="key.up">${t('key.up')}</span>
+            <span class="key" data-binding="down">SHIFT</span><span class="key-desc" data-i18n="key.down">${t('key.down')}</span>
           </div>
           <div class="keymap-row">
-            <span class="key">CTRL</span><span class="key-desc">부스트</span>
-            <span class="key">R</span><span class="key-desc">초기화</span>
-            <span class="key">L-CLICK</span><span class="key-desc">발사</span>
-            <span class="key">R-CLICK</span><span class="key-desc">시점변경</span>
-          </div>
-        </div>
-      </div>
-
-      <!-- Mobile Touch Controls -->
-      <div class="touch-controls mobile-only" id="touch-controls">
-        <!-- Left Side: Movement Controls (6 buttons) -->
-        <div class="touch-pad touch-pad-left">
-          <div class="touch-row">
-            <button class="touch-btn" data-key="KeyQ">Q</button>
-            <button class="touch-btn" data-key="KeyW">W</button>
-            <button class="touch-btn" data-key="KeyE">E</button>
-          </div>
-          <div class="touch-row">
-            <button class="touch-btn" data-key="KeyA">A</button>
-            <button class="touch-btn" data-key="KeyS">S</button>
-            <button class="touch-btn" data-key="KeyD">D</button>
-          </div>
-        </div>
-
-        <!-- Right Side: Action Controls (6 buttons) -->
-        <div class="touch-pad touch-pad-right">
-          <div class="touch-row">
-            <button class="touch-btn" data-key="Space">UP</button>
-            <button class="touch-btn" data-key="ShiftLeft">DN</button>
-            <button class="touch-btn" data-key="ControlLeft">BST</button>
+            <span class="key" data-binding="boost">CTRL</span><span class="key-desc" data-i18n="key.boost">${t('key.boost')}</span>
+            <span class="key" data-binding="reload">R</span><span class="key-desc" data-i18n="key.reload">${t('key.reload')}</span>
+            <span class="key" data-binding="resetPosition">T</span><span class="key-desc" data-i18n="key.resetPosition">${t('key.resetPosition')}</span>
+            <span class="key" data-binding="pause">ESC</span><span class="key-desc" data-i18n="key.pause">${t('key.pause')}</span>
+            <span class="key" data-binding="fire">L-CLICK</span><span class="key-desc" data-i18n="key.fire">${t('key.fire')}</span>
+            <span class="key" data-binding="view">R-CLICK</span><span class="key-desc" data-i18n="key.view">${t('key.view')}</span>
           </div>
-          <div class="touch-row">
-            <button class="touch-btn touch-fire" data-action="fire">FIRE</button>
-            <button class="touch-btn touch-view" data-action="view">VIEW</button>
-            <button class="touch-btn" data-key="KeyR">R</button>
+          <div class="keymap-row">
+            <span class="key" data-binding="weapon1">1</span><span class="key-desc" data-i18n="key.weapon1">${t('key.weapon1')}</span>
+            <span class="key" data-binding="weapon2">2</span><span class="key-desc" data-i18n="key.weapon2">${t('key.weapon2')}</span>
+            <span class="key" data-binding="weapon3">3</span><span class="key-desc" data-i18n="key.weapon3">${t('key.weapon3')}</span>
+            <span class="key" data-binding="nextWeapon">X</span><span class="key-desc" data-i18n="key.nextWeapon">${t('key.nextWeapon')}</span>
+            <span class="key" data-binding="lockOn">V</span><span class="key-desc" data-i18n="key.lockOn">${t('key.lockOn')}</span>
+            <span class="key" data-binding="cycleTarget">TAB</span><span class="key-desc" data-i18n="key.cycleTarget">${t('key.cycleTarget')}</span>
+            <span class="key" data-binding="melee">G</span><span class="key-desc" data-i18n="key.melee">${t('key.melee')}</span>
           </div>
         </div>
       </div>
@@ -227,29 +384,81 @@ export class HUD {
       boostBar: document.getElementById('boost-bar'),
       boostValue: document.getElementById('boost-value'),
       timer: document.getElementById('timer'),
-      destructionRate: document.getElementById('destruction-rate'),
+      objectiveList: document.getElementById('objective-list'),
       crosshair: document.getElementById('crosshair'),
+      lockBracket: document.getElementById('lock-bracket'),
+      lockLabel: document.getElementById('lock-label'),
+      lockHealthFill: document.getElementById('lock-health-fill'),
+      lockDistance: document.getElementById('lock-distance'),
+      leadPip: document.getElementById('lead-pip'),
+      debugOverlay: document.getElementById('debug-overlay'),
       comboDisplay: document.getElementById('combo-display'),
       comboCount: document.getElementById('combo-count'),
       comboTimerBar: document.getElementById('combo-timer-bar'),
-      weapon1: document.getElementById('weapon-1'),
-      weapon2: document.getElementById('weapon-2'),
-      ammo1: document.getElementById('ammo-1'),
-      ammo2: document.getElementById('ammo-2'),
+      weaponPanel: document.getElementById('weapon-panel'),
       score: document.getElementById('score'),
       destructionBar: document.getElementById('destruction-bar'),
       destructionValue: document.getElementById('destruction-value'),
       scorePopupContainer: document.getElementById('score-popup-container'),
+      damageFlash: document.getElementById('damage-flash'),
       // Game Over elements
       gameOverScreen: document.getElementById('game-over-screen'),
       gameOverTitle: document.getElementById('game-over-title'),
       gameOverReason: document.getElementById('game-over-reason'),
       gameOverRank: document.getElementById('game-over-rank'),
+      gameOverStars: document.getElementById('game-over-stars'),
+      gameOverUnlocks: document.getElementById('game-over-unlocks'),
       finalScore: document.getElementById('final-score'),
       finalDestruction: document.getElementById('final-destruction'),
       finalTime: document.getElementById('final-time'),
+      finalObjectives: document.getElementById('final-objectives'),
+      finalBonus: document.getElementById('final-bonus'),
       restartBtn: document.getElementById('restart-btn'),
       rankingBtn: document.getElementById('ranking-btn'),
+      gameOverTitleBtn: document.getElementById('game-over-title-btn'),
+      gameOverStagesBtn: document.getElementById('game-over-stages-btn'),
+      // Menu elements
+      titleScreen: document.getElementById('title-screen'),
+      titleHighScore: document.getElementById('title-highscore'),
+      titleStartBtn: document.getElementById('title-start-btn'),
+      titleRankingBtn: document.getElementById('title-ranking-btn'),
+      stagesScreen: document.getElementById('stages-screen'),
+      stagesStars: document.getElementById('stages-stars'),
+      stagesList: document.getElementById('stages-list'),
+      stagesBackBtn: document.getElementById('stages-back-btn'),
+      variantName: document.getElementById('variant-name'),
+      variantPrevBtn: document.getElementById('variant-prev-btn'),
+      variantNextBtn: document.getElementById('variant-next-btn'),
+      briefingScreen: document.getElementById('briefing-screen'),
+      briefingName: document.getElementById('briefing-name'),
+      briefingText: document.getElementById('briefing-text'),
+      briefingObjective: document.getElementById('briefing-objective'),
+      briefingSecondary: document.getElementById('briefing-secondary'),
+      briefingSecondaryRow: document.getElementById('briefing-secondary-row'),
+      briefingTime: document.getElementById('briefing-time'),
+      briefingBackBtn: document.getElementById('briefing-back-btn'),
+      briefingLaunchBtn: document.getElementById('briefing-launch-btn'),
+      pauseScreen: document.getElementById('pause-screen'),
+      pauseResumeBtn: document.getElementById('pause-resume-btn'),
+      pauseTitleBtn: document.getElementById('pause-title-btn'),
+      deviceNotice: document.getElementById('device-notice'),
+      // Settings elements
+      settingsScreen: document.getElementById('settings-screen'),
+      titleSettingsBtn: document.getElementById('title-settings-btn'),
+      pauseSettingsBtn: document.getElementById('pause-settings-btn'),
+      settingsResetBtn: document.getElementById('settings-reset-btn'),
+      settingsCloseBtn: document.getElementById('settings-close-btn'),
+      settingsControlsBtn: document.getElementById('settings-controls-btn'),
+      settingsTouchLayoutBtn: document.getElementById('settings-touch-btn'),
+      // Controls elements
+      controlsScreen: document.getElementById('controls-screen'),
+      controlsList: document.getElementById('controls-list'),
+      controlsNotice: document.getElementById('controls-notice'),
+      controlsProfileSelect: document.getElementById('controls-profile-select'),
+      controlsProfileInput: document.getElementById('controls-profile-input'),
+      controlsProfileBtn: document.getElementById('controls-profile-btn'),
+      controlsResetBtn: document.getElementById('controls-reset-btn'),
+      controlsCloseBtn: document.getElementById('controls-close-btn'),
       // Ranking elements
       rankingScreen: document.getElementById('ranking-screen'),
       rankingList: document.getElementById('ranking-list'),
@@ -260,6 +469,19 @@ export class HUD {
     this.addStyles();
   }
 
+  /**
+   * Build a labelled slider row for the settings panel
+   */
+  createSettingsSlider(key, min, max, step) {
+    return `
+      <label class="settings-row">
+        <span class="settings-label" data-i18n="settings.${key}">${t(`settings.${key}`)}</span>
+        <input type="range" data-setting="${key}" min="${min}" max="${max}" step="${step}">
+        <span class="settings-value" id="settings-value-${key}"></span>
+      </label>
+    `;
+  }
+
   /**
    * Add CSS styles
    */
@@ -363,11 +585,43 @@ export class HUD {
         margin-bottom: 3px;
       }
 
-      .mission-objective {
+      .objective-list {
+        display: flex;
+        flex-direction: column;
+        gap: 3px;
+      }
+
+      .objective-item {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
         font-size: 14px;
         color: ${UI_COLORS.warning};
       }
 
+      .objective-item.secondary {
+        font-size: 12px;
+        opacity: 0.8;
+      }
+
+      .objective-item.complete {
+        color: ${UI_COLORS.primary};
+      }
+
+      .objective-item.failed {
+        color: ${UI_COLORS.danger};
+        text-decoration: line-through;
+      }
+
+      .objective-detail {
+        font-family: 'Courier New', monospace;
+      }
+
+      .objective-mark {
+        width: 1em;
+        text-align: center;
+      }
+
       .timer-value {
         font-size: 28px;
         font-weight: bold;
@@ -423,6 +677,72 @@ export class HUD {
         box-shadow: 0 0 8px ${UI_COLORS.primary};
       }
 
+      /* Lock-on */
+      .lock-bracket {
+        position: fixed;
+        display: none;
+        transform: translate(-50%, -50%);
+        pointer-events: none;
+      }
+
+      .lock-bracket.active {
+        display: block;
+      }
+
+      .lock-corner {
+        position: absolute;
+        width: 25%;
+        height: 25%;
+        border: 0 solid ${UI_COLORS.warning};
+        filter: drop-shadow(0 0 4px ${UI_COLORS.warning});
+      }
+
+      .lock-tl { top: 0; left: 0; border-top-width: 2px; border-left-width: 2px; }
+      .lock-tr { top: 0; right: 0; border-top-width: 2px; border-right-width: 2px; }
+      .lock-bl { bottom: 0; left: 0; border-bottom-width: 2px; border-left-width: 2px; }
+      .lock-br { bottom: 0; right: 0; border-bottom-width: 2px; border-right-width: 2px; }
+
+      .lock-info {
+        position: absolute;
+        top: 100%;
+        left: 50%;
+        transform: translateX(-50%);
+        margin-top: 6px;
+        min-width: 90px;
+        text-align: center;
+        font-size: 11px;
+        color: ${UI_COLORS.warning};
+        text-shadow: 0 0 4px ${UI_COLORS.warning};
+        white-space: nowrap;
+      }
+
+      .lock-health {
+        height: 4px;
+        margin: 3px 0;
+        background: rgba(255, 170, 0, 0.2);
+      }
+
+      .lock-health-fill {
+        height: 100%;
+        background: ${UI_COLORS.warning};
+      }
+
+      .lead-pip {
+        position: fixed;
+        display: none;
+        width: 12px;
+        height: 12px;
+        transform: translate(-50%, -50%);
+        border: 2px solid ${UI_COLORS.danger};
+        border-radius: 50%;
+        box-shadow: 0 0 6px ${UI_COLORS.danger};
+        pointer-events: none;
+      }
+
+      .lead-pip.active {
+        display: block;
+      }
+
       /* Combo Display */
       .combo-display {
         position: absolute;
@@ -523,6 +843,47 @@ export class HUD {
         color: ${UI_COLORS.secondary};
       }
 
+      .weapon-item.empty .weapon-ammo {
+        color: ${UI_COLORS.danger};
+      }
+
+      /* Shared bar: reload fill, or charge fill while the trigger is held */
+      .weapon-reload {
+        display: flex;
+        width: 50px;
+        height: 4px;
+        background: rgba(0, 0, 0, 0.5);
+        border-radius: 2px;
+        overflow: hidden;
+        visibility: hidden;
+      }
+
+      .weapon-item.reloading .weapon-reload {
+        visibility: visible;
+      }
+
+      .weapon-item.reloading .weapon-ammo {
+        opacity: 0.4;
+      }
+
+      .weapon-reload-fill {
+        width: 0%;
+        height: 100%;
+        background: ${UI_COLORS.warning};
+        box-shadow: 0 0 5px ${UI_COLORS.warning};
+      }
+
+      .weapon-item.charging .weapon-reload {
+        visibility: visible;
+      }
+
+      .weapon-charge-fill {
+        width: 0%;
+        height: 100%;
+        background: ${UI_COLORS.secondary};
+        box-shadow: 0 0 5px ${UI_COLORS.secondary};
+      }
+
       /* Bottom Right - Score */
       .hud-bottom-right {
         position: absolute;
@@ -590,6 +951,30 @@ export class HUD {
         color: ${UI_COLORS.warning};
       }
 
+      /* Damage Flash */
+      .damage-flash {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        opacity: 0;
+        background: radial-gradient(
+          ellipse at center,
+          transparent 40%,
+          rgba(255, 51, 51, 0.6) 100%
+        );
+      }
+
+      .damage-flash.active {
+        animation: damageFlash 0.4s ease-out;
+      }
+
+      @keyframes damageFlash {
+        0% { opacity: 1; }
+        100% { opacity: 0; }
+      }
+
       /* Score Popup */
       .score-popup-container {
         position: absolute;
@@ -632,6 +1017,25 @@ export class HUD {
         opacity: 0.5;
       }
 
+      /* Debug Overlay */
+      .debug-overlay {
+        display: none;
+        position: absolute;
+        top: 30px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 6px 10px;
+        background: rgba(0, 0, 0, 0.6);
+        font-family: monospace;
+        font-size: 11px;
+        color: ${UI_COLORS.primary};
+        white-space: pre;
+      }
+
+      .debug-overlay.active {
+        display: block;
+      }
+
       /* Bottom Center - Keymap */
       .hud-bottom-center {
         position: absolute;
@@ -827,92 +1231,400 @@ export class HUD {
         box-shadow: 0 0 20px ${UI_COLORS.warning};
       }
 
-      /* Game Over Rank Display */
-      .game-over-rank {
-        font-size: 24px;
-        font-weight: bold;
-        color: ${UI_COLORS.warning};
-        text-shadow: 0 0 15px ${UI_COLORS.warning};
-        margin-bottom: 20px;
-        letter-spacing: 2px;
-      }
-
-      .game-over-rank.new-record {
-        color: ${UI_COLORS.primary};
-        text-shadow: 0 0 20px ${UI_COLORS.primary};
-        animation: rankPulse 0.5s ease-in-out infinite alternate;
-      }
-
-      @keyframes rankPulse {
-        from { transform: scale(1); }
-        to { transform: scale(1.05); }
-      }
-
-      /* Ranking Screen */
-      .ranking-screen {
+      /* Menu Screens (title, briefing, pause) */
+      .menu-screen {
         position: fixed;
         top: 0;
         left: 0;
         width: 100%;
         height: 100%;
-        background: rgba(0, 0, 0, 0.9);
+        background: rgba(0, 0, 0, 0.7);
         display: none;
+        flex-direction: column;
         justify-content: center;
         align-items: center;
-        z-index: 2001;
+        z-index: 2000;
         pointer-events: auto;
       }
 
-      .ranking-screen.active {
+      .menu-screen.active {
         display: flex;
         animation: fadeIn 0.3s ease-out;
       }
 
-      .ranking-panel {
-        background: ${UI_COLORS.background};
-        border: 2px solid ${UI_COLORS.secondary};
-        border-radius: 10px;
-        padding: 30px 50px;
-        text-align: center;
-        box-shadow: 0 0 30px ${UI_COLORS.secondary};
-        min-width: 400px;
-        max-height: 80vh;
-        overflow-y: auto;
+      .title-screen {
+        background: radial-gradient(ellipse at center, rgba(0, 26, 51, 0.6) 0%, rgba(0, 5, 16, 0.95) 100%);
       }
 
-      .ranking-title {
-        font-size: 32px;
-        font-weight: bold;
+      .title-logo {
+        font-family: 'Orbitron', sans-serif;
+        font-size: 96px;
+        font-weight: 900;
+        color: ${UI_COLORS.primary};
+        text-shadow: 0 0 30px ${UI_COLORS.primary}, 0 0 60px ${UI_COLORS.primary};
+        letter-spacing: 12px;
+      }
+
+      .title-subtitle {
+        font-family: 'Orbitron', sans-serif;
+        font-size: 22px;
         color: ${UI_COLORS.secondary};
-        text-shadow: 0 0 15px ${UI_COLORS.secondary};
-        margin-bottom: 25px;
+        letter-spacing: 10px;
+        margin-bottom: 30px;
+      }
+
+      .title-highscore {
+        font-size: 18px;
+        color: ${UI_COLORS.warning};
         letter-spacing: 3px;
+        margin-bottom: 40px;
       }
 
-      .ranking-list {
+      .title-highscore span {
+        font-family: 'Courier New', monospace;
+        font-weight: bold;
+      }
+
+      .menu-title {
+        font-size: 36px;
+        font-weight: bold;
+        color: ${UI_COLORS.primary};
+        text-shadow: 0 0 20px ${UI_COLORS.primary};
         margin-bottom: 25px;
+        letter-spacing: 5px;
       }
 
-      .ranking-item {
+      .menu-buttons {
         display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 12px 15px;
-        border-bottom: 1px solid rgba(0, 170, 255, 0.2);
-        transition: background 0.2s ease;
+        gap: 20px;
+        justify-content: center;
       }
 
-      .ranking-item:hover {
-        background: rgba(0, 170, 255, 0.1);
+      .briefing-panel {
+        max-width: 560px;
       }
 
-      .ranking-item.current {
-        background: rgba(0, 255, 136, 0.2);
-        border: 1px solid ${UI_COLORS.primary};
-        border-radius: 5px;
+      /* Stage Select */
+      .stages-panel {
+        min-width: 480px;
       }
 
-      .ranking-item.gold {
+      .stages-stars {
+        font-size: 18px;
+        color: ${UI_COLORS.warning};
+        letter-spacing: 2px;
+        margin-bottom: 15px;
+      }
+
+      .stages-list {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        margin-bottom: 20px;
+      }
+
+      .stage-item {
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        padding: 10px 15px;
+        background: rgba(0, 0, 0, 0.6);
+        border: 1px solid ${UI_COLORS.border};
+        color: ${UI_COLORS.primary};
+        font-family: inherit;
+        font-size: 16px;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      .stage-item:hover:not(:disabled) {
+        border-color: ${UI_COLORS.primary};
+        box-shadow: 0 0 10px ${UI_COLORS.primary};
+      }
+
+      .stage-item:disabled {
+        color: #666;
+        cursor: not-allowed;
+      }
+
+      .stage-order {
+        font-family: 'Courier New', monospace;
+        font-weight: bold;
+      }
+
+      .stage-name {
+        flex: 1;
+      }
+
+      .stage-stars {
+        color: ${UI_COLORS.warning};
+        letter-spacing: 2px;
+      }
+
+      .stage-best {
+        width: 90px;
+        text-align: right;
+        font-family: 'Courier New', monospace;
+        color: #ccc;
+      }
+
+      .variant-row {
+        margin-bottom: 20px;
+      }
+
+      .variant-name {
+        flex: 1;
+        text-align: center;
+        color: #ff6600;
+        letter-spacing: 1px;
+      }
+
+      .briefing-name {
+        font-size: 18px;
+        color: #ff6600;
+        letter-spacing: 2px;
+        margin-bottom: 15px;
+      }
+
+      .briefing-objectives {
+        font-size: 16px;
+        text-align: right;
+        white-space: pre-line;
+      }
+
+      .briefing-text {
+        font-size: 16px;
+        line-height: 1.6;
+        color: #ccc;
+        text-align: left;
+        white-space: pre-line;
+        margin-bottom: 25px;
+      }
+
+      /* Device Notice */
+      .device-notice {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        padding: 10px 18px;
+        background: ${UI_COLORS.background};
+        border: 1px solid ${UI_COLORS.secondary};
+        color: ${UI_COLORS.secondary};
+        font-size: 13px;
+        letter-spacing: 1px;
+        opacity: 0;
+        transform: translateY(-10px);
+        transition: opacity 0.3s, transform 0.3s;
+        pointer-events: none;
+        z-index: 2100;
+      }
+
+      .device-notice.visible {
+        opacity: 1;
+        transform: translateY(0);
+      }
+
+      /* Settings Screen */
+      .settings-screen {
+        z-index: 2002;
+      }
+
+      .settings-panel {
+        min-width: 420px;
+      }
+
+      .settings-list {
+        margin-bottom: 25px;
+      }
+
+      .settings-row {
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        padding: 8px 0;
+        border-bottom: 1px solid rgba(0, 255, 136, 0.2);
+        cursor: pointer;
+      }
+
+      .settings-label {
+        flex: 1;
+        text-align: left;
+        font-size: 14px;
+        color: ${UI_COLORS.secondary};
+        letter-spacing: 1px;
+      }
+
+      .settings-row input[type="range"] {
+        width: 150px;
+        accent-color: ${UI_COLORS.primary};
+      }
+
+      .settings-row input[type="checkbox"] {
+        width: 18px;
+        height: 18px;
+        accent-color: ${UI_COLORS.primary};
+      }
+
+      .settings-row select {
+        background: rgba(0, 0, 0, 0.6);
+        color: ${UI_COLORS.primary};
+        border: 1px solid ${UI_COLORS.border};
+        padding: 4px 8px;
+        font-family: inherit;
+      }
+
+      .controls-screen {
+        z-index: 2003;
+      }
+
+      .controls-list {
+        max-height: 50vh;
+        overflow-y: auto;
+      }
+
+      .controls-slot {
+        min-width: 90px;
+        background: rgba(0, 0, 0, 0.6);
+        color: ${UI_COLORS.primary};
+        border: 1px solid ${UI_COLORS.border};
+        padding: 4px 8px;
+        font-family: 'Courier New', monospace;
+        cursor: pointer;
+      }
+
+      .controls-slot.listening {
+        color: ${UI_COLORS.warning};
+        border-color: ${UI_COLORS.warning};
+      }
+
+      .controls-slot.conflict {
+        border-color: ${UI_COLORS.danger};
+      }
+
+      #controls-profile-input {
+        width: 90px;
+        background: rgba(0, 0, 0, 0.6);
+        color: ${UI_COLORS.primary};
+        border: 1px solid ${UI_COLORS.border};
+        padding: 4px 8px;
+        font-family: inherit;
+      }
+
+      .controls-notice {
+        min-height: 20px;
+        margin-bottom: 15px;
+        font-size: 13px;
+        color: ${UI_COLORS.warning};
+      }
+
+      .settings-value {
+        width: 40px;
+        text-align: right;
+        font-family: 'Courier New', monospace;
+        color: ${UI_COLORS.primary};
+      }
+
+      /* Game Over Rank Display */
+      .game-over-rank {
+        font-size: 24px;
+        font-weight: bold;
+        color: ${UI_COLORS.warning};
+        text-shadow: 0 0 15px ${UI_COLORS.warning};
+        margin-bottom: 20px;
+        letter-spacing: 2px;
+      }
+
+      .game-over-rank.new-record {
+        color: ${UI_COLORS.primary};
+        text-shadow: 0 0 20px ${UI_COLORS.primary};
+        animation: rankPulse 0.5s ease-in-out infinite alternate;
+      }
+
+      .game-over-stars {
+        font-size: 32px;
+        color: ${UI_COLORS.warning};
+        text-shadow: 0 0 15px ${UI_COLORS.warning};
+        letter-spacing: 6px;
+        margin-bottom: 10px;
+      }
+
+      .game-over-unlocks {
+        font-size: 15px;
+        color: ${UI_COLORS.secondary};
+        white-space: pre-line;
+        margin-bottom: 15px;
+      }
+
+      @keyframes rankPulse {
+        from { transform: scale(1); }
+        to { transform: scale(1.05); }
+      }
+
+      /* Ranking Screen */
+      .ranking-screen {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.9);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 2001;
+        pointer-events: auto;
+      }
+
+      .ranking-screen.active {
+        display: flex;
+        animation: fadeIn 0.3s ease-out;
+      }
+
+      .ranking-panel {
+        background: ${UI_COLORS.background};
+        border: 2px solid ${UI_COLORS.secondary};
+        border-radius: 10px;
+        padding: 30px 50px;
+        text-align: center;
+        box-shadow: 0 0 30px ${UI_COLORS.secondary};
+        min-width: 400px;
+        max-height: 80vh;
+        overflow-y: auto;
+      }
+
+      .ranking-title {
+        font-size: 32px;
+        font-weight: bold;
+        color: ${UI_COLORS.secondary};
+        text-shadow: 0 0 15px ${UI_COLORS.secondary};
+        margin-bottom: 25px;
+        letter-spacing: 3px;
+      }
+
+      .ranking-list {
+        margin-bottom: 25px;
+      }
+
+      .ranking-item {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 12px 15px;
+        border-bottom: 1px solid rgba(0, 170, 255, 0.2);
+        transition: background 0.2s ease;
+      }
+
+      .ranking-item:hover {
+        background: rgba(0, 170, 255, 0.1);
+      }
+
+      .ranking-item.current {
+        background: rgba(0, 255, 136, 0.2);
+        border: 1px solid ${UI_COLORS.primary};
+        border-radius: 5px;
+      }
+
+      .ranking-item.gold {
         background: rgba(255, 215, 0, 0.15);
       }
 
@@ -989,112 +1701,6 @@ export class HUD {
           transform-origin: bottom right;
         }
       }
-
-      /* Touch Controls */
-      .touch-controls {
-        position: fixed;
-        bottom: 20px;
-        left: 0;
-        right: 0;
-        display: flex;
-        justify-content: space-between;
-        padding: 0 15px;
-        pointer-events: none;
-        z-index: 1001;
-      }
-
-      .touch-pad {
-        display: flex;
-        flex-direction: column;
-        gap: 8px;
-        pointer-events: auto;
-      }
-
-      .touch-pad-left {
-        align-items: flex-start;
-      }
-
-      .touch-pad-right {
-        align-items: flex-end;
-      }
-
-      .touch-row {
-        display: flex;
-        gap: 8px;
-      }
-
-      .touch-btn {
-        width: 60px;
-        height: 60px;
-        border: 2px solid ${UI_COLORS.primary};
-        border-radius: 8px;
-        background: rgba(0, 20, 40, 0.7);
-        color: ${UI_COLORS.primary};
-        font-family: 'Orbitron', 'Segoe UI', sans-serif;
-        font-size: 14px;
-        font-weight: bold;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        cursor: pointer;
-        user-select: none;
-        -webkit-user-select: none;
-        touch-action: manipulation;
-        transition: all 0.1s ease;
-        text-shadow: 0 0 5px ${UI_COLORS.primary};
-        box-shadow: 0 0 10px rgba(0, 255, 136, 0.2);
-      }
-
-      .touch-btn:active,
-      .touch-btn.active {
-        background: ${UI_COLORS.primary};
-        color: #000;
-        box-shadow: 0 0 20px ${UI_COLORS.primary};
-        transform: scale(0.95);
-      }
-
-      .touch-fire {
-        border-color: ${UI_COLORS.danger};
-        color: ${UI_COLORS.danger};
-        text-shadow: 0 0 5px ${UI_COLORS.danger};
-        box-shadow: 0 0 10px rgba(255, 51, 51, 0.2);
-      }
-
-      .touch-fire:active,
-      .touch-fire.active {
-        background: ${UI_COLORS.danger};
-        color: #000;
-        box-shadow: 0 0 20px ${UI_COLORS.danger};
-      }
-
-      .touch-view {
-        border-color: ${UI_COLORS.secondary};
-        color: ${UI_COLORS.secondary};
-        text-shadow: 0 0 5px ${UI_COLORS.secondary};
-        box-shadow: 0 0 10px rgba(0, 170, 255, 0.2);
-      }
-
-      .touch-view:active,
-      .touch-view.active {
-        background: ${UI_COLORS.secondary};
-        color: #000;
-        box-shadow: 0 0 20px ${UI_COLORS.secondary};
-      }
-
-      /* Larger touch targets for mobile */
-      @media (max-width: 480px) {
-        .touch-btn {
-          width: 50px;
-          height: 50px;
-          font-size: 12px;
-        }
-        .touch-row {
-          gap: 5px;
-        }
-        .touch-pad {
-          gap: 5px;
-        }
-      }
     `;
     document.head.appendChild(style);
   }
@@ -1108,6 +1714,17 @@ export class HUD {
     this.elements.hpValue.textContent = Math.floor(this.hp);
   }
 
+  /**
+   * Flash the screen edges red when taking damage
+   */
+  flashDamage() {
+    const flash = this.elements.damageFlash;
+    flash.classList.remove('active');
+    // Force reflow so the animation restarts
+    void flash.offsetWidth;
+    flash.classList.add('active');
+  }
+
   /**
    * Update Boost display
    */
@@ -1174,28 +1791,132 @@ export class HUD {
     }
   }
 
+  /**
+   * Build one weapon panel entry per loaded weapon
+   * @param {Weapon[]} weapons - Loadout in slot order
+   */
+  setWeapons(weapons) {
+    const panel = this.elements.weaponPanel;
+    panel.innerHTML = '';
+    this.weaponItems = [];
+
+    weapons.forEach((weapon, index) => {
+      const item = document.createElement('div');
+      item.className = 'weapon-item';
+      item.innerHTML = `
+        <div class="weapon-key">[${index + 1}]</div>
+        <div class="weapon-name"></div>
+        <div class="weapon-ammo"><span class="weapon-magazine"></span>/<span class="weapon-reserve"></span></div>
+        <div class="weapon-reload"><div class="weapon-reload-fill"></div><div class="weapon-charge-fill"></div></div>
+      `;
+      // Names come from the weapon files
+      item.querySelector('.weapon-name').textContent = weapon.shortName || weapon.name.toUpperCase();
+      panel.appendChild(item);
+
+      this.weaponItems.push({
+        item,
+        ammo: item.querySelector('.weapon-magazine'),
+        reserve: item.querySelector('.weapon-reserve'),
+        reload: item.querySelector('.weapon-reload-fill'),
+        charge: item.querySelector('.weapon-charge-fill'),
+      });
+      this.updateAmmo(index, weapon.magazine, weapon.reserve);
+    });
+
+    this.updateWeapon(this.currentWeapon);
+  }
+
   /**
    * Update current weapon
+   * @param {number} index - Active weapon slot
+   * @param {number} [chargeRatio] - Charge progress of the active weapon (0-1, charge mode)
    */
-  updateWeapon(index) {
+  updateWeapon(index, chargeRatio = 0) {
     this.currentWeapon = index;
 
-    this.elements.weapon1.classList.toggle('active', index === 0);
-    this.elements.weapon2.classList.toggle('active', index === 1);
+    this.weaponItems.forEach(({ item, charge }, i) => {
+      const ratio = i === index ? chargeRatio : 0;
+      item.classList.toggle('active', i === index);
+      item.classList.toggle('charging', ratio > 0);
+      charge.style.width = `${ratio * 100}%`;
+    });
   }
 
   /**
    * Update ammo display
+   * @param {number} weaponIndex - Weapon slot (0: first weapon)
+   * @param {number} current - Rounds in magazine
+   * @param {number} reserve - Rounds left in reserve
    */
-  updateAmmo(weaponIndex, current, max) {
+  updateAmmo(weaponIndex, current, reserve) {
     this.ammo[weaponIndex] = current;
-    this.maxAmmo[weaponIndex] = max;
+    this.reserveAmmo[weaponIndex] = reserve;
 
-    if (weaponIndex === 0) {
-      this.elements.ammo1.textContent = current;
-    } else {
-      this.elements.ammo2.textContent = current;
-    }
+    const { item, ammo, reserve: reserveElement } = this.weaponItems[weaponIndex];
+
+    ammo.textContent = current;
+    reserveElement.textContent = reserve;
+    item.classList.toggle('empty', current === 0);
+  }
+
+  /**
+   * Update reload progress indicator
+   * @param {number} weaponIndex - Weapon slot
+   * @param {number|null} progress - Reload progress (0-1), null when not reloading
+   */
+  updateReload(weaponIndex, progress) {
+    const { item, reload: fill } = this.weaponItems[weaponIndex];
+
+    const isReloading = progress !== null;
+    item.classList.toggle('reloading', isReloading);
+    fill.style.width = `${isReloading ? progress * 100 : 0}%`;
+  }
+
+  /**
+   * Build the objective checklist
+   * @param {object[]} checklist - From ObjectiveSystem.getChecklist
+   */
+  setObjectives(checklist) {
+    const list = this.elements.objectiveList;
+    list.innerHTML = '';
+
+    this.objectiveItems = checklist.map(() => {
+      const item = document.createElement('div');
+      item.innerHTML = `
+        <span class="objective-label"></span>
+        <span class="objective-detail"></span>
+        <span class="objective-mark"></span>
+      `;
+      list.appendChild(item);
+
+      return {
+        item,
+        label: item.querySelector('.objective-label'),
+        detail: item.querySelector('.objective-detail'),
+        mark: item.querySelector('.objective-mark'),
+      };
+    });
+
+    this.updateObjectives(checklist);
+  }
+
+  /**
+   * Update objective progress and status
+   */
+  updateObjectives(checklist) {
+    checklist.forEach((objective, index) => {
+      const row = this.objectiveItems[index];
+      if (!row) return;
+
+      const detail = objective.timeLeft !== null
+        ? `${objective.detail} ${formatTime(objective.timeLeft)}`
+        : objective.detail;
+
+      row.item.className = `objective-item ${objective.primary ? 'primary' : 'secondary'} ${objective.status}`;
+      row.label.textContent = objective.label;
+      row.detail.textContent = detail;
+      row.mark.textContent = OBJECTIVE_MARKS[objective.status];
+    });
   }
 
   /**
@@ -1203,7 +1924,6 @@ export class HUD {
    */
   updateDestructionRate(percent) {
     this.destructionRate = percent;
-    this.elements.destructionRate.textContent = Math.floor(percent);
     this.elements.destructionBar.style.width = `${percent}%`;
     this.elements.destructionValue.textContent = `${Math.floor(percent)}%`;
   }
@@ -1219,6 +1939,67 @@ export class HUD {
     }
   }
 
+  /**
+   * Update lock-on bracket, target readout and lead pip
+   * @param {object|null} info - From TargetingSystem.getScreenInfo()
+   */
+  updateLockOn(info) {
+    const { lockBracket, leadPip } = this.elements;
+
+    if (!info) {
+      lockBracket.classList.remove('active');
+      leadPip.classList.remove('active');
+      return;
+    }
+
+    lockBracket.style.left = `${info.x}px`;
+    lockBracket.style.top = `${info.y}px`;
+    lockBracket.style.width = `${info.size}px`;
+    lockBracket.style.height = `${info.size}px`;
+    lockBracket.classList.add('active');
+
+    this.elements.lockLabel.textContent = info.label;
+    this.elements.lockHealthFill.style.width = `${info.health * 100}%`;
+    this.elements.lockDistance.textContent = `${Math.round(info.distance)}m`;
+
+    if (info.lead) {
+      leadPip.style.left = `${info.lead.x}px`;
+      leadPip.style.top = `${info.lead.y}px`;
+      leadPip.classList.add('active');
+    } else {
+      leadPip.classList.remove('active');
+    }
+  }
+
+  /**
+   * Toggle the debug overlay
+   * @returns {boolean} True if now shown
+   */
+  toggleDebugOverlay() {
+    return this.elements.debugOverlay.classList.toggle('active');
+  }
+
+  /**
+   * Update the debug overlay with object pool usage
+   * @param {object[]} stats - From getPoolStats()
+   * @param {string[]} [info] - Lines shown above the pool table
+   */
+  updateDebugOverlay(stats, info = []) {
+    const overlay = this.elements.debugOverlay;
+    if (!overlay.classList.contains('active')) return;
+
+    const header = 'POOL                 ACTIVE/CAP   PEAK  BUILT  DROPPED';
+    const rows = stats.map(pool => [
+      pool.name.padEnd(20),
+      `${pool.active}/${pool.capacity}`.padStart(11),
+      String(pool.peak).padStart(6),
+      String(pool.created).padStart(6),
+      String(pool.dropped).padStart(8),
+    ].join(' '));
+
+    overlay.textContent = [...info, header, ...rows].join('\n');
+  }
+
   /**
    * Show/hide HUD
    */
@@ -1295,6 +2076,20 @@ export class HUD {
     }, duration);
   }
 
+  /**
+   * Show a short notice in the corner (visible over menus)
+   */
+  showDeviceNotice(text, duration = 3000) {
+    const notice = this.elements.deviceNotice;
+    notice.textContent = text;
+    notice.classList.add('visible');
+
+    clearTimeout(this.deviceNoticeTimer);
+    this.deviceNoticeTimer = setTimeout(() => {
+      notice.classList.remove('visible');
+    }, duration);
+  }
+
   /**
    * Show game over screen
    */
@@ -1307,6 +2102,10 @@ export class HUD {
       time = 0,
       rank = -1,
       isVictory = false,
+      objectives = { completed: 0, total: 0 },
+      bonus = 0,
+      stars = null,
+      unlocks = [],
     } = data;
 
     // Update title
@@ -1318,16 +2117,22 @@ export class HUD {
 
     // Update rank display
     if (rank > 0 && rank <= 10) {
-      this.elements.gameOverRank.textContent = `🏆 ${rank}위 달성!`;
+      this.elements.gameOverRank.textContent = t('ranking.rank', { rank });
       this.elements.gameOverRank.classList.toggle('new-record', rank === 1);
     } else {
       this.elements.gameOverRank.textContent = '';
     }
 
+    // Update campaign rating and anything it unlocked
+    this.elements.gameOverStars.textContent = stars === null ? '' : formatStars(stars);
+    this.elements.gameOverUnlocks.textContent = unlocks.join('\n');
+
     // Update stats
     this.elements.finalScore.textContent = formatNumber(score);
     this.elements.finalDestruction.textContent = `${Math.floor(destruction)}%`;
     this.elements.finalTime.textContent = formatTime(time);
+    this.elements.finalObjectives.textContent = `${objectives.completed}/${objectives.total}`;
+    this.elements.finalBonus.textContent = formatNumber(bonus);
 
     // Show screen
     this.elements.gameOverScreen.classList.add('active');
@@ -1348,7 +2153,7 @@ export class HUD {
     this.elements.rankingList.innerHTML = '';
 
     if (rankings.length === 0) {
-      this.elements.rankingList.innerHTML = '<div class="ranking-empty">기록이 없습니다</div>';
+      this.elements.rankingList.innerHTML = `<div class="ranking-empty">${t('ranking.empty')}</div>`;
     } else {
       rankings.forEach((entry, index) => {
         const position = index + 1;
@@ -1367,8 +2172,8 @@ export class HUD {
           <div class="ranking-position ${positionClass}">${position}</div>
           <div class="ranking-score">${formatNumber(entry.score)}</div>
           <div class="ranking-details">
-            <div>파괴율: ${entry.destruction}%</div>
-            <div>남은시간: ${formatTime(entry.time)}</div>
+            <div>${t('ranking.destruction')}: ${entry.destruction}%</div>
+            <div>${t('ranking.timeLeft')}: ${formatTime(entry.time)}</div>
           </div>
         `;
 
@@ -1387,10 +2192,366 @@ export class HUD {
     this.elements.rankingScreen.classList.remove('active');
   }
 
+  /**
+   * Show title screen
+   */
+  showTitle(highScore = 0) {
+    this.elements.titleHighScore.textContent = formatNumber(highScore);
+    this.elements.titleScreen.classList.add('active');
+  }
+
+  /**
+   * Hide title screen
+   */
+  hideTitle() {
+    this.elements.titleScreen.classList.remove('active');
+    this.hideSettings();
+  }
+
+  /**
+   * Show the campaign stage select
+   * @param {object} data - { stages: [{id, order, name, unlocked, stars, bestScore}], stars: {earned, total}, variant }
+   */
+  showStages(data) {
+    const { stages = [], stars = { earned: 0, total: 0 }, variant = '' } = data;
+
+    this.elements.stagesStars.textContent = `${stars.earned}/${stars.total}`;
+    this.elements.stagesList.innerHTML = '';
+
+    stages.forEach(stage => {
+      const item = document.createElement('button');
+      item.className = 'stage-item';
+      item.dataset.stage = stage.id;
+      item.disabled = !stage.unlocked;
+      item.innerHTML = `
+        <span class="stage-order">${String(stage.order).padStart(2, '0')}</span>
+        <span class="stage-name"></span>
+        <span class="stage-stars">${formatStars(stage.stars)}</span>
+        <span class="stage-best">${stage.bestScore > 0 ? formatNumber(stage.bestScore) : '-'}</span>
+      `;
+      // Names come from the mission files
+      item.querySelector('.stage-name').textContent = stage.unlocked ? stage.name : t('stages.locked');
+      this.elements.stagesList.appendChild(item);
+    });
+
+    this.setVariant(variant);
+    this.elements.stagesScreen.classList.add('active');
+  }
+
+  /**
+   * Show the selected Zaku variant on the stage select
+   */
+  setVariant(name) {
+    this.elements.variantName.textContent = name;
+  }
+
+  /**
+   * Hide the campaign stage select
+   */
+  hideStages() {
+    this.elements.stagesScreen.classList.remove('active');
+  }
+
+  /**
+   * Show mission briefing
+   * @param {object} data - { text, objective, time }
+   */
+  showBriefing(data) {
+    const { name = '', text = '', objectives = [], secondary = [], time = 0 } = data;
+
+    this.elements.briefingName.textContent = name;
+    this.elements.briefingText.textContent = text;
+    this.elements.briefingObjective.textContent = objectives.join('\n');
+    this.elements.briefingSecondary.textContent = secondary.join('\n');
+    this.elements.briefingSecondaryRow.style.display = secondary.length > 0 ? '' : 'none';
+    this.elements.briefingTime.textContent = formatTime(time);
+    this.elements.briefingScreen.classList.add('active');
+  }
+
+  /**
+   * Hide mission briefing
+   */
+  hideBriefing() {
+    this.elements.briefingScreen.classList.remove('active');
+  }
+
+  /**
+   * Show pause overlay
+   */
+  showPause() {
+    this.elements.pauseScreen.classList.add('active');
+  }
+
+  /**
+   * Hide pause overlay
+   */
+  hidePause() {
+    this.elements.pauseScreen.classList.remove('active');
+    this.hideSettings();
+  }
+
+  /**
+   * Show settings panel
+   */
+  showSettings() {
+    this.refreshSettings();
+    this.elements.settingsScreen.classList.add('active');
+  }
+
+  /**
+   * Hide settings panel
+   */
+  hideSettings() {
+    this.elements.settingsScreen.classList.remove('active');
+    this.hideControls();
+  }
+
+  /**
+   * Wire the settings panel to a SettingsManager
+   * Volumes are shown as 0-100 and stored as 0-1
+   * @param {SettingsManager} settings
+   */
+  setupSettingsPanel(settings) {
+    this.settings = settings;
+
+    const volumeKeys = ['masterVolume', 'musicVolume', 'sfxVolume'];
+    const inputs = this.elements.settingsScreen.querySelectorAll('[data-setting]');
+
+    inputs.forEach(input => {
+      const key = input.dataset.setting;
+
+      const eventName = input.type === 'range' ? 'input' : 'change';
+      input.addEventListener(eventName, () => {
+        let value;
+        if (input.type === 'checkbox') {
+          value = input.checked;
+        } else if (input.type === 'range') {
+          value = parseFloat(input.value);
+          if (volumeKeys.includes(key)) value /= 100;
+        } else {
+          value = input.value;
+        }
+
+        settings.set(key, value);
+        this.refreshSettings();
+      });
+    });
+
+    this.elements.titleSettingsBtn.addEventListener('click', () => this.showSettings());
+    this.elements.pauseSettingsBtn.addEventListener('click', () => this.showSettings());
+    this.elements.settingsCloseBtn.addEventListener('click', () => this.hideSettings());
+    this.elements.settingsResetBtn.addEventListener('click', () => {
+      settings.reset();
+      this.refreshSettings();
+    });
+  }
+
+  /**
+   * Sync settings inputs with the stored values
+   */
+  refreshSettings() {
+    if (!this.settings) return;
+
+    const volumeKeys = ['masterVolume', 'musicVolume', 'sfxVolume'];
+    const values = this.settings.getAll();
+    const inputs = this.elements.settingsScreen.querySelectorAll('[data-setting]');
+
+    inputs.forEach(input => {
+      const key = input.dataset.setting;
+      const value = values[key];
+
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else if (input.type === 'range') {
+        const shown = volumeKeys.includes(key) ? Math.round(value * 100) : value;
+        input.value = shown;
+        const decimals = (input.step.split('.')[1] || '').length;
+        document.getElementById(`settings-value-${key}`).textContent = shown.toFixed(decimals);
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  /**
+   * Show key binding panel
+   */
+  showControls() {
+    this.renderControls();
+    this.elements.controlsNotice.textContent = '';
+    this.elements.controlsScreen.classList.add('active');
+  }
+
+  /**
+   * Hide key binding panel, dropping any pending rebind
+   */
+  hideControls() {
+    if (this.inputManager) {
+      this.inputManager.cancelCapture();
+    }
+    this.elements.controlsScreen.classList.remove('active');
+  }
+
+  /**
+   * Wire the key binding panel to the action map
+   * @param {InputBindings} bindings
+   * @param {InputManager} inputManager - Captures the next key or button
+   */
+  setupControlsPanel(bindings, inputManager) {
+    this.bindings = bindings;
+    this.inputManager = inputManager;
+
+    const { controlsList, controlsNotice } = this.elements;
+
+    controlsList.addEventListener('click', (e) => {
+      const slotButton = e.target.closest('.controls-slot');
+      if (!slotButton) return;
+
+      const action = slotButton.dataset.action;
+      const slot = Number(slotButton.dataset.slot);
+
+      this.renderControls();
+      const listening = controlsList.querySelector(
+        `.controls-slot[data-action="${action}"][data-slot="${slot}"]`
+      );
+      listening.classList.add('listening');
+      listening.textContent = '...';
+      controlsNotice.textContent = t(isPadSlot(slot) ? 'controls.promptPad' : 'controls.prompt');
+
+      inputManager.captureNextBinding((binding) => {
+        controlsNotice.textContent = '';
+
+        if (binding === 'Escape') {
+          // Cancel
+        } else if (binding === 'Backspace' || binding === 'Delete') {
+          bindings.clearBinding(action, slot);
+        } else {
+          const { conflict, rejected } = bindings.setBinding(action, slot, binding);
+          if (rejected) {
+            controlsNotice.textContent = t('controls.wrongSlot', { binding: formatBinding(binding) });
+          } else if (conflict) {
+            controlsNotice.textContent = t('controls.conflict', {
+              binding: formatBinding(binding),
+              action: t(`key.${conflict}`),
+            });
+          }
+        }
+
+        this.renderControls();
+      });
+    });
+
+    this.elements.controlsProfileSelect.addEventListener('change', (e) => {
+      inputManager.cancelCapture();
+      bindings.setProfile(e.target.value);
+    });
+
+    this.elements.controlsProfileBtn.addEventListener('click', () => {
+      inputManager.cancelCapture();
+      bindings.setProfile(this.elements.controlsProfileInput.value);
+      this.elements.controlsProfileInput.value = '';
+    });
+
+    this.elements.settingsControlsBtn.addEventListener('click', () => this.showControls());
+    this.elements.controlsCloseBtn.addEventListener('click', () => this.hideControls());
+    this.elements.controlsResetBtn.addEventListener('click', () => {
+      inputManager.cancelCapture();
+      bindings.resetToDefaults();
+      controlsNotice.textContent = '';
+    });
+
+    bindings.onChange(() => {
+      this.renderControls();
+      this.refreshKeymap();
+    });
+    this.refreshKeymap();
+  }
+
+  /**
+   * Rebuild the binding rows and profile list
+   */
+  renderControls() {
+    if (!this.bindings) return;
+
+    const { bindings } = this;
+
+    this.elements.controlsList.innerHTML = bindings.getActions().map(action => {
+      const slots = [];
+      for (let slot = 0; slot < MAX_BINDINGS_PER_ACTION + MAX_PAD_BINDINGS_PER_ACTION; slot++) {
+        const binding = bindings.getSlotBinding(action, slot);
+        slots.push(`
+          <button class="controls-slot" data-action="${action}" data-slot="${slot}">${formatBinding(binding)}</button>
+        `);
+      }
+      return `
+        <div class="settings-row">
+          <span class="settings-label" data-i18n="key.${action}">${t(`key.${action}`)}</span>
+          ${slots.join('')}
+        </div>
+      `;
+    }).join('');
+
+    const select = this.elements.controlsProfileSelect;
+    select.replaceChildren(...bindings.getProfiles().map(name => new Option(name, name)));
+    select.value = bindings.getProfile();
+  }
+
+  /**
+   * Show current bindings in the keymap panel
+   */
+  refreshKeymap() {
+    if (!this.bindings) return;
+
+    this.container.querySelectorAll('[data-binding]').forEach(element => {
+      const list = this.bindings.getBindings(element.dataset.binding);
+      element.textContent = list.map(formatBinding).join(' / ') || '-';
+    });
+  }
+
+  /**
+   * Re-translate every static label after a language change
+   */
+  applyLanguage() {
+    this.container.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+  }
+
+  /**
+   * Set up title, stage select, briefing and pause button listeners
+   * @param {object} callbacks - { onStart, onRanking, onStageSelect, onVariantChange, onStagesBack,
+   *   onLaunch, onBriefingBack, onResume, onQuitToTitle }
+   */
+  setupMenuButtons(callbacks) {
+    const bind = (element, callback) => {
+      element.addEventListener('click', () => {
+        if (callback) callback();
+      });
+    };
+
+    bind(this.elements.titleStartBtn, callbacks.onStart);
+    bind(this.elements.titleRankingBtn, callbacks.onRanking);
+    bind(this.elements.variantPrevBtn, callbacks.onVariantChange && (() => callbacks.onVariantChange(-1)));
+    bind(this.elements.variantNextBtn, callbacks.onVariantChange && (() => callbacks.onVariantChange(1)));
+    bind(this.elements.stagesBackBtn, callbacks.onStagesBack);
+    bind(this.elements.briefingLaunchBtn, callbacks.onLaunch);
+    bind(this.elements.briefingBackBtn, callbacks.onBriefingBack);
+    bind(this.elements.pauseResumeBtn, callbacks.onResume);
+    bind(this.elements.pauseTitleBtn, callbacks.onQuitToTitle);
+
+    // Stage buttons are rebuilt on every showStages; locked ones are disabled
+    this.elements.stagesList.addEventListener('click', event => {
+      const item = event.target.closest('.stage-item');
+      if (item && !item.disabled && callbacks.onStageSelect) {
+        callbacks.onStageSelect(item.dataset.stage);
+      }
+    });
+  }
+
   /**
    * Set up button event listeners
    */
-  setupGameOverButtons(onRestart, onRanking, onRankingBack) {
+  setupGameOverButtons(onRestart, onRanking, onRankingBack, onTitle, onStages) {
     // Restart button
     this.elements.restartBtn.addEventListener('click', () => {
       this.hideGameOver();
@@ -1407,73 +2568,29 @@ export class HUD {
       this.hideRankings();
       if (onRankingBack) onRankingBack();
     });
+
+    // Return to title button
+    this.elements.gameOverTitleBtn.addEventListener('click', () => {
+      if (onTitle) onTitle();
+    });
+
+    // Back to the stage select button
+    this.elements.gameOverStagesBtn.addEventListener('click', () => {
+      if (onStages) onStages();
+    });
   }
 
   /**
    * Set up touch controls for mobile
-   * @param {InputManager} inputManager - Reference to the input manager
    */
   setupTouchControls(inputManager) {
-    const touchControls = document.getElementById('touch-controls');
-    if (!touchControls) return;
-
-    // Store reference for cleanup
     this.inputManager = inputManager;
+    this.touchControls = new TouchControls(this.container, inputManager);
 
-    // Get all touch buttons
-    const touchButtons = touchControls.querySelectorAll('.touch-btn');
-
-    touchButtons.forEach(btn => {
-      const keyCode = btn.dataset.key;
-      const action = btn.dataset.action;
-
-      // Handle touch start
-      const handleTouchStart = (e) => {
-        e.preventDefault();
-        btn.classList.add('active');
-
-        if (keyCode) {
-          inputManager.onTouchButtonDown(keyCode);
-        } else if (action === 'fire') {
-          inputManager.onTouchFireDown();
-        } else if (action === 'view') {
-          inputManager.onTouchViewDown();
-        }
-      };
-
-      // Handle touch end
-      const handleTouchEnd = (e) => {
-        e.preventDefault();
-        btn.classList.remove('active');
-
-        if (keyCode) {
-          inputManager.onTouchButtonUp(keyCode);
-        } else if (action === 'fire') {
-          inputManager.onTouchFireUp();
-        } else if (action === 'view') {
-          inputManager.onTouchViewUp();
-        }
-      };
-
-      // Touch events
-      btn.addEventListener('touchstart', handleTouchStart, { passive: false });
-      btn.addEventListener('touchend', handleTouchEnd, { passive: false });
-      btn.addEventListener('touchcancel', handleTouchEnd, { passive: false });
-
-      // Mouse events for testing on desktop
-      btn.addEventListener('mousedown', handleTouchStart);
-      btn.addEventListener('mouseup', handleTouchEnd);
-      btn.addEventListener('mouseleave', (e) => {
-        if (btn.classList.contains('active')) {
-          handleTouchEnd(e);
-        }
-      });
-    });
-
-    // Prevent default touch behavior on the touch pads
-    const touchPads = touchControls.querySelectorAll('.touch-pad');
-    touchPads.forEach(pad => {
-      pad.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+    // Layout editor opens from the settings panel and returns to it
+    this.elements.settingsTouchLayoutBtn.addEventListener('click', () => {
+      this.hideSettings();
+      this.touchControls.startEditing(() => this.showSettings());
     });
   }
 
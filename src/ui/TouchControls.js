@@ -0,0 +1,548 @@
+/**
+ * Touch Controls
+ * Floating movement stick, drag-to-aim region and action buttons for
+ * touch screens, with a layout editor for moving and resizing buttons
+ */
+
+import { UI_COLORS, TOUCH } from '../utils/Constants.js';
+import { t } from '../utils/Strings.js';
+
+const STORAGE_KEY = 'zakuColonyDestroyer_touchLayout';
+
+export class TouchControls {
+  /**
+   * @param {HTMLElement} parent - Element to build the controls in
+   * @param {InputManager} inputManager - Receives stick, aim and button input
+   */
+  constructor(parent, inputManager) {
+    this.inputManager = inputManager;
+
+    // Button layout: action -> { x, y, size }
+    this.layout = this.loadLayout();
+
+    // Active pointers
+    this.stickPointer = null;
+    this.stickOrigin = { x: 0, y: 0 };
+    this.aimPointer = null;
+    this.aimLast = { x: 0, y: 0 };
+
+    // Layout editor state
+    this.editing = false;
+    this.selectedAction = null;
+    this.dragPointer = null;
+    this.onEditDone = null;
+
+    this.createElements(parent);
+    this.addStyles();
+    this.applyLayout();
+    this.setupStick();
+    this.setupAim();
+    this.setupButtons();
+    this.setupEditor();
+  }
+
+  /**
+   * Build the DOM
+   */
+  createElements(parent) {
+    this.root = document.createElement('div');
+    this.root.className = 'touch-controls mobile-only';
+    this.root.id = 'touch-controls';
+
+    const buttons = Object.entries(TOUCH.buttons).map(([action, config]) => `
+      <button class="touch-btn ${config.variant || ''}" data-action="${action}">${config.label}</button>
+    `).join('');
+
+    this.root.innerHTML = `
+      <div class="touch-zone touch-stick-zone" id="touch-stick-zone">
+        <div class="touch-stick-base" id="touch-stick-base">
+          <div class="touch-stick-knob" id="touch-stick-knob"></div>
+        </div>
+      </div>
+      <div class="touch-zone touch-aim-zone" id="touch-aim-zone"></div>
+      ${buttons}
+      <div class="touch-editor" id="touch-editor">
+        <div class="touch-editor-hint" data-i18n="touch.editHint">${t('touch.editHint')}</div>
+        <label class="touch-editor-size">
+          <span data-i18n="touch.size">${t('touch.size')}</span>
+          <input type="range" id="touch-editor-size" min="${TOUCH.minButtonSize}" max="${TOUCH.maxButtonSize}" step="5" disabled>
+        </label>
+        <button class="game-btn quit-btn" id="touch-editor-reset" data-i18n="settings.reset">${t('settings.reset')}</button>
+        <button class="game-btn restart-btn" id="touch-editor-done" data-i18n="touch.done">${t('touch.done')}</button>
+      </div>
+    `;
+
+    parent.appendChild(this.root);
+
+    this.elements = {
+      stickZone: this.root.querySelector('#touch-stick-zone'),
+      stickBase: this.root.querySelector('#touch-stick-base'),
+      stickKnob: this.root.querySelector('#touch-stick-knob'),
+      aimZone: this.root.querySelector('#touch-aim-zone'),
+      buttons: this.root.querySelectorAll('.touch-btn'),
+      editorSize: this.root.querySelector('#touch-editor-size'),
+      editorReset: this.root.querySelector('#touch-editor-reset'),
+      editorDone: this.root.querySelector('#touch-editor-done'),
+    };
+  }
+
+  /**
+   * Add CSS styles
+   */
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .touch-controls {
+        position: fixed;
+        inset: 0;
+        pointer-events: none;
+        z-index: 1001;
+      }
+
+      .touch-controls.editing {
+        display: block !important;
+        background: rgba(0, 0, 0, 0.5);
+        pointer-events: auto;
+        z-index: 2005;
+      }
+
+      .touch-zone {
+        position: absolute;
+        top: 0;
+        bottom: 0;
+        pointer-events: auto;
+        touch-action: none;
+      }
+
+      .touch-stick-zone {
+        left: 0;
+        width: ${TOUCH.stickZone * 100}%;
+      }
+
+      .touch-aim-zone {
+        right: 0;
+        width: ${(1 - TOUCH.stickZone) * 100}%;
+      }
+
+      .touch-controls.editing .touch-zone {
+        display: none;
+      }
+
+      .touch-stick-base {
+        position: absolute;
+        width: ${TOUCH.stickRadius * 2}px;
+        height: ${TOUCH.stickRadius * 2}px;
+        margin: -${TOUCH.stickRadius}px 0 0 -${TOUCH.stickRadius}px;
+        border: 2px solid ${UI_COLORS.border};
+        border-radius: 50%;
+        background: rgba(0, 20, 40, 0.4);
+        display: none;
+      }
+
+      .touch-stick-base.active {
+        display: block;
+      }
+
+      .touch-stick-knob {
+        position: absolute;
+        left: 50%;
+        top: 50%;
+        width: 50px;
+        height: 50px;
+        margin: -25px 0 0 -25px;
+        border-radius: 50%;
+        background: ${UI_COLORS.primary};
+        opacity: 0.7;
+        box-shadow: 0 0 15px ${UI_COLORS.primary};
+      }
+
+      .touch-btn {
+        position: absolute;
+        transform: translate(-50%, -50%);
+        border: 2px solid ${UI_COLORS.primary};
+        border-radius: 8px;
+        background: rgba(0, 20, 40, 0.7);
+        color: ${UI_COLORS.primary};
+        font-family: 'Orbitron', 'Segoe UI', sans-serif;
+        font-size: 14px;
+        font-weight: bold;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        cursor: pointer;
+        user-select: none;
+        -webkit-user-select: none;
+        touch-action: none;
+        pointer-events: auto;
+        transition: background 0.1s ease, box-shadow 0.1s ease;
+        text-shadow: 0 0 5px ${UI_COLORS.primary};
+        box-shadow: 0 0 10px rgba(0, 255, 136, 0.2);
+      }
+
+      .touch-btn.active {
+        background: ${UI_COLORS.primary};
+        color: #000;
+        box-shadow: 0 0 20px ${UI_COLORS.primary};
+        transform: translate(-50%, -50%) scale(0.95);
+      }
+
+      .touch-fire {
+        border-color: ${UI_COLORS.danger};
+        color: ${UI_COLORS.danger};
+        text-shadow: 0 0 5px ${UI_COLORS.danger};
+        box-shadow: 0 0 10px rgba(255, 51, 51, 0.2);
+      }
+
+      .touch-fire.active {
+        background: ${UI_COLORS.danger};
+        color: #000;
+        box-shadow: 0 0 20px ${UI_COLORS.danger};
+      }
+
+      .touch-view {
+        border-color: ${UI_COLORS.secondary};
+        color: ${UI_COLORS.secondary};
+        text-shadow: 0 0 5px ${UI_COLORS.secondary};
+        box-shadow: 0 0 10px rgba(0, 170, 255, 0.2);
+      }
+
+      .touch-view.active {
+        background: ${UI_COLORS.secondary};
+        color: #000;
+        box-shadow: 0 0 20px ${UI_COLORS.secondary};
+      }
+
+      .touch-controls.editing .touch-btn {
+        cursor: move;
+        border-style: dashed;
+      }
+
+      .touch-controls.editing .touch-btn.selected {
+        outline: 2px solid ${UI_COLORS.warning};
+        outline-offset: 4px;
+      }
+
+      .touch-editor {
+        position: absolute;
+        top: 15px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: none;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 15px;
+        background: ${UI_COLORS.background};
+        border: 1px solid ${UI_COLORS.border};
+        color: ${UI_COLORS.primary};
+        font-size: 13px;
+      }
+
+      .touch-controls.editing .touch-editor {
+        display: flex;
+      }
+
+      .touch-editor .game-btn {
+        padding: 6px 14px;
+        font-size: 13px;
+      }
+
+      .touch-editor-size {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .touch-editor-size input {
+        accent-color: ${UI_COLORS.primary};
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // ============================================
+  // LAYOUT
+  // ============================================
+
+  /**
+   * Default layout from TOUCH.buttons
+   */
+  getDefaultLayout() {
+    const layout = {};
+    for (const action in TOUCH.buttons) {
+      const { x, y, size } = TOUCH.buttons[action];
+      layout[action] = { x, y, size };
+    }
+    return layout;
+  }
+
+  /**
+   * Load saved layout, keeping defaults for missing or invalid entries
+   */
+  loadLayout() {
+    const layout = this.getDefaultLayout();
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (saved) {
+        for (const action in layout) {
+          const entry = saved[action];
+          if (entry && [entry.x, entry.y, entry.size].every(Number.isFinite)) {
+            layout[action] = {
+              x: Math.max(0, Math.min(1, entry.x)),
+              y: Math.max(0, Math.min(1, entry.y)),
+              size: Math.max(TOUCH.minButtonSize, Math.min(TOUCH.maxButtonSize, entry.size)),
+            };
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('[TouchControls] Could not load touch layout');
+    }
+
+    return layout;
+  }
+
+  /**
+   * Save layout to localStorage
+   */
+  saveLayout() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.layout));
+    } catch (e) {
+      console.warn('[TouchControls] Could not save touch layout');
+    }
+  }
+
+  /**
+   * Position and size every button from the layout
+   */
+  applyLayout() {
+    this.elements.buttons.forEach(btn => {
+      const { x, y, size } = this.layout[btn.dataset.action];
+      btn.style.left = `${x * 100}%`;
+      btn.style.top = `${y * 100}%`;
+      btn.style.width = `${size}px`;
+      btn.style.height = `${size}px`;
+    });
+  }
+
+  // ============================================
+  // INPUT
+  // ============================================
+
+  /**
+   * Floating stick: appears where the thumb lands, drives movement axes
+   */
+  setupStick() {
+    const { stickZone, stickBase, stickKnob } = this.elements;
+    const radius = TOUCH.stickRadius;
+
+    const release = (e) => {
+      if (e.pointerId !== this.stickPointer) return;
+      this.stickPointer = null;
+      stickBase.classList.remove('active');
+      stickKnob.style.transform = '';
+      this.inputManager.setTouchStick(0, 0);
+    };
+
+    stickZone.addEventListener('pointerdown', (e) => {
+      if (this.stickPointer !== null) return;
+      e.preventDefault();
+
+      this.stickPointer = e.pointerId;
+      this.stickOrigin = { x: e.clientX, y: e.clientY };
+      stickZone.setPointerCapture(e.pointerId);
+
+      stickBase.style.left = `${e.clientX}px`;
+      stickBase.style.top = `${e.clientY}px`;
+      stickBase.classList.add('active');
+    });
+
+    stickZone.addEventListener('pointermove', (e) => {
+      if (e.pointerId !== this.stickPointer) return;
+
+      let dx = e.clientX - this.stickOrigin.x;
+      let dy = e.clientY - this.stickOrigin.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > radius) {
+        dx = (dx / distance) * radius;
+        dy = (dy / distance) * radius;
+      }
+
+      stickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+      this.inputManager.setTouchStick(dx / radius, dy / radius);
+    });
+
+    stickZone.addEventListener('pointerup', release);
+    stickZone.addEventListener('pointercancel', release);
+  }
+
+  /**
+   * Aim region: dragging turns the camera like mouse movement
+   */
+  setupAim() {
+    const { aimZone } = this.elements;
+
+    const release = (e) => {
+      if (e.pointerId === this.aimPointer) {
+        this.aimPointer = null;
+      }
+    };
+
+    aimZone.addEventListener('pointerdown', (e) => {
+      if (this.aimPointer !== null) return;
+      e.preventDefault();
+
+      this.aimPointer = e.pointerId;
+      this.aimLast = { x: e.clientX, y: e.clientY };
+      aimZone.setPointerCapture(e.pointerId);
+    });
+
+    aimZone.addEventListener('pointermove', (e) => {
+      if (e.pointerId !== this.aimPointer) return;
+
+      this.inputManager.addTouchAim(
+        (e.clientX - this.aimLast.x) * TOUCH.aimSensitivity,
+        (e.clientY - this.aimLast.y) * TOUCH.aimSensitivity
+      );
+      this.aimLast = { x: e.clientX, y: e.clientY };
+    });
+
+    aimZone.addEventListener('pointerup', release);
+    aimZone.addEventListener('pointercancel', release);
+  }
+
+  /**
+   * Action buttons (or drag handles while editing)
+   */
+  setupButtons() {
+    this.elements.buttons.forEach(btn => {
+      const action = btn.dataset.action;
+
+      btn.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        btn.setPointerCapture(e.pointerId);
+
+        if (this.editing) {
+          this.selectButton(action);
+          this.dragPointer = e.pointerId;
+          return;
+        }
+
+        btn.classList.add('active');
+        this.inputManager.onTouchActionDown(action);
+      });
+
+      btn.addEventListener('pointermove', (e) => {
+        if (!this.editing || e.pointerId !== this.dragPointer) return;
+
+        this.layout[action].x = Math.max(0, Math.min(1, e.clientX / window.innerWidth));
+        this.layout[action].y = Math.max(0, Math.min(1, e.clientY / window.innerHeight));
+        this.applyLayout();
+      });
+
+      const release = (e) => {
+        if (this.editing) {
+          if (e.pointerId === this.dragPointer) this.dragPointer = null;
+          return;
+        }
+        if (btn.classList.contains('active')) {
+          btn.classList.remove('active');
+          this.inputManager.onTouchActionUp(action);
+        }
+      };
+
+      btn.addEventListener('pointerup', release);
+      btn.addEventListener('pointercancel', release);
+    });
+  }
+
+  // ============================================
+  // LAYOUT EDITOR
+  // ============================================
+
+  /**
+   * Editor toolbar: size slider, reset and done
+   */
+  setupEditor() {
+    const { editorSize, editorReset, editorDone } = this.elements;
+
+    editorSize.addEventListener('input', () => {
+      if (!this.selectedAction) return;
+      this.layout[this.selectedAction].size = parseFloat(editorSize.value);
+      this.applyLayout();
+    });
+
+    editorReset.addEventListener('click', () => {
+      this.layout = this.getDefaultLayout();
+      this.applyLayout();
+      this.selectButton(this.selectedAction);
+    });
+
+    editorDone.addEventListener('click', () => this.stopEditing());
+  }
+
+  /**
+   * Select a button for resizing
+   */
+  selectButton(action) {
+    this.selectedAction = action;
+
+    this.elements.buttons.forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.action === action);
+    });
+
+    const { editorSize } = this.elements;
+    editorSize.disabled = !action;
+    if (action) {
+      editorSize.value = this.layout[action].size;
+    }
+  }
+
+  /**
+   * Enter the layout editor
+   * @param {Function} onDone - Called when the editor closes
+   */
+  startEditing(onDone = null) {
+    this.releaseAll();
+    this.editing = true;
+    this.onEditDone = onDone;
+    this.root.classList.add('editing');
+    this.selectButton(null);
+  }
+
+  /**
+   * Leave the layout editor and save
+   */
+  stopEditing() {
+    this.editing = false;
+    this.dragPointer = null;
+    this.selectButton(null);
+    this.root.classList.remove('editing');
+    this.saveLayout();
+
+    if (this.onEditDone) {
+      const callback = this.onEditDone;
+      this.onEditDone = null;
+      callback();
+    }
+  }
+
+  /**
+   * Drop every held input
+   */
+  releaseAll() {
+    this.stickPointer = null;
+    this.aimPointer = null;
+    this.elements.stickBase.classList.remove('active');
+    this.elements.stickKnob.style.transform = '';
+    this.inputManager.setTouchStick(0, 0);
+
+    this.elements.buttons.forEach(btn => {
+      if (btn.classList.contains('active')) {
+        btn.classList.remove('active');
+        this.inputManager.onTouchActionUp(btn.dataset.action);
+      }
+    });
+  }
+}
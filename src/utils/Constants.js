@@ -6,6 +6,16 @@
 // Zaku dimensions
 export const ZAKU = {
   height: 20,                 // Approximate Zaku height in units
+  maxHealth: 100,             // Hit points
+};
+
+// Zaku collision response
+export const COLLISION = {
+  minImpactSpeed: 5,          // Impacts slower than this deal no damage
+  damagePerSpeed: 1.5,        // HP lost per unit of impact speed above minimum
+  bounce: 0.5,                // Restitution (0 = stop dead, 1 = perfect bounce)
+  damageCooldown: 0.5,        // Seconds before another collision can deal damage
+  grip: 0.5,                  // Share of the sliding speed against a surface lost to friction on contact
 };
 
 // Zaku colors
@@ -19,6 +29,27 @@ export const ZAKU_COLORS = {
   spike: 0x444444,          // Spike color
 };
 
+// Zaku variants unlocked in the campaign (see CampaignManager)
+// colors override ZAKU_COLORS; health and speed multiply the standard Zaku's,
+// boost makes boost energy regenerate that much faster and drain that much slower
+export const ZAKU_VARIANTS = {
+  standard: {
+    name: 'MS-06F Zaku II',
+    colors: {},
+    health: 1, speed: 1, boost: 1,
+  },
+  commander: {
+    name: 'MS-06S Commander Zaku',
+    colors: { main: 0xB03030, dark: 0x6A1A1A, light: 0xD05050 },
+    health: 1, speed: 1.3, boost: 1.2,          // Tuned-up thrusters, standard armor
+  },
+  highMobility: {
+    name: 'MS-06R High Mobility Zaku',
+    colors: { main: 0x4A5060, dark: 0x2A2E38, light: 0x6A7080 },
+    health: 0.9, speed: 1.15, boost: 1.6,       // Large backpack thrusters, lighter armor
+  },
+};
+
 // Colony colors
 export const COLONY_COLORS = {
   hull: 0x555555,           // Main hull
@@ -26,6 +57,28 @@ export const COLONY_COLORS = {
   solarPanel: 0x1A237E,     // Solar panels
   dock: 0x666666,           // Docking bay
   interior: 0xFFE0B2,       // Interior light
+  turret: 0x4A5560,         // Defense turret armor
+  turretShell: 0xFF3366,    // Turret tracer
+};
+
+// Federation colors
+export const FEDERATION_COLORS = {
+  white: 0xE8E8E0,          // GM body
+  red: 0xB02020,            // GM torso
+  visor: 0x33FF99,          // GM goggle visor
+  ball: 0x8A9A7A,           // Ball pod
+  fighter: 0xD0D0C8,        // Fighter fuselage
+  canopy: 0x3366AA,         // Fighter canopy
+  beam: 0xFF66CC,           // Beam spray gun shot
+  engine: 0x66CCFF,         // Thruster glow
+};
+
+// Musai (Zeon cruiser) colors
+export const MUSAI_COLORS = {
+  hull: 0x4A6A3A,           // Zeon green
+  dark: 0x2E3E26,           // Engine pods and bridge
+  bridge: 0xFFCC66,         // Bridge windows (emissive)
+  engine: 0xFF8833,         // Thruster glow
 };
 
 // Movement settings (Space Flight)
@@ -48,39 +101,394 @@ export const CAMERA = {
   smoothing: 0.08,          // Camera follow smoothing
 };
 
-// Colony dimensions
-export const COLONY = {
-  length: 300,              // Cylinder length
-  radius: 50,               // Cylinder radius
-  windowCount: 6,           // Window sections
-  solarPanelCount: 4,       // Solar panel pairs
+// Player settings (persisted by SettingsManager)
+export const SETTINGS = {
+  version: 1,               // Bump and add a migration when the schema changes
+  defaults: {
+    masterVolume: 0.5,
+    musicVolume: 0.3,
+    sfxVolume: 0.6,
+    mouseSensitivity: 1,    // Multiplier on the base camera sensitivity
+    invertY: false,
+    fov: CAMERA.fov,
+    quality: 'high',        // Key into QUALITY
+    language: 'ko',         // Key into LANGUAGES (Strings.js)
+    gamepadDeadzone: 0.15,  // Radial stick deadzone
+    gamepadCurve: 1.5,      // Stick response exponent (1 = linear)
+    syncProgress: false,    // Upload campaign progress to the game server
+  },
+};
+
+// Graphics quality presets
+export const QUALITY = {
+  low: { pixelRatio: 1, shadows: false },
+  medium: { pixelRatio: 1.5, shadows: true },
+  high: { pixelRatio: 2, shadows: true },
+};
+
+// Colony types for the seeded generator (see ColonyGenerator)
+// Counts and sizes are [min, max]; lengths and radii are in world units
+export const COLONY_TYPES = {
+  // Island 3: window strips between land strips, mirrors along the hull
+  open: {
+    length: [260, 360],
+    radius: [45, 55],
+    windowStrips: 3,              // Evenly spaced around the hull
+    windowsPerStrip: [4, 7],
+    viewports: [0, 0],            // Small windows at random spots
+    mirrors: [3, 4],
+    mirrorWidth: [40, 60],
+    mirrorCluster: false,         // True = all mirrors around the back end
+    docks: [1, 2],                // Docking bays on the end caps
+    towers: [1, 2],
+    towerPlacement: 'hull',       // 'hull' or 'cap' (end caps)
+    hullRings: [2, 3],            // Rings of destructible hull sections
+    hullPerRing: 4,
+    turrets: [5, 7],
+  },
+  // Sealed hull with small viewports, long and thin
+  closed: {
+    length: [320, 420],
+    radius: [40, 48],
+    windowStrips: 0,
+    windowsPerStrip: [0, 0],
+    viewports: [6, 10],
+    mirrors: [2, 4],
+    mirrorWidth: [30, 45],
+    mirrorCluster: false,
+    docks: [2, 2],
+    towers: [2, 3],
+    towerPlacement: 'cap',
+    hullRings: [3, 4],
+    hullPerRing: 4,
+    turrets: [6, 9],
+  },
+  // Short, wide hull with a cluster of mirrors at the back
+  bunch: {
+    length: [180, 240],
+    radius: [55, 65],
+    windowStrips: 6,
+    windowsPerStrip: [2, 3],
+    viewports: [0, 0],
+    mirrors: [6, 8],
+    mirrorWidth: [25, 35],
+    mirrorCluster: true,
+    docks: [1, 1],
+    towers: [1, 3],
+    towerPlacement: 'cap',
+    hullRings: [2, 2],
+    hullPerRing: 6,
+    turrets: [4, 6],
+  },
+};
+
+// Colony spin about its long axis (see Colony.update)
+// Like a real O'Neill cylinder it turns at sqrt(gravity / radius), so the
+// inner hull feels this gravity; missions may set their own rate instead.
+// The hull surface moves at rate * radius, which is what a suit hits.
+export const COLONY_SPIN = {
+  gravity: 4,               // Units per second squared on the inner hull (Earth: 9.8 at 1 unit = 1 m)
+  maxRate: 1,               // rad/s a mission may ask for
+};
+
+// Colony structural integrity (see Colony.buildStructure)
+export const COLONY_INTEGRITY = {
+  cascadeDamage: 0.35,          // Share of max health dealt to neighbouring hull when a hull section falls
+  cascadeDelay: [0.3, 0.9],     // Seconds before the load reaches a neighbour
+  driftSpeed: [4, 10],          // Units per second away from the colony axis
+  driftSpin: 0.6,               // Max radians per second per axis
+  secondaryDelay: [1.5, 4],     // Seconds from breaking off to the secondary explosion
+};
+
+// Fracture debris from destroyed sections (see DebrisSystem)
+export const FRACTURE = {
+  maxChunks: 150,             // Budget across all break-ups; the oldest goes first
+  chunkSize: 6,               // Source radius per chunk (bigger meshes break into more)
+  maxChunksPerMesh: 8,
+  samplesPerChunk: 24,        // Surface samples in each chunk's convex hull
+  minSourceRadius: 1,         // Smaller meshes (lights, sensors) just vanish
+  blastSpeed: [3, 9],         // Units per second away from the blast
+  impulsePerDamage: 0.05,     // Hit impulse (units per second) per point of damage
+  spin: 1.5,                  // Max radians per second per axis (big chunks spin slower)
+  life: [6, 10],              // Seconds before a break-up is gone
+  fadeTime: 1.5,              // Seconds of fading at the end of life
+  solidRadius: 4,             // Chunks at least this big collide with the Zaku
+  pushFactor: 0.3,            // Share of the Zaku's impact speed given to a chunk it hits
+};
+
+// Colony defense turrets
+export const TURRET = {
+  health: 120,
+  points: 400,
+  range: 250,               // Engagement range
+  fireRate: 1200,           // ms between shots
+  damage: 6,                // Zaku HP per hit
+  projectileSpeed: 90,      // Units per second
+  turnSpeed: 1.5,           // Radians per second
+  fireTolerance: 0.08,      // Max aim error (radians) before firing
+  spread: 0.03,             // Random direction jitter
+};
+
+// Federation enemy mobile suits and craft
+// ai: behaviors this type may use and the ranges that drive state changes
+export const ENEMIES = {
+  gm: {
+    name: 'GM',
+    health: 150,
+    points: 800,
+    speed: 28,                // Units per second
+    turnRate: 2.5,            // Steering responsiveness
+    radius: 8,                // Hit sphere radius
+    fireRate: 700,            // ms between shots
+    damage: 4,
+    projectileSpeed: 120,
+    range: 180,
+    spread: 0.04,
+    ai: {
+      behaviors: ['patrol', 'intercept', 'strafe', 'retreat'],
+      detectRange: 260,
+      strafeRange: 90,
+      retreatHealth: 0.3,     // Health ratio that triggers a retreat
+      retreatTime: 6,         // Seconds before re-engaging
+    },
+  },
+  ball: {
+    name: 'Ball',
+    health: 70,
+    points: 300,
+    speed: 14,
+    turnRate: 1.5,
+    radius: 5,
+    fireRate: 2200,
+    damage: 10,
+    projectileSpeed: 70,
+    range: 220,
+    spread: 0.02,
+    ai: {
+      behaviors: ['patrol', 'intercept'],
+      detectRange: 240,
+      strafeRange: 0,
+      retreatHealth: 0,
+      retreatTime: 0,
+    },
+  },
+  fighter: {
+    name: 'Fighter',
+    health: 40,
+    points: 250,
+    speed: 55,
+    turnRate: 3.5,
+    radius: 5,
+    fireRate: 250,
+    damage: 2,
+    projectileSpeed: 160,
+    range: 120,
+    spread: 0.06,
+    ai: {
+      behaviors: ['patrol', 'intercept', 'strafe', 'retreat'],
+      detectRange: 300,
+      strafeRange: 60,
+      retreatHealth: 0.5,
+      retreatTime: 3,
+    },
+  },
+};
+
+// Enemy wave spawning
+export const ENEMY_WAVES = {
+  firstWaveDelay: 20,       // Seconds before the first wave
+  interval: 45,             // Seconds between waves
+  spawnDistance: 350,       // Distance from colony center
+  patrolRadius: 140,        // Orbit radius around the colony
+  maxActive: 12,            // Waves are skipped while this many are alive
+  // Wave compositions; the last one repeats
+  waves: [
+    ['fighter', 'fighter'],
+    ['gm', 'fighter', 'fighter'],
+    ['gm', 'gm', 'ball', 'ball'],
+    ['gm', 'gm', 'gm', 'fighter', 'fighter', 'ball'],
+  ],
 };
 
-// Game settings
+// Game settings (time limit and targets come from the mission, see MissionLoader)
 export const GAME = {
-  missionTime: 300,         // 5 minutes in seconds
-  targetDestructionRate: 70, // Target destruction percentage
   comboTimeout: 3000,       // Combo timeout in ms
 };
 
-// Weapon settings
-export const WEAPONS = {
-  machineGun: {
-    name: 'Zaku Machine Gun',
-    damage: 10,
-    fireRate: 100,          // ms between shots
-    ammo: 500,
-    reloadTime: 2000,
-    range: 60,              // Damage range (3x Zaku height = 20 * 3)
+// Campaign progress (persisted by CampaignManager)
+export const CAMPAIGN = {
+  version: 1,               // Bump and add a migration when the stored format changes
+  maxStars: 3,              // One per mission rating: score, time left, destruction
+  starterWeapons: ['machineGun', 'bazooka'], // Always carried; stages unlock only weapons beyond these
+};
+
+// Game server (see server/): campaign progress sync
+// VITE_SERVER_URL is the server's origin at build time; unset, the API is
+// expected on the game's own origin
+export const SERVER = {
+  apiUrl: `${(import.meta.env.VITE_SERVER_URL || '').replace(/\/+$/, '')}/api`,
+  timeout: 5000,            // ms before a request is abandoned
+};
+
+// Final score bonuses (missions may override them)
+export const SCORING = {
+  timeBonus: 50,            // Points per second left
+  destructionBonus: 100,    // Points per destruction percent
+  comboBonus: 100,          // Points per max combo step
+};
+
+// Mission objective types (see ObjectiveSystem)
+//   destruction - destroy target % of the colony
+//   destroyAll  - destroy every section of one type
+//   damageLimit - lose no more than target HP (holds until the mission is won)
+//   escort      - the mission's Musai reaches its destination
+export const OBJECTIVE_TYPES = ['destruction', 'destroyAll', 'damageLimit', 'escort'];
+
+// Colony section types (Colony.addSection), for destroyAll objectives
+export const SECTION_TYPES = ['window', 'solarPanel', 'dockingBay', 'controlTower', 'hullSection', 'turret'];
+
+// Friendly Musai-class cruiser escorted in escort missions
+export const MUSAI = {
+  health: 3000,
+  speed: 12,                // Units per second (missions may override)
+  radius: 30,               // Hit sphere radius
+  turnRate: 0.5,            // Radians per second
+  arrivalDistance: 20,      // Counts as arrived this close to the destination
+};
+
+// Ranged weapon stats are JSON files in src/data/weapons (see WeaponLoader).
+// These presets are what the files may refer to by name.
+export const WEAPON_MODELS = ['machineGun', 'bazooka'];     // Hand-held meshes built by Zaku
+export const FIRE_MODES = ['auto', 'semi', 'burst', 'charge'];
+export const PROJECTILE_TYPES = ['tracer', 'rocket'];
+
+// Muzzle flash light, flash sprite, particles per shot and recoil kick/recovery
+export const MUZZLE_EFFECTS = {
+  none: { light: 0, flashOpacity: 0, particles: 0, recoil: 0, recoilRecovery: 20 },
+  flash: { light: 3, flashOpacity: 0.9, particles: 1, recoil: 0.1, recoilRecovery: 20 },
+  blast: { light: 6, flashOpacity: 0.9, particles: 4, recoil: 0.8, recoilRecovery: 6 },
+};
+
+// Synthesized firing sounds: filtered noise burst plus an optional low thump (Hz)
+export const FIRE_SOUNDS = {
+  rifle: { duration: 0.1, decay: 20, lowpass: 1000, highpass: 100, gain: 0.3, thump: 0 },
+  cannon: { duration: 0.25, decay: 10, lowpass: 1500, highpass: 60, gain: 0.4, thump: 140 },
+  launcher: { duration: 0.35, decay: 6, lowpass: 600, highpass: 40, gain: 0.45, thump: 90 },
+};
+
+// Melee weapons
+export const MELEE = {
+  heatHawk: {
+    name: 'Heat Hawk',
+    damage: 150,
+    fireRate: 900,          // ms between swings
+    sectionMultiplier: 2,   // Heated blade cuts through colony structures
+    range: 14,              // Reach from the Zaku's centre
+    arc: 1.6,               // Apex angle of the hit cone in front of the Zaku (rad)
+    swingTime: 0.5,         // Full swing animation (seconds)
+    hitTime: 0.45,          // Point of the swing where the blade connects (0-1)
+    hitStop: 0.08,          // Freeze on impact (seconds)
+    shakeIntensity: 0.8,
+    shakeDuration: 0.25,
   },
-  bazooka: {
-    name: 'Bazooka',
-    damage: 100,
-    fireRate: 1500,
-    ammo: 20,
-    reloadTime: 3000,
-    explosionRadius: 10,
+};
+
+// Object pool capacities (objects in use at once, see ObjectPool)
+export const POOLS = {
+  tracer: 200,              // Per tracer style
+  rocket: 24,
+  enemyBolt: 150,           // Per enemy class
+  turretShell: 120,
+};
+
+// Effect budget shared by everything ParticleSystem draws
+export const EFFECT_BUDGET = {
+  maxParticles: 1200,       // Live particles across all effects
+  maxLights: 4,             // Flash lights; created once so materials never recompile
+  overlapRadius: 12,        // Effects closer than this count as overlapping
+  maxOverlapping: 4,        // Overlapping effects before the lowest priority one is culled
+};
+
+// Particle looks an emitter can draw with (one instanced batch per look)
+// Lit meshes are opaque debris: opacity and color settings don't apply
+// Round meshes look the same from every side, so they skip orientation
+export const PARTICLE_MESHES = {
+  spark: { capacity: 1000, lit: false, round: true },   // Low-poly sphere
+  flash: { capacity: 40, lit: false, round: true },     // Smooth sphere
+  blob: { capacity: 520, lit: false, round: true },     // Fireballs and smoke
+  sprite: { capacity: 20, lit: false, round: false },   // Flat quad (muzzle flashes)
+  box: { capacity: 400, lit: true, round: false },
+  tetra: { capacity: 400, lit: true, round: false },
+};
+
+// Effect emitter options (see EffectLoader)
+export const PARTICLE_TEXTURES = ['none', 'soft', 'ring'];
+export const EMITTER_SHAPES = ['point', 'sphere', 'shell'];   // Spawn at the origin, inside or on a sphere
+export const EMITTER_ORIENTS = ['none', 'random', 'direction'];
+export const EMITTER_SCALE_TARGETS = ['count', 'speed', 'size', 'radius'];
+
+// Named effect presets (see ParticleSystem.spawn)
+// Layers play effect files from src/data/effects at a scale, optionally tinted
+// Higher priority effects cull lower ones when the budget runs out
+export const EFFECTS = {
+  bulletImpact: {
+    priority: 1,
+    layers: [{ effect: 'explosion', scale: 0.4 }],
   },
+  sectionHit: {
+    priority: 1,
+    layers: [{ effect: 'fireball', scale: 0.5 }],
+  },
+  armorHit: {
+    priority: 2,
+    layers: [{ effect: 'explosion', scale: 0.4, color: 0xFF3366 }],
+  },
+  hullScrape: {
+    priority: 2,
+    layers: [{ effect: 'explosion', scale: 0.5, color: 0xFFAA00 }],
+  },
+  meleeEnemyHit: {
+    priority: 3,
+    layers: [{ effect: 'explosion', scale: 0.6 }],
+  },
+  meleeSectionHit: {
+    priority: 3,
+    layers: [{ effect: 'fireball', scale: 0.8 }, { effect: 'debris', scale: 0.6 }],
+  },
+  splash: {
+    priority: 3,
+    layers: [{ effect: 'explosion', scale: 1.5 }, { effect: 'debris', scale: 1 }],
+  },
+  sectionDestroyed: {
+    priority: 4,
+    layers: [{ effect: 'fireball', scale: 2 }, { effect: 'debris', scale: 1.5 }],
+  },
+  secondaryExplosion: {
+    priority: 4,
+    layers: [{ effect: 'fireball', scale: 1.5 }, { effect: 'debris', scale: 1 }],
+  },
+  enemyDestroyed: {
+    priority: 4,
+    layers: [{ effect: 'explosion', scale: 2.5, color: 0xFF8800 }, { effect: 'debris', scale: 2 }],
+  },
+  zakuSecondary: {
+    priority: 5,
+    layers: [{ effect: 'explosion', scale: 3, color: 0xFF4400 }, { effect: 'debris', scale: 2 }],
+  },
+  zakuDestroyed: {
+    priority: 6,
+    layers: [{ effect: 'explosion', scale: 5 }, { effect: 'debris', scale: 3 }],
+  },
+};
+
+// Lock-on targeting
+export const LOCK_ON = {
+  range: 350,               // Max lock distance
+  breakRange: 420,          // Lock is lost beyond this distance
+  acquireAngle: 0.1,        // Cone around the crosshair for a new lock (rad)
+  cycleAngle: 0.6,          // Cone searched when cycling targets (rad)
+  minBracketSize: 30,       // Bracket size on screen (px)
+  maxBracketSize: 160,
 };
 
 // UI Colors
@@ -93,21 +501,66 @@ export const UI_COLORS = {
   border: 'rgba(0, 255, 136, 0.5)',
 };
 
-// Key bindings
+// Default key bindings: action -> bindings
+// Keyboard bindings are KeyboardEvent.code values, mouse buttons are 'Mouse<button>'
+// and gamepad buttons are 'Pad<index>' in the standard gamepad layout
 export const KEYS = {
-  forward: 'KeyW',
-  backward: 'KeyS',
-  left: 'KeyA',
-  right: 'KeyD',
-  rotateLeft: 'KeyQ',
-  rotateRight: 'KeyE',
-  up: 'Space',
-  down: 'ShiftLeft',
-  boost: 'ControlLeft',
-  fire: 0,                  // Left mouse button
-  altFire: 2,               // Right mouse button
-  reload: 'KeyR',
-  weapon1: 'Digit1',
-  weapon2: 'Digit2',
-  pause: 'Escape',
+  forward: ['KeyW'],
+  backward: ['KeyS'],
+  left: ['KeyA'],
+  right: ['KeyD'],
+  rotateLeft: ['KeyQ', 'Pad14'],            // D-pad left
+  rotateRight: ['KeyE', 'Pad15'],           // D-pad right
+  up: ['Space', 'Pad5'],                    // RB
+  down: ['ShiftLeft', 'KeyC', 'Pad4'],      // Shift can trigger sticky keys; LB
+  boost: ['ControlLeft', 'KeyF', 'Pad6'],   // Ctrl+W closes the tab in most browsers; LT
+  fire: ['Mouse0', 'Pad7'],                 // RT
+  view: ['Mouse2', 'Pad3'],                 // Y
+  reload: ['KeyR', 'Pad2'],                 // X
+  resetPosition: ['KeyT', 'Pad8'],          // Back
+  weapon1: ['Digit1', 'Pad12'],             // D-pad up
+  weapon2: ['Digit2', 'Pad13'],             // D-pad down
+  weapon3: ['Digit3'],
+  nextWeapon: ['KeyX', 'Pad10'],            // Left stick press
+  pause: ['Escape', 'Pad9'],                // Start
+  lockOn: ['KeyV', 'Mouse1', 'Pad11'],      // Middle click; right stick press
+  cycleTarget: ['Tab', 'Pad1'],             // B
+  melee: ['KeyG', 'Pad0'],                  // A
+  debugOverlay: ['Backquote'],              // Pool stats
+};
+
+// Binding slots shown per action in the controls panel: keys and mouse
+// buttons, then gamepad buttons in slots of their own
+export const MAX_BINDINGS_PER_ACTION = 3;
+export const MAX_PAD_BINDINGS_PER_ACTION = 1;
+
+// Touch controls
+// Button positions are the button centre as a fraction of the viewport; size in px
+export const TOUCH = {
+  stickRadius: 60,          // Max knob travel of the floating stick
+  stickZone: 0.45,          // Left fraction of the screen that spawns the stick
+  aimSensitivity: 2.5,      // Mouse pixels per dragged pixel
+  minButtonSize: 40,
+  maxButtonSize: 120,
+  buttons: {
+    rotateLeft: { label: 'Q', x: 0.06, y: 0.45, size: 60 },
+    rotateRight: { label: 'E', x: 0.16, y: 0.45, size: 60 },
+    up: { label: 'UP', x: 0.68, y: 0.62, size: 60 },
+    down: { label: 'DN', x: 0.78, y: 0.62, size: 60 },
+    boost: { label: 'BST', x: 0.88, y: 0.62, size: 60 },
+    reload: { label: 'R', x: 0.66, y: 0.86, size: 60 },
+    view: { label: 'VIEW', x: 0.77, y: 0.86, size: 60, variant: 'touch-view' },
+    fire: { label: 'FIRE', x: 0.9, y: 0.84, size: 80, variant: 'touch-fire' },
+    lockOn: { label: 'LOCK', x: 0.9, y: 0.45, size: 60 },
+    cycleTarget: { label: 'NEXT', x: 0.8, y: 0.45, size: 60 },
+    melee: { label: 'AXE', x: 0.7, y: 0.45, size: 60 },
+  },
+};
+
+// Gamepad (standard layout: left stick axes 0/1, right stick axes 2/3)
+export const GAMEPAD = {
+  moveAxes: [0, 1],         // Translation
+  aimAxes: [2, 3],          // Camera aim
+  triggerThreshold: 0.3,    // Analog button value that counts as pressed
+  aimSpeed: 1000,           // Full-tilt aim, in mouse pixels per second
 };
@@ -61,6 +61,35 @@ export function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+/**
+ * Seeded random number generator (mulberry32 over a hash of the seed)
+ * The same seed always gives the same sequence
+ * @param {string} seed
+ * @returns {{next: function(): number, range: function(number, number): number,
+ *   int: function(number, number): number, pick: function(Array): *}}
+ */
+export function createRandom(seed) {
+  // FNV-1a hash of the seed string
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range: (min, max) => next() * (max - min) + min,
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    pick: (items) => items[Math.floor(next() * items.length)],
+  };
+}
+
 /**
  * Generate random point on sphere surface
  */
@@ -107,6 +136,24 @@ export function easeInOutCubic(t) {
     : 1 - Math.pow(-2 * t + 2, 3) / 2;
 }
 
+/**
+ * Sample a piecewise linear curve of [t, value] points (in time order)
+ * Holds the first/last value outside the points
+ */
+export function sampleCurve(points, t) {
+  if (t <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [t1, v1] = points[i];
+    if (t <= t1) {
+      const [t0, v0] = points[i - 1];
+      return t1 > t0 ? v0 + (v1 - v0) * (t - t0) / (t1 - t0) : v1;
+    }
+  }
+
+  return points[points.length - 1][1];
+}
+
 /**
  * Format time in MM:SS format
  */
@@ -0,0 +1,138 @@
+/**
+ * Schema Validation
+ * Checks parsed JSON data files (weapons, effects) against field rules and
+ * collects readable errors with the path of every bad field
+ *
+ * Rule types: string, boolean, number, integer, enum, object, array,
+ * range ([min, max] or a single number), tuple (fixed-length array with a
+ * rule per position). Any rule may add check(value, path, errors) for
+ * conditions the type alone can't express.
+ */
+
+/**
+ * Check a value against a rule, collecting errors
+ * @returns {*} The value (with defaults filled in for objects)
+ */
+export function validateField(rule, value, path, errors) {
+  const errorCount = errors.length;
+  const result = validateType(rule, value, path, errors);
+
+  // Extra checks only make sense on a value of the right shape
+  if (rule.check && errors.length === errorCount) {
+    rule.check(result, path, errors);
+  }
+  return result;
+}
+
+/**
+ * Check a value's type and bounds
+ */
+function validateType(rule, value, path, errors) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a non-empty string`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(`${path} "${value}" does not match ${rule.pattern}`);
+      }
+      return value;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false`);
+      }
+      return value;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) ||
+          (rule.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${path} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+      } else if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${path} must be >= ${rule.min} (got ${value})`);
+      } else if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${path} must be <= ${rule.max} (got ${value})`);
+      }
+      return value;
+
+    case 'enum':
+      if (!rule.options.includes(value)) {
+        errors.push(`${path} must be one of ${rule.options.join(', ')} (got ${JSON.stringify(value)})`);
+      }
+      return value;
+
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return value;
+      }
+      return validateObject(rule.fields, value, path, errors);
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return value;
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        errors.push(`${path} needs at least ${rule.minLength} item(s)`);
+      }
+      return value.map((item, index) => validateField(rule.items, item, `${path}[${index}]`, errors));
+
+    case 'range': {
+      // A single number is a fixed value
+      const range = typeof value === 'number' ? [value, value] : value;
+      if (!Array.isArray(range) || range.length !== 2 ||
+          !range.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        errors.push(`${path} must be a number or [min, max]`);
+        return value;
+      }
+      if (range[0] > range[1]) {
+        errors.push(`${path} min (${range[0]}) must not exceed max (${range[1]})`);
+      } else if (rule.min !== undefined && range[0] < rule.min) {
+        errors.push(`${path} must be >= ${rule.min} (got ${range[0]})`);
+      } else if (rule.max !== undefined && range[1] > rule.max) {
+        errors.push(`${path} must be <= ${rule.max} (got ${range[1]})`);
+      }
+      return range;
+    }
+
+    case 'tuple':
+      if (!Array.isArray(value) || value.length !== rule.items.length) {
+        errors.push(`${path} must be an array of ${rule.items.length} values`);
+        return value;
+      }
+      return rule.items.map((item, index) => validateField(item, value[index], `${path}[${index}]`, errors));
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check an object against a set of field rules
+ * Unknown fields are errors; missing optional fields get their default
+ */
+export function validateObject(fields, data, path, errors) {
+  const result = {};
+  const prefix = path ? `${path}.` : '';
+
+  // Own fields only: a key like "constructor" is unknown, not an Object member
+  for (const key in data) {
+    if (!Object.hasOwn(fields, key)) errors.push(`${prefix}${key} is not a known field`);
+  }
+
+  for (const key in fields) {
+    const rule = fields[key];
+    if (data[key] === undefined) {
+      if (!rule.optional) {
+        errors.push(`${prefix}${key} is required`);
+      } else if (rule.default !== undefined) {
+        result[key] = structuredClone(rule.default);
+      }
+      continue;
+    }
+    result[key] = validateField(rule, data[key], `${prefix}${key}`, errors);
+  }
+
+  return result;
+}
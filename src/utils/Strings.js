@@ -0,0 +1,305 @@
+/**
+ * Localized Strings
+ * UI text per language; t() looks up a key in the active language
+ */
+
+export const LANGUAGES = {
+  ko: '한국어',
+  en: 'English',
+};
+
+const STRINGS = {
+  ko: {
+    // Menus
+    'menu.start': '출격',
+    'menu.ranking': '순위보기',
+    'menu.settings': '설정',
+    'menu.back': '돌아가기',
+    'menu.launch': '발진',
+    'menu.title': '타이틀로',
+    'menu.resume': '계속하기',
+    'menu.restart': '다시하기',
+    'menu.stages': '스테이지',
+
+    // Settings
+    'settings.title': 'SETTINGS',
+    'settings.masterVolume': '전체 볼륨',
+    'settings.musicVolume': '음악 볼륨',
+    'settings.sfxVolume': '효과음 볼륨',
+    'settings.mouseSensitivity': '마우스 감도',
+    'settings.invertY': '상하 반전',
+    'settings.syncProgress': '진행 상황 서버 동기화',
+    'settings.fov': '시야각 (FOV)',
+    'settings.quality': '그래픽 품질',
+    'settings.language': '언어',
+    'settings.quality.low': '낮음',
+    'settings.quality.medium': '보통',
+    'settings.quality.high': '높음',
+    'settings.reset': '기본값',
+    'settings.close': '닫기',
+    'settings.controls': '조작 설정',
+    'settings.touchLayout': '터치 배치',
+    'settings.gamepadDeadzone': '패드 데드존',
+    'settings.gamepadCurve': '패드 감도 곡선',
+
+    // Controls
+    'controls.title': 'CONTROLS',
+    'controls.profile': '프로필',
+    'controls.profileCreate': '생성/전환',
+    'controls.prompt': '키 또는 마우스 버튼을 누르세요 (ESC 취소, Backspace 해제)',
+    'controls.promptPad': '패드 버튼을 누르세요 (ESC 취소, Backspace 해제)',
+    'controls.wrongSlot': '{binding}은(는) 이 칸에 지정할 수 없습니다',
+    'controls.conflict': '{binding} 키는 {action}에서 이 동작으로 옮겨졌습니다',
+
+    // Touch layout editor
+    'touch.editHint': '버튼을 끌어서 옮기고, 선택한 버튼의 크기를 조절하세요',
+    'touch.size': '크기',
+    'touch.done': '완료',
+
+    // Keymap
+    'key.forward': '전진',
+    'key.backward': '후진',
+    'key.left': '좌이동',
+    'key.right': '우이동',
+    'key.rotateLeft': '좌회전',
+    'key.rotateRight': '우회전',
+    'key.up': '상승',
+    'key.down': '하강',
+    'key.boost': '부스트',
+    'key.reload': '재장전',
+    'key.resetPosition': '초기화',
+    'key.pause': '일시정지',
+    'key.fire': '발사',
+    'key.view': '시점변경',
+    'key.weapon1': '머신건',
+    'key.weapon2': '바주카',
+    'key.weapon3': '자쿠 캐논',
+    'key.nextWeapon': '다음 무기',
+    'key.lockOn': '록온',
+    'key.cycleTarget': '목표전환',
+    'key.melee': '히트 호크',
+    'key.debugOverlay': '디버그 정보',
+
+    // Lock-on target names
+    'target.window': '창문',
+    'target.solarPanel': '태양 전지판',
+    'target.dockingBay': '도킹 베이',
+    'target.controlTower': '관제탑',
+    'target.hullSection': '외벽',
+    'target.turret': '대공포',
+
+    // Rankings
+    'ranking.rank': '🏆 {rank}위 달성!',
+    'ranking.empty': '기록이 없습니다',
+    'ranking.destruction': '파괴율',
+    'ranking.timeLeft': '남은시간',
+
+    // Briefing
+    'briefing.secondary': '{label} (+{bonus})',
+
+    // Objectives
+    'objective.destruction': '콜로니 {target}% 파괴',
+    'objective.destroyAll': '{section} 전부 파괴',
+    'objective.damageLimit': '피해 {target} HP 이하 유지',
+    'objective.escort': '무사이 호위',
+
+    // Results
+    'result.victory': '모든 주요 목표 달성!',
+    'result.collision': '콜로니 충돌로 자쿠가 대파되었습니다!',
+    'result.destroyed': '자쿠가 격추되었습니다!',
+    'result.timeout': '시간이 초과되었습니다',
+    'result.objectiveFailed': '목표 실패: {label}',
+    'result.unlockStage': '스테이지 해금: {name}',
+    'result.unlockWeapon': '무기 해금: {name}',
+    'result.unlockVariant': '기체 해금: {name}',
+
+    // Stage select
+    'stages.variant': '기체',
+    'stages.locked': '잠김',
+
+    // In-game messages
+    'msg.wave': 'WAVE {wave} - 연방군 접근!',
+    'msg.collision': '충돌! -{damage} HP',
+    'msg.positionReset': '위치 초기화',
+    'msg.turretDestroyed': '대공포 파괴!',
+    'msg.enemyDestroyed': '{name} 격파!',
+    'msg.noTarget': '록온 대상 없음',
+    'msg.reloading': '재장전 중',
+    'msg.noAmmo': '탄약 없음',
+    'msg.objectiveComplete': '목표 달성: {label}',
+    'msg.objectiveFailed': '목표 실패: {label}',
+    'msg.escortDestroyed': '무사이가 격침되었습니다!',
+    'msg.gamepadConnected': '🎮 게임패드 연결됨: {id}',
+    'msg.gamepadDisconnected': '🎮 게임패드 연결 해제: {id}',
+
+    // Camera views
+    'view.third-person': '3인칭 뷰',
+    'view.first-person': '1인칭 뷰',
+    'view.cockpit': '콕핏 뷰',
+  },
+
+  en: {
+    // Menus
+    'menu.start': 'Sortie',
+    'menu.ranking': 'Rankings',
+    'menu.settings': 'Settings',
+    'menu.back': 'Back',
+    'menu.launch': 'Launch',
+    'menu.title': 'Title',
+    'menu.resume': 'Resume',
+    'menu.restart': 'Retry',
+    'menu.stages': 'Stages',
+
+    // Settings
+    'settings.title': 'SETTINGS',
+    'settings.masterVolume': 'Master volume',
+    'settings.musicVolume': 'Music volume',
+    'settings.sfxVolume': 'SFX volume',
+    'settings.mouseSensitivity': 'Mouse sensitivity',
+    'settings.invertY': 'Invert Y',
+    'settings.syncProgress': 'Sync progress to server',
+    'settings.fov': 'Field of view',
+    'settings.quality': 'Graphics quality',
+    'settings.language': 'Language',
+    'settings.quality.low': 'Low',
+    'settings.quality.medium': 'Medium',
+    'settings.quality.high': 'High',
+    'settings.reset': 'Defaults',
+    'settings.close': 'Close',
+    'settings.controls': 'Controls',
+    'settings.touchLayout': 'Touch layout',
+    'settings.gamepadDeadzone': 'Stick deadzone',
+    'settings.gamepadCurve': 'Stick response curve',
+
+    // Controls
+    'controls.title': 'CONTROLS',
+    'controls.profile': 'Profile',
+    'controls.profileCreate': 'Create/Switch',
+    'controls.prompt': 'Press a key or mouse button (ESC cancels, Backspace clears)',
+    'controls.promptPad': 'Press a gamepad button (ESC cancels, Backspace clears)',
+    'controls.wrongSlot': '{binding} cannot go in this slot',
+    'controls.conflict': '{binding} was moved here from {action}',
+
+    // Touch layout editor
+    'touch.editHint': 'Drag buttons to move them; resize the selected button',
+    'touch.size': 'Size',
+    'touch.done': 'Done',
+
+    // Keymap
+    'key.forward': 'Forward',
+    'key.backward': 'Back',
+    'key.left': 'Left',
+    'key.right': 'Right',
+    'key.rotateLeft': 'Turn L',
+    'key.rotateRight': 'Turn R',
+    'key.up': 'Up',
+    'key.down': 'Down',
+    'key.boost': 'Boost',
+    'key.reload': 'Reload',
+    'key.resetPosition': 'Reset',
+    'key.pause': 'Pause',
+    'key.fire': 'Fire',
+    'key.view': 'View',
+    'key.weapon1': 'Machine gun',
+    'key.weapon2': 'Bazooka',
+    'key.weapon3': 'Zaku cannon',
+    'key.nextWeapon': 'Next weapon',
+    'key.lockOn': 'Lock on',
+    'key.cycleTarget': 'Next target',
+    'key.melee': 'Heat Hawk',
+    'key.debugOverlay': 'Debug info',
+
+    // Lock-on target names
+    'target.window': 'Window',
+    'target.solarPanel': 'Solar panel',
+    'target.dockingBay': 'Docking bay',
+    'target.controlTower': 'Control tower',
+    'target.hullSection': 'Hull section',
+    'target.turret': 'AA turret',
+
+    // Rankings
+    'ranking.rank': '🏆 Rank #{rank}!',
+    'ranking.empty': 'No records yet',
+    'ranking.destruction': 'Destruction',
+    'ranking.timeLeft': 'Time left',
+
+    // Briefing
+    'briefing.secondary': '{label} (+{bonus})',
+
+    // Objectives
+    'objective.destruction': 'Destroy {target}% of the colony',
+    'objective.destroyAll': 'Destroy all: {section}',
+    'objective.damageLimit': 'Take no more than {target} HP damage',
+    'objective.escort': 'Escort the Musai',
+
+    // Results
+    'result.victory': 'All primary objectives achieved!',
+    'result.collision': 'The Zaku was wrecked in a collision with the colony!',
+    'result.destroyed': 'The Zaku was shot down!',
+    'result.timeout': 'Time is up',
+    'result.objectiveFailed': 'Objective failed: {label}',
+    'result.unlockStage': 'Stage unlocked: {name}',
+    'result.unlockWeapon': 'Weapon unlocked: {name}',
+    'result.unlockVariant': 'Mobile suit unlocked: {name}',
+
+    // Stage select
+    'stages.variant': 'Mobile suit',
+    'stages.locked': 'Locked',
+
+    // In-game messages
+    'msg.wave': 'WAVE {wave} - Federation forces incoming!',
+    'msg.collision': 'IMPACT! -{damage} HP',
+    'msg.positionReset': 'Position reset',
+    'msg.turretDestroyed': 'AA turret destroyed!',
+    'msg.enemyDestroyed': '{name} destroyed!',
+    'msg.noTarget': 'No target',
+    'msg.reloading': 'RELOADING',
+    'msg.noAmmo': 'NO AMMO',
+    'msg.objectiveComplete': 'Objective complete: {label}',
+    'msg.objectiveFailed': 'Objective failed: {label}',
+    'msg.escortDestroyed': 'The Musai has been sunk!',
+    'msg.gamepadConnected': '🎮 Gamepad connected: {id}',
+    'msg.gamepadDisconnected': '🎮 Gamepad disconnected: {id}',
+
+    // Camera views
+    'view.third-person': 'Third-person view',
+    'view.first-person': 'First-person view',
+    'view.cockpit': 'Cockpit view',
+  },
+};
+
+// Active language
+let currentLanguage = 'ko';
+
+/**
+ * Set the active language (unknown codes are ignored)
+ */
+export function setLanguage(language) {
+  if (STRINGS[language]) {
+    currentLanguage = language;
+  }
+}
+
+/**
+ * Get the active language code
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Pick the active language from a data file text ({ko, en})
+ * Falls back to Korean
+ */
+export function localize(text) {
+  return text[currentLanguage] ?? text.ko;
+}
+
+/**
+ * Translate a key, filling {placeholders} from params
+ * Falls back to Korean, then to the key itself
+ */
+export function t(key, params = {}) {
+  const text = STRINGS[currentLanguage][key] ?? STRINGS.ko[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}